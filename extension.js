@@ -1,195 +1,15 @@
 const Toolpackage = require('chioro-toolbox/toolpackage')
 const hubspotCrmWriter = require('./hubspotCrmWriter')
 const hubspotSchemaReader = require('./hubspotSchemaReader')
+const hubspotSchemaWriter = require('./hubspotSchemaWriter')
 const hubspotObjectReader = require('./hubspotObjectReader')
+const sapC4cCorporateAccountsReader = require('./sapC4cCorporateAccountsReader')
+const sapC4cMetadataReader = require('./sapC4cMetadataReader')
+const sapC4cWriter = require('./sapC4cWriter')
 
 const tools = new Toolpackage("Pipe Reader Tools")
 tools.description = 'Plugin for reading pipe-separated files'
 
-function getAuthFromAdminConfig(authConfig) {
-    if (!authConfig) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    var properties = getConfigValue(authConfig, 'properties', null);
-    var subType = getConfigValue(authConfig, 'subType', '');
-
-    if (!properties) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    if (subType === 'BEARER_TOKEN') {
-        return {
-            type: 'bearer',
-            token: getConfigValue(properties, 'bearerToken', ''),
-            username: '',
-            password: ''
-        };
-    } else if (subType === 'BASIC_AUTH') {
-        return {
-            type: 'basic',
-            token: '',
-            username: getConfigValue(properties, 'basicAuthUsername', ''),
-            password: getConfigValue(properties, 'basicAuthPassword', '')
-        };
-    }
-
-    return { type: 'none', token: '', username: '', password: '' };
-}
-
-/**
- * SAP C4C OData reader.
- *
- * Supports $filter, $expand, and pagination via $top/$skip.
- * The "top" arg limits total records returned; "pageSize" controls page size.
- */
-function sapC4cCorporateAccountsReader(config, streamHelper, journal) {
-    var baseUrl = getConfigValue(config, 'baseUrl', 'https://my360473.crm.ondemand.com');
-    var endpoint = getConfigValue(
-        config,
-        'endpoint',
-        '/sap/c4c/odata/v1/c4codataapi/CorporateAccountCollection'
-    );
-    var topLimit = parseInt(getConfigValue(config, 'top', 0), 10);
-    if (!topLimit || topLimit < 1) {
-        topLimit = 0;
-    }
-    var pageSize = parseInt(getConfigValue(config, 'pageSize', 100), 10);
-    if (!pageSize || pageSize < 1) {
-        pageSize = 100;
-    }
-
-    var filter = getConfigValue(config, 'filter', '');
-    var expands = getConfigValue(config, 'extends', '');
-    if (!expands) {
-        expands = getConfigValue(config, 'expand', '');
-    }
-
-    var authConfig = getConfigValue(config, 'authConfig', null);
-    var auth = getAuthFromAdminConfig(authConfig);
-
-    var skip = 0;
-    var hasMore = true;
-    var buffer = [];
-    var bufferIndex = 0;
-    var recordCount = 0;
-    var headers = null;
-
-    function buildHeaders() {
-        var hdrs = {
-            "Content-Type": "application/json",
-            "Accept": "application/json"
-        };
-
-        if (auth.type === 'basic' && auth.username && auth.password) {
-            hdrs["Authorization"] = "Basic " + base64Encode(auth.username + ":" + auth.password);
-        }
-
-        return hdrs;
-    }
-
-    function normalizeRecords(data) {
-        if (!data) return [];
-        if (data.d && Array.isArray(data.d.results)) return data.d.results;
-        if (Array.isArray(data.value)) return data.value;
-        if (Array.isArray(data.results)) return data.results;
-        return [];
-    }
-
-    function buildUrl() {
-        var effectiveTop = pageSize;
-        if (topLimit > 0) {
-            var remaining = topLimit - recordCount;
-            if (remaining <= 0) {
-                return null;
-            }
-            if (remaining < effectiveTop) {
-                effectiveTop = remaining;
-            }
-        }
-
-        var query = [];
-        query.push("$top=" + encodeURIComponent(String(effectiveTop)));
-        query.push("$skip=" + encodeURIComponent(String(skip)));
-        query.push("sap-label=true");
-
-        if (filter) {
-            query.push("$filter=" + encodeURIComponent(String(filter)));
-        }
-        if (expands) {
-            query.push("$expand=" + encodeURIComponent(String(expands)));
-        }
-
-        return baseUrl + endpoint + "?" + query.join("&");
-    }
-
-    function fetchNextPage() {
-        if (!hasMore) return;
-
-        var url = buildUrl();
-        if (!url) {
-            hasMore = false;
-            return;
-        }
-        var data = getJson(url, headers);
-
-        buffer = normalizeRecords(data);
-        bufferIndex = 0;
-
-        if (buffer.length < pageSize) {
-            hasMore = false;
-        } else {
-            skip += pageSize;
-        }
-    }
-
-    return {
-        open: function() {
-            skip = 0;
-            hasMore = true;
-            buffer = [];
-            bufferIndex = 0;
-            recordCount = 0;
-            headers = buildHeaders();
-        },
-
-        readRecords: function*() {
-            while (true) {
-                if (bufferIndex >= buffer.length) {
-                    if (!hasMore) {
-                        break;
-                    }
-                    fetchNextPage();
-                    if (buffer.length === 0 && !hasMore) {
-                        break;
-                    }
-                }
-
-                while (bufferIndex < buffer.length) {
-                    if (topLimit > 0 && recordCount >= topLimit) {
-                        hasMore = false;
-                        break;
-                    }
-                    recordCount++;
-                    if (journal && journal.onProgress) {
-                        journal.onProgress(recordCount);
-                    }
-                    yield buffer[bufferIndex++];
-                }
-            }
-        },
-
-        close: function() {
-            skip = 0;
-            hasMore = true;
-            buffer = [];
-            bufferIndex = 0;
-            recordCount = 0;
-            headers = null;
-        }
-    };
-}
-
 tools.add({
     id: "sapC4cCorporateAccountsReader",
     impl: sapC4cCorporateAccountsReader,
@@ -220,11 +40,43 @@ tools.add({
                 "/sap/c4c/odata/v1/c4codataapi/CorporateAccountCollection",
                 "/sap/c4c/odata/v1/c4codataapi/ContactCollection",
                 "/sap/c4c/odata/v1/c4codataapi/LeadCollection",
-                "/sap/c4c/odata/v1/c4codataapi/OpportunityCollection"
+                "/sap/c4c/odata/v1/c4codataapi/OpportunityCollection",
+                "/sap/c4c/odata/v1/c4codataapi/ServiceRequestCollection",
+                "/sap/c4c/odata/v1/c4codataapi/VisitCollection",
+                "/sap/c4c/odata/v1/c4codataapi/PhoneCallCollection",
+                "/sap/c4c/odata/v1/c4codataapi/AppointmentCollection",
+                "/sap/c4c/odata/v1/c4codataapi/EmployeeCollection"
             ],
             default: "/sap/c4c/odata/v1/c4codataapi/CorporateAccountCollection",
             desc_en: "OData endpoint path"
         },
+        {
+            key: "collection",
+            label_en: "Collection (optional)",
+            label_de: "Collection (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Any entity set of the OData service, e.g. SalesQuoteCollection or the collection of a custom business object; replaces Endpoint. A value starting with \"/\" is taken as full path. The available collections and fields are listed by the sapC4cMetadataReader. Empty = use Endpoint",
+            desc_de: "Beliebiges Entity Set des OData-Service, z. B. SalesQuoteCollection oder die Collection eines Custom Business Objects; ersetzt Endpunkt. Ein Wert, der mit \"/\" beginnt, wird als vollständiger Pfad verwendet. Die verfügbaren Collections und Felder liefert der sapC4cMetadataReader. Leer = Endpunkt verwenden"
+        },
+        {
+            key: "servicePath",
+            label_en: "Service path",
+            label_de: "Service-Pfad",
+            type: "text",
+            default: "/sap/c4c/odata/v1/c4codataapi",
+            desc_en: "Path of the OData service the Collection belongs to, e.g. /sap/c4c/odata/cust/v1/<service> for custom business objects",
+            desc_de: "Pfad des OData-Service, zu dem die Collection gehört, z. B. /sap/c4c/odata/cust/v1/<service> für Custom Business Objects"
+        },
+        {
+            key: "select",
+            label_en: "Fields ($select)",
+            label_de: "Felder ($select)",
+            type: "text",
+            default: "",
+            desc_en: "Comma-separated fields to read, e.g. ObjectID,AccountID,Name. Expanded navigation properties and, in incremental mode, the change date field are added automatically. Empty = all fields",
+            desc_de: "Kommagetrennte Liste der zu lesenden Felder, z. B. ObjectID,AccountID,Name. Erweiterte Navigationseigenschaften und im inkrementellen Modus das Änderungsdatum-Feld werden automatisch ergänzt. Leer = alle Felder"
+        },
         {
             key: "top",
             label_en: "Top",
@@ -239,7 +91,7 @@ tools.add({
             label_de: "Seitengröße",
             type: "text",
             default: "100",
-            desc_en: "Number of records per page when paging"
+            desc_en: "Number of records per page when paging ($top per request). C4C returns at most 1000 entities per response; the rest of a larger page is read via the \"__next\" links it returns"
         },
         {
             key: "filter",
@@ -255,14 +107,118 @@ tools.add({
             type: "text",
             desc_en: "Comma-separated related entities, e.g. CorporateAccountAddresses"
         },
+        {
+            key: "flatten",
+            label_en: "Flatten",
+            label_de: "Abflachen",
+            type: "select",
+            options: ["none", "fields", "records"],
+            default: "none",
+            desc_en: "\"none\" – entities as returned by OData. \"fields\" – drop __metadata and deferred links, convert /Date(...)/ values to ISO timestamps and add the main entry of each expanded navigation (MainIndicator / DefaultIndicator, else the first) as fields \"<navigation>_<field>\" plus \"<navigation>Count\", e.g. CorporateAccountAddresses_City. \"records\" – same cleanup, but each expanded entry becomes a record of its own (recordType = navigation name, ParentObjectID = the entity's ObjectID) after its parent (recordType = collection name)",
+            desc_de: "\"none\" – Entitäten so, wie OData sie liefert. \"fields\" – __metadata und nicht erweiterte Verknüpfungen entfernen, /Date(...)/-Werte in ISO-Zeitstempel umwandeln und den Haupteintrag jeder erweiterten Navigation (MainIndicator / DefaultIndicator, sonst den ersten) als Felder \"<Navigation>_<Feld>\" plus \"<Navigation>Count\" ergänzen, z. B. CorporateAccountAddresses_City. \"records\" – gleiche Bereinigung, aber jeder erweiterte Eintrag wird ein eigener Datensatz (recordType = Name der Navigation, ParentObjectID = ObjectID der Entität) nach seinem Elterndatensatz (recordType = Name der Collection)"
+        },
+        {
+            key: "changedSince",
+            label_en: "Changed since (optional)",
+            label_de: "Geändert seit (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Incremental mode: only entities changed at or after this point in time are read (ISO 8601 timestamp or epoch milliseconds). Builds a \"<change date field> ge datetimeoffset'...'\" filter, combined with the $filter above, and reads ordered by change time. After the last entity one extra record with recordType \"watermark\" is emitted whose highWaterMark is the latest change timestamp read. Runs share no state, so the flow has to keep that record and pass its highWaterMark in here on the next run. Empty = read all entities",
+            desc_de: "Inkrementeller Modus: Es werden nur Entitäten gelesen, die zu oder nach diesem Zeitpunkt geändert wurden (ISO-8601-Zeitstempel oder Epoch-Millisekunden). Erzeugt einen Filter \"<Änderungsdatum-Feld> ge datetimeoffset'...'\", kombiniert mit dem $filter oben, und liest nach Änderungszeit sortiert. Nach der letzten Entität wird ein zusätzlicher Datensatz mit recordType \"watermark\" ausgegeben, dessen highWaterMark der späteste gelesene Änderungszeitpunkt ist. Läufe teilen keinen Zustand, daher muss der Flow diesen Datensatz aufbewahren und seinen highWaterMark beim nächsten Lauf hier übergeben. Leer = alle Entitäten lesen"
+        },
+        {
+            key: "changeDateField",
+            label_en: "Change date field",
+            label_de: "Änderungsdatum-Feld",
+            type: "text",
+            default: "LastChangeDateTime",
+            desc_en: "Property holding the last change timestamp, used by the incremental mode",
+            desc_de: "Eigenschaft mit dem Zeitpunkt der letzten Änderung, verwendet im inkrementellen Modus"
+        },
         {
             key: "authConfig",
             label_en: "Authentication",
             label_de: "Authentifizierung",
             type: "adminconfig",
             subType: "BASIC_AUTH",
+            required: false,
+            desc_en: "Select Basic Auth credentials from AdminConfig (not needed with OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "OAuth 2.0 client from AdminConfig (grant type client_credentials or saml2_bearer, token URL defaults to {Base URL}/sap/bc/sec/oauth2/token). Replaces Basic Auth when set",
+            desc_de: "OAuth-2.0-Client aus AdminConfig (Grant-Type client_credentials oder saml2_bearer, Token-URL standardmäßig {Base URL}/sap/bc/sec/oauth2/token). Ersetzt Basic Auth, wenn gesetzt"
+        }
+    ],
+    tags: ["reader", "dynamic-plugin"],
+    hideInToolbox: true,
+    tests: () => {}
+})
+
+tools.add({
+    id: "sapC4cMetadataReader",
+    impl: sapC4cMetadataReader,
+    aliases: {
+        en: "sapC4cMetadataReader",
+        de: "sapC4cMetadataReader"
+    },
+    simpleDescription: {
+        en: "Lists the collections and fields of a SAP C4C OData service",
+        de: "Listet die Collections und Felder eines SAP C4C OData-Service"
+    },
+    args: [
+        {
+            key: "baseUrl",
+            label_en: "API Base URL",
+            label_de: "API Basis-URL",
+            type: "text",
             required: true,
-            desc_en: "Select Basic Auth credentials from AdminConfig"
+            default: "https://my360473.crm.ondemand.com",
+            desc_en: "Base URL of the SAP C4C tenant",
+            desc_de: "Basis-URL des SAP C4C Tenants"
+        },
+        {
+            key: "servicePath",
+            label_en: "Service path",
+            label_de: "Service-Pfad",
+            type: "text",
+            default: "/sap/c4c/odata/v1/c4codataapi",
+            desc_en: "Path of the OData service, e.g. /sap/c4c/odata/cust/v1/<service> for custom business objects",
+            desc_de: "Pfad des OData-Service, z. B. /sap/c4c/odata/cust/v1/<service> für Custom Business Objects"
+        },
+        {
+            key: "collection",
+            label_en: "Collection (optional)",
+            label_de: "Collection (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Empty = one record per collection (entity set) of the service. Set = one record per field and navigation property of this collection, discovered from a sample entity (the collection must not be empty)",
+            desc_de: "Leer = ein Datensatz pro Collection (Entity Set) des Service. Gesetzt = ein Datensatz pro Feld und Navigationseigenschaft dieser Collection, ermittelt anhand einer Beispiel-Entität (die Collection darf nicht leer sein)"
+        },
+        {
+            key: "authConfig",
+            label_en: "Authentication",
+            label_de: "Authentifizierung",
+            type: "adminconfig",
+            subType: "BASIC_AUTH",
+            required: false,
+            desc_en: "Select Basic Auth credentials from AdminConfig (not needed with OAuth 2.0)",
+            desc_de: "Basic-Auth-Zugangsdaten aus AdminConfig auswählen (nicht nötig mit OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "OAuth 2.0 client from AdminConfig (grant type client_credentials or saml2_bearer, token URL defaults to {Base URL}/sap/bc/sec/oauth2/token). Replaces Basic Auth when set",
+            desc_de: "OAuth-2.0-Client aus AdminConfig (Grant-Type client_credentials oder saml2_bearer, Token-URL standardmäßig {Base URL}/sap/bc/sec/oauth2/token). Ersetzt Basic Auth, wenn gesetzt"
         }
     ],
     tags: ["reader", "dynamic-plugin"],
@@ -271,6 +227,111 @@ tools.add({
 })
 
 
+tools.add({
+    id: "sapC4cWriter",
+    impl: sapC4cWriter,
+    aliases: {
+        en: "sapC4cWriter",
+        de: "sapC4cWriter"
+    },
+    simpleDescription: {
+        en: "Creates and updates SAP C4C entities (accounts, contacts, leads, opportunities)",
+        de: "Legt SAP C4C Entitäten an und aktualisiert sie (Accounts, Kontakte, Leads, Opportunities)"
+    },
+    args: [
+        {
+            key: "baseUrl",
+            label_en: "API Base URL",
+            label_de: "API Basis-URL",
+            type: "text",
+            required: true,
+            default: "https://my360473.crm.ondemand.com",
+            desc_en: "Base URL of the SAP C4C tenant",
+            desc_de: "Basis-URL des SAP C4C Tenants"
+        },
+        {
+            key: "collection",
+            label_en: "Collection",
+            label_de: "Collection",
+            type: "text",
+            required: true,
+            default: "CorporateAccountCollection",
+            desc_en: "Collection to write, e.g. CorporateAccountCollection, ContactCollection, LeadCollection or OpportunityCollection. A value starting with \"/\" is taken as full path (service path and collection). Record fields are C4C property names; empty values are not sent",
+            desc_de: "Zu schreibende Collection, z. B. CorporateAccountCollection, ContactCollection, LeadCollection oder OpportunityCollection. Ein Wert, der mit \"/\" beginnt, gilt als vollständiger Pfad (Service-Pfad und Collection). Felder der Datensätze sind C4C-Eigenschaftsnamen; leere Werte werden nicht gesendet"
+        },
+        {
+            key: "servicePath",
+            label_en: "Service path",
+            label_de: "Service-Pfad",
+            type: "text",
+            default: "/sap/c4c/odata/v1/c4codataapi",
+            desc_en: "Path of the OData service, e.g. /sap/c4c/odata/cust/v1/<service> for custom business objects",
+            desc_de: "Pfad des OData-Service, z. B. /sap/c4c/odata/cust/v1/<service> für Custom Business Objects"
+        },
+        {
+            key: "lookupProperty",
+            label_en: "Lookup property",
+            label_de: "Suchfeld",
+            type: "text",
+            default: "ExternalID",
+            desc_en: "C4C property holding the external id (e.g. the HubSpot company id) by which existing entities are found; the record must contain a field of the same name. Records with an ObjectID field are matched by it instead",
+            desc_de: "C4C-Eigenschaft mit der externen ID (z. B. der HubSpot-Unternehmens-ID), über die bestehende Entitäten gefunden werden; der Datensatz muss ein gleichnamiges Feld enthalten. Datensätze mit einem Feld ObjectID werden stattdessen darüber zugeordnet"
+        },
+        {
+            key: "operation",
+            label_en: "Operation",
+            label_de: "Operation",
+            type: "select",
+            options: ["upsert", "create", "update"],
+            default: "upsert",
+            desc_en: "\"upsert\" – update found entities, create the others. \"create\" – only create entities that are not found. \"update\" – only update found entities. Records the operation does not apply to are skipped",
+            desc_de: "\"upsert\" – gefundene Entitäten aktualisieren, die übrigen anlegen. \"create\" – nur nicht gefundene Entitäten anlegen. \"update\" – nur gefundene Entitäten aktualisieren. Datensätze, für die die Operation nicht gilt, werden übersprungen"
+        },
+        {
+            key: "batchSize",
+            label_en: "Batch size",
+            label_de: "Batch-Größe",
+            type: "text",
+            default: "100",
+            desc_en: "Records sent per $batch change set (at most 100). A rejected change set is re-sent record by record. 1 = one request per record",
+            desc_de: "Datensätze pro $batch-Changeset (höchstens 100). Ein abgelehntes Changeset wird Datensatz für Datensatz erneut gesendet. 1 = eine Anfrage pro Datensatz"
+        },
+        {
+            key: "dryRun",
+            label_en: "Dry run",
+            label_de: "Testlauf",
+            type: "select",
+            options: ["false", "true"],
+            default: "false",
+            desc_en: "\"true\" – lookups are performed but nothing is written; the result records show the planned action (create, update, skip) per record",
+            desc_de: "\"true\" – Suchen werden ausgeführt, aber nichts geschrieben; die Ergebnis-Datensätze zeigen die geplante Aktion (create, update, skip) je Datensatz"
+        },
+        {
+            key: "authConfig",
+            label_en: "Authentication",
+            label_de: "Authentifizierung",
+            type: "adminconfig",
+            subType: "BASIC_AUTH",
+            required: false,
+            desc_en: "Select Basic Auth credentials from AdminConfig (not needed with OAuth 2.0)",
+            desc_de: "Basic-Auth-Zugangsdaten aus AdminConfig auswählen (nicht nötig mit OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "OAuth 2.0 client from AdminConfig (grant type client_credentials or saml2_bearer, token URL defaults to {Base URL}/sap/bc/sec/oauth2/token). Replaces Basic Auth when set",
+            desc_de: "OAuth-2.0-Client aus AdminConfig (Grant-Type client_credentials oder saml2_bearer, Token-URL standardmäßig {Base URL}/sap/bc/sec/oauth2/token). Ersetzt Basic Auth, wenn gesetzt"
+        }
+    ],
+    tags: ["dynamic-plugin", "writer"],
+    hideInToolbox: true,
+    tests: () => {}
+})
+
 tools.add({
     id: "hubspotCrmWriter",
     impl: hubspotCrmWriter,
@@ -301,6 +362,61 @@ tools.add({
             default: "companies",
             desc_en: "Which HubSpot CRM entity to write. For leads (hs_Lead), the input must contain external_lead_id; use external_account_id / external_contact_id for associations (Lead→Company: 610, Lead→Contact: 608). For deals (hs_Deal), the input must contain external_deal_id; use external_account_id / external_contact_id for associations (Deal→Company: 341, Deal→Contact: 3). For notes, the input document must be of type hs_Note with fields hs_note_body, hs_timestamp, and optional external_account_id / external_contact_id / external_opportunity_id for associations. For tasks, the input supports hs_task_subject, hs_timestamp, and hubspot_owner_id; use external_account_id to associate the task with a Company (Task→Company: 192) and contact_email_address to associate the task with a Contact by email address (Task→Contact: 204)."
         },
+        {
+            key: "objectType",
+            label_en: "Object type (custom object)",
+            label_de: "Objekttyp (Custom Object)",
+            type: "text",
+            default: "",
+            desc_en: "Custom object: object type id (e.g. 2-1234567), fully qualified name (e.g. p_contracts) or name of the HubSpot object to write; replaces Entity. The schema is read via /crm/v3/schemas: records are matched by hs_object_id or by the schema's unique-value properties (the first one is used for upserts in \"overwrite\" mode), and associated with every object type the schema defines an association to – companies via external_account_id, contacts via external_contact_id, deals via external_deal_id, leads via external_lead_id, custom objects via the field \"<object name>_<first unique property>\". Empty = use Entity",
+            desc_de: "Custom Object: Objekttyp-ID (z. B. 2-1234567), vollqualifizierter Name (z. B. p_contracts) oder Name des zu schreibenden HubSpot-Objekts; ersetzt Entität. Das Schema wird über /crm/v3/schemas gelesen: Datensätze werden über hs_object_id oder die eindeutigen Eigenschaften des Schemas zugeordnet (die erste wird im Modus \"overwrite\" für Upserts verwendet) und mit jedem Objekttyp verknüpft, zu dem das Schema eine Verknüpfung definiert – Unternehmen über external_account_id, Kontakte über external_contact_id, Deals über external_deal_id, Leads über external_lead_id, Custom Objects über das Feld \"<Objektname>_<erste eindeutige Eigenschaft>\". Leer = Entität verwenden"
+        },
+        {
+            key: "associationTypes",
+            label_en: "Association types (optional)",
+            label_de: "Verknüpfungstypen (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Overrides the association types used when associating written records, per target object type: entries \"<object type>=<types>\" separated by \";\" or line breaks, where <types> is a comma-separated list of association type ids or association label names, optionally prefixed with their category (HUBSPOT_DEFINED, USER_DEFINED, INTEGRATOR_DEFINED), e.g. \"companies=USER_DEFINED:Billing company; contacts=Decision maker, 3\". Labels are resolved to type ids via the v4 association labels API; an unknown label stops the run with the list of available labels. The types are applied when creating and when updating records. Target object types not configured keep the default types (see Entity). Empty = default types",
+            desc_de: "Überschreibt die Verknüpfungstypen, mit denen geschriebene Datensätze verknüpft werden, je Ziel-Objekttyp: Einträge \"<Objekttyp>=<Typen>\" getrennt durch \";\" oder Zeilenumbrüche, wobei <Typen> eine kommagetrennte Liste von Verknüpfungstyp-IDs oder Verknüpfungslabels ist, optional mit vorangestellter Kategorie (HUBSPOT_DEFINED, USER_DEFINED, INTEGRATOR_DEFINED), z. B. \"companies=USER_DEFINED:Billing company; contacts=Decision maker, 3\". Labels werden über die v4 Association Labels API in Typ-IDs aufgelöst; ein unbekanntes Label bricht den Lauf mit der Liste der verfügbaren Labels ab. Die Typen werden beim Anlegen und beim Aktualisieren von Datensätzen verwendet. Nicht konfigurierte Ziel-Objekttypen behalten die Standardtypen (siehe Entität). Leer = Standardtypen"
+        },
+        {
+            key: "fieldMapping",
+            label_en: "Field mapping (optional)",
+            label_de: "Feldzuordnung (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Maps incoming fields to HubSpot properties before the built-in aliases apply. Entries \"<field>=<property>\" separated by \";\" or line breaks, optionally followed by transforms (\"EMail=email|trim|lowercase\"); \"<field>=\" drops the field, \"\\\"<value>\\\"=<property>\" writes a constant. Or JSON {\"fields\": {\"<field>\": \"<property>\" or {\"property\", \"transforms\", \"lookup\": {\"<value>\": \"<HubSpot value>\", \"*\": \"<default>\"}, \"concat\": [\"<field>\", ...], \"separator\"} or null}, \"constants\": {\"<property>\": \"<value>\"}, \"skip\": [\"<field>\", ...]}. Transforms: trim, lowercase, uppercase. Fields not mentioned are passed on unchanged. The mapped properties are checked against the property definitions when the run starts; unknown or read-only properties abort it. Empty = built-in aliases only",
+            desc_de: "Ordnet eingehende Felder HubSpot-Eigenschaften zu, bevor die eingebauten Aliase greifen. Einträge \"<Feld>=<Eigenschaft>\" getrennt durch \";\" oder Zeilenumbrüche, optional gefolgt von Transformationen (\"EMail=email|trim|lowercase\"); \"<Feld>=\" verwirft das Feld, \"\\\"<Wert>\\\"=<Eigenschaft>\" schreibt einen konstanten Wert. Oder JSON {\"fields\": {\"<Feld>\": \"<Eigenschaft>\" oder {\"property\", \"transforms\", \"lookup\": {\"<Wert>\": \"<HubSpot-Wert>\", \"*\": \"<Standard>\"}, \"concat\": [\"<Feld>\", ...], \"separator\"} oder null}, \"constants\": {\"<Eigenschaft>\": \"<Wert>\"}, \"skip\": [\"<Feld>\", ...]}. Transformationen: trim, lowercase, uppercase. Nicht genannte Felder werden unverändert weitergegeben. Die zugeordneten Eigenschaften werden zu Beginn des Laufs gegen die Eigenschaftsdefinitionen geprüft; unbekannte oder schreibgeschützte Eigenschaften brechen ihn ab. Leer = nur eingebaute Aliase"
+        },
+        {
+            key: "schemaValidation",
+            label_en: "Schema validation",
+            label_de: "Schema-Prüfung",
+            type: "select",
+            options: ["off", "drop", "reject", "fail"],
+            default: "off",
+            desc_en: "Checks every record against the HubSpot property definitions before writing: unknown and read-only properties, enumeration values that are no option value and strings longer than 65,536 characters. \"off\" (default) – send everything as is, HubSpot then rejects the record. \"drop\" – leave these properties out with a warning and write the rest of the record. \"reject\" – do not write the record (result action \"error\"). \"fail\" – abort the run",
+            desc_de: "Prüft jeden Datensatz vor dem Schreiben gegen die HubSpot-Eigenschaftsdefinitionen: unbekannte und schreibgeschützte Eigenschaften, Auswahlwerte, die kein Optionswert sind, und Texte mit mehr als 65.536 Zeichen. \"off\" (Standard) – alles unverändert senden, HubSpot lehnt den Datensatz dann ab. \"drop\" – diese Eigenschaften mit einer Warnung weglassen und den Rest des Datensatzes schreiben. \"reject\" – den Datensatz nicht schreiben (Ergebnis-Aktion \"error\"). \"fail\" – den Lauf abbrechen"
+        },
+        {
+            key: "stageMapping",
+            label_en: "Stage mapping (optional)",
+            label_de: "Phasen-Zuordnung (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Deals, tickets and leads: source codes mapped to HubSpot stages, \"<code>=[<pipeline>:]<stage>\" separated by \";\" or line breaks, e.g. \"Z1=Appointment scheduled; Z2=Enterprise:Qualified\" for C4C's SalesPhaseCode. Pipelines and stages are given by label or id. Stage and pipeline values are always resolved to HubSpot's internal ids; stages that do not belong to the record's pipeline, or that exist in several pipelines when the record has none, are handled as set in Schema validation",
+            desc_de: "Deals, Tickets und Leads: Quellcodes, die HubSpot-Phasen zugeordnet werden, \"<Code>=[<Pipeline>:]<Phase>\" getrennt durch \";\" oder Zeilenumbrüche, z. B. \"Z1=Appointment scheduled; Z2=Enterprise:Qualified\" für den SalesPhaseCode aus C4C. Pipelines und Phasen werden per Bezeichnung oder ID angegeben. Phasen- und Pipeline-Werte werden immer in die internen HubSpot-IDs aufgelöst; Phasen, die nicht zur Pipeline des Datensatzes gehören oder bei Datensätzen ohne Pipeline in mehreren Pipelines vorkommen, werden wie unter Schema-Prüfung eingestellt behandelt"
+        },
+        {
+            key: "pipeline",
+            label_en: "Pipeline (optional)",
+            label_de: "Pipeline (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Deals, tickets and leads: pipeline (label or id) used for records that have a stage but no pipeline. Empty = the stage must be unique across all pipelines",
+            desc_de: "Deals, Tickets und Leads: Pipeline (Bezeichnung oder ID) für Datensätze mit Phase, aber ohne Pipeline. Leer = die Phase muss über alle Pipelines eindeutig sein"
+        },
         {
             key: "lookupProperty",
             label_en: "Lookup Property (optional)",
@@ -319,15 +435,91 @@ tools.add({
             desc_en: "Controls how existing HubSpot property values are handled when updating a record. \"write empty only\" (default) – only fills in properties that are not yet set in HubSpot. \"overwrite\" – replaces existing values with the new values from this import. \"append\" – adds new values to existing values: for multi-value fields (semicolon-separated) the values are merged and deduplicated; for free-text fields the new value is appended on a new line.",
             desc_de: "Steuert, wie vorhandene HubSpot-Eigenschaftswerte beim Aktualisieren eines Datensatzes behandelt werden. \"Nur leere Felder schreiben\" (Standard) – füllt nur Eigenschaften, die in HubSpot noch nicht gesetzt sind. \"Überschreiben\" – ersetzt bestehende Werte durch die neuen Werte dieses Imports. \"Anhängen\" – fügt neue Werte zu bestehenden Werten hinzu: Bei Mehrfachwert-Feldern (Semikolon-getrennt) werden die Werte zusammengeführt und dedupliziert; bei Freitext-Feldern wird der neue Wert in einer neuen Zeile angehängt."
         },
+        {
+            key: "syncAssociations",
+            label_en: "Sync associations",
+            label_de: "Verknüpfungen synchronisieren",
+            type: "select",
+            options: ["false", "true"],
+            default: "false",
+            desc_en: "\"true\" – HubSpot mirrors the relationships of the source system: for every existing record written, the writer reads its current associations to each target object type the incoming record names (e.g. companies via external_account_id) and removes associations to other objects of that type, e.g. the old company of a contact that moved to another account. Target types the record does not name, or whose target is not found in HubSpot, are left untouched. Removed associations are listed in the write results (removedAssociationIds) and, in a dry run, as \"unassociate\" plan entries",
+            desc_de: "\"true\" – HubSpot spiegelt die Beziehungen des Quellsystems: Für jeden geschriebenen bestehenden Datensatz liest der Writer die aktuellen Verknüpfungen zu jedem Ziel-Objekttyp, den der eingehende Datensatz benennt (z. B. Unternehmen über external_account_id), und entfernt Verknüpfungen zu anderen Objekten dieses Typs, z. B. das alte Unternehmen eines Kontakts, der zu einem anderen Account gewechselt ist. Ziel-Objekttypen, die der Datensatz nicht benennt oder deren Ziel in HubSpot nicht gefunden wird, bleiben unverändert. Entfernte Verknüpfungen werden in den Schreibergebnissen (removedAssociationIds) und bei einem Testlauf als \"unassociate\"-Planeinträge aufgeführt"
+        },
+        {
+            key: "associationSyncLabel",
+            label_en: "Association sync label (optional)",
+            label_de: "Label für Verknüpfungs-Synchronisation (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Restricts \"Sync associations\" to associations carrying this association label (or type id, e.g. 1 for the primary company of a contact): only this label is removed, other labels between the same objects stay in place. Empty = remove all associations to objects no longer named",
+            desc_de: "Beschränkt \"Verknüpfungen synchronisieren\" auf Verknüpfungen mit diesem Verknüpfungslabel (oder dieser Typ-ID, z. B. 1 für das primäre Unternehmen eines Kontakts): Nur dieses Label wird entfernt, andere Labels zwischen denselben Objekten bleiben erhalten. Leer = alle Verknüpfungen zu nicht mehr benannten Objekten entfernen"
+        },
+        {
+            key: "operation",
+            label_en: "Operation",
+            label_de: "Operation",
+            type: "select",
+            options: ["write", "archive"],
+            default: "write",
+            desc_en: "\"write\" (default) – create / update records. \"archive\" – archive (delete) the matching HubSpot record instead: records are matched by the same id fields and lookups as updates (e.g. external_account_id for companies), records without a match are skipped. A per-record field \"_operation\" (\"write\", \"archive\" or \"delete\") overrides this setting for single records. Archives are sent in batches at the end of the run and are subject to \"Max. archive share\"; the write results report action \"archive\"",
+            desc_de: "\"write\" (Standard) – Datensätze anlegen / aktualisieren. \"archive\" – stattdessen den passenden HubSpot-Datensatz archivieren (löschen): Datensätze werden über dieselben ID-Felder und Suchen wie bei Aktualisierungen zugeordnet (z. B. external_account_id bei Unternehmen), Datensätze ohne Treffer werden übersprungen. Ein Feld \"_operation\" (\"write\", \"archive\" oder \"delete\") im Datensatz überschreibt diese Einstellung für einzelne Datensätze. Archivierungen werden am Ende des Laufs in Batches gesendet und unterliegen \"Max. Archivierungsanteil\"; die Schreibergebnisse melden action \"archive\""
+        },
+        {
+            key: "maxArchivePercent",
+            label_en: "Max. archive share (%)",
+            label_de: "Max. Archivierungsanteil (%)",
+            type: "text",
+            default: "10",
+            desc_en: "Safety threshold: if more than this percentage of the records received would archive a HubSpot record, the run is aborted at the end without archiving anything (in a dry run, a warning is logged instead). Set to 100 for runs that only deliver deletions",
+            desc_de: "Sicherheitsschwelle: Würde mehr als dieser Prozentsatz der empfangenen Datensätze einen HubSpot-Datensatz archivieren, wird der Lauf am Ende abgebrochen, ohne etwas zu archivieren (bei einem Testlauf wird stattdessen eine Warnung protokolliert). Auf 100 setzen für Läufe, die ausschließlich Löschungen liefern"
+        },
+        {
+            key: "dryRun",
+            label_en: "Dry run",
+            label_de: "Testlauf",
+            type: "select",
+            options: ["false", "true"],
+            default: "false",
+            desc_en: "\"true\" – nothing is written to HubSpot. All lookups are performed and the property update mode is evaluated against the current HubSpot values, but instead of create/update/association requests the writer records a plan: one record per intended operation with recordNumber, action (create, update, skip, associate, unassociate, archive, error), entity, targetId, lookupProperty/lookupValue, properties (JSON of exactly what would be sent), diff (JSON of current vs. new value per property) and, for associations, associationToObjectType/associationToId/associationTypeId. Records that would not be written get a \"skip\" (nothing to write) or \"error\" entry (rejected by the schema validation) with the reason in errorMessage. The plan records are emitted to the writer's output stream as each batch is flushed, e.g. to write them to a review table.",
+            desc_de: "\"true\" – es wird nichts nach HubSpot geschrieben. Alle Suchen werden ausgeführt und der Eigenschafts-Aktualisierungsmodus wird gegen die aktuellen HubSpot-Werte ausgewertet, aber statt Anlage-/Aktualisierungs-/Verknüpfungsanfragen erstellt der Writer einen Plan: ein Datensatz pro beabsichtigter Operation mit recordNumber, action (create, update, skip, associate, unassociate, archive, error), entity, targetId, lookupProperty/lookupValue, properties (JSON mit genau dem, was gesendet würde), diff (JSON mit aktuellem vs. neuem Wert je Eigenschaft) und bei Verknüpfungen associationToObjectType/associationToId/associationTypeId. Datensätze, die nicht geschrieben würden, erhalten einen Eintrag \"skip\" (nichts zu schreiben) oder \"error\" (von der Schema-Prüfung abgelehnt) mit dem Grund in errorMessage. Die Plan-Datensätze werden beim Abarbeiten jedes Batches an den Ausgabestrom des Writers übergeben, z. B. um sie in eine Prüftabelle zu schreiben."
+        },
+        {
+            key: "maxRetries",
+            label_en: "Max. retries",
+            label_de: "Max. Wiederholungen",
+            type: "text",
+            default: "5",
+            desc_en: "How often a HubSpot request is retried after a transient failure (HTTP 429 rate limit or 5xx server error – for requests creating objects or properties only 429, to avoid duplicates), with exponential backoff and jitter. Retry-After and X-HubSpot-RateLimit-* headers are honoured. Every retry is noted in the journal. 0 = no retries",
+            desc_de: "Wie oft eine HubSpot-Anfrage nach einem vorübergehenden Fehler (HTTP 429 Rate Limit oder 5xx Serverfehler – bei Anfragen, die Objekte oder Eigenschaften anlegen, nur 429, um Duplikate zu vermeiden) mit exponentiellem Backoff und Jitter wiederholt wird. Retry-After und X-HubSpot-RateLimit-*-Header werden berücksichtigt. Jede Wiederholung wird im Journal vermerkt. 0 = keine Wiederholungen"
+        },
+        {
+            key: "requestsPer10Seconds",
+            label_en: "Requests per 10 seconds",
+            label_de: "Anfragen pro 10 Sekunden",
+            type: "text",
+            default: "100",
+            desc_en: "Maximum number of HubSpot requests sent within any 10 second window; further requests wait (noted in the journal). Set it to the limit of your HubSpot subscription (e.g. 100 or 190). 0 = unlimited",
+            desc_de: "Maximale Anzahl an HubSpot-Anfragen innerhalb von 10 Sekunden; weitere Anfragen warten (wird im Journal vermerkt). Auf das Limit des HubSpot-Abonnements setzen (z. B. 100 oder 190). 0 = unbegrenzt"
+        },
         {
             key: "authConfig",
             label_en: "Authentication",
             label_de: "Authentifizierung",
             type: "adminconfig",
             subType: "BEARER_TOKEN",
-            required: true,
-            desc_en: "Select Bearer Token from AdminConfig",
-            desc_de: "Bearer Token aus AdminConfig auswählen"
+            required: false,
+            desc_en: "Select the private app's Bearer Token from AdminConfig (not needed with OAuth 2.0)",
+            desc_de: "Bearer Token der Private App aus AdminConfig auswählen (nicht nötig mit OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "Public app installation from AdminConfig (client id, client secret and refresh token); access tokens are refreshed via /oauth/v1/token. Replaces the Bearer Token when set",
+            desc_de: "Installation der Public App aus AdminConfig (Client-ID, Client-Secret und Refresh-Token); Access-Tokens werden über /oauth/v1/token erneuert. Ersetzt den Bearer Token, wenn gesetzt"
         }
     ],
     tags: ["dynamic-plugin", "writer"],
@@ -344,8 +536,8 @@ tools.add({
         de: "hubspot schema reader"
     },
     simpleDescription: {
-        en: "Reads HubSpot CRM object schemas (Companies, Contacts, Deals)",
-        de: "Liest HubSpot CRM Objektschemata (Unternehmen, Kontakte, Deals)"
+        en: "Reads HubSpot CRM object schemas: properties, property groups, association types and custom object schemas",
+        de: "Liest HubSpot CRM Objektschemata: Eigenschaften, Eigenschaftsgruppen, Assoziationstypen und Custom-Object-Schemata"
     },
     args: [
         {
@@ -363,11 +555,105 @@ tools.add({
             label_en: "Entity",
             label_de: "Entität",
             type: "select",
-            options: ["companies", "contacts", "deals"],
+            options: ["companies", "contacts", "deals", "leads", "tickets", "notes", "tasks", "calls", "emails", "meetings", "line_items", "products", "quotes"],
             default: "companies",
             required: true,
-            desc_en: "Which HubSpot CRM object type to read the schema (properties) for",
-            desc_de: "Für welchen HubSpot CRM Objekttyp das Schema (Eigenschaften) gelesen werden soll"
+            desc_en: "Which HubSpot CRM object type to read the schema for",
+            desc_de: "Für welchen HubSpot CRM Objekttyp das Schema gelesen werden soll"
+        },
+        {
+            key: "mode",
+            label_en: "Mode",
+            label_de: "Modus",
+            type: "select",
+            options: ["properties", "groups", "associations", "schemas", "diff"],
+            default: "properties",
+            desc_en: "What is read: properties = one record per property definition; groups = one record per property group; associations = one record per association type (category, typeId, label) from the object type to the one of \"To object type\"; schemas = one record per custom object schema of the portal (Entity is not used); diff = one record per difference (objectType, property, change, severity error / warning / info, baseValue, currentValue) between the properties of this portal and those of the compare portal or snapshot",
+            desc_de: "Was gelesen wird: properties = ein Datensatz pro Eigenschaftsdefinition; groups = ein Datensatz pro Eigenschaftsgruppe; associations = ein Datensatz pro Assoziationstyp (category, typeId, label) vom Objekttyp zum Objekttyp aus \"Ziel-Objekttyp\"; schemas = ein Datensatz pro Custom-Object-Schema des Portals (Entität wird nicht verwendet); diff = ein Datensatz pro Unterschied (objectType, property, change, severity error / warning / info, baseValue, currentValue) zwischen den Eigenschaften dieses Portals und denen des Vergleichsportals oder Snapshots"
+        },
+        {
+            key: "toObjectType",
+            label_en: "To object type",
+            label_de: "Ziel-Objekttyp",
+            type: "text",
+            default: "",
+            desc_en: "Mode associations: object type whose association types with the read object type are listed – standard object (e.g. contacts) or custom object (object type id, fully qualified name or name). Required in this mode",
+            desc_de: "Modus associations: Objekttyp, dessen Assoziationstypen mit dem gelesenen Objekttyp aufgelistet werden – Standardobjekt (z. B. contacts) oder Custom Object (Objekttyp-ID, vollqualifizierter Name oder Name). In diesem Modus erforderlich"
+        },
+        {
+            key: "flattenOptions",
+            label_en: "One record per option",
+            label_de: "Ein Datensatz pro Option",
+            type: "select",
+            options: ["false", "true"],
+            default: "false",
+            desc_en: "Mode properties: true = one record per enumeration option (objectType, property, propertyLabel, type, fieldType, groupName, label, value, description, displayOrder, hidden) instead of one per property; properties without options are left out",
+            desc_de: "Modus properties: true = ein Datensatz pro Auswahloption (objectType, property, propertyLabel, type, fieldType, groupName, label, value, description, displayOrder, hidden) statt einem pro Eigenschaft; Eigenschaften ohne Optionen entfallen"
+        },
+        {
+            key: "snapshot",
+            label_en: "Snapshot (diff)",
+            label_de: "Snapshot (diff)",
+            type: "text",
+            default: "",
+            desc_en: "Mode diff: stored property definitions to compare with – JSON array as read in mode properties, or an API response {\"results\": [...]}. Replaces the compare portal when set",
+            desc_de: "Modus diff: gespeicherte Eigenschaftsdefinitionen, mit denen verglichen wird – JSON-Array wie im Modus properties gelesen oder eine API-Antwort {\"results\": [...]}. Ersetzt das Vergleichsportal, wenn gesetzt"
+        },
+        {
+            key: "compareBaseUrl",
+            label_en: "Compare portal API Base URL (diff)",
+            label_de: "API Basis-URL des Vergleichsportals (diff)",
+            type: "text",
+            default: "",
+            desc_en: "Mode diff: base URL of the HubSpot API of the portal to compare with. Empty = API Base URL",
+            desc_de: "Modus diff: Basis-URL der HubSpot API des Vergleichsportals. Leer = API Basis-URL"
+        },
+        {
+            key: "compareAuthConfig",
+            label_en: "Compare portal authentication (diff)",
+            label_de: "Authentifizierung des Vergleichsportals (diff)",
+            type: "adminconfig",
+            subType: "BEARER_TOKEN",
+            required: false,
+            desc_en: "Mode diff: Bearer Token of a private app of the portal to compare with (e.g. production when reading a sandbox)",
+            desc_de: "Modus diff: Bearer Token einer Private App des Vergleichsportals (z. B. Produktion, wenn eine Sandbox gelesen wird)"
+        },
+        {
+            key: "compareOauthConfig",
+            label_en: "Compare portal OAuth 2.0 (diff)",
+            label_de: "OAuth 2.0 des Vergleichsportals (diff)",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "Mode diff: public app installation of the portal to compare with; replaces its Bearer Token when set",
+            desc_de: "Modus diff: Installation der Public App im Vergleichsportal; ersetzt dessen Bearer Token, wenn gesetzt"
+        },
+        {
+            key: "objectType",
+            label_en: "Object type (custom object)",
+            label_de: "Objekttyp (Custom Object)",
+            type: "text",
+            default: "",
+            desc_en: "Custom object: object type id (e.g. 2-1234567), fully qualified name (e.g. p_contracts) or name of the HubSpot object whose schema is read; replaces Entity. Empty = use Entity",
+            desc_de: "Custom Object: Objekttyp-ID (z. B. 2-1234567), vollqualifizierter Name (z. B. p_contracts) oder Name des HubSpot-Objekts, dessen Schema gelesen wird; ersetzt Entität. Leer = Entität verwenden"
+        },
+        {
+            key: "maxRetries",
+            label_en: "Max. retries",
+            label_de: "Max. Wiederholungen",
+            type: "text",
+            default: "5",
+            desc_en: "How often a HubSpot request is retried after a transient failure (HTTP 429 rate limit or 5xx server error – for requests creating objects or properties only 429, to avoid duplicates), with exponential backoff and jitter. Retry-After and X-HubSpot-RateLimit-* headers are honoured. Every retry is noted in the journal. 0 = no retries",
+            desc_de: "Wie oft eine HubSpot-Anfrage nach einem vorübergehenden Fehler (HTTP 429 Rate Limit oder 5xx Serverfehler – bei Anfragen, die Objekte oder Eigenschaften anlegen, nur 429, um Duplikate zu vermeiden) mit exponentiellem Backoff und Jitter wiederholt wird. Retry-After und X-HubSpot-RateLimit-*-Header werden berücksichtigt. Jede Wiederholung wird im Journal vermerkt. 0 = keine Wiederholungen"
+        },
+        {
+            key: "requestsPer10Seconds",
+            label_en: "Requests per 10 seconds",
+            label_de: "Anfragen pro 10 Sekunden",
+            type: "text",
+            default: "100",
+            desc_en: "Maximum number of HubSpot requests sent within any 10 second window; further requests wait (noted in the journal). Set it to the limit of your HubSpot subscription (e.g. 100 or 190). 0 = unlimited",
+            desc_de: "Maximale Anzahl an HubSpot-Anfragen innerhalb von 10 Sekunden; weitere Anfragen warten (wird im Journal vermerkt). Auf das Limit des HubSpot-Abonnements setzen (z. B. 100 oder 190). 0 = unbegrenzt"
         },
         {
             key: "authConfig",
@@ -375,9 +661,19 @@ tools.add({
             label_de: "Authentifizierung",
             type: "adminconfig",
             subType: "BEARER_TOKEN",
-            required: true,
-            desc_en: "Select Bearer Token from AdminConfig",
-            desc_de: "Bearer Token aus AdminConfig auswählen"
+            required: false,
+            desc_en: "Select the private app's Bearer Token from AdminConfig (not needed with OAuth 2.0)",
+            desc_de: "Bearer Token der Private App aus AdminConfig auswählen (nicht nötig mit OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "Public app installation from AdminConfig (client id, client secret and refresh token); access tokens are refreshed via /oauth/v1/token. Replaces the Bearer Token when set",
+            desc_de: "Installation der Public App aus AdminConfig (Client-ID, Client-Secret und Refresh-Token); Access-Tokens werden über /oauth/v1/token erneuert. Ersetzt den Bearer Token, wenn gesetzt"
         }
     ],
     tags: ["dynamic-plugin", "reader"],
@@ -386,6 +682,103 @@ tools.add({
 })
 
 
+tools.add({
+    id: "hubspotSchemaWriter",
+    impl: hubspotSchemaWriter,
+    aliases: {
+        en: "hubspot schema writer",
+        de: "hubspot schema writer"
+    },
+    simpleDescription: {
+        en: "Creates missing HubSpot properties and property groups from property definitions (e.g. read by the hubspot schema reader from a sandbox portal). Existing properties are not changed: options they lack are not added (HubSpot requires PATCH for that, which the runtime does not offer) but listed in the result (action \"incomplete\", missingOptions) – add them in HubSpot",
+        de: "Legt fehlende HubSpot-Eigenschaften und Eigenschaftsgruppen aus Eigenschaftsdefinitionen an (z. B. vom hubspot schema reader aus einem Sandbox-Portal gelesen). Vorhandene Eigenschaften werden nicht geändert: fehlende Optionen werden nicht ergänzt (HubSpot verlangt dafür PATCH, das die Laufzeitumgebung nicht anbietet), sondern im Ergebnis aufgeführt (Aktion \"incomplete\", missingOptions) – bitte in HubSpot ergänzen"
+    },
+    args: [
+        {
+            key: "baseUrl",
+            label_en: "API Base URL",
+            label_de: "API Basis-URL",
+            type: "text",
+            required: true,
+            default: "https://api.hubapi.com",
+            desc_en: "Base URL of the HubSpot API",
+            desc_de: "Basis-URL der HubSpot API"
+        },
+        {
+            key: "entity",
+            label_en: "Entity",
+            label_de: "Entität",
+            type: "select",
+            options: ["companies", "contacts", "leads", "deals", "tickets", "notes", "tasks"],
+            default: "companies",
+            required: true,
+            desc_en: "HubSpot CRM object type whose properties are created",
+            desc_de: "HubSpot CRM Objekttyp, dessen Eigenschaften angelegt werden"
+        },
+        {
+            key: "objectType",
+            label_en: "Object type (custom object)",
+            label_de: "Objekttyp (Custom Object)",
+            type: "text",
+            default: "",
+            desc_en: "Custom object: object type id (e.g. 2-1234567), fully qualified name (e.g. p_contracts) or name of the HubSpot object whose properties are created; replaces Entity. Empty = use Entity",
+            desc_de: "Custom Object: Objekttyp-ID (z. B. 2-1234567), vollqualifizierter Name (z. B. p_contracts) oder Name des HubSpot-Objekts, dessen Eigenschaften angelegt werden; ersetzt Entität. Leer = Entität verwenden"
+        },
+        {
+            key: "dryRun",
+            label_en: "Dry run",
+            label_de: "Testlauf",
+            type: "select",
+            options: ["false", "true"],
+            default: "false",
+            desc_en: "\"true\" – create nothing, only return the planned actions as records",
+            desc_de: "\"true\" – nichts anlegen, nur die geplanten Aktionen als Datensätze zurückgeben"
+        },
+        {
+            key: "maxRetries",
+            label_en: "Max. retries",
+            label_de: "Max. Wiederholungen",
+            type: "text",
+            default: "5",
+            desc_en: "How often a HubSpot request is retried after a transient failure (HTTP 429 rate limit or 5xx server error – for requests creating objects or properties only 429, to avoid duplicates), with exponential backoff and jitter. Retry-After and X-HubSpot-RateLimit-* headers are honoured. Every retry is noted in the journal. 0 = no retries",
+            desc_de: "Wie oft eine HubSpot-Anfrage nach einem vorübergehenden Fehler (HTTP 429 Rate Limit oder 5xx Serverfehler – bei Anfragen, die Objekte oder Eigenschaften anlegen, nur 429, um Duplikate zu vermeiden) mit exponentiellem Backoff und Jitter wiederholt wird. Retry-After und X-HubSpot-RateLimit-*-Header werden berücksichtigt. Jede Wiederholung wird im Journal vermerkt. 0 = keine Wiederholungen"
+        },
+        {
+            key: "requestsPer10Seconds",
+            label_en: "Requests per 10 seconds",
+            label_de: "Anfragen pro 10 Sekunden",
+            type: "text",
+            default: "100",
+            desc_en: "Maximum number of HubSpot requests sent within any 10 second window; further requests wait (noted in the journal). Set it to the limit of your HubSpot subscription (e.g. 100 or 190). 0 = unlimited",
+            desc_de: "Maximale Anzahl an HubSpot-Anfragen innerhalb von 10 Sekunden; weitere Anfragen warten (wird im Journal vermerkt). Auf das Limit des HubSpot-Abonnements setzen (z. B. 100 oder 190). 0 = unbegrenzt"
+        },
+        {
+            key: "authConfig",
+            label_en: "Authentication",
+            label_de: "Authentifizierung",
+            type: "adminconfig",
+            subType: "BEARER_TOKEN",
+            required: false,
+            desc_en: "Select the private app's Bearer Token from AdminConfig (not needed with OAuth 2.0)",
+            desc_de: "Bearer Token der Private App aus AdminConfig auswählen (nicht nötig mit OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "Public app installation from AdminConfig (client id, client secret and refresh token); access tokens are refreshed via /oauth/v1/token. Replaces the Bearer Token when set",
+            desc_de: "Installation der Public App aus AdminConfig (Client-ID, Client-Secret und Refresh-Token); Access-Tokens werden über /oauth/v1/token erneuert. Ersetzt den Bearer Token, wenn gesetzt"
+        }
+    ],
+    tags: ["dynamic-plugin", "writer"],
+    hideInToolbox: true,
+    tests: () => {}
+})
+
+
 tools.add({
     id: "hubspotObjectReader",
     impl: hubspotObjectReader,
@@ -419,15 +812,61 @@ tools.add({
             desc_en: "Which HubSpot CRM object type to read (companies, contacts, deals). Before reading, the reader calls the properties endpoint and automatically requests every writable property (HubSpot-defined or custom) — i.e. every property whose modificationMetadata.readOnlyValue is not true — instead of just a curated field list. For contacts, \"hs_legal_basis\" is always included as well, for testing purposes, even though HubSpot marks it as read-only. Choose \"object associations\" to read the associations (links) between CRM objects instead of the objects themselves: the reader fetches all four fixed association pairs in one run — Deal-to-Company, Deal-to-Contact, Contact-to-Company, and Company-to-Company (e.g. parent/child company relationships) — no further configuration is needed. Choose \"activities\" to read the activities (calls, emails, notes, meetings, tasks) associated with companies, contacts and deals: for all three entities and all five activity types in one run, the reader batch-reads the associations (up to 100 objects per request) and then batch-reads the associated activity objects (up to 100 per request) instead of looping one object at a time, and keeps the association metadata (source entity/id, activity type/id, association category/type/label) alongside each activity's properties in the result. Choose \"users\" to read the HubSpot account's users via the Settings User Provisioning API (GET /settings/users/v3): each record contains id, email, firstName, lastName, primaryTeamId, roleId, roleIds, secondaryTeamIds, sendWelcomeEmail and superAdmin. Choose \"deal stages\" to read all deal pipelines together with their stages via the CRM Pipelines API (GET /crm/v3/pipelines/deals): each record represents one pipeline stage and combines the owning pipeline's fields (pipelineId, pipelineLabel, pipelineDisplayOrder, pipelineArchived, pipelineCreatedAt, pipelineUpdatedAt) with the stage's own fields (stageId, stageLabel, stageDisplayOrder, stageArchived, stageCreatedAt, stageUpdatedAt, stageWritePermissions) plus the stage's metadata (e.g. probability, isClosed).",
             desc_de: "Welcher HubSpot CRM Objekttyp gelesen werden soll (Unternehmen, Kontakte, Deals). Vor dem Lesen ruft der Reader den Properties-Endpunkt auf und fragt automatisch jede schreibbare Eigenschaft ab (von HubSpot definiert oder benutzerdefiniert) — also jede Eigenschaft, deren modificationMetadata.readOnlyValue nicht true ist — anstatt nur eine kuratierte Feldliste. Bei Kontakten wird zu Testzwecken zusätzlich immer \"hs_legal_basis\" einbezogen, auch wenn HubSpot diese Eigenschaft als schreibgeschützt kennzeichnet. Wählen Sie \"object associations\", um stattdessen die Verknüpfungen zwischen CRM-Objekten zu lesen: Der Reader ruft in einem Durchlauf alle vier festgelegten Verknüpfungspaare ab — Deal-zu-Unternehmen, Deal-zu-Kontakt, Kontakt-zu-Unternehmen und Unternehmen-zu-Unternehmen (z. B. Mutter-/Tochterunternehmen-Beziehungen) — eine weitere Konfiguration ist nicht erforderlich. Wählen Sie \"activities\", um die Aktivitäten (Anrufe, E-Mails, Notizen, Meetings, Aufgaben) zu lesen, die mit Unternehmen, Kontakten und Deals verknüpft sind: Für alle drei Entitäten und alle fünf Aktivitätstypen in einem Durchlauf liest der Reader die Verknüpfungen in Batches (bis zu 100 Objekte pro Anfrage) und anschließend die zugehörigen Aktivitätsobjekte ebenfalls in Batches (bis zu 100 pro Anfrage), anstatt Objekt für Objekt vorzugehen, und behält die Verknüpfungsmetadaten (Quellentität/-ID, Aktivitätstyp/-ID, Verknüpfungskategorie/-typ/-label) zusammen mit den Eigenschaften jeder Aktivität im Ergebnis bei. Wählen Sie \"users\", um die Benutzer des HubSpot-Accounts über die Settings User Provisioning API (GET /settings/users/v3) zu lesen: Jeder Datensatz enthält id, email, firstName, lastName, primaryTeamId, roleId, roleIds, secondaryTeamIds, sendWelcomeEmail und superAdmin. Wählen Sie \"deal stages\", um alle Deal-Pipelines zusammen mit ihren Phasen über die CRM Pipelines API zu lesen (GET /crm/v3/pipelines/deals): Jeder Datensatz stellt eine Pipeline-Phase dar und kombiniert die Felder der zugehörigen Pipeline (pipelineId, pipelineLabel, pipelineDisplayOrder, pipelineArchived, pipelineCreatedAt, pipelineUpdatedAt) mit den Feldern der Phase selbst (stageId, stageLabel, stageDisplayOrder, stageArchived, stageCreatedAt, stageUpdatedAt, stageWritePermissions) sowie den Metadaten der Phase (z. B. probability, isClosed)."
         },
+        {
+            key: "objectType",
+            label_en: "Object type (custom object)",
+            label_de: "Objekttyp (Custom Object)",
+            type: "text",
+            default: "",
+            desc_en: "Custom object: object type id (e.g. 2-1234567), fully qualified name (e.g. p_contracts) or name of the HubSpot object to read; replaces Entity. All writable properties are read, and for every object type the schema (/crm/v3/schemas) defines an association to, the ids of the associated objects are added as associations_<object name> (semicolon-separated). \"Modified since\" uses hs_lastmodifieddate. Empty = use Entity",
+            desc_de: "Custom Object: Objekttyp-ID (z. B. 2-1234567), vollqualifizierter Name (z. B. p_contracts) oder Name des zu lesenden HubSpot-Objekts; ersetzt Entität. Alle beschreibbaren Eigenschaften werden gelesen, und für jeden Objekttyp, zu dem das Schema (/crm/v3/schemas) eine Verknüpfung definiert, werden die IDs der verknüpften Objekte als associations_<Objektname> (durch Semikolon getrennt) ergänzt. \"Geändert seit\" verwendet hs_lastmodifieddate. Leer = Entität verwenden"
+        },
+        {
+            key: "modifiedSince",
+            label_en: "Modified since (optional)",
+            label_de: "Geändert seit (optional)",
+            type: "text",
+            default: "",
+            desc_en: "Incremental mode for companies, contacts, deals and custom objects (any other entity fails the run when this is set): only objects modified at or after this point in time are read, via the CRM Search API filtered on hs_lastmodifieddate (lastmodifieddate for contacts). Accepts an ISO 8601 timestamp (e.g. 2024-05-01T00:00:00Z) or epoch milliseconds. The search API's 10,000 result limit is handled by sliding the time window. After the last object, one extra record with recordType \"watermark\" is emitted whose highWaterMark is the latest modification timestamp read – pass it in here on the next run (the \"last successful run\" watermark). The reader does not store the watermark itself; keep the watermark record in the flow and map it into this arg. Empty = read all objects",
+            desc_de: "Inkrementeller Modus für Unternehmen, Kontakte, Deals und Custom Objects (bei anderen Entitäten bricht der Lauf ab, wenn dies gesetzt ist): Es werden nur Objekte gelesen, die zu oder nach diesem Zeitpunkt geändert wurden, über die CRM Search API gefiltert auf hs_lastmodifieddate (lastmodifieddate bei Kontakten). Akzeptiert einen ISO-8601-Zeitstempel (z. B. 2024-05-01T00:00:00Z) oder Epoch-Millisekunden. Das Limit der Search API von 10.000 Ergebnissen wird durch Verschieben des Zeitfensters umgangen. Nach dem letzten Objekt wird ein zusätzlicher Datensatz mit recordType \"watermark\" ausgegeben, dessen highWaterMark der späteste gelesene Änderungszeitpunkt ist – diesen beim nächsten Lauf hier übergeben (Wasserstandsmarke des letzten erfolgreichen Laufs). Der Reader speichert die Wasserstandsmarke nicht selbst; den Watermark-Datensatz im Flow aufbewahren und in dieses Argument übernehmen. Leer = alle Objekte lesen"
+        },
+        {
+            key: "maxRetries",
+            label_en: "Max. retries",
+            label_de: "Max. Wiederholungen",
+            type: "text",
+            default: "5",
+            desc_en: "How often a HubSpot request is retried after a transient failure (HTTP 429 rate limit or 5xx server error – for requests creating objects or properties only 429, to avoid duplicates), with exponential backoff and jitter. Retry-After and X-HubSpot-RateLimit-* headers are honoured. Every retry is noted in the journal. 0 = no retries",
+            desc_de: "Wie oft eine HubSpot-Anfrage nach einem vorübergehenden Fehler (HTTP 429 Rate Limit oder 5xx Serverfehler – bei Anfragen, die Objekte oder Eigenschaften anlegen, nur 429, um Duplikate zu vermeiden) mit exponentiellem Backoff und Jitter wiederholt wird. Retry-After und X-HubSpot-RateLimit-*-Header werden berücksichtigt. Jede Wiederholung wird im Journal vermerkt. 0 = keine Wiederholungen"
+        },
+        {
+            key: "requestsPer10Seconds",
+            label_en: "Requests per 10 seconds",
+            label_de: "Anfragen pro 10 Sekunden",
+            type: "text",
+            default: "100",
+            desc_en: "Maximum number of HubSpot requests sent within any 10 second window; further requests wait (noted in the journal). Set it to the limit of your HubSpot subscription (e.g. 100 or 190). 0 = unlimited",
+            desc_de: "Maximale Anzahl an HubSpot-Anfragen innerhalb von 10 Sekunden; weitere Anfragen warten (wird im Journal vermerkt). Auf das Limit des HubSpot-Abonnements setzen (z. B. 100 oder 190). 0 = unbegrenzt"
+        },
         {
             key: "authConfig",
             label_en: "Authentication",
             label_de: "Authentifizierung",
             type: "adminconfig",
             subType: "BEARER_TOKEN",
-            required: true,
-            desc_en: "Select Bearer Token from AdminConfig",
-            desc_de: "Bearer Token aus AdminConfig auswählen"
+            required: false,
+            desc_en: "Select the private app's Bearer Token from AdminConfig (not needed with OAuth 2.0)",
+            desc_de: "Bearer Token der Private App aus AdminConfig auswählen (nicht nötig mit OAuth 2.0)"
+        },
+        {
+            key: "oauthConfig",
+            label_en: "OAuth 2.0",
+            label_de: "OAuth 2.0",
+            type: "adminconfig",
+            subType: "OAUTH2",
+            required: false,
+            desc_en: "Public app installation from AdminConfig (client id, client secret and refresh token); access tokens are refreshed via /oauth/v1/token. Replaces the Bearer Token when set",
+            desc_de: "Installation der Public App aus AdminConfig (Client-ID, Client-Secret und Refresh-Token); Access-Tokens werden über /oauth/v1/token erneuert. Ersetzt den Bearer Token, wenn gesetzt"
         }
     ],
     tags: ["dynamic-plugin", "reader"],
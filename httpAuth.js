@@ -0,0 +1,198 @@
+/**
+ * Authentication and HTTP error helpers shared by the HubSpot and SAP C4C
+ * plugins (hubspotAuth, sapC4cAuth, hubspotHttpClient, sapC4cWriter).
+ *
+ * AdminConfigs of the subtypes BEARER_TOKEN (bearerToken), BASIC_AUTH
+ * (basicAuthUsername / basicAuthPassword) and OAUTH2 are read by
+ * getAuthFromAdminConfig; the OAuth properties differ per system and are
+ * named by the caller.
+ *
+ * OAuth access tokens are kept in a token cache (see createTokenCache) for
+ * as long as the runtime keeps the calling module loaded, so that
+ * consecutive runs and several plugins share one token. A cached token
+ * counts as valid until REFRESH_MARGIN_MS before it expires.
+ */
+
+// Tokens are renewed this long before they expire, so that a request sent
+// with a cached token does not run into its expiry.
+var REFRESH_MARGIN_MS = 60000;
+
+function noAuth() {
+    return { type: 'none', token: '', username: '', password: '' };
+}
+
+/**
+ * Reads the authentication of an AdminConfig.
+ *
+ * @param {object} authConfig       AdminConfig (BEARER_TOKEN, BASIC_AUTH or OAUTH2)
+ * @param {object} oauthProperties  Map field → AdminConfig property of the OAuth
+ *                                  settings, e.g. { clientId: 'oauthClientId' }
+ * @returns {{type: string, token: string, username: string, password: string, oauth: object}}
+ *          type is "bearer", "basic", "oauth2" or "none"; oauth (OAUTH2 only)
+ *          holds the fields of `oauthProperties` as strings ('' if unset).
+ */
+function getAuthFromAdminConfig(authConfig, oauthProperties) {
+    if (!authConfig) {
+        return noAuth();
+    }
+
+    var properties = getConfigValue(authConfig, 'properties', null);
+    var subType = getConfigValue(authConfig, 'subType', '');
+
+    if (!properties) {
+        return noAuth();
+    }
+
+    if (subType === 'BEARER_TOKEN') {
+        return {
+            type: 'bearer',
+            token: getConfigValue(properties, 'bearerToken', ''),
+            username: '',
+            password: ''
+        };
+    } else if (subType === 'BASIC_AUTH') {
+        return {
+            type: 'basic',
+            token: '',
+            username: getConfigValue(properties, 'basicAuthUsername', ''),
+            password: getConfigValue(properties, 'basicAuthPassword', '')
+        };
+    } else if (subType === 'OAUTH2') {
+        var oauth = {};
+        for (var field in oauthProperties) {
+            if (oauthProperties.hasOwnProperty(field)) {
+                oauth[field] = String(getConfigValue(properties, oauthProperties[field], '') || '');
+            }
+        }
+        return {
+            type: 'oauth2',
+            token: '',
+            username: '',
+            password: '',
+            oauth: oauth
+        };
+    }
+
+    return noAuth();
+}
+
+/**
+ * Form-encodes (application/x-www-form-urlencoded) the non-empty
+ * parameters of a token request, as OAuth 2.0 requires. The runtime has no
+ * form request, so the encoded body is handed to postJson as string
+ * together with the matching Content-Type header.
+ */
+function formEncode(params) {
+    var parts = [];
+    for (var key in params) {
+        if (params.hasOwnProperty(key) && params[key] !== '') {
+            parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
+        }
+    }
+    return parts.join('&');
+}
+
+/**
+ * Creates a cache of OAuth tokens ({ accessToken, refreshToken, expiresAt })
+ * by key. The key must contain every credential the token was issued for,
+ * so that changed credentials never get a token of the previous ones.
+ */
+function createTokenCache() {
+    var tokens = {};
+
+    return {
+        /** Returns the token cached under `key` (expired or not), null if none. */
+        get: function (key) {
+            return tokens.hasOwnProperty(key) ? tokens[key] : null;
+        },
+
+        /**
+         * Returns the token cached under `key` if it is still valid for
+         * REFRESH_MARGIN_MS, null otherwise.
+         */
+        valid: function (key) {
+            var cached = tokens.hasOwnProperty(key) ? tokens[key] : null;
+            return cached && cached.accessToken && Date.now() < cached.expiresAt - REFRESH_MARGIN_MS ? cached : null;
+        },
+
+        /**
+         * Caches the token of a successful token response under `key` and
+         * returns it. `refreshToken` is kept when the response has no new
+         * one; tokens without expires_in never expire.
+         */
+        store: function (key, response, refreshToken) {
+            var expiresIn = parseInt(response.expires_in, 10);
+            tokens[key] = {
+                accessToken: String(response.access_token),
+                refreshToken: response.refresh_token ? String(response.refresh_token) : (refreshToken || ''),
+                expiresAt: isNaN(expiresIn) ? Infinity : Date.now() + expiresIn * 1000
+            };
+            return tokens[key];
+        },
+
+        /**
+         * Drops the access token cached under `key` (but keeps its refresh
+         * token), so that the next request renews it.
+         */
+        invalidate: function (key) {
+            if (tokens.hasOwnProperty(key)) {
+                tokens[key].accessToken = '';
+            }
+        },
+
+        /** Empties the cache. */
+        clear: function () {
+            tokens = {};
+        }
+    };
+}
+
+/**
+ * Returns the HTTP status code of a failed request from an error response
+ * or a thrown error: explicit status fields first, otherwise the code
+ * mentioned in the message (e.g. "HTTP response code: 429"); 0 if none.
+ */
+function statusCodeOf(source) {
+    if (!source) return 0;
+    var explicit = source.statusCode || source.httpStatus
+        || (typeof source.status === 'number' ? source.status : 0);
+    if (explicit) return parseInt(explicit, 10) || 0;
+    var match = /(?:status(?: code)?|response code|HTTP)\D{0,5}(\d{3})\b/i.exec(String(source.message || source));
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Reads all values of a header (case-insensitive) from a response or error
+ * object, if the runtime attached the response headers to it; [] otherwise.
+ */
+function readHeaderValues(source, name) {
+    var hdrs = source && source.headers;
+    if (!hdrs || typeof hdrs !== 'object') return [];
+    var wanted = name.toLowerCase();
+    for (var key in hdrs) {
+        if (String(key).toLowerCase() === wanted) {
+            var value = hdrs[key];
+            if (value === null || value === undefined) return [];
+            return Array.isArray(value) ? value : [value];
+        }
+    }
+    return [];
+}
+
+/**
+ * Reads a header (case-insensitive) from a response or error object, if
+ * the runtime attached the response headers to it; null otherwise.
+ */
+function readHeader(source, name) {
+    var values = readHeaderValues(source, name);
+    return values.length > 0 ? values[0] : null;
+}
+
+module.exports = {
+    getAuthFromAdminConfig: getAuthFromAdminConfig,
+    formEncode: formEncode,
+    createTokenCache: createTokenCache,
+    statusCodeOf: statusCodeOf,
+    readHeaderValues: readHeaderValues,
+    readHeader: readHeader
+};
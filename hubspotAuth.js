@@ -0,0 +1,143 @@
+/**
+ * HubSpot authentication shared by hubspotCrmWriter, hubspotObjectReader
+ * and hubspotSchemaReader.
+ *
+ * Supports the AdminConfig subtypes
+ *  - BEARER_TOKEN (bearerToken) – private app access token, sent as is,
+ *  - BASIC_AUTH   (basicAuthUsername / basicAuthPassword),
+ *  - OAUTH2       public app installed via OAuth 2.0: oauthClientId,
+ *                 oauthClientSecret and the oauthRefreshToken of the
+ *                 installation (optional: oauthRedirectUri, sent with
+ *                 refreshes when the app requires it, and oauthTokenUrl,
+ *                 default {baseUrl}/oauth/v1/token).
+ *
+ * OAuth access tokens are obtained from the refresh token
+ *
+ *   POST {baseUrl}/oauth/v1/token
+ *        grant_type=refresh_token&client_id=..&client_secret=..&refresh_token=..
+ *
+ * and cached per token endpoint, client (id and secret) and refresh token
+ * for as long as the runtime keeps this module loaded (see httpAuth).
+ * authorize() renews a token shortly before it expires (HubSpot access
+ * tokens live 30 minutes) and hubspotHttpClient renews it once more when a
+ * request is answered with HTTP 401. A refresh token returned by HubSpot
+ * replaces the configured one for later refreshes. Token requests are
+ * form-encoded (see httpAuth.formEncode).
+ */
+
+var httpAuth = require('./httpAuth');
+
+var TOKEN_PATH = '/oauth/v1/token';
+
+// AdminConfig properties of the OAUTH2 subtype by field.
+var OAUTH_PROPERTIES = {
+    tokenUrl: 'oauthTokenUrl',
+    clientId: 'oauthClientId',
+    clientSecret: 'oauthClientSecret',
+    refreshToken: 'oauthRefreshToken',
+    redirectUri: 'oauthRedirectUri'
+};
+
+// Cached tokens by token endpoint, client and configured refresh token.
+var tokenCache = httpAuth.createTokenCache();
+
+function getAuthFromAdminConfig(authConfig) {
+    return httpAuth.getAuthFromAdminConfig(authConfig, OAUTH_PROPERTIES);
+}
+
+/**
+ * Creates the authentication of a HubSpot plugin.
+ *
+ * @param {object} authConfig       AdminConfig (BEARER_TOKEN, BASIC_AUTH or OAUTH2)
+ * @param {object} options
+ * @param {string} options.baseUrl  HubSpot API base URL, used for the default token endpoint
+ * @returns {{type: string, canRefresh: boolean, authorize: function, invalidate: function}}
+ */
+function hubspotAuth(authConfig, options) {
+    options = options || {};
+    var auth = getAuthFromAdminConfig(authConfig);
+    var oauth = auth.oauth || null;
+    var cacheKey = '';
+
+    if (oauth) {
+        if (!oauth.clientId || !oauth.clientSecret || !oauth.refreshToken) {
+            throw new Error('The OAuth AdminConfig needs oauthClientId, oauthClientSecret and oauthRefreshToken');
+        }
+        if (!oauth.tokenUrl) {
+            oauth.tokenUrl = String(options.baseUrl || 'https://api.hubapi.com').replace(/\/+$/, '') + TOKEN_PATH;
+        }
+        cacheKey = [oauth.tokenUrl, oauth.clientId, oauth.clientSecret, oauth.refreshToken].join('|');
+    }
+
+    function refreshAccessToken() {
+        var cached = tokenCache.get(cacheKey);
+        var refreshToken = (cached && cached.refreshToken) || oauth.refreshToken;
+        var response;
+        try {
+            response = postJson(oauth.tokenUrl, httpAuth.formEncode({
+                grant_type: 'refresh_token',
+                client_id: oauth.clientId,
+                client_secret: oauth.clientSecret,
+                redirect_uri: oauth.redirectUri,
+                refresh_token: refreshToken
+            }), {
+                "Content-Type": "application/x-www-form-urlencoded;charset=utf-8",
+                "Accept": "application/json"
+            });
+        } catch (e) {
+            throw new Error('HubSpot OAuth token refresh failed: ' + String(e.message || e));
+        }
+        if (!response || !response.access_token) {
+            throw new Error('HubSpot OAuth token refresh failed: '
+                + String((response && response.message) || 'no access token in the response'));
+        }
+
+        return tokenCache.store(cacheKey, response, refreshToken);
+    }
+
+    function currentAccessToken() {
+        return (tokenCache.valid(cacheKey) || refreshAccessToken()).accessToken;
+    }
+
+    return {
+        type: auth.type,
+
+        // Whether a request rejected with HTTP 401 may succeed with a renewed token.
+        canRefresh: !!oauth,
+
+        /**
+         * Sets the Authorization header of `hdrs` (in place) and returns
+         * `hdrs`. Header objects built once per run stay current this way:
+         * hubspotHttpClient authorizes them again before every request.
+         */
+        authorize: function (hdrs) {
+            if (auth.type === 'bearer' && auth.token) {
+                hdrs["Authorization"] = "Bearer " + auth.token;
+            } else if (auth.type === 'basic' && auth.username && auth.password) {
+                hdrs["Authorization"] = "Basic " + base64Encode(auth.username + ":" + auth.password);
+            } else if (auth.type === 'oauth2') {
+                hdrs["Authorization"] = "Bearer " + currentAccessToken();
+            }
+            return hdrs;
+        },
+
+        /**
+         * Drops the cached access token, so that the next authorize()
+         * refreshes it.
+         */
+        invalidate: function () {
+            if (oauth) {
+                tokenCache.invalidate(cacheKey);
+            }
+        }
+    };
+}
+
+/** Empties the token cache (e.g. after reinstalling the app). */
+hubspotAuth.clearTokenCache = function () {
+    tokenCache.clear();
+};
+
+hubspotAuth.getAuthFromAdminConfig = getAuthFromAdminConfig;
+
+module.exports = hubspotAuth;
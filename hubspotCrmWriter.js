@@ -7,67 +7,169 @@
  *
  * Supported entities: companies, contacts, leads, deals, tickets, notes, tasks
  *
+ * Batching:
+ *  Incoming records are not written one by one. writeRecord() only
+ *  transforms a record and adds it to a pending buffer; once BATCH_LIMIT
+ *  records are pending (and once more in close() for the remainder) the
+ *  buffer is flushed:
+ *  1. All lookups of the buffered records (the record itself and its
+ *     association targets) are resolved with one search request per
+ *     object type / property and chunk of BATCH_LIMIT values (IN filter).
+ *  2. Records without a HubSpot id are created via
+ *     POST /crm/v3/objects/{entity}/batch/create (with inline associations).
+ *  3. Records with a HubSpot id are updated via
+ *     POST /crm/v3/objects/{entity}/batch/update; for "write_empty_only" and
+ *     "append" the current values are fetched beforehand via batch/read.
+ *     Associations of updated records are created via the v4 associations
+ *     batch/create endpoint.
+ *  4. With propertyUpdateMode "overwrite", entities whose external id
+ *     property is configured as unique in HubSpot (see ENTITY_WRITE_SPECS
+ *     upsertProperty) skip the lookup and are written via
+ *     POST /crm/v3/objects/{entity}/batch/upsert.
+ *  Errors returned for single inputs of a batch response are reported via
+ *  journal.onError together with the offending record. When a whole batch
+ *  is rejected, its records are re-sent one by one so that a single invalid
+ *  record does not prevent the others from being written.
+ *
+ * Dry run:
+ *  With dryRun = "true" the writer performs all lookups and reads the
+ *  current values of existing records, but sends no create, update, upsert,
+ *  archive or association request. Instead it collects one plan entry per
+ *  intended operation (action create / update / skip / associate /
+ *  unassociate / archive, target id, the exact properties that would be
+ *  sent and their diff against the current HubSpot values). Records that
+ *  would not be written get a plan entry as well: "skip" if there is
+ *  nothing to write, "error" if the schema validation rejects them, with
+ *  the reason in errorMessage. The plan entries are emitted as records
+ *  (see writerResults).
+ *
+ * Write results:
+ *  Outside of a dry run, every written record produces a result record
+ *  (recordNumber, entity, lookupProperty/lookupValue – the input key such
+ *  as external_account_id –, hubspotId, action create / update / skip /
+ *  archive / error, changedProperties, associationIds,
+ *  removedAssociationIds, errorMessage), emitted via streamHelper once its
+ *  batch is written (see writerResults), e.g. to write HubSpot ids back to
+ *  the source system.
+ *
  * Task write logic:
  *  1. Resolve company association via external_account_id (Task→Company: 192).
  *  2. Resolve contact association via contact_email_address (Task→Contact: 204).
  *     The contact is looked up in HubSpot by email address first; if not found
  *     the association is omitted silently.
- *  3. If hs_object_id is present in the record → PATCH (update).
+ *  3. If hs_object_id is present in the record → update.
  *  4. Otherwise, look up an existing task by hs_task_subject.
- *  5. If found → PATCH (update) with only unset properties, then associate
+ *  5. If found → update with only unset properties, then associate
  *     with company/contact separately.
- *  6. If not found → POST (create) with optional inline associations.
+ *  6. If not found → create with optional inline associations.
  *
  * Contact write logic (enhanced):
  *  1. Look up existing contact by email; if not found, by external_contact_id.
- *  2. If found  → PATCH only properties that are not yet set in HubSpot.
- *  3. If not found → POST (create).
- *  4. In both cases, if AccountID is present on the incoming record, look up
- *     the matching HubSpot company by external_account_id and associate the
- *     contact with that company.
+ *  2. If found  → update only properties that are not yet set in HubSpot.
+ *  3. If not found → create.
+ *  4. In both cases, if external_account_id is present on the incoming
+ *     record, look up the matching HubSpot company by external_account_id
+ *     and associate the contact with that company.
  *
  * Notes write logic:
  *  1. Map hs_note_body and hs_timestamp from the incoming hs_Note document.
  *  2. Resolve optional associations via external_account_id (company,
  *     associationTypeId 190), external_contact_id (contact, 202), and
- *     external_opportunity_id (deal, 214).
- *  3. If hs_object_id is present in the record → PATCH (update) the note.
- *  4. Otherwise → POST (create) with inline associations.
+ *     external_deal_id / external_opportunity_id (deal, 214).
+ *  3. If hs_object_id is present in the record → update the note.
+ *  4. Otherwise → create with inline associations.
+ *
+ * Archiving:
+ *  With operation = "archive" (or a per-record "_operation" field set to
+ *  "archive" / "delete", which overrides the arg; "write" writes the
+ *  record as usual) the matched HubSpot record is archived instead of
+ *  written. Records are matched by the same id fields and lookups as
+ *  updates, never upserted; records without a match are skipped. Archives
+ *  are collected and sent at the end of the run via
+ *  POST /crm/v3/objects/{entity}/batch/archive – only if they make up at
+ *  most maxArchivePercent of the records received, otherwise the run is
+ *  aborted without archiving anything (a dry run only warns).
+ *
+ * Association sync:
+ *  With syncAssociations = "true" HubSpot mirrors the relationships of the
+ *  source system: after writing, the current associations of every
+ *  existing record are read via the v4 associations batch/read endpoint,
+ *  for each target object type the incoming record names (e.g.
+ *  external_account_id for companies), and associations to other objects of
+ *  that type are removed via batch/archive. With associationSyncLabel set,
+ *  only associations carrying that label (or type id) are removed – via
+ *  batch/labels/archive, leaving other labels between the same objects in
+ *  place. Target types the record does not name, or whose target could not
+ *  be found in HubSpot, are left untouched.
+ *
+ * Association types:
+ *  The association types above are the HubSpot-defined defaults. The
+ *  associationTypes arg overrides them per target object type with other
+ *  type ids and / or association labels (see parseAssociationTypes); labels
+ *  are resolved to type ids on open() via
+ *  GET /crm/v4/associations/{entity}/{toObjectType}/labels. The resolved
+ *  types are used for inline associations on create as well as for the
+ *  associations of updated and upserted records.
+ *
+ * Custom objects:
+ *  With objectType set (object type id such as "2-1234567", fully
+ *  qualified name such as "p_contracts", or name), the writer resolves the
+ *  custom object schema via /crm/v3/schemas on open() (see
+ *  hubspotObjectTypes) and derives its write spec from it (see
+ *  buildCustomObjectWriteSpec): records are looked up (and in "overwrite"
+ *  mode upserted) by the schema's unique-value properties, and associated
+ *  with every object type the schema defines an association to, in the
+ *  category the association labels API reports for the association type.
+ *
+ * Value conversion:
+ *  On open() the property definitions of the entity are read via
+ *  GET /crm/v3/properties/{entity}; values of date, datetime, number, bool
+ *  and enumeration properties are converted to HubSpot's formats (see
+ *  hubspotPropertyValues), e.g. C4C's "/Date(1712345678000)/" to the epoch
+ *  ms of midnight UTC for a date property such as closedate. If the
+ *  definitions cannot be read, values are written as strings unchanged.
+ *
+ * Field mapping:
+ *  The fieldMapping arg renames, transforms and drops incoming fields and
+ *  adds constant values before the built-in aliases (PROPERTY_ALIASES) and
+ *  skip keys apply (see hubspotFieldMapping). On open() the properties it
+ *  writes are checked against the property definitions: unknown or
+ *  read-only properties abort the run, unless they are id, lookup or
+ *  association keys of the entity.
+ *
+ * Schema validation:
+ *  Before a record is buffered, its properties are checked against the
+ *  property definitions (see validateProperties): unknown and read-only
+ *  properties, enumeration values that are no option value and strings
+ *  longer than MAX_STRING_LENGTH would make HubSpot reject the whole
+ *  request. The schemaValidation arg decides what happens to them:
+ *  "off" (default) – no validation, HubSpot rejects the record; "drop" –
+ *  the properties are left out and reported via journal.onWarning, the
+ *  rest of the record is written; "reject" – the record is not written and
+ *  gets a result with action "error"; "fail" – the run is aborted. Nothing
+ *  is validated if the definitions could not be read.
+ *
+ * Pipelines and stages:
+ *  For deals (pipeline / dealstage), tickets and leads (hs_pipeline /
+ *  hs_pipeline_stage) the pipelines are read on open() via
+ *  GET /crm/v3/pipelines/{entity}. Incoming pipeline and stage values –
+ *  ids, labels or source codes listed in the stageMapping arg, e.g. C4C's
+ *  SalesPhaseCode – are replaced by the internal ids HubSpot expects (see
+ *  hubspotPipelines); records with a stage but no pipeline get the
+ *  pipeline arg, if set. Unknown pipelines, stages not belonging to the
+ *  record's pipeline and stages found in several pipelines are handled
+ *  like the other problems of the schema validation. If the pipelines
+ *  cannot be read, values are written unchanged.
  */
 
-// ---------------------------------------------------------------------------
-// Auth helper (shared with extension.js reader)
-// ---------------------------------------------------------------------------
-function getAuthFromAdminConfig(authConfig) {
-    if (!authConfig) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    var properties = getConfigValue(authConfig, 'properties', null);
-    var subType = getConfigValue(authConfig, 'subType', '');
-
-    if (!properties) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    if (subType === 'BEARER_TOKEN') {
-        return {
-            type: 'bearer',
-            token: getConfigValue(properties, 'bearerToken', ''),
-            username: '',
-            password: ''
-        };
-    } else if (subType === 'BASIC_AUTH') {
-        return {
-            type: 'basic',
-            token: '',
-            username: getConfigValue(properties, 'basicAuthUsername', ''),
-            password: getConfigValue(properties, 'basicAuthPassword', '')
-        };
-    }
-
-    return { type: 'none', token: '', username: '', password: '' };
-}
+var hubspotAuth = require('./hubspotAuth');
+var hubspotHttpClient = require('./hubspotHttpClient');
+var resolveObjectType = require('./hubspotObjectTypes').resolveObjectType;
+var coercePropertyValue = require('./hubspotPropertyValues').coercePropertyValue;
+var hubspotFieldMapping = require('./hubspotFieldMapping');
+var hubspotPipelines = require('./hubspotPipelines');
+var createResultOutput = require('./writerResults').createResultOutput;
+var recordFormats = require('./recordFormats');
 
 // ---------------------------------------------------------------------------
 // Known HubSpot property names per entity (used for direct pass-through)
@@ -354,71 +456,370 @@ var TASK_SKIP_KEYS = {
     'id': true
 };
 
+// ---------------------------------------------------------------------------
+// Batch write configuration
+// ---------------------------------------------------------------------------
+
+// HubSpot CRM batch endpoints (create, update, upsert, read, v4 association
+// create) and the IN filter of the search API are called with at most this
+// many inputs / values per request. It is also the number of records the
+// writer buffers before flushing.
+var BATCH_LIMIT = 100;
+
+// Page size of the search requests used to resolve lookups in bulk (the
+// search API returns at most 200 results per page).
+var SEARCH_PAGE_LIMIT = 200;
+
+// Field name variants under which relational external ids arrive on the
+// incoming records.
+var EXTERNAL_ACCOUNT_ID_FIELDS = ['external_account_id', 'ExternalAccountId', 'externalAccountId', 'externalaccountid'];
+var EXTERNAL_CONTACT_ID_FIELDS = ['external_contact_id', 'ExternalContactId', 'externalContactId'];
+var EXTERNAL_DEAL_ID_FIELDS = ['external_deal_id', 'ExternalDealId', 'externalDealId'];
+var EXTERNAL_OPPORTUNITY_ID_FIELDS = ['external_opportunity_id', 'ExternalOpportunityId', 'externalOpportunityId'];
+var EXTERNAL_LEAD_ID_FIELDS = ['external_lead_id', 'ExternalLeadId', 'externalLeadId'];
+var CONTACT_EMAIL_ADDRESS_FIELDS = ['contact_email_address', 'ContactEmailAddress', 'contactEmailAddress'];
+
+// Per-entity description of how an incoming record is matched against
+// existing HubSpot records and which associations are resolved for it.
+//
+//  idFields        Record fields that directly carry the HubSpot object id.
+//  lookups         Properties searched (in order) to find an existing record.
+//                  "fields" lists the record fields carrying the value;
+//                  fromProperties reads it from the transformed properties.
+//  upsertProperty  External id property used for batch/upsert in
+//                  "overwrite" mode (only if HubSpot marks it as unique).
+//  associations    Association targets: the target is looked up by
+//                  "property" using the value of the first of "fields".
+//  associateOnUpdate  false when associations are only set on create.
+//
+// Entities without an entry (tickets, ...) are looked up by the configured
+// lookupProperty or DEFAULT_UNIQUE_PROPERTIES and have no associations.
+var ENTITY_WRITE_SPECS = {
+    companies: {
+        idFields: [],
+        lookups: [
+            { property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS }
+        ],
+        upsertProperty: 'external_account_id',
+        associations: []
+    },
+    contacts: {
+        idFields: [],
+        lookups: [
+            { property: 'email', fromProperties: true },
+            { property: 'external_contact_id', fields: EXTERNAL_CONTACT_ID_FIELDS }
+        ],
+        upsertProperty: '',
+        associations: [
+            // Contact → Company (primary): 1
+            { toObjectType: 'companies', property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS, associationTypeId: 1 }
+        ]
+    },
+    leads: {
+        idFields: [],
+        lookups: [
+            { property: 'external_lead_id', fields: EXTERNAL_LEAD_ID_FIELDS }
+        ],
+        upsertProperty: 'external_lead_id',
+        associations: [
+            // Lead → Primary Company: 580, Lead → Primary Contact: 578
+            { toObjectType: 'companies', property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS, associationTypeId: 580 },
+            { toObjectType: 'contacts', property: 'external_contact_id', fields: EXTERNAL_CONTACT_ID_FIELDS, associationTypeId: 578 }
+        ]
+    },
+    deals: {
+        idFields: [],
+        lookups: [
+            { property: 'external_deal_id', fields: EXTERNAL_DEAL_ID_FIELDS }
+        ],
+        upsertProperty: 'external_deal_id',
+        associations: [
+            // Deal → Company: 341, Deal → Contact: 3
+            { toObjectType: 'companies', property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS, associationTypeId: 341 },
+            { toObjectType: 'contacts', property: 'external_contact_id', fields: EXTERNAL_CONTACT_ID_FIELDS, associationTypeId: 3 }
+        ]
+    },
+    notes: {
+        idFields: ['hs_object_id'],
+        lookups: [],
+        upsertProperty: '',
+        associations: [
+            // Note → Company: 190, Note → Contact: 202, Note → Deal: 214
+            { toObjectType: 'companies', property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS, associationTypeId: 190 },
+            { toObjectType: 'contacts', property: 'external_contact_id', fields: EXTERNAL_CONTACT_ID_FIELDS, associationTypeId: 202 },
+            { toObjectType: 'deals', property: 'external_deal_id', fields: EXTERNAL_DEAL_ID_FIELDS, associationTypeId: 214 },
+            { toObjectType: 'deals', property: 'external_opportunity_id', fields: EXTERNAL_OPPORTUNITY_ID_FIELDS, associationTypeId: 214 }
+        ],
+        associateOnUpdate: false
+    },
+    tasks: {
+        idFields: ['hs_object_id'],
+        lookups: [
+            { property: 'hs_task_subject', fromProperties: true }
+        ],
+        upsertProperty: '',
+        associations: [
+            // Task → Company: 192, Task → Contact: 204
+            { toObjectType: 'companies', property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS, associationTypeId: 192 },
+            { toObjectType: 'contacts', property: 'email', fields: CONTACT_EMAIL_ADDRESS_FIELDS, associationTypeId: 204 }
+        ]
+    }
+};
+
+// Keys by which association targets of custom objects are looked up, per
+// standard target object type. Targets not listed here (and custom object
+// targets without a unique-value property) are not associated.
+var ASSOCIATION_TARGET_KEYS = {
+    companies: { property: 'external_account_id', fields: EXTERNAL_ACCOUNT_ID_FIELDS },
+    contacts: { property: 'external_contact_id', fields: EXTERNAL_CONTACT_ID_FIELDS },
+    deals: { property: 'external_deal_id', fields: EXTERNAL_DEAL_ID_FIELDS },
+    leads: { property: 'external_lead_id', fields: EXTERNAL_LEAD_ID_FIELDS }
+};
+
+/**
+ * Builds the write spec (see ENTITY_WRITE_SPECS) of a custom object from its
+ * resolved schema (see hubspotObjectTypes.resolveObjectType):
+ *  - existing records are matched by hs_object_id or looked up by the
+ *    schema's unique-value properties, in schema order; the first of them
+ *    is the upsert property,
+ *  - for every associated object type (the first association definition per
+ *    type) the target is looked up by ASSOCIATION_TARGET_KEYS, custom object
+ *    targets by their first unique-value property, read from the field
+ *    "<target name>_<property>" (e.g. installed_base_serial_number). The
+ *    category of the association type is not part of the schema; it is
+ *    left null and read from the association labels on open() (see
+ *    resolveAssociationTypes).
+ * relationalKeys lists the record fields that only serve as id or
+ * association keys and are not written as properties.
+ */
+function buildCustomObjectWriteSpec(objectTypeInfo) {
+    var spec = {
+        idFields: ['hs_object_id'],
+        lookups: [],
+        upsertProperty: objectTypeInfo.uniqueProperties[0] || '',
+        associations: [],
+        relationalKeys: { 'hs_object_id': true }
+    };
+
+    for (var u = 0; u < objectTypeInfo.uniqueProperties.length; u++) {
+        spec.lookups.push({ property: objectTypeInfo.uniqueProperties[u], fromProperties: true });
+    }
+
+    var associatedTypes = {};
+    for (var a = 0; a < objectTypeInfo.associations.length; a++) {
+        var definition = objectTypeInfo.associations[a];
+        if (associatedTypes[definition.toObjectType]) continue;
+
+        var key = null;
+        if (definition.toCustom) {
+            if (definition.toUniqueProperties.length > 0) {
+                var targetProperty = definition.toUniqueProperties[0];
+                key = { property: targetProperty, fields: [definition.toName + '_' + targetProperty] };
+            }
+        } else if (ASSOCIATION_TARGET_KEYS.hasOwnProperty(definition.toObjectType)) {
+            key = ASSOCIATION_TARGET_KEYS[definition.toObjectType];
+        }
+        if (!key) continue;
+
+        associatedTypes[definition.toObjectType] = true;
+        spec.associations.push({
+            toObjectType: definition.toObjectType,
+            toName: definition.toName,
+            property: key.property,
+            fields: key.fields,
+            associationTypeId: definition.associationTypeId,
+            associationCategory: null
+        });
+        for (var f = 0; f < key.fields.length; f++) {
+            spec.relationalKeys[key.fields[f]] = true;
+            spec.relationalKeys[key.fields[f].toLowerCase()] = true;
+        }
+    }
+
+    return spec;
+}
+
+// Values of the per-record "_operation" field (and the operation arg)
+// selecting archiving or writing.
+var ARCHIVE_OPERATIONS = { 'archive': true, 'delete': true };
+var WRITE_OPERATIONS = { '': true, 'write': true, 'upsert': true, 'create': true, 'update': true };
+
+// Values of the schemaValidation arg: what happens to a record with
+// properties that HubSpot would reject (see validateProperties).
+var SCHEMA_VALIDATION_MODES = ['off', 'drop', 'reject', 'fail'];
+
+// Maximum length of string property values accepted by HubSpot.
+var MAX_STRING_LENGTH = 65536;
+
+// Pipeline and stage properties of the entities with pipelines.
+var PIPELINE_PROPERTIES = {
+    deals: { pipeline: 'pipeline', stage: 'dealstage' },
+    tickets: { pipeline: 'hs_pipeline', stage: 'hs_pipeline_stage' },
+    leads: { pipeline: 'hs_pipeline', stage: 'hs_pipeline_stage' }
+};
+
+// Association categories accepted as prefix in the associationTypes arg.
+var ASSOCIATION_CATEGORIES = ['HUBSPOT_DEFINED', 'USER_DEFINED', 'INTEGRATOR_DEFINED'];
+
+/**
+ * Parses the associationTypes arg: entries "<target object type>=<types>"
+ * separated by ";" or line breaks, where <types> is a comma-separated list
+ * of association type ids or label names, each optionally prefixed with its
+ * category, e.g.
+ *   companies=USER_DEFINED:Billing company; contacts=Decision maker, 3
+ * Returns a map target object type → [{ category, typeId, label }] (category
+ * '' if not given; either typeId or label is set).
+ */
+function parseAssociationTypes(value) {
+    var mapping = {};
+    var entries = String(value || '').split(/[;\r\n]+/);
+    for (var e = 0; e < entries.length; e++) {
+        var entry = entries[e].trim();
+        if (!entry) continue;
+
+        var separator = entry.indexOf('=');
+        var target = separator > 0 ? entry.substring(0, separator).trim() : '';
+        var types = separator > 0 ? entry.substring(separator + 1).split(',') : [];
+        if (!target) {
+            throw new Error('Invalid association types entry "' + entry + '" (expected <object type>=<type id or label>, ...)');
+        }
+
+        mapping[target] = mapping[target] || [];
+        for (var t = 0; t < types.length; t++) {
+            var text = types[t].trim();
+            if (!text) continue;
+            var category = '';
+            var colon = text.indexOf(':');
+            if (colon > 0 && ASSOCIATION_CATEGORIES.indexOf(text.substring(0, colon).trim().toUpperCase()) !== -1) {
+                category = text.substring(0, colon).trim().toUpperCase();
+                text = text.substring(colon + 1).trim();
+            }
+            mapping[target].push(/^\d+$/.test(text)
+                ? { category: category, typeId: parseInt(text, 10), label: '' }
+                : { category: category, typeId: null, label: text });
+        }
+        if (mapping[target].length === 0) {
+            throw new Error('Invalid association types entry "' + entry + '": no type id or label given');
+        }
+    }
+    return mapping;
+}
+
 // ---------------------------------------------------------------------------
 // Writer implementation
 // ---------------------------------------------------------------------------
 function hubspotCrmWriter(config, streamHelper, journal) {
     var baseUrl = getConfigValue(config, 'baseUrl', 'https://api.hubspot.com');
     var entity = getConfigValue(config, 'entity', 'companies');
+    var objectType = String(getConfigValue(config, 'objectType', '') || '').trim();
     var lookupProperty = getConfigValue(config, 'lookupProperty', '');
     var propertyUpdateMode = getConfigValue(config, 'propertyUpdateMode', 'write_empty_only');
-    var authConfig = getConfigValue(config, 'authConfig', null);
+    var dryRun = String(getConfigValue(config, 'dryRun', 'false')) === 'true';
+    var operation = String(getConfigValue(config, 'operation', 'write')).toLowerCase();
+    var maxArchivePercent = parseFloat(getConfigValue(config, 'maxArchivePercent', 10));
+    var syncAssociations = String(getConfigValue(config, 'syncAssociations', 'false')) === 'true';
+    var associationSyncLabel = String(getConfigValue(config, 'associationSyncLabel', '') || '').trim();
+    var associationTypeMapping = parseAssociationTypes(getConfigValue(config, 'associationTypes', ''));
+    var fieldMapping = hubspotFieldMapping.parseFieldMapping(getConfigValue(config, 'fieldMapping', ''));
+    var schemaValidation = String(getConfigValue(config, 'schemaValidation', '') || 'off').trim().toLowerCase();
+    if (SCHEMA_VALIDATION_MODES.indexOf(schemaValidation) === -1) {
+        throw new Error('Unknown schema validation mode "' + schemaValidation + '" (expected '
+            + SCHEMA_VALIDATION_MODES.join(', ') + ')');
+    }
+    var stageMapping = hubspotPipelines.parseStageMapping(getConfigValue(config, 'stageMapping', ''));
+    var defaultPipeline = String(getConfigValue(config, 'pipeline', '') || '').trim();
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = hubspotAuth(authConfig, { baseUrl: baseUrl });
+    var http = hubspotHttpClient({
+        maxRetries: getConfigValue(config, 'maxRetries', 5),
+        requestsPer10Seconds: getConfigValue(config, 'requestsPer10Seconds', 100),
+        auth: auth,
+        journal: journal
+    });
     var headers = {};
     var recordCount = 0;
 
-    // Resolve entity-specific helpers once
-    var entityAliases = PROPERTY_ALIASES[entity] || {};
-    var entityProperties = HUBSPOT_PROPERTIES[entity] || [];
-    var uniqueProperty = lookupProperty || DEFAULT_UNIQUE_PROPERTIES[entity] || '';
+    // Batch state: records waiting to be flushed, the keys of the HubSpot
+    // records they target, and the ids resolved so far in this run.
+    var pending = [];
+    var pendingKeys = {};
+    var lookupCache = {};
+    var upsertSupported = null;
+    var receivedCount = 0;
 
-    // Build a quick set for O(1) lookup of known HubSpot property names
-    var knownPropertySet = {};
-    for (var i = 0; i < entityProperties.length; i++) {
-        knownPropertySet[entityProperties[i]] = true;
-    }
+    // Matched records to be archived at the end of the run.
+    var archiveQueue = [];
 
-    // -- Data transformation helpers ----------------------------------------
+    // Association types per target object type configured via
+    // associationTypes, resolved to [{ associationCategory, associationTypeId }]
+    // on open().
+    var associationTypesByTarget = {};
+
+    // Receives the records produced by the writer (the plan entries in
+    // dry-run mode).
+    var resultOutput = createResultOutput(streamHelper);
+
+    // Entity-specific helpers, resolved by configureEntity()
+    var entityAliases = {};
+    var knownPropertySet = {};
+    // HubSpot property definitions by name, read on open()
+    var propertyDefinitions = {};
+    // Pipelines of the entity (see PIPELINE_PROPERTIES), read on open();
+    // null when the entity has none or they could not be read.
+    var pipelines = null;
+    var writeSpec = null;
+    var relationalKeys = {};
+    configureEntity(null);
 
     /**
-     * Converts a key-value list (array of {key,value} pairs) to a flat object.
-     * Recognises common key/value field names.
+     * Resolves the entity-specific helpers: once for the configured entity
+     * and again in open() when objectType selects another (custom) object.
+     *
+     * @param {object} objectTypeInfo  Resolved custom object (see hubspotObjectTypes), null for standard entities
      */
-    function keyValueListToObject(list) {
-        var obj = {};
-        for (var idx = 0; idx < list.length; idx++) {
-            var item = list[idx];
-            if (!item || typeof item !== 'object') continue;
-            var k = item.key || item.Key || item.name || item.Name
-                 || item.property || item.Property || item.field || item.Field || '';
-            var v = item.value !== undefined ? item.value
-                  : (item.Value !== undefined ? item.Value : '');
-            if (k) {
-                obj[String(k)] = v;
+    function configureEntity(objectTypeInfo) {
+        entityAliases = PROPERTY_ALIASES[entity] || {};
+        var entityProperties = HUBSPOT_PROPERTIES[entity] || [];
+        var uniqueProperty = lookupProperty || DEFAULT_UNIQUE_PROPERTIES[entity] || '';
+        if (objectTypeInfo && objectTypeInfo.custom) {
+            writeSpec = buildCustomObjectWriteSpec(objectTypeInfo);
+            if (lookupProperty) {
+                writeSpec.lookups.unshift({ property: lookupProperty, fromProperties: true });
             }
+        } else {
+            writeSpec = ENTITY_WRITE_SPECS[String(entity)] || {
+                idFields: [],
+                lookups: uniqueProperty ? [{ property: uniqueProperty, fromProperties: true }] : [],
+                upsertProperty: '',
+                associations: []
+            };
+        }
+        relationalKeys = writeSpec.relationalKeys || {};
+
+        // Build a quick set for O(1) lookup of known HubSpot property names
+        knownPropertySet = {};
+        for (var i = 0; i < entityProperties.length; i++) {
+            knownPropertySet[entityProperties[i]] = true;
         }
-        return obj;
     }
 
+    // -- Data transformation helpers ----------------------------------------
+
     /**
      * Normalises any incoming record format into a flat key→value object.
-     *   - JSON string → parsed
+     *   - JSON string → parsed         (see recordFormats)
      *   - Array of {key,value} → flat object
      *   - { properties: { … } } → inner object
      *   - Flat object → as-is
+     * and applies the fieldMapping arg to it.
      */
     function normalizeToFlat(record) {
-        if (!record) return {};
-        if (typeof record === 'string') {
-            record = JSON.parse(record);
+        var flat = recordFormats.normalizeToFlat(record);
+        if (flat.properties && typeof flat.properties === 'object'
+            && !Array.isArray(flat.properties)) {
+            flat = flat.properties;
         }
-        if (Array.isArray(record)) {
-            return keyValueListToObject(record);
-        }
-        if (record.properties && typeof record.properties === 'object'
-            && !Array.isArray(record.properties)) {
-            return record.properties;
-        }
-        return record;
+        return hubspotFieldMapping.applyFieldMapping(fieldMapping, flat);
     }
 
     /**
@@ -434,11 +835,10 @@ function hubspotCrmWriter(config, streamHelper, journal) {
     }
 
     /**
-     * Transforms any incoming record into a flat HubSpot properties object
-     * ready to be wrapped as { "properties": { … } }.
+     * Transforms a normalised record (see normalizeToFlat) into a flat
+     * HubSpot properties object ready to be wrapped as { "properties": { … } }.
      */
-    function transformToProperties(record) {
-        var flat = normalizeToFlat(record);
+    function transformToProperties(flat) {
         var properties = {};
 
         for (var key in flat) {
@@ -449,8 +849,8 @@ function hubspotCrmWriter(config, streamHelper, journal) {
             // Skip empty values
             if (value === null || value === undefined || value === '') continue;
 
-            // Skip internal _chioro attributes
-            if (key.indexOf('_chioro') === 0) continue;
+            // Skip internal _chioro attributes and the per-record operation
+            if (key.indexOf('_chioro') === 0 || key === '_operation') continue;
 
             // Skip OData metadata keys
             if (key === '__metadata' || key === 'ObjectID' || key === 'ETag'
@@ -478,6 +878,9 @@ function hubspotCrmWriter(config, streamHelper, journal) {
 
             var hubspotKey = mapPropertyName(key);
 
+            // Skip id and association keys of custom objects
+            if (relationalKeys[key] || relationalKeys[hubspotKey]) continue;
+
             // After lowercasing, also skip if the lowercased variant is a
             // contact skip key (e.g. 'accountid')
             if (entity === 'contacts' && CONTACT_SKIP_KEYS[hubspotKey]) continue;
@@ -543,158 +946,534 @@ function hubspotCrmWriter(config, streamHelper, journal) {
                     strValue = csvOut.join(';');
                 }
             }
-            properties[hubspotKey] = strValue;
+            // Pipeline and stage values are resolved against the pipelines
+            // (see resolvePipelineStage), stage labels are not unique
+            properties[hubspotKey] = isPipelineProperty(hubspotKey)
+                ? strValue
+                : coercePropertyValue(value, strValue, propertyDefinitions[hubspotKey]);
         }
 
         return properties;
     }
 
+    /**
+     * Reads the property definitions of the entity, used to convert values
+     * to the property types. Without them values are written unconverted.
+     */
+    function loadPropertyDefinitions() {
+        propertyDefinitions = {};
+        try {
+            var response = http.getJson(baseUrl + '/crm/v3/properties/' + entity, headers);
+            var results = (response && response.results) || [];
+            for (var i = 0; i < results.length; i++) {
+                if (results[i] && results[i].name) {
+                    propertyDefinitions[String(results[i].name)] = results[i];
+                }
+            }
+        } catch (e) {
+            if (journal && journal.onWarning) {
+                journal.onWarning('Could not read the property definitions of ' + entity
+                    + ', values are written without type conversion: ' + String(e.message || e));
+            }
+        }
+    }
+
+    /**
+     * Reads the pipelines of entities with pipelines (see
+     * PIPELINE_PROPERTIES). Without them pipeline and stage values are
+     * written unchanged.
+     */
+    function loadPipelines() {
+        pipelines = null;
+        if (!PIPELINE_PROPERTIES[entity]) return;
+        try {
+            var response = http.getJson(baseUrl + '/crm/v3/pipelines/' + entity, headers);
+            var results = (response && response.results) || [];
+            pipelines = results.length > 0 ? results : null;
+        } catch (e) {
+            if (journal && journal.onWarning) {
+                journal.onWarning('Could not read the pipelines of ' + entity
+                    + ', pipeline and stage values are written unchanged: ' + String(e.message || e));
+            }
+        }
+    }
+
+    /** Returns true if `name` is a pipeline or stage property resolved via the pipelines. */
+    function isPipelineProperty(name) {
+        var names = PIPELINE_PROPERTIES[entity];
+        return !!(pipelines && names && (name === names.pipeline || name === names.stage));
+    }
+
+    /**
+     * Replaces the pipeline and stage values of `properties` by the ids of
+     * the pipeline and stage they name (see hubspotPipelines). Returns the
+     * problems (as validateProperties) when they cannot be resolved.
+     */
+    function resolvePipelineStage(properties) {
+        var names = PIPELINE_PROPERTIES[entity];
+        if (!pipelines || !names) return [];
+        var stageText = properties[names.stage] ? String(properties[names.stage]) : '';
+        var pipelineText = properties[names.pipeline] ? String(properties[names.pipeline]) : '';
+        if (!stageText && !pipelineText) return [];
+
+        var resolved = hubspotPipelines.resolvePipelineStage(pipelines, stageMapping,
+            pipelineText || (stageText ? defaultPipeline : ''), stageText);
+        if (resolved.pipelineId) properties[names.pipeline] = resolved.pipelineId;
+        if (resolved.error) {
+            if (schemaValidation === 'off') return [];
+            var problems = [{ property: names[resolved.field], message: names[resolved.field] + ' (' + resolved.error + ')' }];
+            if (resolved.field === 'pipeline' && stageText) {
+                problems.push({ property: names.stage, message: names.stage + ' (of an unknown pipeline)' });
+            }
+            return problems;
+        }
+        if (resolved.stageId) properties[names.stage] = resolved.stageId;
+        return [];
+    }
+
+    /**
+     * Returns true if `name` is a record field the writer uses as id,
+     * lookup or association key (or drops as relational key) rather than
+     * writing it as property.
+     */
+    function isRecordKey(name) {
+        var skipKeys = {
+            contacts: CONTACT_SKIP_KEYS,
+            notes: NOTE_SKIP_KEYS,
+            leads: LEAD_SKIP_KEYS,
+            deals: DEAL_SKIP_KEYS,
+            tasks: TASK_SKIP_KEYS
+        }[entity] || {};
+        if (skipKeys[name] || relationalKeys[name] || writeSpec.idFields.indexOf(name) !== -1) return true;
+        var keyed = writeSpec.lookups.concat(writeSpec.associations);
+        for (var k = 0; k < keyed.length; k++) {
+            if (keyed[k].fields && keyed[k].fields.indexOf(name) !== -1) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks the properties written by the fieldMapping arg against the
+     * property definitions (skipped when they could not be read) and
+     * throws on unknown or read-only ones.
+     */
+    function validateFieldMapping() {
+        var targets = hubspotFieldMapping.mappingTargets(fieldMapping);
+        if (targets.length === 0 || !hasAnyProperty(propertyDefinitions)) return;
+
+        var invalid = [];
+        for (var t = 0; t < targets.length; t++) {
+            if (targets[t].charAt(0) === '_' || isRecordKey(targets[t])) continue;
+            var definition = propertyDefinitions[mapPropertyName(targets[t])];
+            if (!definition) {
+                invalid.push(targets[t] + ' (unknown property)');
+            } else if (definition.modificationMetadata && definition.modificationMetadata.readOnlyValue === true) {
+                invalid.push(targets[t] + ' (read-only)');
+            }
+        }
+        if (invalid.length > 0) {
+            throw new Error('Invalid field mapping for ' + entity + ': ' + invalid.join(', '));
+        }
+    }
+
     // -- HubSpot API helpers ------------------------------------------------
 
-    function buildObjectUrl(recordId) {
-        var url = baseUrl + '/crm/v3/objects/' + entity;
-        if (recordId) {
-            url += '/' + encodeURIComponent(String(recordId));
+    function buildObjectsUrl(objectType, suffix) {
+        return baseUrl + '/crm/v3/objects/' + objectType + (suffix || '');
+    }
+
+    /**
+     * Splits an array into chunks of at most `size` items.
+     */
+    function chunkArray(arr, size) {
+        var chunks = [];
+        for (var ci = 0; ci < arr.length; ci += size) {
+            chunks.push(arr.slice(ci, ci + size));
+        }
+        return chunks;
+    }
+
+    function hasAnyProperty(obj) {
+        for (var pk in obj) {
+            if (obj.hasOwnProperty(pk)) return true;
         }
-        return url;
+        return false;
     }
 
-    function buildSearchUrl() {
-        return baseUrl + '/crm/v3/objects/' + entity + '/search';
+    /**
+     * Returns the first non-empty value among the given field names of a flat
+     * record as a string, or '' if none is set.
+     */
+    function firstFieldValue(flatRecord, fieldNames) {
+        for (var fi = 0; fi < fieldNames.length; fi++) {
+            var value = flatRecord[fieldNames[fi]];
+            if (value !== null && value !== undefined && value !== '') {
+                return String(value);
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Reports an error for a single incoming record via journal.onError,
+     * including the offending record so it can be identified in the journal,
+     * and keeps it for the record's write result. `entry` is either a pending
+     * item or an association link (which refers to its item).
+     */
+    function reportRecordError(url, entry, message) {
+        if (journal && journal.onError) {
+            journal.onError('POST ' + url + ' | record: ' + JSON.stringify(entry.flat) + ' | error: ' + message);
+        }
+        if (entry.item) {
+            entry.item.associationErrors.push(message);
+            entry.failed = true;
+        } else if (entry.writeErrors) {
+            entry.writeErrors.push(message);
+        }
     }
 
     /**
-     * Consolidated POST write – every HubSpot create / association POST goes
-     * through here.  Catches errors and reports them via journal.onError so
-     * the execution is not cancelled.
+     * Sends a batch request. Returns { response, error } where `error` is the
+     * message of a request that failed as a whole (exception or HubSpot error
+     * response) and '' otherwise. Errors are not reported here – the caller
+     * decides which record(s) they belong to.
      */
-    function writePost(url, payload) {
-        var payloadStr = JSON.stringify(payload);
+    function sendBatch(url, payload) {
         try {
-            var response = postJson(url, payload, headers);
+            var response = http.postJson(url, payload, headers);
             if (response && response.status === 'error') {
-                if (journal && journal.onError) journal.onError('POST ' + url + ' | payload: ' + payloadStr + ' | error: ' + (response.message || JSON.stringify(response)));
+                return { response: response, error: response.message || JSON.stringify(response) };
             }
-            return response;
+            return { response: response, error: '' };
         } catch (e) {
-            if (journal && journal.onError) journal.onError('POST ' + url + ' | payload: ' + payloadStr + ' | error: ' + String(e));
-            return null;
+            return { response: null, error: String(e) };
         }
     }
 
     /**
-     * Consolidated PATCH write – every HubSpot update PATCH goes through
-     * here.  Catches errors and reports them via journal.onError.
+     * Returns the items of a chunk a batch error refers to. HubSpot names
+     * the failing inputs in error.context, either by objectWriteTraceId
+     * (the input index we sent), by object id or, for associations, by
+     * fromObjectId / toObjectId. Errors that cannot be attributed are
+     * assigned to every item of the chunk.
      */
-    function writePatch(url, payload) {
-        var payloadStr = JSON.stringify(payload);
-        try {
-            var response = _apiFetcher.patchUrl(url, payloadStr, headers);
-            if (response && typeof response === 'string') {
-                try { response = JSON.parse(response); } catch (ignore) {}
+    function findErroredItems(chunk, error) {
+        var context = (error && error.context) || {};
+        var matched = [];
+        var traceIds = Array.isArray(context.objectWriteTraceId) ? context.objectWriteTraceId : [];
+        for (var t = 0; t < traceIds.length; t++) {
+            var traced = chunk[parseInt(traceIds[t], 10)];
+            if (traced) matched.push(traced);
+        }
+        var ids = Array.isArray(context.ids) ? context.ids : [];
+        for (var d = 0; d < ids.length; d++) {
+            for (var c = 0; c < chunk.length; c++) {
+                if (chunk[c].hubspotId === String(ids[d]) || chunk[c].upsertValue === String(ids[d])) {
+                    matched.push(chunk[c]);
+                }
             }
-            if (response && response.status === 'error') {
-                if (journal && journal.onError) journal.onError('PATCH ' + url + ' | payload: ' + payloadStr + ' | error: ' + (response.message || JSON.stringify(response)));
+        }
+        var fromIds = Array.isArray(context.fromObjectId) ? context.fromObjectId.map(String) : [];
+        var toIds = Array.isArray(context.toObjectId) ? context.toObjectId.map(String) : [];
+        for (var l = 0; l < chunk.length && fromIds.length > 0; l++) {
+            if (fromIds.indexOf(String(chunk[l].fromId)) !== -1
+                && (toIds.length === 0 || toIds.indexOf(String(chunk[l].toId)) !== -1)) {
+                matched.push(chunk[l]);
             }
-            return response;
-        } catch (e) {
-            if (journal && journal.onError) journal.onError('PATCH ' + url + ' | payload: ' + payloadStr + ' | error: ' + String(e));
-            return null;
         }
+        return matched.length > 0 ? matched : chunk;
     }
 
-    function findExistingId(properties) {
-        if (!uniqueProperty) return '';
-        var uniqueValue = properties[uniqueProperty];
-        if (!uniqueValue) return '';
+    /**
+     * Writes `items` through a HubSpot batch endpoint in chunks of
+     * BATCH_LIMIT.
+     *
+     * @param {string}   url         Batch endpoint URL
+     * @param {object[]} items       Items to write (each carries .flat for error reports)
+     * @param {function} buildInput  Function(item, index) → batch input
+     * @param {function} findItem    Function(chunk, result, index) → item the result belongs to (optional)
+     * @param {function} onResult    Function(item, result) called per returned result (optional)
+     */
+    function writeBatch(url, items, buildInput, findItem, onResult) {
+        var chunks = chunkArray(items, BATCH_LIMIT);
+        for (var c = 0; c < chunks.length; c++) {
+            writeBatchChunk(url, chunks[c], buildInput, findItem, onResult);
+        }
+    }
 
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: uniqueProperty,
-                            operator: "EQ",
-                            value: String(uniqueValue)
-                        }
-                    ]
+    /**
+     * Sends one chunk of a batch write. Per-input errors of a partially
+     * successful response are reported with their record. When HubSpot
+     * rejects the chunk as a whole (e.g. one invalid property value fails the
+     * entire batch), every input is re-sent on its own so that only the
+     * offending record(s) are lost.
+     */
+    function writeBatchChunk(url, chunk, buildInput, findItem, onResult) {
+        var inputs = [];
+        for (var i = 0; i < chunk.length; i++) {
+            inputs.push(buildInput(chunk[i], i));
+        }
+
+        var sent = sendBatch(url, { inputs: inputs });
+        if (sent.error) {
+            if (chunk.length > 1) {
+                for (var s = 0; s < chunk.length; s++) {
+                    writeBatchChunk(url, [chunk[s]], buildInput, findItem, onResult);
                 }
-            ],
-            properties: [uniqueProperty],
-            limit: 1
-        };
+            } else {
+                reportRecordError(url, chunk[0], sent.error);
+            }
+            return;
+        }
 
-        var data = postJson(buildSearchUrl(), payload, headers);
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+        var response = sent.response || {};
+        var results = Array.isArray(response.results) ? response.results : [];
+        if (findItem && onResult) {
+            for (var r = 0; r < results.length; r++) {
+                var item = findItem(chunk, results[r], r);
+                if (item) onResult(item, results[r]);
+            }
         }
-        return '';
+
+        var errors = Array.isArray(response.errors) ? response.errors : [];
+        for (var e = 0; e < errors.length; e++) {
+            var message = errors[e].message || JSON.stringify(errors[e]);
+            var offending = findErroredItems(chunk, errors[e]);
+            for (var o = 0; o < offending.length; o++) {
+                reportRecordError(url, offending[o], message);
+            }
+        }
+    }
+
+    /** Matches a batch create result to its input via objectWriteTraceId, else by position. */
+    function findItemByTraceId(chunk, result, index) {
+        if (result && result.objectWriteTraceId !== undefined && result.objectWriteTraceId !== null) {
+            var traced = chunk[parseInt(result.objectWriteTraceId, 10)];
+            if (traced) return traced;
+        }
+        return chunk[index] || null;
+    }
+
+    /** Matches a batch upsert result to its input via the upsert property value. */
+    function findItemByUpsertValue(chunk, result, index) {
+        var value = (result && result.properties) ? result.properties[writeSpec.upsertProperty] : null;
+        if (value !== null && value !== undefined) {
+            var lower = String(value).toLowerCase();
+            for (var c = 0; c < chunk.length; c++) {
+                if (chunk[c].upsertValue.toLowerCase() === lower) return chunk[c];
+            }
+        }
+        return findItemByTraceId(chunk, result, index);
+    }
+
+    // -- Lookup helpers -----------------------------------------------------
+
+    function lookupCacheKey(objectType, property) {
+        return String(objectType) + '|' + String(property);
     }
 
     /**
-     * Searches HubSpot for an existing company by its external_account_id
-     * custom property. Returns the HubSpot record id if found, '' otherwise.
-     *
-     * @param {object} flatRecord  Normalised flat key→value record
-     * @returns {string} HubSpot company id or ''
+     * Returns the HubSpot id of the `objectType` record whose `property`
+     * equals `value` if it has been resolved before, '' otherwise. Values are
+     * compared case-insensitively, like the search API does.
+     */
+    function cachedId(objectType, property, value) {
+        var bucket = lookupCache[lookupCacheKey(objectType, property)];
+        if (!bucket) return '';
+        return bucket[String(value).toLowerCase()] || '';
+    }
+
+    /**
+     * Stores a resolved id in the lookup cache. The first id found for a value
+     * wins, matching the former "limit 1" single-record search.
+     */
+    function rememberId(objectType, property, value, id) {
+        if (value === null || value === undefined || value === '' || !id) return;
+        var key = lookupCacheKey(objectType, property);
+        if (!lookupCache[key]) lookupCache[key] = {};
+        var lower = String(value).toLowerCase();
+        if (!lookupCache[key][lower]) {
+            lookupCache[key][lower] = String(id);
+        }
+    }
+
+    /**
+     * Searches all `objectType` records whose `property` equals one of
+     * `values` with the search API's IN operator (BATCH_LIMIT values per
+     * request, following the paging cursor) and stores the hits in the
+     * lookup cache.
      */
-    function findCompanyByExternalAccountId(flatRecord) {
-        var externalAccountId = flatRecord['external_account_id']
-            || flatRecord['ExternalAccountId']
-            || flatRecord['externalAccountId']
-            || flatRecord['externalaccountid']
-            || '';
-
-        if (!externalAccountId) return '';
-
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
+    function searchIdsByProperty(objectType, property, values) {
+        var url = buildObjectsUrl(objectType, '/search');
+        var chunks = chunkArray(values, BATCH_LIMIT);
+        for (var c = 0; c < chunks.length; c++) {
+            var after = null;
+            do {
+                var payload = {
+                    filterGroups: [
                         {
-                            propertyName: 'external_account_id',
-                            operator: 'EQ',
-                            value: String(externalAccountId)
+                            filters: [
+                                {
+                                    propertyName: property,
+                                    operator: 'IN',
+                                    values: chunks[c]
+                                }
+                            ]
                         }
-                    ]
+                    ],
+                    properties: [property],
+                    limit: SEARCH_PAGE_LIMIT
+                };
+                if (after) {
+                    payload.after = after;
                 }
-            ],
-            properties: ['external_account_id'],
-            limit: 1
-        };
 
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/companies/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+                var data = http.postJson(url, payload, headers);
+                var results = (data && Array.isArray(data.results)) ? data.results : [];
+                for (var r = 0; r < results.length; r++) {
+                    var found = results[r];
+                    if (found && found.id && found.properties) {
+                        rememberId(objectType, property, found.properties[property], found.id);
+                    }
+                }
+
+                after = (data && data.paging && data.paging.next && data.paging.next.after)
+                    ? data.paging.next.after
+                    : null;
+            } while (after);
+        }
+    }
+
+    /**
+     * Collects a value to be searched, skipping values already resolved.
+     * `wanted` maps lookupCacheKey → { objectType, property, values, seen }.
+     */
+    function addWantedLookup(wanted, objectType, property, value) {
+        if (cachedId(objectType, property, value)) return;
+        var key = lookupCacheKey(objectType, property);
+        if (!wanted[key]) {
+            wanted[key] = { objectType: objectType, property: property, values: [], seen: {} };
+        }
+        var lower = String(value).toLowerCase();
+        if (!wanted[key].seen[lower]) {
+            wanted[key].seen[lower] = true;
+            wanted[key].values.push(String(value));
+        }
+    }
+
+    function searchWantedLookups(wanted) {
+        for (var key in wanted) {
+            if (!wanted.hasOwnProperty(key)) continue;
+            searchIdsByProperty(wanted[key].objectType, wanted[key].property, wanted[key].values);
         }
-        return '';
     }
 
     /**
-     * Fetches the current properties of an existing company from HubSpot.
-     * Only requests the property names we are interested in to keep the
-     * response payload small.
+     * Resolves the HubSpot ids of a set of pending items and of their
+     * association targets in bulk.
+     *
+     * Lookups are resolved level by level: all items are first searched by
+     * their first lookup property (e.g. email for contacts); only items that
+     * were not found are searched by their next lookup property (e.g.
+     * external_contact_id), and so on. Association targets are searched
+     * together with the first level.
      *
-     * @param {string} companyId   HubSpot company record id
-     * @param {string[]} propertyNames  Property names to retrieve
-     * @returns {object} Map of propertyName → current value (may be empty string)
+     * @param {object[]} items  Pending items (see prepareRecord)
      */
-    function fetchExistingCompanyProperties(companyId, propertyNames) {
-        if (!companyId || !propertyNames || propertyNames.length === 0) return {};
-        var url = buildObjectUrl(companyId) + '?properties=' + propertyNames.join(',');
-        try {
-            var data = getJson(url, headers);
-            if (data && data.properties) {
-                return data.properties;
+    function resolveLookups(items) {
+        var wanted = {};
+        var idx, item;
+
+        for (idx = 0; idx < items.length; idx++) {
+            item = items[idx];
+            for (var a = 0; a < item.associations.length; a++) {
+                var association = item.associations[a];
+                addWantedLookup(wanted, association.toObjectType, association.property, association.value);
+            }
+        }
+
+        var level = 0;
+        while (true) {
+            var lookupsLeft = false;
+            for (idx = 0; idx < items.length; idx++) {
+                item = items[idx];
+                if (!item.hubspotId && level < item.lookups.length) {
+                    lookupsLeft = true;
+                    addWantedLookup(wanted, entity, item.lookups[level].property, item.lookups[level].value);
+                }
+            }
+
+            searchWantedLookups(wanted);
+            wanted = {};
+            if (!lookupsLeft) break;
+
+            for (idx = 0; idx < items.length; idx++) {
+                item = items[idx];
+                if (!item.hubspotId && level < item.lookups.length) {
+                    item.hubspotId = cachedId(entity, item.lookups[level].property, item.lookups[level].value);
+                    if (item.hubspotId) {
+                        item.matchedLookup = item.lookups[level];
+                    }
+                }
+            }
+            level++;
+        }
+
+        for (idx = 0; idx < items.length; idx++) {
+            item = items[idx];
+            item.associationIds = [];
+            for (var r = 0; r < item.associations.length; r++) {
+                var target = item.associations[r];
+                var targetId = cachedId(target.toObjectType, target.property, target.value);
+                if (targetId) {
+                    item.associationIds.push({
+                        toObjectType: target.toObjectType,
+                        toId: targetId,
+                        types: target.types
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Registers the id of a freshly created / upserted record under its
+     * lookup values, so that later records with the same key update it
+     * instead of creating a duplicate.
+     */
+    function registerWrittenId(item, id) {
+        item.hubspotId = String(id);
+        for (var l = 0; l < item.lookups.length; l++) {
+            rememberId(entity, item.lookups[l].property, item.lookups[l].value, id);
+        }
+        if (item.upsertValue) {
+            rememberId(entity, writeSpec.upsertProperty, item.upsertValue, id);
+        }
+    }
+
+    /**
+     * Returns true when records of the configured entity can be written via
+     * batch/upsert: propertyUpdateMode is "overwrite" (upsert cannot honour
+     * the other modes) and the entity's upsert property is marked as unique
+     * in HubSpot (a requirement of the upsert endpoint). The property
+     * definition is fetched once per run.
+     */
+    function canUpsert() {
+        // A dry run needs the lookups to tell creates from updates
+        if (dryRun) return false;
+        if (propertyUpdateMode !== 'overwrite' || !writeSpec.upsertProperty) return false;
+        if (upsertSupported === null) {
+            try {
+                var definition = http.getJson(
+                    baseUrl + '/crm/v3/properties/' + entity + '/' + encodeURIComponent(writeSpec.upsertProperty),
+                    headers
+                );
+                upsertSupported = !!(definition && definition.hasUniqueValue === true);
+            } catch (e) {
+                upsertSupported = false;
             }
-        } catch (e) {
-            // If the fetch fails we fall back to updating all properties
         }
-        return {};
+        return upsertSupported;
     }
 
     /**
@@ -729,7 +1508,7 @@ function hubspotCrmWriter(config, streamHelper, journal) {
      *
      * @param {object} desiredProperties  Properties from the incoming record
      * @param {object} existingProperties Properties currently stored in HubSpot
-     * @returns {object} Merged properties ready to PATCH
+     * @returns {object} Merged properties ready to update
      */
     function appendProperties(desiredProperties, existingProperties) {
         var merged = {};
@@ -798,7 +1577,7 @@ function hubspotCrmWriter(config, streamHelper, journal) {
         return merged;
     }
 
-    // Per-entity properties that must NOT be included in PATCH payloads.
+    // Per-entity properties that must NOT be included in update payloads.
     // These external-ID fields are used only to look up existing records and
     // should not overwrite the stored value when updating.
     // NOTE: declared here (above the functions that use it) so that the value
@@ -813,7 +1592,7 @@ function hubspotCrmWriter(config, streamHelper, journal) {
     /**
      * Returns a copy of `properties` without entity-specific relational ID keys.
      * Keeps external lookup IDs (external_account_id, external_contact_id,
-     * external_deal_id) out of PATCH request payloads while leaving them
+     * external_deal_id) out of update payloads while leaving them
      * available in POST (create) payloads.
      *
      * Uses explicit string comparisons instead of object-property lookup to
@@ -821,7 +1600,7 @@ function hubspotCrmWriter(config, streamHelper, journal) {
      * may return undefined even when entity equals the expected value.
      *
      * @param {object} properties  Full property map from transformToProperties
-     * @returns {object}  Properties safe to send in a PATCH request
+     * @returns {object}  Properties safe to send in an update
      */
     function excludeRelationalKeysForPatch(properties) {
         // Determine which key to exclude via direct string comparison.
@@ -902,1150 +1681,1055 @@ function hubspotCrmWriter(config, streamHelper, journal) {
 
     /**
      * Applies the configured propertyUpdateMode to determine which properties
-     * should actually be sent in a PATCH request for an existing record.
+     * should actually be sent in the update of an existing record.
      *
      *  - "write_empty_only" (default): only properties not yet set in HubSpot
-     *  - "overwrite": all incoming properties (no fetch needed)
+     *  - "overwrite": all incoming properties (existing values not needed)
      *  - "append":    merge new values into existing values (multi-value aware)
      *
      * In all modes the result is post-processed by normaliseIntegerListDelimiters
      * so that comma-separated integer lists (e.g. owner IDs) are always stored
      * with ";" as HubSpot requires.
      *
-     * @param {function} fetchFn      Function(recordId, propertyNames) → existingProps
-     * @param {string}   recordId     HubSpot record id
-     * @param {object}   properties   Desired properties from the incoming record
+     * @param {object} existingProps  Properties currently stored in HubSpot
+     * @param {object} properties     Desired properties from the incoming record
      * @returns {object} Properties to write (may be empty object)
      */
-    function resolvePropertiesToWrite(fetchFn, recordId, properties) {
+    function resolvePropertiesToWrite(existingProps, properties) {
         var result;
         if (propertyUpdateMode === 'overwrite') {
-            // Send all properties without fetching existing values
             result = properties;
+        } else if (propertyUpdateMode === 'append') {
+            result = appendProperties(properties, existingProps);
         } else {
-            // For "write_empty_only" and "append" we need the current HubSpot values
-            var propertyNames = Object.keys(properties);
-            var existingProps = fetchFn(recordId, propertyNames);
-
-            if (propertyUpdateMode === 'append') {
-                result = appendProperties(properties, existingProps);
-            } else {
-                // Default: write_empty_only
-                result = filterUnsetProperties(properties, existingProps);
-            }
+            // Default: write_empty_only
+            result = filterUnsetProperties(properties, existingProps);
         }
         // Safety net: always normalise comma-separated integer lists (e.g. owner IDs)
         // to semicolons, regardless of propertyUpdateMode.
         return normaliseIntegerListDelimiters(result);
     }
 
+    // -- Association types --------------------------------------------------
+
     /**
-     * Sends a PATCH request only when there is at least one property to update.
-     *
-     * @param {string} url         Full HubSpot API URL for the record
-     * @param {object} properties  Properties to include in the PATCH body
+     * Returns the v4 association types ([{ associationCategory,
+     * associationTypeId }]) of a write spec association: the types
+     * configured for its target via associationTypes, else its default type.
      */
-    function patchIfNeeded(url, properties) {
-        var hasProps = false;
-        for (var pk in properties) {
-            if (properties.hasOwnProperty(pk)) { hasProps = true; break; }
-        }
-        if (hasProps) {
-            writePatch(url, { properties: properties });
-        }
-    }
-
-    function createRecord(properties) {
-        var payload = { properties: properties };
-        writePost(buildObjectUrl(''), payload);
+    function associationTypesOf(association) {
+        var configured = associationTypesByTarget[association.toObjectType];
+        if (configured) return configured;
+        return [
+            {
+                associationCategory: association.associationCategory || 'HUBSPOT_DEFINED',
+                associationTypeId: association.associationTypeId
+            }
+        ];
     }
 
-    function updateRecord(recordId, properties) {
-        var payload = { properties: properties };
-        writePatch(buildObjectUrl(recordId), payload);
+    function typeIdsOf(types) {
+        var ids = [];
+        for (var t = 0; t < types.length; t++) {
+            ids.push(String(types[t].associationTypeId));
+        }
+        return ids.join(';');
     }
 
     /**
-     * Updates a company record according to the configured propertyUpdateMode.
-     * Skips the PATCH entirely when nothing needs to be written.
-     *
-     * @param {string} companyId   HubSpot company record id
-     * @param {object} properties  Properties we want to write
+     * Resolves the associationTypes mapping for the write spec's association
+     * targets (given by object type or, for custom objects, by name), and
+     * the category of custom object association types (see
+     * buildCustomObjectWriteSpec). The association labels of every such
+     * target are read once from
+     * GET /crm/v4/associations/{entity}/{toObjectType}/labels: labels are
+     * resolved to their type id, type ids without category get the category
+     * HubSpot reports for them (HUBSPOT_DEFINED if unknown). Throws, with
+     * the cause, when the labels cannot be read.
      */
-    function updateCompanyWithMode(companyId, properties) {
-        var propsToUpdate = resolvePropertiesToWrite(
-            fetchExistingCompanyProperties, companyId, excludeRelationalKeysForPatch(properties)
-        );
-        // Second exclusion pass as a safety net: resolvePropertiesToWrite may
-        // re-introduce excluded keys (e.g. via appendProperties merging from the
-        // fetch result). Belt-and-suspenders to guarantee clean PATCH payloads.
-        patchIfNeeded(buildObjectUrl(companyId), excludeRelationalKeysForPatch(propsToUpdate));
-    }
-
-    // -- Contact-specific helpers -------------------------------------------
-
-    /**
-     * Searches HubSpot contacts by email address.
-     *
-     * @param {string} email  Email address to search for
-     * @returns {string} HubSpot contact id or ''
-     */
-    function findContactByEmail(email) {
-        if (!email) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'email',
-                            operator: 'EQ',
-                            value: String(email)
-                        }
-                    ]
+    function resolveAssociationTypes() {
+        associationTypesByTarget = {};
+        var used = {};
+        var labelsByTarget = {};
+
+        function labelsOf(target) {
+            if (!labelsByTarget.hasOwnProperty(target)) {
+                var url = baseUrl + '/crm/v4/associations/' + entity + '/' + target + '/labels';
+                var data;
+                try {
+                    data = http.getJson(url, headers);
+                } catch (e) {
+                    throw new Error('Could not read the association labels of ' + entity + ' → ' + target
+                        + ' (GET ' + url + '): ' + String(e.message || e));
                 }
-            ],
-            properties: ['email'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/contacts/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+                labelsByTarget[target] = (data && Array.isArray(data.results)) ? data.results : [];
+            }
+            return labelsByTarget[target];
         }
-        return '';
-    }
 
-    /**
-     * Searches HubSpot contacts by the custom external_contact_id property.
-     *
-     * @param {string} externalId  External contact id to search for
-     * @returns {string} HubSpot contact id or ''
-     */
-    function findContactByExternalContactId(externalId) {
-        if (!externalId) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'external_contact_id',
-                            operator: 'EQ',
-                            value: String(externalId)
-                        }
-                    ]
+        for (var a = 0; a < writeSpec.associations.length; a++) {
+            var association = writeSpec.associations[a];
+            var target = association.toObjectType;
+            if (associationTypesByTarget[target]) continue;
+
+            var mappingKey = associationTypeMapping.hasOwnProperty(target) ? target
+                : (association.toName && associationTypeMapping.hasOwnProperty(association.toName) ? association.toName : '');
+            if (!mappingKey) {
+                if (association.associationCategory === null) {
+                    association.associationCategory = categoryOf(target, association.associationTypeId, labelsOf(target));
                 }
-            ],
-            properties: ['external_contact_id'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/contacts/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+                continue;
+            }
+            used[mappingKey] = true;
+
+            var labels = labelsOf(target);
+            var types = [];
+            var configured = associationTypeMapping[mappingKey];
+            for (var c = 0; c < configured.length; c++) {
+                types.push(resolveAssociationType(target, configured[c], labels));
+            }
+            associationTypesByTarget[target] = types;
+        }
+
+        for (var key in associationTypeMapping) {
+            if (associationTypeMapping.hasOwnProperty(key) && !used[key] && journal && journal.onWarning) {
+                journal.onWarning('Association types for "' + key + '" are ignored: ' + entity
+                    + ' records are not associated with this object type');
+            }
         }
-        return '';
     }
 
-    /**
-     * Fetches the current properties of an existing contact from HubSpot.
-     *
-     * @param {string} contactId     HubSpot contact record id
-     * @param {string[]} propertyNames  Property names to retrieve
-     * @returns {object} Map of propertyName → current value (may be empty string)
-     */
-    function fetchExistingContactProperties(contactId, propertyNames) {
-        if (!contactId || !propertyNames || propertyNames.length === 0) return {};
-        var url = baseUrl + '/crm/v3/objects/contacts/'
-            + encodeURIComponent(String(contactId))
-            + '?properties=' + propertyNames.join(',');
-        try {
-            var data = getJson(url, headers);
-            if (data && data.properties) {
-                return data.properties;
+    /** Returns the category HubSpot reports for association type `typeId`. */
+    function categoryOf(target, typeId, labels) {
+        for (var l = 0; l < labels.length; l++) {
+            if (labels[l] && parseInt(labels[l].typeId, 10) === parseInt(typeId, 10) && labels[l].category) {
+                return String(labels[l].category);
             }
-        } catch (e) {
-            // Fall back to updating all properties if fetch fails
         }
-        return {};
+        throw new Error('Association type ' + typeId + ' of ' + entity + ' → ' + target
+            + ' is not listed by GET /crm/v4/associations/' + entity + '/' + target + '/labels');
     }
 
-    /**
-     * Updates a contact record according to the configured propertyUpdateMode.
-     * Skips the PATCH entirely when nothing needs to be written.
-     *
-     * @param {string} contactId   HubSpot contact record id
-     * @param {object} properties  Properties we want to write
-     */
-    function updateContactWithMode(contactId, properties) {
-        var propsToUpdate = resolvePropertiesToWrite(
-            fetchExistingContactProperties, contactId, excludeRelationalKeysForPatch(properties)
-        );
-        patchIfNeeded(
-            baseUrl + '/crm/v3/objects/contacts/' + encodeURIComponent(String(contactId)),
-            excludeRelationalKeysForPatch(propsToUpdate)
-        );
+    function resolveAssociationType(target, configured, labels) {
+        for (var l = 0; l < labels.length; l++) {
+            var label = labels[l];
+            if (!label || (configured.category && String(label.category).toUpperCase() !== configured.category)) continue;
+            var matches = configured.label
+                ? String(label.label || '').toLowerCase() === configured.label.toLowerCase()
+                : parseInt(label.typeId, 10) === configured.typeId;
+            if (matches) {
+                return { associationCategory: String(label.category), associationTypeId: parseInt(label.typeId, 10) };
+            }
+        }
+        if (configured.label) {
+            var available = [];
+            for (var n = 0; n < labels.length; n++) {
+                if (labels[n] && labels[n].label) available.push(labels[n].label);
+            }
+            throw new Error('Unknown association label "' + configured.label + '" for ' + entity + ' → ' + target
+                + (available.length > 0 ? ' (available labels: ' + available.join(', ') + ')' : ''));
+        }
+        return {
+            associationCategory: configured.category || 'HUBSPOT_DEFINED',
+            associationTypeId: configured.typeId
+        };
     }
 
+    // -- Batch write flow ---------------------------------------------------
+
     /**
-     * Looks up a HubSpot company whose external_account_id equals the given
-     * accountId.  Returns the HubSpot company id or '' if not found.
-     *
-     * Used to resolve the AccountID field on incoming contact records.
-     *
-     * @param {string} accountId  Value of the contact's AccountID field
-     * @returns {string} HubSpot company id or ''
+     * Returns the problems HubSpot would reject `properties` for, as
+     * [{ property, message }]: properties without definition or with a
+     * read-only value, enumeration values that are no option value (per
+     * ";"-separated value for checkboxes; enumerations without options,
+     * e.g. owners, are not checked) and over-long strings. Empty when
+     * validation is off or the definitions are not available.
      */
-    function findCompanyByAccountId(accountId) {
-        if (!accountId) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'external_account_id',
-                            operator: 'EQ',
-                            value: String(accountId)
-                        }
-                    ]
+    function validateProperties(properties) {
+        var problems = [];
+        if (schemaValidation === 'off' || !hasAnyProperty(propertyDefinitions)) return problems;
+
+        for (var name in properties) {
+            // Pipeline and stage values are checked by resolvePipelineStage
+            if (!properties.hasOwnProperty(name) || isPipelineProperty(name)) continue;
+            var definition = propertyDefinitions[name];
+            var value = String(properties[name]);
+            if (!definition) {
+                problems.push({ property: name, message: name + ' (unknown property)' });
+            } else if (definition.modificationMetadata && definition.modificationMetadata.readOnlyValue === true) {
+                problems.push({ property: name, message: name + ' (read-only)' });
+            } else if (definition.type === 'enumeration' && definition.options && definition.options.length > 0
+                && !definition.externalOptions) {
+                var values = definition.fieldType === 'checkbox' ? value.split(';') : [value];
+                var invalid = [];
+                for (var v = 0; v < values.length; v++) {
+                    var known = false;
+                    for (var o = 0; o < definition.options.length && !known; o++) {
+                        known = String(definition.options[o].value) === values[v];
+                    }
+                    if (!known && values[v] !== '') invalid.push(values[v]);
                 }
-            ],
-            properties: ['external_account_id'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/companies/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+                if (invalid.length > 0) {
+                    problems.push({
+                        property: name,
+                        message: name + ' ("' + invalid.join('", "') + '" is no option value)'
+                    });
+                }
+            } else if (value.length > MAX_STRING_LENGTH) {
+                problems.push({
+                    property: name,
+                    message: name + ' (' + value.length + ' characters, at most ' + MAX_STRING_LENGTH + ' allowed)'
+                });
+            }
         }
-        return '';
+        return problems;
     }
 
     /**
-     * Creates a contact with an inline association to the given company.
-     * The association is embedded in the POST body, which is supported by
-     * the HubSpot CRM v3 objects create endpoint.
-     *
-     * Association type 1 = HUBSPOT_DEFINED contact-to-company (primary company).
-     *
-     * @param {object} properties  Contact properties to create
-     * @param {string} companyId   HubSpot company id to associate with
+     * Transforms a normalised record (see normalizeToFlat) into a pending
+     * item:
+     *   flat            normalised record (used for lookups and error reports)
+     *   properties      HubSpot properties to write
+     *   hubspotId       id of the existing record (given or resolved later)
+     *   upsertValue     external id used for batch/upsert, '' otherwise
+     *   lookups         [{ property, value }] searched in order
+     *   associations    [{ toObjectType, property, value, types }]
+     *   archive         true when the matched record is to be archived
+     *   rejected        true when schemaValidation "reject" keeps the
+     *                   record from being written (see writeErrors)
+     * Returns null when there is nothing to write.
      */
-    function createContactWithAssociation(properties, companyId) {
-        var payload = {
+    function prepareRecord(flat, archive) {
+        var properties = transformToProperties(flat);
+        var problems = archive ? [] : resolvePipelineStage(properties).concat(validateProperties(properties));
+        var messages = [];
+        for (var pr = 0; pr < problems.length; pr++) {
+            messages.push(problems[pr].message);
+        }
+        if (problems.length > 0 && schemaValidation === 'fail') {
+            throw new Error('Record ' + receivedCount + ' has properties HubSpot would reject: ' + messages.join(', '));
+        }
+        if (problems.length > 0 && schemaValidation === 'drop') {
+            for (var d = 0; d < problems.length; d++) {
+                delete properties[problems[d].property];
+            }
+            if (journal && journal.onWarning) {
+                journal.onWarning('Record ' + receivedCount + ': left out properties HubSpot would reject: ' + messages.join(', '));
+            }
+        }
+        if (!archive && !hasAnyProperty(properties)) return null;
+
+        var item = {
+            archive: archive,
+            flat: flat,
             properties: properties,
-            associations: [
-                {
-                    to: { id: companyId },
-                    types: [
-                        {
-                            associationCategory: 'HUBSPOT_DEFINED',
-                            associationTypeId: 1
-                        }
-                    ]
-                }
-            ]
+            hubspotId: firstFieldValue(flat, writeSpec.idFields),
+            upsertValue: '',
+            matchedLookup: null,
+            lookups: [],
+            associations: [],
+            associationIds: [],
+            action: '',
+            sentProperties: {},
+            removedAssociationIds: [],
+            writeErrors: [],
+            associationErrors: [],
+            rejected: problems.length > 0 && schemaValidation === 'reject'
         };
-        writePost(baseUrl + '/crm/v3/objects/contacts', payload);
-    }
+        if (item.rejected) {
+            item.writeErrors.push('Rejected by schema validation: ' + messages.join(', '));
+        }
 
-    /**
-     * Associates an existing contact with a company using the v3 batch
-     * associations endpoint.  The PATCH endpoint does not support inline
-     * associations, so a separate call is required for existing contacts.
-     *
-     * @param {string} contactId  HubSpot contact id
-     * @param {string} companyId  HubSpot company id
-     */
-    function associateContactWithCompany(contactId, companyId) {
-        var payload = {
-            inputs: [
-                {
-                    from: { id: contactId },
-                    to: { id: companyId },
-                    type: 'contact_to_company'
+        if (!item.hubspotId) {
+            for (var l = 0; l < writeSpec.lookups.length; l++) {
+                var lookup = writeSpec.lookups[l];
+                var lookupValue = lookup.fromProperties
+                    ? (properties[lookup.property] ? String(properties[lookup.property]) : '')
+                    : firstFieldValue(flat, lookup.fields);
+                if (!lookupValue) continue;
+
+                if (!archive && lookup.property === writeSpec.upsertProperty && canUpsert()) {
+                    item.upsertValue = lookupValue;
+                    item.lookups = [];
+                    break;
                 }
-            ]
-        };
-        writePost(
-            baseUrl + '/crm/v3/associations/contacts/companies/batch/create',
-            payload
-        );
-    }
+                item.lookups.push({ property: lookup.property, value: lookupValue });
+            }
+        }
 
-    /**
-     * Extracts the AccountID value from a flat (normalised) contact record.
-     * Checks multiple common field name variants.
-     *
-     * @param {object} flatRecord  Normalised flat key→value record
-     * @returns {string} AccountID value or ''
-     */
-    function extractAccountId(flatRecord) {
-        return flatRecord['AccountID']
-            || flatRecord['AccountId']
-            || flatRecord['account_id']
-            || flatRecord['accountid']
-            || '';
+        // An archive record needs an id or a lookup value to be matched by
+        if (archive && !item.hubspotId && item.lookups.length === 0) return null;
+
+        for (var a = 0; a < writeSpec.associations.length && !archive; a++) {
+            var association = writeSpec.associations[a];
+            var associationValue = firstFieldValue(flat, association.fields);
+            if (associationValue) {
+                item.associations.push({
+                    toObjectType: association.toObjectType,
+                    property: association.property,
+                    value: associationValue,
+                    types: associationTypesOf(association)
+                });
+            }
+        }
+
+        return item;
     }
 
     /**
-     * Extracts the external_contact_id value from a flat contact record.
-     *
-     * @param {object} flatRecord  Normalised flat key→value record
-     * @returns {string} external_contact_id value or ''
+     * Keys identifying the HubSpot record an item will be written to. Two
+     * items sharing a key must not be flushed in the same batch, otherwise
+     * both would be created (or HubSpot rejects the duplicate id).
      */
-    function extractExternalContactId(flatRecord) {
-        return flatRecord['external_contact_id']
-            || flatRecord['ExternalContactId']
-            || flatRecord['externalContactId']
-            || '';
+    function pendingKeysOf(item) {
+        var keys = [];
+        if (item.hubspotId) keys.push('id|' + item.hubspotId);
+        if (item.upsertValue) keys.push(lookupCacheKey(entity, writeSpec.upsertProperty) + '|' + item.upsertValue.toLowerCase());
+        for (var l = 0; l < item.lookups.length; l++) {
+            keys.push(lookupCacheKey(entity, item.lookups[l].property) + '|' + item.lookups[l].value.toLowerCase());
+        }
+        return keys;
     }
 
-    // -- Notes-specific helpers ---------------------------------------------
+    // -- Dry-run plan -------------------------------------------------------
 
-    /**
-     * Retrieves a HubSpot note by its object id.
-     * Returns the full note object if found, or null otherwise.
-     *
-     * @param {string} noteId  HubSpot note object id
-     * @returns {object|null} Note object or null
-     */
-    function getNoteById(noteId) {
-        if (!noteId) return null;
-        var url = baseUrl + '/crm/v3/objects/notes/'
-            + encodeURIComponent(String(noteId))
-            + '?properties=hs_note_body,hs_timestamp';
-        try {
-            var data = getJson(url, headers);
-            if (data && data.id) {
-                return data;
-            }
-        } catch (e) {
-            // Note not found or error – return null
-        }
-        return null;
+    // Prefix of the placeholder ids assigned to records planned for creation,
+    // so that later records with the same key are planned as updates.
+    var PLANNED_ID_PREFIX = 'planned-create-';
+
+    // Properties of the records planned for creation, by placeholder id.
+    // They stand in for the "current" values of those records.
+    var plannedProperties = {};
+
+    function isPlannedId(id) {
+        return String(id).indexOf(PLANNED_ID_PREFIX) === 0;
     }
 
     /**
-     * Fetches the current properties of an existing note from HubSpot.
+     * Adds a dry-run plan entry for an item.
      *
-     * @param {string}   noteId        HubSpot note record id
-     * @param {string[]} propertyNames Property names to retrieve
-     * @returns {object} Map of propertyName → current value (may be empty string)
+     * @param {object} item         Pending item
+     * @param {string} action       create | update | skip | associate
+     * @param {object} properties   Properties that would be sent
+     * @param {object} existing     Current HubSpot values (for the diff)
+     * @param {object} association  Association target for "associate" entries
      */
-    function fetchExistingNoteProperties(noteId, propertyNames) {
-        if (!noteId || !propertyNames || propertyNames.length === 0) return {};
-        var url = baseUrl + '/crm/v3/objects/notes/'
-            + encodeURIComponent(String(noteId))
-            + '?properties=' + propertyNames.join(',');
-        try {
-            var data = getJson(url, headers);
-            if (data && data.properties) return data.properties;
-        } catch (e) {
-            // Fall back to updating all properties if fetch fails
+    function addPlanEntry(item, action, properties, existing, association, errorMessage) {
+        var diff = {};
+        for (var key in properties) {
+            if (!properties.hasOwnProperty(key)) continue;
+            var current = existing ? existing[key] : null;
+            diff[key] = {
+                current: (current === null || current === undefined) ? '' : String(current),
+                'new': properties[key]
+            };
         }
-        return {};
+        var lookup = item.matchedLookup || item.lookups[0] || null;
+
+        resultOutput.write({
+            recordNumber: item.recordNumber,
+            action: action,
+            entity: entity,
+            targetId: item.hubspotId,
+            lookupProperty: lookup ? lookup.property : (item.hubspotId && !isPlannedId(item.hubspotId) ? 'hs_object_id' : ''),
+            lookupValue: lookup ? lookup.value : '',
+            properties: JSON.stringify(properties || {}),
+            diff: JSON.stringify(diff),
+            associationToObjectType: association ? association.toObjectType : '',
+            associationToId: association ? association.toId : '',
+            associationTypeId: association ? typeIdsOf(association.types) : '',
+            errorMessage: errorMessage || ''
+        });
     }
 
-    /**
-     * Updates an existing HubSpot note via PATCH, respecting propertyUpdateMode.
-     *
-     * @param {string} noteId    HubSpot note object id
-     * @param {object} properties  Properties to update
-     */
-    function updateNote(noteId, properties) {
-        var propsToUpdate = resolvePropertiesToWrite(
-            fetchExistingNoteProperties, noteId, properties
-        );
-        patchIfNeeded(
-            baseUrl + '/crm/v3/objects/notes/' + encodeURIComponent(String(noteId)),
-            propsToUpdate
-        );
+    function planAssociations(items) {
+        for (var i = 0; i < items.length; i++) {
+            for (var a = 0; a < items[i].associationIds.length; a++) {
+                addPlanEntry(items[i], 'associate', {}, null, items[i].associationIds[a]);
+            }
+        }
     }
 
     /**
-     * Creates a new HubSpot note with the given properties and associations.
-     *
-     * @param {object}   properties   Note properties (hs_note_body, hs_timestamp, …)
-     * @param {object[]} associations Array of HubSpot association objects
+     * Builds the inline associations of a batch/create input.
      */
-    function createNoteWithAssociations(properties, associations) {
-        var payload = { properties: properties };
-        if (associations && associations.length > 0) {
-            payload.associations = associations;
+    function buildInlineAssociations(item) {
+        var associations = [];
+        for (var a = 0; a < item.associationIds.length; a++) {
+            associations.push({
+                to: { id: item.associationIds[a].toId },
+                types: item.associationIds[a].types
+            });
         }
-        writePost(baseUrl + '/crm/v3/objects/notes', payload);
+        return associations;
     }
 
     /**
-     * Searches HubSpot deals by the custom external_opportunity_id property.
-     * Returns the HubSpot deal id if found, '' otherwise.
-     *
-     * @param {string} externalOpportunityId  External opportunity id to search for
-     * @returns {string} HubSpot deal id or ''
+     * Creates the associations of existing records via the v4 associations
+     * batch/create endpoint, one request per target object type and chunk of
+     * BATCH_LIMIT associations. (Batch update and upsert do not support
+     * inline associations.)
      */
-    function findDealByExternalOpportunityId(externalOpportunityId) {
-        if (!externalOpportunityId) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'external_opportunity_id',
-                            operator: 'EQ',
-                            value: String(externalOpportunityId)
-                        }
-                    ]
+    function writeAssociations(items) {
+        if (dryRun) {
+            planAssociations(items);
+            return;
+        }
+
+        var byTargetType = {};
+        var targetTypes = [];
+        for (var i = 0; i < items.length; i++) {
+            var item = items[i];
+            if (!item.hubspotId) continue;
+            for (var a = 0; a < item.associationIds.length; a++) {
+                var target = item.associationIds[a];
+                if (!byTargetType[target.toObjectType]) {
+                    byTargetType[target.toObjectType] = [];
+                    targetTypes.push(target.toObjectType);
                 }
-            ],
-            properties: ['external_opportunity_id'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/deals/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+                byTargetType[target.toObjectType].push({
+                    item: item,
+                    flat: item.flat,
+                    fromId: item.hubspotId,
+                    toId: target.toId,
+                    types: target.types
+                });
+            }
+        }
+
+        for (var t = 0; t < targetTypes.length; t++) {
+            writeBatch(
+                baseUrl + '/crm/v4/associations/' + entity + '/' + targetTypes[t] + '/batch/create',
+                byTargetType[targetTypes[t]],
+                function (link) {
+                    return {
+                        from: { id: link.fromId },
+                        to: { id: link.toId },
+                        types: link.types
+                    };
+                },
+                null,
+                null
+            );
         }
-        return '';
     }
 
-    // -- Lead-specific helpers ----------------------------------------------
+    function writeCreates(items) {
+        if (dryRun) {
+            for (var i = 0; i < items.length; i++) {
+                registerWrittenId(items[i], PLANNED_ID_PREFIX + items[i].recordNumber);
+                plannedProperties[items[i].hubspotId] = items[i].properties;
+                addPlanEntry(items[i], 'create', items[i].properties, null, null);
+            }
+            planAssociations(items);
+            return;
+        }
 
-    /**
-     * Searches HubSpot leads by the custom external_lead_id property.
-     * Returns the HubSpot lead id if found, '' otherwise.
-     *
-     * @param {string} externalLeadId  External lead id to search for
-     * @returns {string} HubSpot lead id or ''
-     */
-    function findLeadByExternalLeadId(externalLeadId) {
-        if (!externalLeadId) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'external_lead_id',
-                            operator: 'EQ',
-                            value: String(externalLeadId)
-                        }
-                    ]
+        writeBatch(
+            buildObjectsUrl(entity, '/batch/create'),
+            items,
+            function (item, index) {
+                var input = { properties: item.properties, objectWriteTraceId: String(index) };
+                var associations = buildInlineAssociations(item);
+                if (associations.length > 0) {
+                    input.associations = associations;
                 }
-            ],
-            properties: ['external_lead_id'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/leads/search',
-            payload,
-            headers
+                return input;
+            },
+            findItemByTraceId,
+            function (item, result) {
+                if (result && result.id) registerWrittenId(item, result.id);
+                item.action = 'create';
+                item.sentProperties = item.properties;
+            }
         );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
-        }
-        return '';
+    }
+
+    function writeUpserts(items) {
+        writeBatch(
+            buildObjectsUrl(entity, '/batch/upsert'),
+            items,
+            function (item, index) {
+                return {
+                    idProperty: writeSpec.upsertProperty,
+                    id: item.upsertValue,
+                    properties: item.properties,
+                    objectWriteTraceId: String(index)
+                };
+            },
+            findItemByUpsertValue,
+            function (item, result) {
+                if (result && result.id) registerWrittenId(item, result.id);
+                item.action = 'upsert';
+                item.sentProperties = item.properties;
+                if (result && result['new'] === true) {
+                    item.action = 'create';
+                } else if (result && result['new'] === false) {
+                    item.action = 'update';
+                }
+            }
+        );
+        writeAssociations(items);
     }
 
     /**
-     * Fetches the current properties of an existing lead from HubSpot.
-     *
-     * @param {string}   leadId         HubSpot lead record id
-     * @param {string[]} propertyNames  Property names to retrieve
-     * @returns {object} Map of propertyName → current value (may be empty string)
+     * Fetches the current values of the given properties for a set of
+     * existing records via batch/read. Returns a map id → properties. If a
+     * read fails, the affected records fall back to an empty map (i.e. all
+     * properties are written), as the single-record fetch did before.
      */
-    function fetchExistingLeadProperties(leadId, propertyNames) {
-        if (!leadId || !propertyNames || propertyNames.length === 0) return {};
-        var url = baseUrl + '/crm/v3/objects/leads/'
-            + encodeURIComponent(String(leadId))
-            + '?properties=' + propertyNames.join(',');
-        try {
-            var data = getJson(url, headers);
-            if (data && data.properties) {
-                return data.properties;
+    function readExistingProperties(items) {
+        var existingById = {};
+        var chunks = chunkArray(items, BATCH_LIMIT);
+        for (var c = 0; c < chunks.length; c++) {
+            var names = [];
+            var seenNames = {};
+            var inputs = [];
+            for (var i = 0; i < chunks[c].length; i++) {
+                // Records planned for creation (dry run) do not exist yet
+                if (isPlannedId(chunks[c][i].hubspotId)) {
+                    existingById[chunks[c][i].hubspotId] = plannedProperties[chunks[c][i].hubspotId] || {};
+                    continue;
+                }
+                inputs.push({ id: chunks[c][i].hubspotId });
+                for (var name in chunks[c][i].properties) {
+                    if (chunks[c][i].properties.hasOwnProperty(name) && !seenNames[name]) {
+                        seenNames[name] = true;
+                        names.push(name);
+                    }
+                }
+            }
+
+            if (inputs.length === 0) continue;
+            try {
+                var data = http.postJson(buildObjectsUrl(entity, '/batch/read'), { properties: names, inputs: inputs }, headers);
+                var results = (data && Array.isArray(data.results)) ? data.results : [];
+                for (var r = 0; r < results.length; r++) {
+                    if (results[r] && results[r].id) {
+                        existingById[String(results[r].id)] = results[r].properties || {};
+                    }
+                }
+            } catch (e) {
+                // Fall back to updating all properties of this chunk
             }
-        } catch (e) {
-            // Fall back to updating all properties if fetch fails
         }
-        return {};
+        return existingById;
     }
 
-    // -- Deal-specific helpers ----------------------------------------------
-
     /**
-     * Searches HubSpot deals by the custom external_deal_id property.
-     * Returns the HubSpot deal id if found, '' otherwise.
-     *
-     * @param {string} externalDealId  External deal id to search for
-     * @returns {string} HubSpot deal id or ''
+     * Splits items into rounds in which every HubSpot id occurs only once
+     * (HubSpot rejects batch updates containing the same id twice). Later
+     * occurrences are written in later rounds, after the earlier ones.
      */
-    function findDealByExternalDealId(externalDealId) {
-        if (!externalDealId) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'external_deal_id',
-                            operator: 'EQ',
-                            value: String(externalDealId)
-                        }
-                    ]
+    function splitIntoUniqueIdRounds(items) {
+        var rounds = [];
+        for (var i = 0; i < items.length; i++) {
+            var placed = false;
+            for (var r = 0; r < rounds.length && !placed; r++) {
+                if (!rounds[r].ids[items[i].hubspotId]) {
+                    rounds[r].ids[items[i].hubspotId] = true;
+                    rounds[r].items.push(items[i]);
+                    placed = true;
                 }
-            ],
-            properties: ['external_deal_id'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/deals/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+            }
+            if (!placed) {
+                var round = { ids: {}, items: [items[i]] };
+                round.ids[items[i].hubspotId] = true;
+                rounds.push(round);
+            }
         }
-        return '';
+        return rounds;
     }
 
-    /**
-     * Fetches the current properties of an existing deal from HubSpot.
-     *
-     * @param {string}   dealId         HubSpot deal record id
-     * @param {string[]} propertyNames  Property names to retrieve
-     * @returns {object} Map of propertyName → current value (may be empty string)
-     */
-    function fetchExistingDealProperties(dealId, propertyNames) {
-        if (!dealId || !propertyNames || propertyNames.length === 0) return {};
-        var url = baseUrl + '/crm/v3/objects/deals/'
-            + encodeURIComponent(String(dealId))
-            + '?properties=' + propertyNames.join(',');
-        try {
-            var data = getJson(url, headers);
-            if (data && data.properties) {
-                return data.properties;
+    function writeUpdates(items) {
+        var rounds = splitIntoUniqueIdRounds(items);
+        for (var r = 0; r < rounds.length; r++) {
+            var roundItems = rounds[r].items;
+            // A dry run always reads the current values to show the diff
+            var existingById = (propertyUpdateMode === 'overwrite' && !dryRun) ? {} : readExistingProperties(roundItems);
+
+            var toUpdate = [];
+            for (var i = 0; i < roundItems.length; i++) {
+                var item = roundItems[i];
+                // External lookup ids are excluded before and after resolving:
+                // appendProperties may re-introduce keys from the fetched values.
+                var propsToUpdate = resolvePropertiesToWrite(
+                    existingById[item.hubspotId] || {}, excludeRelationalKeysForPatch(item.properties)
+                );
+                item.patch = excludeRelationalKeysForPatch(propsToUpdate);
+                if (hasAnyProperty(item.patch)) {
+                    item.action = 'update';
+                    item.sentProperties = item.patch;
+                    toUpdate.push(item);
+                } else {
+                    item.action = 'skip';
+                }
+                if (dryRun) {
+                    addPlanEntry(item, hasAnyProperty(item.patch) ? 'update' : 'skip',
+                        item.patch, existingById[item.hubspotId] || {}, null);
+                }
+            }
+
+            writeBatch(
+                buildObjectsUrl(entity, '/batch/update'),
+                dryRun ? [] : toUpdate,
+                function (item, index) {
+                    return { id: item.hubspotId, properties: item.patch, objectWriteTraceId: String(index) };
+                },
+                null,
+                null
+            );
+
+            if (writeSpec.associateOnUpdate !== false) {
+                writeAssociations(roundItems);
             }
-        } catch (e) {
-            // Fall back to updating all properties if fetch fails
         }
-        return {};
     }
 
-    // -- Task-specific helpers ----------------------------------------------
+    // -- Association sync ---------------------------------------------------
 
     /**
-     * Searches HubSpot tasks by the hs_task_subject property.
-     * Returns the HubSpot task id if found, '' otherwise.
-     *
-     * @param {string} subject  Task subject to search for
-     * @returns {string} HubSpot task id or ''
+     * Returns true if an association type read from HubSpot matches
+     * associationSyncLabel (label, case-insensitive, or type id).
      */
-    function findTaskBySubject(subject) {
-        if (!subject) return '';
-        var payload = {
-            filterGroups: [
-                {
-                    filters: [
-                        {
-                            propertyName: 'hs_task_subject',
-                            operator: 'EQ',
-                            value: String(subject)
-                        }
-                    ]
-                }
-            ],
-            properties: ['hs_task_subject'],
-            limit: 1
-        };
-        var data = postJson(
-            baseUrl + '/crm/v3/objects/tasks/search',
-            payload,
-            headers
-        );
-        if (data && data.results && data.results.length > 0 && data.results[0].id) {
-            return String(data.results[0].id);
+    function matchesSyncLabel(associationType) {
+        if (!associationType) return false;
+        if (/^\d+$/.test(associationSyncLabel)) {
+            return parseInt(associationType.typeId, 10) === parseInt(associationSyncLabel, 10);
         }
-        return '';
+        return String(associationType.label || '').toLowerCase() === associationSyncLabel.toLowerCase();
     }
 
     /**
-     * Fetches the current properties of an existing task from HubSpot.
-     *
-     * @param {string}   taskId         HubSpot task record id
-     * @param {string[]} propertyNames  Property names to retrieve
-     * @returns {object} Map of propertyName → current value (may be empty string)
+     * Reads the current associations of the given HubSpot ids to one target
+     * object type. Returns a map id → [{ toObjectId, associationTypes }].
      */
-    function fetchExistingTaskProperties(taskId, propertyNames) {
-        if (!taskId || !propertyNames || propertyNames.length === 0) return {};
-        var url = baseUrl + '/crm/v3/objects/tasks/'
-            + encodeURIComponent(String(taskId))
-            + '?properties=' + propertyNames.join(',');
-        try {
-            var data = getJson(url, headers);
-            if (data && data.properties) {
-                return data.properties;
+    function readCurrentAssociations(toObjectType, ids) {
+        var url = baseUrl + '/crm/v4/associations/' + entity + '/' + toObjectType + '/batch/read';
+        var current = {};
+        var chunks = chunkArray(ids, BATCH_LIMIT);
+        for (var c = 0; c < chunks.length; c++) {
+            var inputs = [];
+            for (var i = 0; i < chunks[c].length; i++) {
+                inputs.push({ id: chunks[c][i] });
+            }
+            while (inputs.length > 0) {
+                var data = http.postJson(url, { inputs: inputs }, headers);
+                var results = (data && Array.isArray(data.results)) ? data.results : [];
+                inputs = [];
+                for (var r = 0; r < results.length; r++) {
+                    var fromId = results[r] && results[r].from ? String(results[r].from.id) : '';
+                    if (!fromId) continue;
+                    current[fromId] = (current[fromId] || []).concat(Array.isArray(results[r].to) ? results[r].to : []);
+                    // Ids with more associations than fit on one page are read on
+                    if (results[r].paging && results[r].paging.next && results[r].paging.next.after) {
+                        inputs.push({ id: fromId, after: results[r].paging.next.after });
+                    }
+                }
             }
-        } catch (e) {
-            // Fall back to updating all properties if fetch fails
         }
-        return {};
+        return current;
     }
 
-    // -- Generic association helper -----------------------------------------
-
     /**
-     * Creates a batch association between two CRM objects using the v4
-     * associations API with the HUBSPOT_DEFINED association type.
-     *
-     * Used when updating existing records (PATCH does not support inline
-     * associations), as well as any time a separate association call is needed.
-     *
-     * @param {string} fromObjectType   e.g. 'leads', 'deals'
-     * @param {string} toObjectType     e.g. 'companies', 'contacts'
-     * @param {string} fromId           HubSpot id of the source object
-     * @param {string} toId             HubSpot id of the target object
-     * @param {number} associationTypeId  HUBSPOT_DEFINED association type id
+     * Removes the associations of existing records that the incoming records
+     * no longer name (see "Association sync" above). Records created in this
+     * run have no other associations and are skipped, as are entities
+     * whose associations are only set on create.
      */
-    function associateObjects(fromObjectType, toObjectType, fromId, toId, associationTypeId) {
-        var payload = {
-            inputs: [
-                {
-                    from: { id: fromId },
-                    to: { id: toId },
-                    types: [
-                        {
-                            associationCategory: 'HUBSPOT_DEFINED',
-                            associationTypeId: associationTypeId
-                        }
-                    ]
-                }
-            ]
-        };
-        writePost(
-            baseUrl + '/crm/v4/associations/' + fromObjectType + '/' + toObjectType + '/batch/create',
-            payload
-        );
-    }
-
-    // -- Writer interface ---------------------------------------------------
-
-    return {
-        open: function () {
-            headers = {
-                "Content-Type": "application/json",
-                "Accept": "application/json"
-            };
-
-            var auth = getAuthFromAdminConfig(authConfig);
-            if (auth.type === 'bearer' && auth.token) {
-                headers["Authorization"] = "Bearer " + auth.token;
-            } else if (auth.type === 'basic' && auth.username && auth.password) {
-                headers["Authorization"] = "Basic " + base64Encode(
-                    auth.username + ':' + auth.password
-                );
+    function syncRecordAssociations(items) {
+        if (writeSpec.associateOnUpdate === false) return;
+
+        var byTargetType = {};
+        var targetTypes = [];
+        for (var i = 0; i < items.length; i++) {
+            var item = items[i];
+            if (item.archive || !item.hubspotId || isPlannedId(item.hubspotId) || item.action === 'create'
+                || item.writeErrors.length > 0) continue;
+
+            // Target types named by the record, unless one of its targets
+            // was not found in HubSpot
+            var named = {};
+            for (var a = 0; a < item.associations.length; a++) {
+                var association = item.associations[a];
+                var found = !!cachedId(association.toObjectType, association.property, association.value);
+                named[association.toObjectType] = named[association.toObjectType] !== false && found;
             }
-        },
-
-        writeRecord: function (record) {
-            var properties = transformToProperties(record);
-
-            // Nothing useful to write
-            var hasProps = false;
-            for (var k in properties) {
-                if (properties.hasOwnProperty(k)) { hasProps = true; break; }
+            var keepByType = {};
+            for (var d = 0; d < item.associationIds.length; d++) {
+                var target = item.associationIds[d];
+                keepByType[target.toObjectType] = keepByType[target.toObjectType] || {};
+                keepByType[target.toObjectType][String(target.toId)] = true;
             }
-            if (!hasProps) return;
-
-            if (entity === 'companies') {
-                // Look up by external_account_id; update behaviour driven by propertyUpdateMode
-                var flatRecord = normalizeToFlat(record);
-                var existingId = findCompanyByExternalAccountId(flatRecord);
 
-                if (existingId) {
-                    updateCompanyWithMode(existingId, properties);
-                } else {
-                    createRecord(properties);
+            for (var type in named) {
+                if (!named.hasOwnProperty(type) || !named[type]) continue;
+                if (!byTargetType[type]) {
+                    byTargetType[type] = [];
+                    targetTypes.push(type);
                 }
+                byTargetType[type].push({ item: item, keep: keepByType[type] });
+            }
+        }
 
-            } else if (entity === 'contacts') {
-                // Enhanced contact logic:
-                //  1. Find existing contact by email, then by external_contact_id
-                //  2. Update (unset-only) or create
-                //  3. Associate with company if external_account_id is present
-
-                var flatContact = normalizeToFlat(record);
-
-                // Step 1: locate existing contact
-                var contactId = '';
-                var email = properties['email'] || '';
-                if (email) {
-                    contactId = findContactByEmail(email);
-                }
-                if (!contactId) {
-                    var extContactId = extractExternalContactId(flatContact);
-                    if (extContactId) {
-                        contactId = findContactByExternalContactId(extContactId);
-                    }
-                }
+        for (var t = 0; t < targetTypes.length; t++) {
+            var toObjectType = targetTypes[t];
+            var entries = byTargetType[toObjectType];
+            var ids = [];
+            for (var e = 0; e < entries.length; e++) {
+                ids.push(entries[e].item.hubspotId);
+            }
 
-                // Step 2: resolve company association (if external_account_id is set)
-                var externalAccountId = flatContact['external_account_id'] || '';
-                var companyHubspotId = '';
-                if (externalAccountId) {
-                    companyHubspotId = findCompanyByAccountId(externalAccountId);
+            var current;
+            try {
+                current = readCurrentAssociations(toObjectType, ids);
+            } catch (ex) {
+                for (var f = 0; f < entries.length; f++) {
+                    reportRecordError(baseUrl + '/crm/v4/associations/' + entity + '/' + toObjectType + '/batch/read',
+                        { item: entries[f].item, flat: entries[f].item.flat }, String(ex));
                 }
+                continue;
+            }
 
-                // Step 3: create or update
-                if (contactId) {
-                    // Update existing contact according to propertyUpdateMode
-                    updateContactWithMode(contactId, properties);
-                    // Associate with company separately (PATCH does not support
-                    // inline associations)
-                    if (companyHubspotId) {
-                        associateContactWithCompany(contactId, companyHubspotId);
-                    }
-                } else {
-                    // Create new contact
-                    if (companyHubspotId) {
-                        createContactWithAssociation(properties, companyHubspotId);
-                    } else {
-                        createRecord(properties);
+            var removals = [];
+            for (var n = 0; n < entries.length; n++) {
+                var entry = entries[n];
+                var existing = current[entry.item.hubspotId] || [];
+                for (var x = 0; x < existing.length; x++) {
+                    var toId = existing[x] ? String(existing[x].toObjectId) : '';
+                    if (!toId || entry.keep[toId]) continue;
+
+                    var types = [];
+                    var existingTypes = Array.isArray(existing[x].associationTypes) ? existing[x].associationTypes : [];
+                    for (var y = 0; y < existingTypes.length && associationSyncLabel; y++) {
+                        if (matchesSyncLabel(existingTypes[y])) {
+                            types.push({
+                                associationCategory: existingTypes[y].category,
+                                associationTypeId: parseInt(existingTypes[y].typeId, 10)
+                            });
+                        }
                     }
+                    if (associationSyncLabel && types.length === 0) continue;
+
+                    removals.push({
+                        item: entry.item,
+                        flat: entry.item.flat,
+                        fromId: entry.item.hubspotId,
+                        toObjectType: toObjectType,
+                        toId: toId,
+                        types: types
+                    });
                 }
+            }
 
-            } else if (entity === 'leads') {
-                // Lead write logic:
-                //  1. Find existing lead by external_lead_id.
-                //  2. If not found → POST (create) with inline associations.
-                //  3. If found → PATCH (update) only unset properties, then
-                //     create associations separately.
-                //
-                // Associations resolved:
-                //   external_account_id → company (Lead → Primary Company: 580)
-                //   external_contact_id → contact (Lead → Primary Contact: 578)
-
-                var flatLead = normalizeToFlat(record);
-
-                // Step 1: locate existing lead by external_lead_id
-                var externalLeadId = flatLead['external_lead_id']
-                    || flatLead['ExternalLeadId']
-                    || flatLead['externalLeadId']
-                    || '';
-                var leadHubspotId = '';
-                if (externalLeadId) {
-                    leadHubspotId = findLeadByExternalLeadId(externalLeadId);
-                }
-
-                // Step 2: resolve company association (external_account_id)
-                var leadExtAccountId = flatLead['external_account_id']
-                    || flatLead['ExternalAccountId']
-                    || flatLead['externalAccountId']
-                    || '';
-                var leadCompanyId = '';
-                if (leadExtAccountId) {
-                    leadCompanyId = findCompanyByExternalAccountId(flatLead);
+            if (dryRun) {
+                for (var m = 0; m < removals.length; m++) {
+                    addPlanEntry(removals[m].item, 'unassociate', {}, null, removals[m]);
                 }
+                continue;
+            }
+            if (removals.length === 0) continue;
+
+            if (associationSyncLabel) {
+                writeBatch(
+                    baseUrl + '/crm/v4/associations/' + entity + '/' + toObjectType + '/batch/labels/archive',
+                    removals,
+                    function (link) {
+                        return { from: { id: link.fromId }, to: { id: link.toId }, types: link.types };
+                    },
+                    null,
+                    null
+                );
+            } else {
+                writeBatch(
+                    baseUrl + '/crm/v4/associations/' + entity + '/' + toObjectType + '/batch/archive',
+                    removals,
+                    function (link) {
+                        return { from: { id: link.fromId }, to: [{ id: link.toId }] };
+                    },
+                    null,
+                    null
+                );
+            }
 
-                // Step 3: resolve contact association (external_contact_id)
-                var leadExtContactId = flatLead['external_contact_id']
-                    || flatLead['ExternalContactId']
-                    || flatLead['externalContactId']
-                    || '';
-                var leadContactId = '';
-                if (leadExtContactId) {
-                    leadContactId = findContactByExternalContactId(leadExtContactId);
+            // Failed removals were reported to the item's associationErrors
+            // (see reportRecordError); only the others count as removed.
+            for (var r = 0; r < removals.length; r++) {
+                if (!removals[r].failed) {
+                    removals[r].item.removedAssociationIds.push(toObjectType + ':' + removals[r].toId);
                 }
+            }
+        }
+    }
 
-                if (leadHubspotId) {
-                    // Update: apply propertyUpdateMode
-                    var leadPropsToUpdate = resolvePropertiesToWrite(
-                        fetchExistingLeadProperties, leadHubspotId, properties
-                    );
-                    patchIfNeeded(
-                        baseUrl + '/crm/v3/objects/leads/'
-                            + encodeURIComponent(String(leadHubspotId)),
-                        leadPropsToUpdate
-                    );
-
-                    // Associate with company (Lead → Primary Company: 580)
-                    if (leadCompanyId) {
-                        associateObjects('leads', 'companies', leadHubspotId, leadCompanyId, 580);
-                    }
-                    // Associate with contact (Lead → Primary Contact: 578)
-                    if (leadContactId) {
-                        associateObjects('leads', 'contacts', leadHubspotId, leadContactId, 578);
-                    }
+    // -- Write results ------------------------------------------------------
 
-                } else {
-                    // Create: build inline associations
-                    var leadAssociations = [];
-                    if (leadCompanyId) {
-                        leadAssociations.push({
-                            to: { id: leadCompanyId },
-                            types: [
-                                {
-                                    associationCategory: 'HUBSPOT_DEFINED',
-                                    associationTypeId: 580
-                                }
-                            ]
-                        });
-                    }
-                    if (leadContactId) {
-                        leadAssociations.push({
-                            to: { id: leadContactId },
-                            types: [
-                                {
-                                    associationCategory: 'HUBSPOT_DEFINED',
-                                    associationTypeId: 578
-                                }
-                            ]
-                        });
-                    }
-                    var leadPayload = { properties: properties };
-                    if (leadAssociations.length > 0) {
-                        leadPayload.associations = leadAssociations;
-                    }
-                    console.log("creation lead payload", JSON.stringify(leadPayload))
-                    writePost(baseUrl + '/crm/v3/objects/leads', leadPayload);
-                }
+    /**
+     * Adds the write result of an item to the output records:
+     *   lookupProperty / lookupValue  input key the record was matched or upserted by
+     *   hubspotId                     id of the created / updated HubSpot record
+     *   action                        create, update, skip (nothing to write), archive or error
+     *   changedProperties             JSON of the properties sent to HubSpot
+     *   associationIds                "toObjectType:toId" pairs, separated by ";"
+     *   removedAssociationIds         associations removed by the association sync, same format
+     *   errorMessage                  write and association errors, separated by " | "
+     */
+    function addResultRecord(item) {
+        var lookup = item.matchedLookup
+            || (item.upsertValue ? { property: writeSpec.upsertProperty, value: item.upsertValue } : null)
+            || item.lookups[0]
+            || null;
+        var associationIds = [];
+        for (var a = 0; a < item.associationIds.length; a++) {
+            associationIds.push(item.associationIds[a].toObjectType + ':' + item.associationIds[a].toId);
+        }
+        var errors = item.writeErrors.concat(item.associationErrors);
+
+        resultOutput.write({
+            recordNumber: item.recordNumber,
+            entity: entity,
+            lookupProperty: lookup ? lookup.property : '',
+            lookupValue: lookup ? lookup.value : '',
+            hubspotId: item.hubspotId || '',
+            action: item.writeErrors.length > 0 ? 'error' : (item.action || 'skip'),
+            changedProperties: item.writeErrors.length > 0 ? '{}' : JSON.stringify(item.sentProperties),
+            associationIds: associationIds.join(';'),
+            removedAssociationIds: item.removedAssociationIds.join(';'),
+            errorMessage: errors.join(' | ')
+        });
+    }
 
-            } else if (entity === 'deals') {
-                // Deal write logic:
-                //  1. Find existing deal by external_deal_id.
-                //  2. If not found → POST (create) with inline associations.
-                //  3. If found → PATCH (update) only unset properties, then
-                //     create associations separately.
-                //
-                // Associations resolved:
-                //   external_account_id → company (Deal → Company: 341)
-                //   external_contact_id → contact (Deal → Contact: 3)
-
-                var flatDeal = normalizeToFlat(record);
-
-                // Step 1: locate existing deal by external_deal_id
-                var externalDealId = flatDeal['external_deal_id']
-                    || flatDeal['ExternalDealId']
-                    || flatDeal['externalDealId']
-                    || '';
-                var dealHubspotId = '';
-                if (externalDealId) {
-                    dealHubspotId = findDealByExternalDealId(externalDealId);
-                }
+    // -- Archiving -----------------------------------------------------------
 
-                // Step 2: resolve company association (external_account_id)
-                var dealExtAccountId = flatDeal['external_account_id']
-                    || flatDeal['ExternalAccountId']
-                    || flatDeal['externalAccountId']
-                    || '';
-                var dealCompanyId = '';
-                if (dealExtAccountId) {
-                    dealCompanyId = findCompanyByExternalAccountId(flatDeal);
-                }
+    /**
+     * Returns true if a normalised record (see normalizeToFlat) is to be
+     * archived: its "_operation" field if set, else the operation arg.
+     * Throws for unknown operations.
+     */
+    function isArchiveRecord(flat) {
+        var value = (flat._operation !== undefined && flat._operation !== null)
+            ? String(flat._operation).trim().toLowerCase()
+            : '';
+        if (!value) value = operation;
+        if (ARCHIVE_OPERATIONS[value]) return true;
+        if (WRITE_OPERATIONS[value]) return false;
+        throw new Error('Unknown operation "' + value + '" (expected write or archive)');
+    }
 
-                // Step 3: resolve contact association (external_contact_id)
-                var dealExtContactId = flatDeal['external_contact_id']
-                    || flatDeal['ExternalContactId']
-                    || flatDeal['externalContactId']
-                    || '';
-                var dealContactId = '';
-                if (dealExtContactId) {
-                    dealContactId = findContactByExternalContactId(dealExtContactId);
-                }
+    /**
+     * Queues a resolved archive item; items without a matching HubSpot
+     * record are skipped.
+     */
+    function queueArchive(item) {
+        if (!item.hubspotId) {
+            item.action = 'skip';
+            if (dryRun) addPlanEntry(item, 'skip', {}, null, null);
+            return;
+        }
+        item.action = 'archive';
+        archiveQueue.push(item);
+        if (dryRun) addPlanEntry(item, 'archive', {}, null, null);
+    }
 
-                if (dealHubspotId) {
-                    // Update: apply propertyUpdateMode (external_deal_id excluded from PATCH)
-                    var dealPropsToUpdate = resolvePropertiesToWrite(
-                        fetchExistingDealProperties, dealHubspotId, excludeRelationalKeysForPatch(properties)
-                    );
-                    patchIfNeeded(
-                        baseUrl + '/crm/v3/objects/deals/'
-                            + encodeURIComponent(String(dealHubspotId)),
-                        excludeRelationalKeysForPatch(dealPropsToUpdate)
-                    );
-
-                    // Associate with company (Deal → Company: 341)
-                    if (dealCompanyId) {
-                        associateObjects('deals', 'companies', dealHubspotId, dealCompanyId, 341);
-                    }
-                    // Associate with contact (Deal → Contact: 3)
-                    if (dealContactId) {
-                        associateObjects('deals', 'contacts', dealHubspotId, dealContactId, 3);
-                    }
+    /**
+     * Archives the queued records via batch/archive, each HubSpot id once,
+     * unless they exceed maxArchivePercent of the records received.
+     */
+    function flushArchives() {
+        var items = archiveQueue;
+        archiveQueue = [];
+        if (items.length === 0) return;
+
+        var percent = receivedCount > 0 ? items.length * 100 / receivedCount : 0;
+        if (!isNaN(maxArchivePercent) && percent > maxArchivePercent) {
+            var message = items.length + ' of ' + receivedCount + ' records (' + Math.round(percent * 10) / 10
+                + '%) would archive a HubSpot ' + entity + ' record, more than the allowed ' + maxArchivePercent
+                + '% (maxArchivePercent)';
+            if (dryRun) {
+                if (journal && journal.onWarning) journal.onWarning(message + ' – a real run would be aborted');
+                return;
+            }
+            throw new Error('Aborted without archiving: ' + message);
+        }
+        if (dryRun) return;
+
+        var firstById = {};
+        var unique = [];
+        for (var i = 0; i < items.length; i++) {
+            if (!firstById[items[i].hubspotId]) {
+                firstById[items[i].hubspotId] = items[i];
+                unique.push(items[i]);
+            }
+        }
 
-                } else {
-                    // Create: build inline associations
-                    var dealAssociations = [];
-                    if (dealCompanyId) {
-                        dealAssociations.push({
-                            to: { id: dealCompanyId },
-                            types: [
-                                {
-                                    associationCategory: 'HUBSPOT_DEFINED',
-                                    associationTypeId: 341
-                                }
-                            ]
-                        });
-                    }
-                    if (dealContactId) {
-                        dealAssociations.push({
-                            to: { id: dealContactId },
-                            types: [
-                                {
-                                    associationCategory: 'HUBSPOT_DEFINED',
-                                    associationTypeId: 3
-                                }
-                            ]
-                        });
-                    }
-                    var dealPayload = { properties: properties };
-                    if (dealAssociations.length > 0) {
-                        dealPayload.associations = dealAssociations;
-                    }
-                    writePost(baseUrl + '/crm/v3/objects/deals', dealPayload);
-                }
+        writeBatch(
+            buildObjectsUrl(entity, '/batch/archive'),
+            unique,
+            function (item) {
+                return { id: item.hubspotId };
+            },
+            null,
+            null
+        );
 
-            } else if (entity === 'notes') {
-                // Notes write logic:
-                //  1. Map hs_note_body and hs_timestamp from the incoming record.
-                //  2. Resolve associations via external_account_id (company, 190),
-                //     external_contact_id (contact, 202), external_opportunity_id
-                //     (deal, 214).
-                //  3. If hs_object_id is present → PATCH (update) the note.
-                //  4. Otherwise → POST (create) with inline associations.
+        for (var r = 0; r < items.length; r++) {
+            items[r].writeErrors = firstById[items[r].hubspotId].writeErrors;
+            addResultRecord(items[r]);
+        }
+    }
 
-                var flatNote = normalizeToFlat(record);
+    /**
+     * Writes all pending items: resolves lookups in bulk, then sends the
+     * batch creates, updates and upserts.
+     */
+    function flushPending() {
+        if (pending.length === 0) return;
+
+        var items = pending;
+        pending = [];
+        pendingKeys = {};
+
+        resolveLookups(items);
+
+        var creates = [];
+        var updates = [];
+        var upserts = [];
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].archive) {
+                queueArchive(items[i]);
+            } else if (items[i].hubspotId) {
+                updates.push(items[i]);
+            } else if (items[i].upsertValue) {
+                upserts.push(items[i]);
+            } else {
+                creates.push(items[i]);
+            }
+        }
 
-                // Check if this is an update (hs_object_id present in record)
-                var noteId = flatNote['hs_object_id'] || '';
+        if (updates.length > 0) writeUpdates(updates);
+        if (upserts.length > 0) writeUpserts(upserts);
+        if (creates.length > 0) writeCreates(creates);
+        if (syncAssociations) syncRecordAssociations(items);
 
-                if (noteId) {
-                    // Update existing note – only send note-content properties
-                    updateNote(String(noteId), properties);
-                } else {
-                    // Build associations array
-                    var noteAssociations = [];
-
-                    // Company association via external_account_id (typeId 190)
-                    var noteExtAccountId = flatNote['external_account_id']
-                        || flatNote['ExternalAccountId']
-                        || flatNote['externalAccountId']
-                        || '';
-                    if (noteExtAccountId) {
-                        var noteCompanyId = findCompanyByExternalAccountId(flatNote);
-                        if (noteCompanyId) {
-                            noteAssociations.push({
-                                to: { id: noteCompanyId },
-                                types: [
-                                    {
-                                        associationCategory: 'HUBSPOT_DEFINED',
-                                        associationTypeId: 190
-                                    }
-                                ]
-                            });
-                        }
-                    }
+        if (!dryRun) {
+            for (var r = 0; r < items.length; r++) {
+                // Queued archives get their result once they are sent
+                if (!(items[r].archive && items[r].hubspotId)) {
+                    addResultRecord(items[r]);
+                }
+            }
+        }
 
-                    // Contact association via external_contact_id (typeId 202)
-                    var noteExtContactId = flatNote['external_contact_id']
-                        || flatNote['ExternalContactId']
-                        || flatNote['externalContactId']
-                        || '';
-                    if (noteExtContactId) {
-                        var noteContactId = findContactByExternalContactId(noteExtContactId);
-                        if (noteContactId) {
-                            noteAssociations.push({
-                                to: { id: noteContactId },
-                                types: [
-                                    {
-                                        associationCategory: 'HUBSPOT_DEFINED',
-                                        associationTypeId: 202
-                                    }
-                                ]
-                            });
-                        }
-                    }
+        recordCount += items.length;
+        if (journal && journal.onProgress) {
+            journal.onProgress(recordCount);
+        }
+    }
 
-                    // Deal association via external_deal_id (typeId 214)
-                    var noteExtDealId = flatNote['external_deal_id']
-                        || flatNote['ExternalDealId']
-                        || flatNote['externalDealId']
-                        || '';
-                    if (noteExtDealId) {
-                        var noteDealIdFromDealId = findDealByExternalDealId(noteExtDealId);
-                        if (noteDealIdFromDealId) {
-                            noteAssociations.push({
-                                to: { id: noteDealIdFromDealId },
-                                types: [
-                                    {
-                                        associationCategory: 'HUBSPOT_DEFINED',
-                                        associationTypeId: 214
-                                    }
-                                ]
-                            });
-                        }
-                    }
+    // -- Writer interface ---------------------------------------------------
 
-                    // Deal association via external_opportunity_id (typeId 214)
-                    var noteExtOpportunityId = flatNote['external_opportunity_id']
-                        || flatNote['ExternalOpportunityId']
-                        || flatNote['externalOpportunityId']
-                        || '';
-                    if (noteExtOpportunityId) {
-                        var noteDealId = findDealByExternalOpportunityId(noteExtOpportunityId);
-                        if (noteDealId) {
-                            noteAssociations.push({
-                                to: { id: noteDealId },
-                                types: [
-                                    {
-                                        associationCategory: 'HUBSPOT_DEFINED',
-                                        associationTypeId: 214
-                                    }
-                                ]
-                            });
-                        }
-                    }
+    return {
+        open: function () {
+            // The Authorization header is kept current by http (see hubspotAuth).
+            headers = auth.authorize({
+                "Content-Type": "application/json",
+                "Accept": "application/json"
+            });
 
-                    // Create the note (with associations if any were resolved)
-                    createNoteWithAssociations(properties, noteAssociations);
-                }
+            if (objectType) {
+                var objectTypeInfo = resolveObjectType(http, baseUrl, headers, objectType, journal);
+                entity = objectTypeInfo.objectType;
+                configureEntity(objectTypeInfo);
+            }
+            resolveAssociationTypes();
+            loadPropertyDefinitions();
+            validateFieldMapping();
+            loadPipelines();
+
+            pending = [];
+            pendingKeys = {};
+            lookupCache = {};
+            upsertSupported = null;
+            recordCount = 0;
+            receivedCount = 0;
+            archiveQueue = [];
+            plannedProperties = {};
+        },
 
-            } else if (entity === 'tasks') {
-                // Task write logic:
-                //  1. Resolve company association via external_account_id (typeId 192).
-                //  2. Resolve contact association via contact_email_address (typeId 204).
-                //     Look up the contact in HubSpot by email; omit if not found.
-                //  3. If hs_object_id is present in the record → PATCH (update).
-                //  4. Otherwise, look up an existing task by hs_task_subject.
-                //  5. If found → PATCH (update) with only unset properties, then
-                //     associate with company/contact separately.
-                //  6. If not found → POST (create) with optional inline associations.
-
-                var flatTask = normalizeToFlat(record);
-
-                // Step 1: resolve company association via external_account_id (typeId 192)
-                var taskExtAccountId = flatTask['external_account_id']
-                    || flatTask['ExternalAccountId']
-                    || flatTask['externalAccountId']
-                    || '';
-                var taskCompanyId = '';
-                if (taskExtAccountId) {
-                    taskCompanyId = findCompanyByExternalAccountId(flatTask);
-                }
+        writeRecord: function (record) {
+            receivedCount++;
+            // Normalised and mapped once, so that every step sees the same
+            // values (the field mapping may add constants and concatenate)
+            var flat = normalizeToFlat(record);
+            var archive = isArchiveRecord(flat);
+            var item = prepareRecord(flat, archive);
 
-                // Step 2: resolve contact association via contact_email_address (typeId 204)
-                var taskContactEmail = flatTask['contact_email_address']
-                    || flatTask['ContactEmailAddress']
-                    || flatTask['contactEmailAddress']
-                    || '';
-                var taskContactId = '';
-                if (taskContactEmail) {
-                    taskContactId = findContactByEmail(taskContactEmail);
+            // Nothing useful to write
+            if (!item) {
+                if (dryRun) {
+                    addPlanEntry({ recordNumber: receivedCount, hubspotId: '', lookups: [] }, 'skip', {}, null, null,
+                        archive ? 'The record has no id or lookup value to archive it by' : 'The record has no properties to write');
+                } else {
+                    resultOutput.write({
+                        recordNumber: receivedCount,
+                        entity: entity,
+                        lookupProperty: '',
+                        lookupValue: '',
+                        hubspotId: '',
+                        action: 'skip',
+                        changedProperties: '{}',
+                        associationIds: '',
+                        removedAssociationIds: '',
+                        errorMessage: ''
+                    });
                 }
+                return;
+            }
+            item.recordNumber = receivedCount;
 
-                // Step 3: check for an existing task id (hs_object_id) or look up by subject
-                var taskHubspotId = flatTask['hs_object_id'] || '';
-                if (!taskHubspotId) {
-                    var taskSubject = properties['hs_task_subject'] || '';
-                    if (taskSubject) {
-                        taskHubspotId = findTaskBySubject(taskSubject);
-                    }
+            if (item.rejected) {
+                if (journal && journal.onError) {
+                    journal.onError('Record ' + receivedCount + ' | record: ' + JSON.stringify(item.flat)
+                        + ' | error: ' + item.writeErrors[0]);
                 }
-
-                if (taskHubspotId) {
-                    // Update: apply propertyUpdateMode
-                    var taskPropsToUpdate = resolvePropertiesToWrite(
-                        fetchExistingTaskProperties, taskHubspotId, properties
-                    );
-                    patchIfNeeded(
-                        baseUrl + '/crm/v3/objects/tasks/'
-                            + encodeURIComponent(String(taskHubspotId)),
-                        taskPropsToUpdate
-                    );
-
-                    // Associate with company (Task → Company: 192)
-                    if (taskCompanyId) {
-                        associateObjects('tasks', 'companies', taskHubspotId, taskCompanyId, 192);
-                    }
-                    // Associate with contact (Task → Contact: 204)
-                    if (taskContactId) {
-                        associateObjects('tasks', 'contacts', taskHubspotId, taskContactId, 204);
-                    }
-
+                if (dryRun) {
+                    addPlanEntry(item, 'error', {}, null, null, item.writeErrors[0]);
                 } else {
-                    // Create: build inline associations if resolved
-                    var taskAssociations = [];
-                    if (taskCompanyId) {
-                        taskAssociations.push({
-                            to: { id: taskCompanyId },
-                            types: [
-                                {
-                                    associationCategory: 'HUBSPOT_DEFINED',
-                                    associationTypeId: 192
-                                }
-                            ]
-                        });
-                    }
-                    if (taskContactId) {
-                        taskAssociations.push({
-                            to: { id: taskContactId },
-                            types: [
-                                {
-                                    associationCategory: 'HUBSPOT_DEFINED',
-                                    associationTypeId: 204
-                                }
-                            ]
-                        });
-                    }
-                    var taskPayload = { properties: properties };
-                    if (taskAssociations.length > 0) {
-                        taskPayload.associations = taskAssociations;
-                    }
-                    writePost(baseUrl + '/crm/v3/objects/tasks', taskPayload);
+                    addResultRecord(item);
                 }
+                return;
+            }
 
-            } else {
-                // Default upsert logic for tickets, etc.
-                var existingId = findExistingId(properties);
-                if (existingId) {
-                    // Apply propertyUpdateMode for existing records
-                    var defaultPropsToUpdate = resolvePropertiesToWrite(
-                        function fetchGenericEntityProperties(recordId, propertyNames) {
-                            if (!recordId || !propertyNames || propertyNames.length === 0) return {};
-                            var url = buildObjectUrl(recordId) + '?properties=' + propertyNames.join(',');
-                            try {
-                                var data = getJson(url, headers);
-                                if (data && data.properties) return data.properties;
-                            } catch (e) {
-                                // Fall back to writing all properties
-                            }
-                            return {};
-                        },
-                        existingId,
-                        properties
-                    );
-                    patchIfNeeded(buildObjectUrl(existingId), defaultPropsToUpdate);
-                } else {
-                    createRecord(properties);
+            // A record targeting the same HubSpot record as a pending one is
+            // only written after the pending batch, so that it sees the id
+            // (and values) written before it.
+            var keys = pendingKeysOf(item);
+            for (var k = 0; k < keys.length; k++) {
+                if (pendingKeys[keys[k]]) {
+                    flushPending();
+                    break;
                 }
             }
+            for (var p = 0; p < keys.length; p++) {
+                pendingKeys[keys[p]] = true;
+            }
 
-            recordCount++;
-            if (journal && journal.onProgress) {
-                journal.onProgress(recordCount);
+            pending.push(item);
+            if (pending.length >= BATCH_LIMIT) {
+                flushPending();
             }
         },
 
         close: function () {
+            flushPending();
+            // Throws when the archives exceed maxArchivePercent; open()
+            // resets the state for the next run either way.
+            flushArchives();
+            pending = [];
+            pendingKeys = {};
+            lookupCache = {};
             recordCount = 0;
+            receivedCount = 0;
         }
     };
 }
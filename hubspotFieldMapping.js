@@ -0,0 +1,257 @@
+/**
+ * Declarative field mapping of hubspotCrmWriter (arg "fieldMapping").
+ *
+ * The mapping is applied to every incoming record before the writer's
+ * built-in aliases (PROPERTY_ALIASES) and skip keys: mapped fields are
+ * renamed to their HubSpot property and transformed, skipped fields are
+ * dropped, constants are added, and all other fields are passed on
+ * unchanged, so that the built-in aliases still apply to them. Mapped
+ * fields also act as id, lookup and association keys of the writer, e.g.
+ * AccountID → external_account_id.
+ *
+ * JSON form:
+ *   {
+ *     "fields": {
+ *       "CompanyName": "name",
+ *       "EMail":       { "property": "email", "transforms": ["trim", "lowercase"] },
+ *       "CountryCode": { "property": "country", "lookup": { "DE": "Germany", "*": "Other" } },
+ *       "Street":      { "property": "address", "concat": ["HouseNumber"], "separator": " " },
+ *       "ETag":        null
+ *     },
+ *     "constants": { "lifecyclestage": "customer" },
+ *     "skip": ["LastChangeDateTime"]
+ *   }
+ * A field mapped to null or "" is skipped. Transforms are applied in order
+ * (TRANSFORMS), a lookup table after them: values not listed are kept, or
+ * replaced by the "*" entry if there is one. "concat" appends the values of
+ * further fields (empty ones are left out), separated by "separator"
+ * (default " "); these fields are not passed on themselves unless they are
+ * mapped as well.
+ *
+ * Line form – one entry per line or ";"-separated, or a key/value list:
+ *   CompanyName = name
+ *   EMail = email | trim | lowercase
+ *   ETag =
+ *   "customer" = lifecyclestage
+ * i.e. field = property, optionally followed by "|"-separated transforms;
+ * an empty property skips the field, a quoted field name is a constant.
+ */
+
+var TRANSFORMS = {
+    trim: function (text) { return text.trim(); },
+    lowercase: function (text) { return text.toLowerCase(); },
+    uppercase: function (text) { return text.toUpperCase(); }
+};
+
+function emptyMapping() {
+    return { fields: [], bySource: {}, consumed: {}, constants: [], skip: {} };
+}
+
+function isEmptyValue(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Adds the mapping of field `source`. `spec` is the property name, null /
+ * "" to skip the field, or { property, transforms, lookup, concat,
+ * separator }.
+ */
+function addField(mapping, source, spec) {
+    if (!source) {
+        throw new Error('Invalid field mapping: empty field name');
+    }
+    if (typeof spec === 'string' || isEmptyValue(spec)) {
+        spec = { property: spec };
+    }
+    if (typeof spec !== 'object') {
+        throw new Error('Invalid field mapping for "' + source + '": expected a property name or an object');
+    }
+
+    var property = isEmptyValue(spec.property) ? '' : String(spec.property).trim();
+    if (!property) {
+        mapping.skip[source] = true;
+        return;
+    }
+
+    var transforms = spec.transforms || [];
+    if (typeof transforms === 'string') transforms = transforms.split(/[|,]/);
+    var names = [];
+    for (var t = 0; t < transforms.length; t++) {
+        var name = String(transforms[t]).trim().toLowerCase();
+        if (!name) continue;
+        if (!TRANSFORMS.hasOwnProperty(name)) {
+            throw new Error('Unknown transform "' + name + '" for field "' + source + '" (expected '
+                + Object.keys(TRANSFORMS).join(', ') + ')');
+        }
+        names.push(name);
+    }
+
+    var concat = spec.concat || [];
+    if (typeof concat === 'string') concat = concat.split(',');
+    var concatFields = [];
+    for (var c = 0; c < concat.length; c++) {
+        var field = String(concat[c]).trim();
+        if (field) {
+            concatFields.push(field);
+            mapping.consumed[field] = true;
+        }
+    }
+
+    if (spec.lookup !== undefined && spec.lookup !== null && typeof spec.lookup !== 'object') {
+        throw new Error('Invalid lookup table for field "' + source + '": expected an object');
+    }
+
+    var entry = {
+        source: source,
+        property: property,
+        transforms: names,
+        lookup: spec.lookup || null,
+        concat: concatFields,
+        separator: spec.separator === undefined || spec.separator === null ? ' ' : String(spec.separator)
+    };
+    mapping.fields.push(entry);
+    mapping.bySource[source] = entry;
+}
+
+/** Parses one "field = property | transform ..." entry of the line form. */
+function addLine(mapping, key, value) {
+    var source = String(key).trim();
+    var parts = String(isEmptyValue(value) ? '' : value).split('|');
+    var property = parts[0].trim();
+
+    var quoted = /^"(.*)"$/.exec(source);
+    if (quoted) {
+        if (!property) {
+            throw new Error('Invalid field mapping entry "' + source + '=": a constant needs a property');
+        }
+        mapping.constants.push({ property: property, value: quoted[1] });
+        return;
+    }
+    addField(mapping, source, { property: property, transforms: parts.slice(1) });
+}
+
+/**
+ * Parses the fieldMapping arg: JSON (string or object), the line form or
+ * a key/value list (see above). Returns an empty mapping for an empty arg
+ * and throws on invalid entries.
+ */
+function parseFieldMapping(value) {
+    var mapping = emptyMapping();
+    if (isEmptyValue(value)) return mapping;
+
+    if (typeof value === 'string') {
+        var text = value.trim();
+        if (!text) return mapping;
+        if (text.charAt(0) !== '{') {
+            var entries = text.split(/[;\r\n]+/);
+            for (var e = 0; e < entries.length; e++) {
+                var entry = entries[e].trim();
+                if (!entry) continue;
+                var separator = entry.indexOf('=');
+                if (separator <= 0) {
+                    throw new Error('Invalid field mapping entry "' + entry + '" (expected <field>=<property>)');
+                }
+                addLine(mapping, entry.substring(0, separator), entry.substring(separator + 1));
+            }
+            return mapping;
+        }
+        try {
+            value = JSON.parse(text);
+        } catch (ex) {
+            throw new Error('Invalid field mapping JSON: ' + String(ex.message || ex));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+            var item = value[i];
+            if (!item || typeof item !== 'object') continue;
+            addLine(mapping, item.key !== undefined ? item.key : item.Key, item.value !== undefined ? item.value : item.Value);
+        }
+        return mapping;
+    }
+
+    var fields = value.fields || {};
+    for (var source in fields) {
+        if (fields.hasOwnProperty(source)) addField(mapping, source, fields[source]);
+    }
+    var constants = value.constants || {};
+    for (var property in constants) {
+        if (constants.hasOwnProperty(property)) mapping.constants.push({ property: property, value: constants[property] });
+    }
+    var skip = value.skip || [];
+    for (var s = 0; s < skip.length; s++) {
+        mapping.skip[String(skip[s])] = true;
+    }
+    return mapping;
+}
+
+/** Returns the value of a mapped field, null when it is empty. */
+function mappedValue(entry, flat) {
+    var value = flat[entry.source];
+    if (entry.transforms.length === 0 && !entry.lookup && entry.concat.length === 0) {
+        return isEmptyValue(value) ? null : value;
+    }
+
+    var parts = [];
+    var sources = [entry.source].concat(entry.concat);
+    for (var p = 0; p < sources.length; p++) {
+        var part = flat[sources[p]];
+        if (!isEmptyValue(part)) parts.push(String(part));
+    }
+    if (parts.length === 0) return null;
+
+    var text = parts.join(entry.separator);
+    for (var t = 0; t < entry.transforms.length; t++) {
+        text = TRANSFORMS[entry.transforms[t]](text);
+    }
+    if (entry.lookup) {
+        if (entry.lookup.hasOwnProperty(text)) {
+            text = entry.lookup[text];
+        } else if (entry.lookup.hasOwnProperty('*')) {
+            text = entry.lookup['*'];
+        }
+    }
+    return isEmptyValue(text) ? null : text;
+}
+
+/**
+ * Applies a parsed mapping to a flat record and returns the mapped record
+ * (the record itself when the mapping is empty).
+ */
+function applyFieldMapping(mapping, flat) {
+    if (mapping.fields.length === 0 && mapping.constants.length === 0 && Object.keys(mapping.skip).length === 0) {
+        return flat;
+    }
+
+    var result = {};
+    for (var key in flat) {
+        if (!flat.hasOwnProperty(key)) continue;
+        if (mapping.skip[key] || mapping.bySource[key] || mapping.consumed[key]) continue;
+        result[key] = flat[key];
+    }
+    for (var f = 0; f < mapping.fields.length; f++) {
+        var value = mappedValue(mapping.fields[f], flat);
+        if (value !== null) result[mapping.fields[f].property] = value;
+    }
+    for (var c = 0; c < mapping.constants.length; c++) {
+        result[mapping.constants[c].property] = mapping.constants[c].value;
+    }
+    return result;
+}
+
+/** Returns the properties a mapping writes (mapped fields and constants). */
+function mappingTargets(mapping) {
+    var targets = [];
+    var all = mapping.fields.concat(mapping.constants);
+    for (var i = 0; i < all.length; i++) {
+        if (targets.indexOf(all[i].property) === -1) targets.push(all[i].property);
+    }
+    return targets;
+}
+
+module.exports = {
+    parseFieldMapping: parseFieldMapping,
+    applyFieldMapping: applyFieldMapping,
+    mappingTargets: mappingTargets
+};
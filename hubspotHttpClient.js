@@ -0,0 +1,295 @@
+/**
+ * HubSpot HTTP client shared by hubspotCrmWriter, hubspotObjectReader and
+ * hubspotSchemaReader.
+ *
+ * Wraps the getJson / postJson globals with the same signatures and adds:
+ *
+ *  - Client-side throttling: at most `requestsPer10Seconds` requests are sent
+ *    within any rolling 10 second window (HubSpot's "ten secondly rolling"
+ *    limit); further requests wait until the window allows them. 0 disables
+ *    throttling.
+ *  - Retries of transient failures (HTTP 429 and 5xx, HubSpot RATE_LIMITS
+ *    errors) up to `maxRetries` times with exponential backoff and jitter.
+ *    When the runtime exposes response headers on the response / error
+ *    object, Retry-After and the X-HubSpot-RateLimit-* headers take
+ *    precedence over the computed backoff. HubSpot's daily limit is not
+ *    retried – waiting for it would stall the run for hours. POSTs creating
+ *    objects, properties or property groups (CREATE_PATHS) are retried on
+ *    rate limiting only: after a 5xx HubSpot may have applied the request
+ *    anyway, and sending it again would create duplicates.
+ *
+ *  - Authorization: with `auth` (see hubspotAuth) the Authorization header
+ *    of every request is set right before it is sent, so that OAuth access
+ *    tokens are renewed when they near expiry, and a request answered with
+ *    HTTP 401 – thrown or returned as error body – is sent once more with a
+ *    refreshed token.
+ *
+ * Every retry and throttling wait is reported via journal.onWarning so that
+ * slow runs can be explained from the journal.
+ * After the last retry the final response is returned / the final error is
+ * thrown, exactly as the underlying global would have done.
+ */
+
+var httpAuth = require('./httpAuth');
+var readHeader = httpAuth.readHeader;
+var statusCodeOf = httpAuth.statusCodeOf;
+
+var TEN_SECONDS_MS = 10000;
+
+// Exponential backoff: BACKOFF_BASE_MS * 2^attempt, capped at BACKOFF_MAX_MS.
+var BACKOFF_BASE_MS = 1000;
+var BACKOFF_MAX_MS = 30000;
+
+var DEFAULT_MAX_RETRIES = 5;
+var DEFAULT_REQUESTS_PER_10_SECONDS = 100;
+
+// POST endpoints that create something (objects single / batch, properties,
+// property groups); not idempotent, so not retried on 5xx.
+var CREATE_PATHS = [
+    /\/crm\/v3\/objects\/[^/?]+(\/batch\/create)?(\?.*)?$/,
+    /\/crm\/v3\/properties\/[^/?]+(\/groups)?(\?.*)?$/
+];
+
+function isCreateUrl(url) {
+    for (var p = 0; p < CREATE_PATHS.length; p++) {
+        if (CREATE_PATHS[p].test(String(url))) return true;
+    }
+    return false;
+}
+
+/**
+ * Blocks the current thread for `ms` milliseconds. Plugins run
+ * synchronously, so there is no timer to yield to: inside the JVM the
+ * thread sleeps, under Node Atomics.wait is used, otherwise it busy-waits.
+ */
+function sleepSync(ms) {
+    if (!ms || ms <= 0) return;
+    if (typeof Java !== 'undefined' && Java.type) {
+        Java.type('java.lang.Thread').sleep(Math.ceil(ms));
+        return;
+    }
+    if (typeof SharedArrayBuffer !== 'undefined' && typeof Atomics !== 'undefined') {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Math.ceil(ms));
+        return;
+    }
+    var until = Date.now() + ms;
+    while (Date.now() < until) {
+        // busy wait
+    }
+}
+
+/**
+ * Parses a non-negative integer plugin arg, falling back to `fallback` for
+ * empty or invalid values.
+ */
+function parseLimit(value, fallback) {
+    var parsed = parseInt(value, 10);
+    return (isNaN(parsed) || parsed < 0) ? fallback : parsed;
+}
+
+/**
+ * Creates a HubSpot HTTP client.
+ *
+ * @param {object} options
+ * @param {number|string} [options.maxRetries]           Retries per request (default 5)
+ * @param {number|string} [options.requestsPer10Seconds] Request budget per 10 s, 0 = unlimited (default 100)
+ * @param {object}   [options.auth]     hubspotAuth instance authorizing every request
+ * @param {object}   [options.journal]  Plugin journal used to report retries and waits
+ * @param {function} [options.sleep]    Function(ms) used to wait (defaults to a blocking sleep)
+ * @returns {{getJson: function, postJson: function}}
+ */
+function hubspotHttpClient(options) {
+    options = options || {};
+    var maxRetries = parseLimit(options.maxRetries, DEFAULT_MAX_RETRIES);
+    var requestsPer10Seconds = parseLimit(options.requestsPer10Seconds, DEFAULT_REQUESTS_PER_10_SECONDS);
+    var auth = options.auth || null;
+    var journal = options.journal || null;
+    var sleep = options.sleep || sleepSync;
+
+    // Send timestamps of the most recent requests (at most
+    // requestsPer10Seconds entries) and the earliest time the next request
+    // may be sent, as announced by HubSpot's rate limit headers.
+    var sentAt = [];
+    var notBefore = 0;
+
+    // Throttling waits are summarised at most once per 10 seconds.
+    var throttleWaits = 0;
+    var throttleWaitedMs = 0;
+    var lastThrottleReportAt = 0;
+
+    function logToJournal(message) {
+        if (journal && journal.onWarning) {
+            journal.onWarning(message);
+        }
+    }
+
+    function reportThrottleWait(ms) {
+        throttleWaits++;
+        throttleWaitedMs += ms;
+        var now = Date.now();
+        if (now - lastThrottleReportAt >= TEN_SECONDS_MS) {
+            logToJournal('HubSpot request budget of ' + requestsPer10Seconds + ' requests per 10 s reached: waited '
+                + throttleWaitedMs + ' ms in ' + throttleWaits + ' pause(s) since the last report');
+            lastThrottleReportAt = now;
+            throttleWaits = 0;
+            throttleWaitedMs = 0;
+        }
+    }
+
+    /**
+     * Waits until sending one more request stays within the configured
+     * budget and any wait HubSpot asked for has passed.
+     */
+    function awaitBudget() {
+        var now = Date.now();
+        var wait = notBefore - now;
+        if (requestsPer10Seconds > 0 && sentAt.length >= requestsPer10Seconds) {
+            wait = Math.max(wait, sentAt[0] + TEN_SECONDS_MS - now);
+        }
+        if (wait > 0) {
+            reportThrottleWait(wait);
+            sleep(wait);
+        }
+        if (requestsPer10Seconds > 0) {
+            sentAt.push(Date.now());
+            while (sentAt.length > requestsPer10Seconds) {
+                sentAt.shift();
+            }
+        }
+    }
+
+    /**
+     * Applies the X-HubSpot-RateLimit-* headers: once the remaining budget of
+     * the current interval is used up, further requests wait for the
+     * interval to pass.
+     */
+    function applyRateLimitHeaders(source) {
+        var remaining = readHeader(source, 'X-HubSpot-RateLimit-Remaining');
+        if (remaining === null || parseInt(remaining, 10) > 0) return;
+        var interval = parseInt(readHeader(source, 'X-HubSpot-RateLimit-Interval-Milliseconds'), 10);
+        notBefore = Math.max(notBefore, Date.now() + (isNaN(interval) ? TEN_SECONDS_MS : interval));
+    }
+
+    function isRateLimitError(source) {
+        return !!source && (source.errorType === 'RATE_LIMIT' || source.category === 'RATE_LIMITS'
+            || statusCodeOf(source) === 429);
+    }
+
+    /**
+     * Returns true for a request rejected because of its access token:
+     * HTTP 401, or HubSpot's authentication error categories when an error
+     * body carries no status code.
+     */
+    function isUnauthorized(source) {
+        return !!source && (statusCodeOf(source) === 401 || source.category === 'INVALID_AUTHENTICATION'
+            || source.category === 'EXPIRED_AUTHENTICATION');
+    }
+
+    function isDailyLimitError(source) {
+        return !!source && String(source.policyName || '').toUpperCase() === 'DAILY';
+    }
+
+    /**
+     * Returns true when a failed request may succeed if sent again. Server
+     * errors are retried only for requests that may safely be sent twice
+     * (`idempotent`, see CREATE_PATHS).
+     */
+    function isTransient(source, idempotent) {
+        if (isDailyLimitError(source)) return false;
+        if (isRateLimitError(source)) return true;
+        var status = statusCodeOf(source);
+        return idempotent && status >= 500 && status <= 599;
+    }
+
+    /**
+     * Computes the wait before retry number `attempt` (0-based): the
+     * Retry-After header when present, else exponential backoff with jitter
+     * (between half and the full backoff). HubSpot's ten-secondly limit is
+     * waited out completely.
+     */
+    function retryDelay(source, attempt) {
+        var retryAfter = parseFloat(readHeader(source, 'Retry-After'));
+        if (!isNaN(retryAfter) && retryAfter >= 0) {
+            return Math.ceil(retryAfter * 1000);
+        }
+        var interval = parseInt(readHeader(source, 'X-HubSpot-RateLimit-Interval-Milliseconds'), 10);
+        if (!isNaN(interval) && isRateLimitError(source)) {
+            return interval;
+        }
+        var backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt));
+        if (String(source && source.policyName || '').toUpperCase() === 'TEN_SECONDLY_ROLLING') {
+            backoff = Math.max(backoff, TEN_SECONDS_MS);
+        }
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Sends a request via `send` with throttling and retries. `description`
+     * (e.g. "GET <url>") is used in journal messages; `idempotent` is false
+     * for requests not to be retried on server errors.
+     */
+    function execute(description, send, idempotent) {
+        var tokenRefreshed = false;
+        for (var attempt = 0; ; attempt++) {
+            awaitBudget();
+
+            // A failure is either thrown or returned as error body.
+            var failure = null;
+            var thrown = false;
+            var response;
+            try {
+                response = send();
+            } catch (e) {
+                failure = e;
+                thrown = true;
+            }
+            if (!thrown) {
+                applyRateLimitHeaders(response);
+                if (response && response.status === 'error') failure = response;
+            }
+
+            if (failure && auth && auth.canRefresh && !tokenRefreshed && isUnauthorized(failure)) {
+                logToJournal('HubSpot request ' + description + ' was rejected with HTTP 401 – refreshing the OAuth access token');
+                auth.invalidate();
+                tokenRefreshed = true;
+                attempt--;
+                continue;
+            }
+            if (!failure || attempt >= maxRetries || !isTransient(failure, idempotent)) {
+                if (thrown) throw failure;
+                return response;
+            }
+
+            var delay = retryDelay(failure, attempt);
+            var reason = isRateLimitError(failure) ? 'rate limited' : 'failed';
+            var status = statusCodeOf(failure);
+            logToJournal('HubSpot request ' + description + ' ' + reason + (status ? ' (HTTP ' + status + ')' : '')
+                + ': ' + String(failure.message || failure) + ' – retry ' + (attempt + 1) + '/' + maxRetries
+                + ' in ' + delay + ' ms');
+            sleep(delay);
+        }
+    }
+
+    function authorize(headers) {
+        if (auth && headers) {
+            auth.authorize(headers);
+        }
+        return headers;
+    }
+
+    return {
+        getJson: function (url, headers) {
+            return execute('GET ' + url, function () {
+                return getJson(url, authorize(headers));
+            }, true);
+        },
+
+        postJson: function (url, payload, headers) {
+            return execute('POST ' + url, function () {
+                return postJson(url, payload, authorize(headers));
+            }, !isCreateUrl(url));
+        }
+    };
+}
+
+module.exports = hubspotHttpClient;
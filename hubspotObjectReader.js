@@ -1,33 +1,7 @@
-function getAuthFromAdminConfig(authConfig) {
-    if (!authConfig) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    var properties = getConfigValue(authConfig, 'properties', null);
-    var subType = getConfigValue(authConfig, 'subType', '');
-
-    if (!properties) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    if (subType === 'BEARER_TOKEN') {
-        return {
-            type: 'bearer',
-            token: getConfigValue(properties, 'bearerToken', ''),
-            username: '',
-            password: ''
-        };
-    } else if (subType === 'BASIC_AUTH') {
-        return {
-            type: 'basic',
-            token: '',
-            username: getConfigValue(properties, 'basicAuthUsername', ''),
-            password: getConfigValue(properties, 'basicAuthPassword', '')
-        };
-    }
-
-    return { type: 'none', token: '', username: '', password: '' };
-}
+var hubspotAuth = require('./hubspotAuth');
+var hubspotHttpClient = require('./hubspotHttpClient');
+var resolveObjectType = require('./hubspotObjectTypes').resolveObjectType;
+var parseModifiedSince = require('./incrementalSince').parseModifiedSince;
 
 // ---------------------------------------------------------------------------
 // Known HubSpot properties requested per entity type, so that the objects
@@ -78,6 +52,19 @@ var ASSOCIATION_PAGE_LIMIT = 500;
 // ids per request.
 var BATCH_LIMIT = 100;
 
+// Property holding the last modification timestamp per entity, used by the
+// incremental ("modified since") mode. Contacts use their legacy name.
+var LAST_MODIFIED_PROPERTIES = {
+    companies: 'hs_lastmodifieddate',
+    contacts: 'lastmodifieddate',
+    deals: 'hs_lastmodifieddate'
+};
+
+// The CRM Search API returns at most 200 results per page and no more than
+// 10,000 results per query (paging "after" offset + limit).
+var SEARCH_PAGE_LIMIT = 200;
+var SEARCH_RESULT_CAP = 10000;
+
 /**
  * HubSpot Object Reader.
  *
@@ -109,6 +96,33 @@ var BATCH_LIMIT = 100;
  * the object id, createdAt/updatedAt/archived metadata, and all requested
  * properties as top-level fields.
  *
+ * Custom objects: when "objectType" is set (object type id such as
+ * "2-1234567", fully qualified name such as "p_contracts", or name), it
+ * replaces "entity". The custom object schema is resolved via
+ * /crm/v3/schemas on open() (see hubspotObjectTypes) and objects are read
+ * like the standard ones. For every object type the schema defines an
+ * association to, each page of objects is completed with the ids of the
+ * associated objects via the v4 Associations batch/read API, as
+ * "associations_<target name>" (semicolon-separated), e.g.
+ * associations_companies.
+ *
+ * Incremental mode: when "modifiedSince" is set (companies, contacts,
+ * deals and objectType only – for other entities it is rejected), the
+ * reader uses the CRM Search API instead of the list endpoint:
+ *   POST {baseUrl}/crm/v3/objects/{entity}/search
+ * filtered on the entity's last modification property (see
+ * LAST_MODIFIED_PROPERTIES) being >= the given timestamp and sorted by it
+ * ascending. The Search API stops paging after 10,000 results per query, so
+ * before reaching that cap the time window is slid forward: the query is
+ * restarted with the latest modification timestamp read so far as the new
+ * lower bound, skipping the objects already read at exactly that timestamp.
+ * After the last object, one additional record is yielded carrying the new
+ * high-water mark (recordType "watermark", highWaterMark as ISO timestamp),
+ * which the next run passes in as "modifiedSince" to continue where this
+ * one stopped. The plugin runtime keeps no state between runs, so the
+ * reader does not persist the watermark itself: the flow has to store the
+ * watermark record and map it into "modifiedSince" of the next run.
+ *
  * As a fourth "entity" option ("object associations"), the reader also
  * supports reading the associations between HubSpot CRM objects via
  * HubSpot's v4 Associations API:
@@ -221,13 +235,27 @@ var ACTIVITY_PROPERTIES = {
 
 function hubspotObjectReader(config, streamHelper, journal) {
     var baseUrl = getConfigValue(config, 'baseUrl', 'https://api.hubapi.com');
-    var entity = getConfigValue(config, 'entity', 'companies');
-    var authConfig = getConfigValue(config, 'authConfig', null);
-    var auth = getAuthFromAdminConfig(authConfig);
+    var objectType = String(getConfigValue(config, 'objectType', '') || '').trim();
+    var entity = objectType || getConfigValue(config, 'entity', 'companies');
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = hubspotAuth(authConfig, { baseUrl: baseUrl });
+    var http = hubspotHttpClient({
+        maxRetries: getConfigValue(config, 'maxRetries', 5),
+        requestsPer10Seconds: getConfigValue(config, 'requestsPer10Seconds', 100),
+        auth: auth,
+        journal: journal
+    });
     var isAssociations = entity === 'object associations';
     var isActivities = entity === 'activities';
     var isUsers = entity === 'users';
     var isDealStages = entity === 'deal stages';
+    var lastModifiedProperty = LAST_MODIFIED_PROPERTIES[String(entity)] || (objectType ? 'hs_lastmodifieddate' : '');
+    var modifiedSince = parseModifiedSince(getConfigValue(config, 'modifiedSince', ''), 'modified since');
+    if (modifiedSince !== null && !lastModifiedProperty) {
+        throw new Error('"modifiedSince" is not supported for entity "' + entity
+            + '" (only companies, contacts, deals and custom objects are read incrementally)');
+    }
+    var isDelta = modifiedSince !== null;
 
     var buffer = [];
     var bufferIndex = 0;
@@ -237,6 +265,19 @@ function hubspotObjectReader(config, streamHelper, journal) {
     var headers = null;
     var propertyNames = [];
 
+    // Association targets of a custom object ([{ toObjectType, toName }]),
+    // whose associated ids are added to every object read.
+    var associationTargets = [];
+
+    // State used only when isDelta === true: lower bound of the current
+    // search window, ids already read at exactly that timestamp (skipped
+    // after sliding the window), the latest timestamp read so far and the
+    // ids read at it.
+    var windowStart = 0;
+    var windowStartIds = {};
+    var highWaterMark = 0;
+    var highWaterMarkIds = {};
+
     // State used only when isAssociations === true.
     var pairIndex = 0;
     var sourceBuffer = [];
@@ -264,13 +305,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
             "Accept": "application/json"
         };
 
-        if (auth.type === 'bearer' && auth.token) {
-            hdrs["Authorization"] = "Bearer " + auth.token;
-        } else if (auth.type === 'basic' && auth.username) {
-            hdrs["Authorization"] = "Basic " + base64Encode(auth.username + ":" + auth.password);
-        }
-
-        return hdrs;
+        return auth.authorize(hdrs);
     }
 
     function normalizeBaseUrl(url) {
@@ -300,7 +335,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
     function fetchPropertyDefinitions(objectType) {
         try {
             var url = normalizeBaseUrl(baseUrl) + '/crm/v3/properties/' + encodeURIComponent(objectType);
-            var data = getJson(url, headers);
+            var data = http.getJson(url, headers);
             return (data && Array.isArray(data.results)) ? data.results : [];
         } catch (e) {
             return [];
@@ -542,7 +577,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
      * stages'.
      */
     function buildDealStageRecords() {
-        var data = getJson(buildDealPipelinesUrl(), headers);
+        var data = http.getJson(buildDealPipelinesUrl(), headers);
         var pipelines = (data && Array.isArray(data.results)) ? data.results : [];
 
         for (var p = 0; p < pipelines.length; p++) {
@@ -559,11 +594,156 @@ function hubspotObjectReader(config, streamHelper, journal) {
         }
     }
 
+    /**
+     * Fetches the next page of objects modified since the current window
+     * start via the CRM Search API (incremental mode), sliding the window
+     * forward before the Search API's result cap is reached. Pages whose
+     * objects were all read before are skipped.
+     */
+    function fetchNextSearchPage() {
+        buffer = [];
+        bufferIndex = 0;
+
+        while (buffer.length === 0 && hasMore) {
+            var body = {
+                filterGroups: [
+                    {
+                        filters: [
+                            {
+                                propertyName: lastModifiedProperty,
+                                operator: 'GTE',
+                                value: String(windowStart)
+                            }
+                        ]
+                    }
+                ],
+                sorts: [
+                    {
+                        propertyName: lastModifiedProperty,
+                        direction: 'ASCENDING'
+                    }
+                ],
+                properties: propertyNames,
+                limit: SEARCH_PAGE_LIMIT
+            };
+            if (afterCursor) {
+                body.after = afterCursor;
+            }
+
+            var url = normalizeBaseUrl(baseUrl) + "/crm/v3/objects/" + encodeURIComponent(entity) + "/search";
+            var data = http.postJson(url, body, headers);
+            var results = (data && Array.isArray(data.results)) ? data.results : [];
+
+            for (var i = 0; i < results.length; i++) {
+                var item = results[i] || {};
+                var id = toText(item.id);
+                var modified = Date.parse((item.properties || {})[lastModifiedProperty]);
+                if (isNaN(modified)) {
+                    modified = windowStart;
+                }
+                if (modified === windowStart && windowStartIds[id]) {
+                    continue;
+                }
+                if (modified > highWaterMark) {
+                    highWaterMark = modified;
+                    highWaterMarkIds = {};
+                }
+                if (modified === highWaterMark) {
+                    highWaterMarkIds[id] = true;
+                }
+                buffer.push(flattenRecord(item));
+            }
+
+            var next = (data && data.paging && data.paging.next && data.paging.next.after)
+                ? data.paging.next.after
+                : null;
+
+            if (!next) {
+                afterCursor = null;
+                hasMore = false;
+            } else if (parseInt(next, 10) + SEARCH_PAGE_LIMIT > SEARCH_RESULT_CAP) {
+                // Restart the query from the latest timestamp read so far.
+                if (highWaterMark > windowStart) {
+                    windowStart = highWaterMark;
+                    windowStartIds = highWaterMarkIds;
+                } else {
+                    // More than 10,000 objects share a single timestamp: the
+                    // window cannot slide without skipping some of them.
+                    if (journal && journal.onWarning) {
+                        journal.onWarning('More than ' + SEARCH_RESULT_CAP + ' ' + entity + ' share the modification timestamp '
+                            + new Date(windowStart).toISOString() + '; some of them could not be read');
+                    }
+                    windowStart = windowStart + 1;
+                    windowStartIds = {};
+                }
+                afterCursor = null;
+            } else {
+                afterCursor = next;
+            }
+        }
+    }
+
+    /**
+     * Builds the record yielded after the last object in incremental mode:
+     * the latest modification timestamp read (or the "modifiedSince" value
+     * if nothing changed), to be used as "modifiedSince" of the next run.
+     */
+    function buildWatermarkRecord() {
+        return {
+            recordType: 'watermark',
+            entity: entity,
+            watermarkProperty: lastModifiedProperty,
+            highWaterMark: new Date(highWaterMark).toISOString()
+        };
+    }
+
+    /**
+     * Adds the ids of the associated objects of every association target
+     * (custom objects only) to a page of flattened objects, as
+     * "associations_<target name>" (semicolon-separated, '' if none).
+     */
+    function attachAssociations(records) {
+        if (associationTargets.length === 0 || records.length === 0) return;
+
+        var ids = [];
+        var byId = {};
+        for (var i = 0; i < records.length; i++) {
+            ids.push(toText(records[i].id));
+            byId[toText(records[i].id)] = records[i];
+        }
+
+        for (var t = 0; t < associationTargets.length; t++) {
+            var column = 'associations_' + associationTargets[t].toName;
+            var seen = {};
+            for (var r = 0; r < records.length; r++) {
+                records[r][column] = '';
+            }
+
+            var chunks = chunkArray(ids, BATCH_LIMIT);
+            for (var c = 0; c < chunks.length; c++) {
+                var links = fetchAssociationBatch(entity, associationTargets[t].toObjectType, chunks[c]);
+                for (var l = 0; l < links.length; l++) {
+                    var record = byId[links[l].fromObjectId];
+                    var key = links[l].fromObjectId + '|' + links[l].toObjectId;
+                    if (!record || seen[key]) continue;
+                    seen[key] = true;
+                    record[column] = record[column] ? record[column] + ';' + links[l].toObjectId : links[l].toObjectId;
+                }
+            }
+        }
+    }
+
     function fetchNextPage() {
         if (!hasMore) return;
 
+        if (isDelta) {
+            fetchNextSearchPage();
+            attachAssociations(buffer);
+            return;
+        }
+
         var url = isUsers ? buildUsersUrl() : buildUrl();
-        var data = getJson(url, headers);
+        var data = http.getJson(url, headers);
 
         var results = (data && Array.isArray(data.results)) ? data.results : [];
         buffer = [];
@@ -571,6 +751,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
             buffer.push(isUsers ? flattenUserRecord(results[i]) : flattenRecord(results[i]));
         }
         bufferIndex = 0;
+        attachAssociations(buffer);
 
         if (data && data.paging && data.paging.next && data.paging.next.after) {
             afterCursor = data.paging.next.after;
@@ -599,7 +780,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
         }
 
         var url = normalizeBaseUrl(baseUrl) + "/crm/v3/objects/" + encodeURIComponent(fromEntity) + "?" + query.join("&");
-        var data = getJson(url, headers);
+        var data = http.getJson(url, headers);
 
         var results = (data && Array.isArray(data.results)) ? data.results : [];
         sourceBuffer = [];
@@ -638,7 +819,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
             var url = normalizeBaseUrl(baseUrl) + "/crm/v4/objects/" + encodeURIComponent(fromEntity) +
                 "/" + encodeURIComponent(fromId) + "/associations/" + encodeURIComponent(toEntity) +
                 "?" + query.join("&");
-            var data = getJson(url, headers);
+            var data = http.getJson(url, headers);
 
             var results = (data && Array.isArray(data.results)) ? data.results : [];
             for (var i = 0; i < results.length; i++) {
@@ -705,7 +886,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
             }
 
             var url = normalizeBaseUrl(baseUrl) + "/crm/v3/objects/" + encodeURIComponent(entityType) + "?" + query.join("&");
-            var data = getJson(url, headers);
+            var data = http.getJson(url, headers);
             var results = (data && Array.isArray(data.results)) ? data.results : [];
             for (var i = 0; i < results.length; i++) {
                 ids.push(results[i].id);
@@ -770,7 +951,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
                 return { id: id };
             })
         };
-        var data = postJson(url, body, headers);
+        var data = http.postJson(url, body, headers);
         var results = (data && Array.isArray(data.results)) ? data.results : [];
 
         for (var i = 0; i < results.length; i++) {
@@ -784,7 +965,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
 
             while (cursor) {
                 var contBody = { inputs: [{ id: fromId, after: cursor }] };
-                var contData = postJson(url, contBody, headers);
+                var contData = http.postJson(url, contBody, headers);
                 var contResults = (contData && Array.isArray(contData.results)) ? contData.results : [];
                 var contResult = contResults.length > 0 ? contResults[0] : null;
 
@@ -818,7 +999,7 @@ function hubspotObjectReader(config, streamHelper, journal) {
                 return { id: id };
             })
         };
-        var data = postJson(url, body, headers);
+        var data = http.postJson(url, body, headers);
         var results = (data && Array.isArray(data.results)) ? data.results : [];
 
         for (var i = 0; i < results.length; i++) {
@@ -923,6 +1104,20 @@ function hubspotObjectReader(config, streamHelper, journal) {
         open: function() {
             headers = buildHeaders();
 
+            associationTargets = [];
+            if (objectType) {
+                var objectTypeInfo = resolveObjectType(http, normalizeBaseUrl(baseUrl), headers, objectType, journal);
+                entity = objectTypeInfo.objectType;
+                var targetTypes = {};
+                for (var a = 0; a < objectTypeInfo.associations.length; a++) {
+                    var target = objectTypeInfo.associations[a];
+                    if (!targetTypes[target.toObjectType]) {
+                        targetTypes[target.toObjectType] = true;
+                        associationTargets.push({ toObjectType: target.toObjectType, toName: target.toName });
+                    }
+                }
+            }
+
             if (isAssociations) {
                 pairIndex = 0;
                 sourceBuffer = [];
@@ -963,6 +1158,13 @@ function hubspotObjectReader(config, streamHelper, journal) {
             }
 
             propertyNames = resolvePropertyNames();
+
+            if (isDelta) {
+                windowStart = modifiedSince;
+                windowStartIds = {};
+                highWaterMark = modifiedSince;
+                highWaterMarkIds = {};
+            }
         },
 
         readRecords: function*() {
@@ -1041,6 +1243,10 @@ function hubspotObjectReader(config, streamHelper, journal) {
                     yield buffer[bufferIndex++];
                 }
             }
+
+            if (isDelta) {
+                yield buildWatermarkRecord();
+            }
         },
 
         close: function() {
@@ -1052,6 +1258,11 @@ function hubspotObjectReader(config, streamHelper, journal) {
             headers = null;
             propertyNames = [];
 
+            windowStart = 0;
+            windowStartIds = {};
+            highWaterMark = 0;
+            highWaterMarkIds = {};
+
             pairIndex = 0;
             sourceBuffer = [];
             sourceBufferIndex = 0;
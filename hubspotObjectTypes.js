@@ -0,0 +1,193 @@
+/**
+ * HubSpot object type resolution shared by hubspotCrmWriter,
+ * hubspotObjectReader and hubspotSchemaReader.
+ *
+ * Besides the standard CRM objects (companies, contacts, deals, ...) the
+ * plugins accept custom objects, given by object type id ("2-1234567"),
+ * fully qualified name ("p1234567_contracts" or the short form
+ * "p_contracts"), name or label. Custom objects are discovered via the
+ * CRM Schemas API:
+ *   GET {baseUrl}/crm/v3/schemas
+ * which also provides their unique-value properties (usable as lookup /
+ * upsert key) and the object types they can be associated with.
+ */
+
+// Object type ids of the standard CRM objects, keyed by the name used in
+// the CRM v3 URLs.
+var STANDARD_OBJECT_TYPE_IDS = {
+    contacts: '0-1',
+    companies: '0-2',
+    deals: '0-3',
+    tickets: '0-5',
+    products: '0-7',
+    line_items: '0-8',
+    quotes: '0-14',
+    tasks: '0-27',
+    notes: '0-46',
+    meetings: '0-47',
+    calls: '0-48',
+    emails: '0-49',
+    leads: '0-136'
+};
+
+function standardNameOf(objectType) {
+    var text = String(objectType);
+    if (STANDARD_OBJECT_TYPE_IDS.hasOwnProperty(text.toLowerCase())) {
+        return text.toLowerCase();
+    }
+    for (var name in STANDARD_OBJECT_TYPE_IDS) {
+        if (STANDARD_OBJECT_TYPE_IDS.hasOwnProperty(name) && STANDARD_OBJECT_TYPE_IDS[name] === text) {
+            return name;
+        }
+    }
+    return '';
+}
+
+/**
+ * Returns true if `schema` is the custom object schema identified by
+ * `objectType` (object type id, fully qualified name, "p_<name>", name or
+ * singular / plural label; names and labels case-insensitively).
+ */
+function schemaMatches(schema, objectType) {
+    if (!schema) return false;
+    var text = String(objectType);
+    var lower = text.toLowerCase();
+    var name = String(schema.name || '').toLowerCase();
+    var labels = schema.labels || {};
+    return text === String(schema.objectTypeId)
+        || text === String(schema.fullyQualifiedName)
+        || lower === 'p_' + name
+        || lower === name
+        || lower === String(labels.singular || '').toLowerCase()
+        || lower === String(labels.plural || '').toLowerCase();
+}
+
+/**
+ * Returns the names of the unique-value properties of a custom object
+ * schema (hs_object_id excluded), in schema order.
+ */
+function uniquePropertiesOf(schema) {
+    var names = [];
+    var properties = (schema && Array.isArray(schema.properties)) ? schema.properties : [];
+    for (var p = 0; p < properties.length; p++) {
+        var property = properties[p];
+        if (property && property.hasUniqueValue === true && property.name && property.name !== 'hs_object_id') {
+            names.push(property.name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Describes the association definitions of a custom object schema from its
+ * own side: one entry per target object type and association type id.
+ * Targets are named by their standard name, custom targets by their object
+ * type id (with their schema name and unique properties attached).
+ */
+function associationsOf(schema, schemas) {
+    var associations = [];
+    var seen = {};
+    var definitions = Array.isArray(schema.associations) ? schema.associations : [];
+    for (var d = 0; d < definitions.length; d++) {
+        var definition = definitions[d];
+        if (!definition) continue;
+
+        var toObjectTypeId = String(definition.fromObjectTypeId) === String(schema.objectTypeId)
+            ? String(definition.toObjectTypeId)
+            : String(definition.fromObjectTypeId);
+        var key = toObjectTypeId + '|' + definition.id;
+        if (seen[key]) continue;
+        seen[key] = true;
+
+        var standardName = standardNameOf(toObjectTypeId);
+        var target = null;
+        for (var s = 0; s < schemas.length && !standardName && !target; s++) {
+            if (String(schemas[s].objectTypeId) === toObjectTypeId) {
+                target = schemas[s];
+            }
+        }
+
+        associations.push({
+            toObjectType: standardName || toObjectTypeId,
+            toName: standardName || (target ? String(target.name) : toObjectTypeId),
+            toCustom: !standardName,
+            toUniqueProperties: target ? uniquePropertiesOf(target) : [],
+            associationTypeId: definition.id,
+            label: definition.name || ''
+        });
+    }
+    return associations;
+}
+
+/**
+ * Resolves a configured object type.
+ *
+ * @param {object} http        HubSpot HTTP client (see hubspotHttpClient)
+ * @param {string} baseUrl     HubSpot API base URL without trailing slash
+ * @param {object} headers     Request headers
+ * @param {string} objectType  Standard object name or id, or custom object type id / name
+ * @param {object} [journal]   Plugin journal, used to warn when schemas cannot be read
+ * @returns {{objectType: string, objectTypeId: string, name: string, custom: boolean,
+ *            uniqueProperties: string[], associations: object[]}}
+ *          objectType is the value to use in CRM URLs (standard name or
+ *          custom object type id).
+ */
+function resolveObjectType(http, baseUrl, headers, objectType, journal) {
+    var text = String(objectType || '').trim();
+    var standardName = standardNameOf(text);
+    if (standardName) {
+        return {
+            objectType: standardName,
+            objectTypeId: STANDARD_OBJECT_TYPE_IDS[standardName],
+            name: standardName,
+            custom: false,
+            uniqueProperties: [],
+            associations: []
+        };
+    }
+
+    var schemas;
+    try {
+        var data = http.getJson(baseUrl + '/crm/v3/schemas', headers);
+        schemas = (data && Array.isArray(data.results)) ? data.results : [];
+    } catch (e) {
+        // Without the schema scope, object type ids and fully qualified
+        // names still work as they are, just without schema information.
+        if (/^2-\d+$/.test(text) || /^p\d*_/.test(text)) {
+            if (journal && journal.onWarning) {
+                journal.onWarning('Could not read the HubSpot custom object schemas (' + String(e)
+                    + '); using object type "' + text + '" without unique properties and associations');
+            }
+            return {
+                objectType: text,
+                objectTypeId: text,
+                name: text,
+                custom: true,
+                uniqueProperties: [],
+                associations: []
+            };
+        }
+        throw e;
+    }
+
+    for (var s = 0; s < schemas.length; s++) {
+        if (schemaMatches(schemas[s], text)) {
+            return {
+                objectType: String(schemas[s].objectTypeId),
+                objectTypeId: String(schemas[s].objectTypeId),
+                name: String(schemas[s].name),
+                custom: true,
+                uniqueProperties: uniquePropertiesOf(schemas[s]),
+                associations: associationsOf(schemas[s], schemas)
+            };
+        }
+    }
+
+    throw new Error('Unknown HubSpot object type "' + text + '": neither a standard object nor a custom object '
+        + 'schema with this object type id, fully qualified name or name');
+}
+
+module.exports = {
+    STANDARD_OBJECT_TYPE_IDS: STANDARD_OBJECT_TYPE_IDS,
+    resolveObjectType: resolveObjectType
+};
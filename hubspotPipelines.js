@@ -0,0 +1,148 @@
+/**
+ * Pipeline and stage resolution of hubspotCrmWriter for deals, tickets and
+ * leads.
+ *
+ * HubSpot stores pipelines and stages by internal id, stage ids differ per
+ * pipeline, and the same stage label may exist in several pipelines. The
+ * pipelines of an object type are read via
+ *   GET {baseUrl}/crm/v3/pipelines/{objectType}
+ * and the incoming pipeline / stage values resolved against them:
+ *  - A stage value listed in the stageMapping arg is replaced by its
+ *    mapping first, e.g. C4C's SalesPhaseCode "Z3" by "Negotiation".
+ *  - Pipelines and stages are found by id or (case-insensitively) label;
+ *    archived ones are ignored.
+ *  - Without a pipeline the stage must be unique across all pipelines; the
+ *    pipeline is then taken from it. With a pipeline the stage must belong
+ *    to it.
+ *
+ * stageMapping: entries "<source code>=[<pipeline>:]<stage>" separated by
+ * ";" or line breaks, e.g.
+ *   Z1=Appointment scheduled; Z2=Enterprise:Qualified to buy
+ * A mapped text that is itself a stage label or id is taken as stage even
+ * if it contains ":".
+ */
+
+/**
+ * Parses the stageMapping arg (see above). Returns a map source code →
+ * mapped text; throws on entries without "=" or without a stage.
+ */
+function parseStageMapping(value) {
+    var mapping = {};
+    var entries = String(value || '').split(/[;\r\n]+/);
+    for (var e = 0; e < entries.length; e++) {
+        var entry = entries[e].trim();
+        if (!entry) continue;
+        var separator = entry.indexOf('=');
+        var code = separator > 0 ? entry.substring(0, separator).trim() : '';
+        var target = separator > 0 ? entry.substring(separator + 1).trim() : '';
+        if (!code || !target) {
+            throw new Error('Invalid stage mapping entry "' + entry + '" (expected <source code>=[<pipeline>:]<stage>)');
+        }
+        mapping[code] = target;
+    }
+    return mapping;
+}
+
+function isActive(item) {
+    return item && item.archived !== true && String(item.archived) !== 'true';
+}
+
+/** Returns the active item with id `text`, else the one with label `text`. */
+function findByIdOrLabel(items, text) {
+    var value = String(text).trim();
+    var lower = value.toLowerCase();
+    for (var i = 0; i < items.length; i++) {
+        if (isActive(items[i]) && String(items[i].id) === value) return items[i];
+    }
+    for (var l = 0; l < items.length; l++) {
+        if (isActive(items[l]) && String(items[l].label || '').trim().toLowerCase() === lower) return items[l];
+    }
+    return null;
+}
+
+function stagesOf(pipeline) {
+    return Array.isArray(pipeline.stages) ? pipeline.stages : [];
+}
+
+/** Returns [{ pipeline, stage }] of the active pipelines having stage `text`. */
+function stageMatches(pipelines, text) {
+    var matches = [];
+    for (var p = 0; p < pipelines.length; p++) {
+        if (!isActive(pipelines[p])) continue;
+        var stage = findByIdOrLabel(stagesOf(pipelines[p]), text);
+        if (stage) matches.push({ pipeline: pipelines[p], stage: stage });
+    }
+    return matches;
+}
+
+function labelsOf(matches) {
+    var labels = [];
+    for (var m = 0; m < matches.length; m++) {
+        labels.push('"' + (matches[m].pipeline.label || matches[m].pipeline.id) + '"');
+    }
+    return labels.join(', ');
+}
+
+/**
+ * Resolves the pipeline and stage of a record.
+ *
+ * @param {object[]} pipelines     Pipelines of the object type (with stages)
+ * @param {object}   stageMapping  Parsed stageMapping arg
+ * @param {string}   pipelineText  Incoming pipeline id or label ('' if none)
+ * @param {string}   stageText     Incoming stage value ('' if none)
+ * @returns {{pipelineId: string, stageId: string, error: string, field: string}}
+ *          The resolved ids ('' when not given), or error with the field
+ *          ("pipeline" / "stage") it concerns.
+ */
+function resolvePipelineStage(pipelines, stageMapping, pipelineText, stageText) {
+    var result = { pipelineId: '', stageId: '', error: '', field: '' };
+
+    if (stageText && stageMapping.hasOwnProperty(stageText)) {
+        var mapped = stageMapping[stageText];
+        var colon = mapped.indexOf(':');
+        if (colon > 0 && stageMatches(pipelines, mapped).length === 0) {
+            pipelineText = mapped.substring(0, colon).trim();
+            stageText = mapped.substring(colon + 1).trim();
+        } else {
+            stageText = mapped;
+        }
+    }
+
+    var pipeline = null;
+    if (pipelineText) {
+        pipeline = findByIdOrLabel(pipelines, pipelineText);
+        if (!pipeline) {
+            result.error = '"' + pipelineText + '" is no pipeline';
+            result.field = 'pipeline';
+            return result;
+        }
+        result.pipelineId = String(pipeline.id);
+    }
+    if (!stageText) return result;
+
+    var matches = stageMatches(pipelines, stageText);
+    if (pipeline) {
+        var stage = findByIdOrLabel(stagesOf(pipeline), stageText);
+        if (stage) {
+            result.stageId = String(stage.id);
+        } else {
+            result.error = '"' + stageText + '" is no stage of pipeline "' + (pipeline.label || pipeline.id) + '"'
+                + (matches.length > 0 ? ' (but of ' + labelsOf(matches) + ')' : '');
+            result.field = 'stage';
+        }
+    } else if (matches.length === 1) {
+        result.pipelineId = String(matches[0].pipeline.id);
+        result.stageId = String(matches[0].stage.id);
+    } else {
+        result.error = matches.length === 0
+            ? '"' + stageText + '" is no stage of any pipeline'
+            : '"' + stageText + '" is a stage of several pipelines (' + labelsOf(matches) + '), set the pipeline';
+        result.field = 'stage';
+    }
+    return result;
+}
+
+module.exports = {
+    parseStageMapping: parseStageMapping,
+    resolvePipelineStage: resolvePipelineStage
+};
@@ -0,0 +1,153 @@
+/**
+ * Conversion of incoming values to the formats of HubSpot property types,
+ * used by hubspotCrmWriter.
+ *
+ * Source systems deliver values in their own formats – SAP C4C e.g. dates
+ * as "/Date(1712345678000)/" – while HubSpot expects, per property type
+ * (see GET /crm/v3/properties/{objectType}):
+ *   date         midnight UTC of the day, as epoch milliseconds
+ *   datetime     epoch milliseconds
+ *   number       plain decimal number ("1234.5")
+ *   bool         "true" / "false"
+ *   enumeration  option values, ";"-separated for multiple checkboxes
+ * coercePropertyValue() converts the values it recognises and returns
+ * others unchanged, so that HubSpot rejects them with its own message.
+ *
+ * Recognised dates: Date objects, OData v2 "/Date(ms)/" (with optional
+ * offset), ISO 8601 strings (without offset taken as UTC) and epoch values
+ * (10 digits or less taken as epoch seconds, which have 10 digits until
+ * 2286, while epoch milliseconds have 13 since 2001).
+ * Recognised numbers: digits with "." or "," as decimal separator and the
+ * other one, blanks or apostrophes as thousands separators; a separator
+ * occurring once and not followed by the other one is the decimal
+ * separator ("1.234" and "1,234" both become 1.234).
+ */
+
+var TRUE_VALUES = ['true', '1', 'yes', 'y', 'x', 'ja', 'on'];
+var FALSE_VALUES = ['false', '0', 'no', 'n', 'nein', 'off'];
+
+/**
+ * Returns the epoch ms of a date value (see above), NaN if it is none.
+ */
+function parseDateValue(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    if (typeof value === 'object' && typeof value.getTime === 'function') {
+        return value.getTime();
+    }
+    if (typeof value === 'number') {
+        if (!isFinite(value)) return NaN;
+        return Math.abs(value) < 1e11 ? value * 1000 : value;
+    }
+
+    var text = String(value).trim();
+    var odata = /^\/Date\((-?\d+)(?:[+-]\d{4})?\)\/$/.exec(text);
+    if (odata) {
+        return parseInt(odata[1], 10);
+    }
+    if (/^-?\d+$/.test(text)) {
+        var numeric = parseInt(text, 10);
+        return text.replace('-', '').length <= 10 ? numeric * 1000 : numeric;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return NaN;
+    if (/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        text += 'Z';
+    }
+    return Date.parse(text);
+}
+
+/**
+ * Returns a number value in HubSpot's format ("-1234.5"), null if it is
+ * none (see above).
+ */
+function normalizeNumber(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? String(value) : null;
+    }
+    var text = String(value).replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^[+-]?[\d.,]+$/.test(text)) return null;
+
+    var lastDot = text.lastIndexOf('.');
+    var lastComma = text.lastIndexOf(',');
+    var decimal = '';
+    if (lastDot !== -1 && lastComma !== -1) {
+        decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1) {
+        decimal = text.indexOf('.') === lastDot ? '.' : '';
+    } else if (lastComma !== -1) {
+        decimal = text.indexOf(',') === lastComma ? ',' : '';
+    }
+    var grouping = decimal === '.' ? ',' : (decimal === ',' ? '.' : (lastDot !== -1 ? '.' : ','));
+    text = text.split(grouping).join('');
+    if (decimal === ',') {
+        text = text.replace(',', '.');
+    }
+    if (!/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text)) return null;
+    return text.replace(/^\+/, '');
+}
+
+/**
+ * Maps enumeration values to option values: as is when they are one,
+ * else by case-insensitive match of an option's value or label (C4C e.g.
+ * delivers labels). Several values are separated by ";".
+ */
+function normalizeOptions(text, options) {
+    var parts = String(text).split(';');
+    for (var p = 0; p < parts.length; p++) {
+        var part = parts[p].trim();
+        var lower = part.toLowerCase();
+        var match = null;
+        for (var o = 0; o < options.length && !match; o++) {
+            if (options[o] && String(options[o].value) === part) match = options[o];
+        }
+        for (var l = 0; l < options.length && !match; l++) {
+            if (!options[l]) continue;
+            if (String(options[l].value).toLowerCase() === lower || String(options[l].label || '').toLowerCase() === lower) {
+                match = options[l];
+            }
+        }
+        parts[p] = match ? String(match.value) : part;
+    }
+    return parts.join(';');
+}
+
+/**
+ * Converts a value for a property.
+ *
+ * @param {*} value              Value of the incoming record
+ * @param {string} text          Its string form as written without conversion
+ * @param {object} [definition]  HubSpot property definition (type, options)
+ * @returns {string} The value to write – `text` when there is nothing to convert
+ */
+function coercePropertyValue(value, text, definition) {
+    if (!definition) return text;
+    var ms;
+    switch (String(definition.type)) {
+        case 'date':
+            ms = parseDateValue(value);
+            if (isNaN(ms)) return text;
+            var day = new Date(ms);
+            return String(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+        case 'datetime':
+            ms = parseDateValue(value);
+            return isNaN(ms) ? text : String(ms);
+        case 'number':
+            // The raw value: the writer turns "1,5" into an id list "1;5"
+            var number = normalizeNumber(typeof value === 'number' || typeof value === 'string' ? value : text);
+            return number === null ? text : number;
+        case 'bool':
+            var lower = String(text).trim().toLowerCase();
+            if (TRUE_VALUES.indexOf(lower) !== -1) return 'true';
+            if (FALSE_VALUES.indexOf(lower) !== -1) return 'false';
+            return text;
+        case 'enumeration':
+            return definition.options && definition.options.length ? normalizeOptions(text, definition.options) : text;
+        default:
+            return text;
+    }
+}
+
+module.exports = {
+    coercePropertyValue: coercePropertyValue,
+    parseDateValue: parseDateValue,
+    normalizeNumber: normalizeNumber
+};
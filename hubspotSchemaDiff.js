@@ -0,0 +1,174 @@
+/**
+ * Comparison of HubSpot property definitions, used by hubspotSchemaReader
+ * (mode "diff") to find diverging schemas between two portals – e.g. a
+ * sandbox and production – or between a portal and a stored snapshot.
+ *
+ * The definitions of the portal the reader reads ("current") are compared
+ * with those of the compare portal or snapshot ("base"); every difference
+ * becomes one record (objectType, property, change, severity, baseValue,
+ * currentValue), changes described from base to current:
+ *   change              severity
+ *   property added      error   (info for HubSpot-defined properties)
+ *   property removed    error   (info for HubSpot-defined properties)
+ *   type changed        error
+ *   option added        error   (values of the option are rejected by base)
+ *   option removed      error   (values of the option are rejected by current)
+ *   fieldType changed   warning
+ *   option label changed, label changed, group changed   info
+ * i.e. "error" marks differences that make writes succeeding on one side
+ * fail on the other, "warning" ones that change how values are edited and
+ * "info" cosmetic ones.
+ */
+
+/**
+ * Returns the options of a definition as array: the API's array, a JSON
+ * array string or a ";"-separated list of values (flat snapshot rows, used
+ * as labels, too). Throws naming the property if the JSON is malformed.
+ */
+function optionsOf(definition) {
+    var options = definition.options;
+    if (options === null || options === undefined || options === '') return [];
+    if (typeof options === 'string') {
+        var text = options.trim();
+        if (text.charAt(0) === '[') {
+            var list;
+            try {
+                list = JSON.parse(text);
+            } catch (e) {
+                throw new Error('Invalid options JSON of property ' + textOf(definition.name) + ': ' + String(e.message || e));
+            }
+            if (!Array.isArray(list)) {
+                throw new Error('Invalid options JSON of property ' + textOf(definition.name) + ': expected an array');
+            }
+            return list;
+        }
+        var values = text.split(';');
+        var parsed = [];
+        for (var v = 0; v < values.length; v++) {
+            var value = values[v].trim();
+            if (value) parsed.push({ label: value, value: value, displayOrder: parsed.length });
+        }
+        return parsed;
+    }
+    return Array.isArray(options) ? options : [];
+}
+
+function isHubspotDefined(definition) {
+    return definition.hubspotDefined === true || String(definition.hubspotDefined) === 'true';
+}
+
+function textOf(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Parses a snapshot of property definitions: JSON (string or value) of an
+ * array of definitions as yielded by hubspotSchemaReader, or of an API
+ * response { "results": [...] }. Throws on anything else.
+ */
+function parseSchemaSnapshot(value) {
+    var snapshot = value;
+    if (typeof snapshot === 'string') {
+        try {
+            snapshot = JSON.parse(snapshot);
+        } catch (e) {
+            throw new Error('Invalid schema snapshot JSON: ' + String(e.message || e));
+        }
+    }
+    if (snapshot && !Array.isArray(snapshot) && Array.isArray(snapshot.results)) {
+        snapshot = snapshot.results;
+    }
+    if (!Array.isArray(snapshot)) {
+        throw new Error('Invalid schema snapshot: expected an array of property definitions or {"results": [...]}');
+    }
+    return snapshot;
+}
+
+/**
+ * Compares two lists of property definitions.
+ *
+ * @param {object[]} base        Definitions of the compare portal or snapshot
+ * @param {object[]} current     Definitions of the read portal
+ * @param {string}   objectType  Object type set in the difference records
+ * @returns {object[]} One record per difference (see above), in the order
+ *          of the current definitions followed by removed properties
+ */
+function diffPropertyDefinitions(base, current, objectType) {
+    var differences = [];
+
+    function add(property, change, severity, baseValue, currentValue) {
+        differences.push({
+            objectType: objectType,
+            property: property,
+            change: change,
+            severity: severity,
+            baseValue: baseValue,
+            currentValue: currentValue
+        });
+    }
+
+    function compareField(name, field, change, severity, baseDefinition, currentDefinition) {
+        var baseValue = textOf(baseDefinition[field]);
+        var currentValue = textOf(currentDefinition[field]);
+        if (baseValue !== currentValue) add(name, change, severity, baseValue, currentValue);
+    }
+
+    function compareOptions(name, baseDefinition, currentDefinition) {
+        var baseOptions = {};
+        var baseList = optionsOf(baseDefinition);
+        for (var b = 0; b < baseList.length; b++) {
+            baseOptions[textOf(baseList[b].value)] = baseList[b];
+        }
+        var currentOptions = {};
+        var currentList = optionsOf(currentDefinition);
+        for (var c = 0; c < currentList.length; c++) {
+            var value = textOf(currentList[c].value);
+            currentOptions[value] = true;
+            if (!baseOptions.hasOwnProperty(value)) {
+                add(name, 'option added', 'error', '', value);
+            } else if (textOf(baseOptions[value].label) !== textOf(currentList[c].label)) {
+                add(name, 'option label changed', 'info', value + ': ' + textOf(baseOptions[value].label),
+                    value + ': ' + textOf(currentList[c].label));
+            }
+        }
+        for (var r = 0; r < baseList.length; r++) {
+            if (!currentOptions.hasOwnProperty(textOf(baseList[r].value))) {
+                add(name, 'option removed', 'error', textOf(baseList[r].value), '');
+            }
+        }
+    }
+
+    var baseByName = {};
+    for (var b = 0; b < base.length; b++) {
+        if (base[b] && base[b].name) baseByName[String(base[b].name)] = base[b];
+    }
+    var seen = {};
+    for (var c = 0; c < current.length; c++) {
+        var definition = current[c];
+        if (!definition || !definition.name) continue;
+        var name = String(definition.name);
+        seen[name] = true;
+        var baseDefinition = baseByName[name];
+        if (!baseDefinition) {
+            add(name, 'property added', isHubspotDefined(definition) ? 'info' : 'error', '', textOf(definition.type));
+            continue;
+        }
+        compareField(name, 'type', 'type changed', 'error', baseDefinition, definition);
+        compareField(name, 'fieldType', 'fieldType changed', 'warning', baseDefinition, definition);
+        compareOptions(name, baseDefinition, definition);
+        compareField(name, 'label', 'label changed', 'info', baseDefinition, definition);
+        compareField(name, 'groupName', 'group changed', 'info', baseDefinition, definition);
+    }
+    for (var r = 0; r < base.length; r++) {
+        if (!base[r] || !base[r].name || seen[String(base[r].name)]) continue;
+        add(String(base[r].name), 'property removed', isHubspotDefined(base[r]) ? 'info' : 'error',
+            textOf(base[r].type), '');
+    }
+    return differences;
+}
+
+module.exports = {
+    diffPropertyDefinitions: diffPropertyDefinitions,
+    parseSchemaSnapshot: parseSchemaSnapshot,
+    optionsOf: optionsOf
+};
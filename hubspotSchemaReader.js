@@ -1,49 +1,82 @@
-function getAuthFromAdminConfig(authConfig) {
-    if (!authConfig) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    var properties = getConfigValue(authConfig, 'properties', null);
-    var subType = getConfigValue(authConfig, 'subType', '');
-
-    if (!properties) {
-        return { type: 'none', token: '', username: '', password: '' };
-    }
-
-    if (subType === 'BEARER_TOKEN') {
-        return {
-            type: 'bearer',
-            token: getConfigValue(properties, 'bearerToken', ''),
-            username: '',
-            password: ''
-        };
-    } else if (subType === 'BASIC_AUTH') {
-        return {
-            type: 'basic',
-            token: '',
-            username: getConfigValue(properties, 'basicAuthUsername', ''),
-            password: getConfigValue(properties, 'basicAuthPassword', '')
-        };
-    }
-
-    return { type: 'none', token: '', username: '', password: '' };
-}
+var hubspotAuth = require('./hubspotAuth');
+var hubspotHttpClient = require('./hubspotHttpClient');
+var resolveObjectType = require('./hubspotObjectTypes').resolveObjectType;
+var hubspotSchemaDiff = require('./hubspotSchemaDiff');
 
 /**
  * HubSpot Schema Reader.
  *
- * Reads the property schema (field definitions) of a HubSpot CRM object type
- * (companies, contacts, deals) via the HubSpot CRM Properties API:
- *   GET {baseUrl}/crm/v3/properties/{entity}
+ * Reads schema information of a HubSpot CRM object type – standard objects
+ * (companies, contacts, deals, leads, tickets, notes, tasks, calls, emails,
+ * meetings, line_items, products, quotes) or custom objects. "mode" selects
+ * what is read:
+ *   properties    GET {baseUrl}/crm/v3/properties/{entity}
+ *                 one record per property/field definition (name, label,
+ *                 type, fieldType, groupName, description, options, ...)
+ *   groups        GET {baseUrl}/crm/v3/properties/{entity}/groups
+ *                 one record per property group (name, label, displayOrder,
+ *                 archived)
+ *   associations  GET {baseUrl}/crm/v4/associations/{entity}/{toObjectType}/labels
+ *                 one record per association type between the two object
+ *                 types (category, typeId, label), with fromObjectType and
+ *                 toObjectType
+ *   schemas       GET {baseUrl}/crm/v3/schemas
+ *                 one record per custom object schema (objectTypeId,
+ *                 fullyQualifiedName, labels, properties, associations, ...);
+ *                 entity and objectType are not used
+ *   diff          the property definitions of the portal compared with those
+ *                 of a second portal (compareBaseUrl, compareAuthConfig /
+ *                 compareOauthConfig) or of a stored snapshot ("snapshot":
+ *                 JSON array of definitions as read in mode properties);
+ *                 one record per difference (objectType, property, change,
+ *                 severity, baseValue, currentValue), see hubspotSchemaDiff
+ *
+ * With flattenOptions = "true" the properties mode yields one record per
+ * enumeration option instead (objectType, property, propertyLabel, type,
+ * fieldType, groupName and the option's label, value, description,
+ * displayOrder, hidden); properties without options are left out.
  *
- * Each yielded record represents one property/field definition of the
- * selected entity (name, label, type, fieldType, description, options, ...).
+ * When "objectType" is set (object type id such as "2-1234567", fully
+ * qualified name such as "p_contracts", or name of a custom object), it
+ * replaces "entity"; custom objects are resolved via /crm/v3/schemas (see
+ * hubspotObjectTypes). "toObjectType" accepts the same values. In mode
+ * diff "objectType" is resolved in each portal, as custom object type ids
+ * differ between portals.
  */
+
+var MODES = ['properties', 'groups', 'associations', 'schemas', 'diff'];
+
+// Fields of an enumeration option copied into the flattened option records.
+var OPTION_FIELDS = ['label', 'value', 'description', 'displayOrder', 'hidden'];
+
 function hubspotSchemaReader(config, streamHelper, journal) {
     var baseUrl = getConfigValue(config, 'baseUrl', 'https://api.hubapi.com');
     var entity = getConfigValue(config, 'entity', 'companies');
-    var authConfig = getConfigValue(config, 'authConfig', null);
-    var auth = getAuthFromAdminConfig(authConfig);
+    var objectType = String(getConfigValue(config, 'objectType', '') || '').trim();
+    var mode = String(getConfigValue(config, 'mode', 'properties') || 'properties').trim();
+    var toObjectType = String(getConfigValue(config, 'toObjectType', '') || '').trim();
+    var flattenOptions = String(getConfigValue(config, 'flattenOptions', 'false')) === 'true';
+    var snapshot = getConfigValue(config, 'snapshot', '');
+    var compareBaseUrl = getConfigValue(config, 'compareBaseUrl', '') || baseUrl;
+    var compareAuthConfig = getConfigValue(config, 'compareOauthConfig', null) || getConfigValue(config, 'compareAuthConfig', null);
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = hubspotAuth(authConfig, { baseUrl: baseUrl });
+    var http = hubspotHttpClient({
+        maxRetries: getConfigValue(config, 'maxRetries', 5),
+        requestsPer10Seconds: getConfigValue(config, 'requestsPer10Seconds', 100),
+        auth: auth,
+        journal: journal
+    });
+
+    if (MODES.indexOf(mode) === -1) {
+        throw new Error('Unknown mode "' + mode + '" (expected ' + MODES.join(', ') + ')');
+    }
+    if (mode === 'associations' && !toObjectType) {
+        throw new Error('Mode "associations" needs the object type to read the association labels to (toObjectType)');
+    }
+    if (mode === 'diff' && !snapshot && !compareAuthConfig) {
+        throw new Error('Mode "diff" needs a snapshot or the authentication of the portal to compare with (compareAuthConfig / compareOauthConfig)');
+    }
 
     var properties = [];
     var index = 0;
@@ -54,11 +87,7 @@ function hubspotSchemaReader(config, streamHelper, journal) {
             "Accept": "application/json"
         };
 
-        if (auth.type === 'bearer' && auth.token) {
-            hdrs["Authorization"] = "Bearer " + auth.token;
-        }
-
-        return hdrs;
+        return auth.authorize(hdrs);
     }
 
     function normalizeBaseUrl(url) {
@@ -66,17 +95,106 @@ function hubspotSchemaReader(config, streamHelper, journal) {
         return url.charAt(url.length - 1) === '/' ? url.slice(0, -1) : url;
     }
 
+    function resultsOf(url, headers, client) {
+        var data = (client || http).getJson(url, headers);
+        return (data && Array.isArray(data.results)) ? data.results : [];
+    }
+
+    /**
+     * Returns the property definitions to compare with: the snapshot, else
+     * those of the compare portal.
+     */
+    function baseDefinitions() {
+        if (snapshot) {
+            return hubspotSchemaDiff.parseSchemaSnapshot(snapshot);
+        }
+        var url = normalizeBaseUrl(compareBaseUrl);
+        var compareAuth = hubspotAuth(compareAuthConfig, { baseUrl: url });
+        var compareHttp = hubspotHttpClient({
+            maxRetries: getConfigValue(config, 'maxRetries', 5),
+            requestsPer10Seconds: getConfigValue(config, 'requestsPer10Seconds', 100),
+            auth: compareAuth,
+            journal: journal
+        });
+        var headers = compareAuth.authorize({
+            "Content-Type": "application/json",
+            "Accept": "application/json"
+        });
+        var compareEntity = objectType
+            ? resolveObjectType(compareHttp, url, headers, objectType, journal).objectType
+            : entity;
+        return resultsOf(url + '/crm/v3/properties/' + encodeURIComponent(compareEntity), headers, compareHttp);
+    }
+
+    /** Returns one record per enumeration option of the property definitions. */
+    function optionRecords(definitions) {
+        var records = [];
+        for (var p = 0; p < definitions.length; p++) {
+            var definition = definitions[p] || {};
+            var options = definition.options || [];
+            for (var o = 0; o < options.length; o++) {
+                var record = {
+                    objectType: entity,
+                    property: definition.name,
+                    propertyLabel: definition.label,
+                    type: definition.type,
+                    fieldType: definition.fieldType,
+                    groupName: definition.groupName
+                };
+                for (var f = 0; f < OPTION_FIELDS.length; f++) {
+                    record[OPTION_FIELDS[f]] = options[o][OPTION_FIELDS[f]];
+                }
+                records.push(record);
+            }
+        }
+        return records;
+    }
+
+    /** Returns the association type records between entity and toObjectType. */
+    function associationRecords(url, headers, target) {
+        var labels = resultsOf(url, headers);
+        var records = [];
+        for (var l = 0; l < labels.length; l++) {
+            records.push({
+                fromObjectType: entity,
+                toObjectType: target,
+                category: labels[l].category,
+                typeId: labels[l].typeId,
+                label: labels[l].label === undefined ? null : labels[l].label
+            });
+        }
+        return records;
+    }
+
     return {
         open: function() {
             properties = [];
             index = 0;
 
+            var url = normalizeBaseUrl(baseUrl);
             var headers = buildHeaders();
-            var url = normalizeBaseUrl(baseUrl) + '/crm/v3/properties/' + encodeURIComponent(entity);
-            var data = getJson(url, headers);
-
-            if (data && Array.isArray(data.results)) {
-                properties = data.results;
+            if (mode === 'schemas') {
+                properties = resultsOf(url + '/crm/v3/schemas', headers);
+            } else {
+                if (objectType) {
+                    entity = resolveObjectType(http, url, headers, objectType, journal).objectType;
+                }
+                var entityPath = encodeURIComponent(entity);
+                if (mode === 'groups') {
+                    properties = resultsOf(url + '/crm/v3/properties/' + entityPath + '/groups', headers);
+                } else if (mode === 'associations') {
+                    var target = resolveObjectType(http, url, headers, toObjectType, journal).objectType;
+                    properties = associationRecords(url + '/crm/v4/associations/' + entityPath + '/'
+                        + encodeURIComponent(target) + '/labels', headers, target);
+                } else if (mode === 'diff') {
+                    properties = hubspotSchemaDiff.diffPropertyDefinitions(baseDefinitions(),
+                        resultsOf(url + '/crm/v3/properties/' + entityPath, headers), entity);
+                } else {
+                    properties = resultsOf(url + '/crm/v3/properties/' + entityPath, headers);
+                    if (flattenOptions) {
+                        properties = optionRecords(properties);
+                    }
+                }
             }
 
             if (journal && journal.onProgress) {
@@ -0,0 +1,264 @@
+var hubspotAuth = require('./hubspotAuth');
+var hubspotHttpClient = require('./hubspotHttpClient');
+var resolveObjectType = require('./hubspotObjectTypes').resolveObjectType;
+var createResultOutput = require('./writerResults').createResultOutput;
+var optionsOf = require('./hubspotSchemaDiff').optionsOf;
+
+/**
+ * HubSpot Schema Writer.
+ *
+ * Creates missing properties and property groups of a HubSpot CRM object
+ * type from property definitions as yielded by hubspotSchemaReader (name,
+ * label, type, fieldType, groupName, description, options, ...), e.g. to
+ * promote the schema of a sandbox portal to production, or to set up the
+ * external id properties (external_account_id, ...) and custom fields the
+ * hubspotCrmWriter writes to.
+ *
+ * On open() the existing properties and groups are read:
+ *   GET {baseUrl}/crm/v3/properties/{entity}
+ *   GET {baseUrl}/crm/v3/properties/{entity}/groups
+ * Per record:
+ *  - HubSpot-defined and calculated properties are skipped; they cannot be
+ *    created via the API.
+ *  - A missing property is created via POST /crm/v3/properties/{entity}
+ *    with the fields of CREATE_FIELDS, after creating its group via
+ *    POST /crm/v3/properties/{entity}/groups if that is missing too (label:
+ *    the record's groupLabel, else the group name).
+ *  - An existing property is left as is. A differing type is reported via
+ *    journal.onWarning.
+ *  - Enumeration options an existing property lacks are NOT added: HubSpot
+ *    adds options only via PATCH, which the plugin runtime does not offer
+ *    (getJson / postJson only). The property gets the result action
+ *    "incomplete" with the options in missingOptions and errorMessage, and
+ *    a warning – add them in HubSpot's settings.
+ *
+ * Records may be flat table rows: "options" is then either the JSON array
+ * of the reader or a ";"-separated list of values (see
+ * hubspotSchemaDiff.optionsOf); malformed JSON makes the record an error.
+ *
+ * Every record produces a result record (recordNumber, entity, name,
+ * groupName, action create / exists / incomplete / skip / error, groupCreated,
+ * missingOptions, errorMessage), emitted via streamHelper right away (see
+ * writerResults). With dryRun = "true" nothing is created; the results show the
+ * planned actions.
+ *
+ * When "objectType" is set (see hubspotObjectTypes) it replaces "entity".
+ */
+
+// Fields of a property definition sent when creating it.
+var CREATE_FIELDS = ['name', 'label', 'type', 'fieldType', 'groupName', 'description', 'displayOrder',
+    'hasUniqueValue', 'hidden', 'formField'];
+
+// Fields of an enumeration option sent when creating a property.
+var OPTION_FIELDS = ['label', 'value', 'description', 'displayOrder', 'hidden'];
+
+function isTrue(value) {
+    return value === true || String(value) === 'true';
+}
+
+/**
+ * Returns the definition to create from a property record; label, type and
+ * fieldType default to the name, "string" and "text".
+ */
+function createInput(record) {
+    var input = {};
+    for (var f = 0; f < CREATE_FIELDS.length; f++) {
+        var value = record[CREATE_FIELDS[f]];
+        if (value === null || value === undefined || value === '') continue;
+        if (CREATE_FIELDS[f] === 'hasUniqueValue' || CREATE_FIELDS[f] === 'hidden' || CREATE_FIELDS[f] === 'formField') {
+            value = isTrue(value);
+        } else if (CREATE_FIELDS[f] === 'displayOrder') {
+            value = parseInt(value, 10);
+            if (isNaN(value)) continue;
+        }
+        input[CREATE_FIELDS[f]] = value;
+    }
+    if (!input.label) input.label = input.name;
+    if (!input.type) input.type = 'string';
+    if (!input.fieldType) input.fieldType = input.type === 'string' ? 'text' : input.type;
+    var options = optionsOf(record);
+    if (options.length > 0) {
+        input.options = [];
+        for (var o = 0; o < options.length; o++) {
+            var option = {};
+            for (var k = 0; k < OPTION_FIELDS.length; k++) {
+                if (options[o][OPTION_FIELDS[k]] !== undefined) option[OPTION_FIELDS[k]] = options[o][OPTION_FIELDS[k]];
+            }
+            input.options.push(option);
+        }
+    }
+    return input;
+}
+
+function hubspotSchemaWriter(config, streamHelper, journal) {
+    var baseUrl = String(getConfigValue(config, 'baseUrl', 'https://api.hubapi.com')).replace(/\/+$/, '');
+    var entity = getConfigValue(config, 'entity', 'companies');
+    var objectType = String(getConfigValue(config, 'objectType', '') || '').trim();
+    var dryRun = String(getConfigValue(config, 'dryRun', 'false')) === 'true';
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = hubspotAuth(authConfig, { baseUrl: baseUrl });
+    var http = hubspotHttpClient({
+        maxRetries: getConfigValue(config, 'maxRetries', 5),
+        requestsPer10Seconds: getConfigValue(config, 'requestsPer10Seconds', 100),
+        auth: auth,
+        journal: journal
+    });
+    var headers = {};
+
+    // Existing properties and group names of the portal by name, updated
+    // with the ones created (or planned) in this run.
+    var existingProperties = {};
+    var existingGroups = {};
+    var recordCount = 0;
+    var resultOutput = createResultOutput(streamHelper);
+
+    function propertiesUrl(suffix) {
+        return baseUrl + '/crm/v3/properties/' + encodeURIComponent(entity) + (suffix || '');
+    }
+
+    function warn(message) {
+        if (journal && journal.onWarning) journal.onWarning(message);
+    }
+
+    /** Creates the group of a property unless it exists. Returns true if created. */
+    function ensureGroup(record) {
+        var groupName = String(record.groupName);
+        if (existingGroups[groupName]) return false;
+        if (!dryRun) {
+            http.postJson(propertiesUrl('/groups'), {
+                name: groupName,
+                label: String(record.groupLabel || groupName)
+            }, headers);
+        }
+        existingGroups[groupName] = true;
+        return true;
+    }
+
+    /**
+     * Compares an existing property with the record and returns the option
+     * values it lacks; a differing type is warned about.
+     */
+    function missingOptionsOf(existing, record) {
+        var name = String(record.name);
+        if (record.type && existing.type && String(record.type) !== String(existing.type)) {
+            warn('Property ' + name + ' of ' + entity + ' exists with type ' + existing.type
+                + ' (' + record.type + ' in the source); it is not changed');
+        }
+        var known = {};
+        var existingOptions = existing.options || [];
+        for (var e = 0; e < existingOptions.length; e++) {
+            known[String(existingOptions[e].value)] = true;
+        }
+        var missing = [];
+        var options = optionsOf(record);
+        for (var o = 0; o < options.length; o++) {
+            if (!known[String(options[o].value)]) missing.push(String(options[o].value));
+        }
+        if (missing.length > 0) {
+            warn('Property ' + name + ' of ' + entity + ' lacks the options ' + missing.join(', ')
+                + '; add them in HubSpot (options can only be added via PATCH, which the plugin runtime does not offer)');
+        }
+        return missing;
+    }
+
+    function writeProperty(record) {
+        var result = {
+            recordNumber: recordCount,
+            entity: entity,
+            name: String(record.name || ''),
+            groupName: String(record.groupName || ''),
+            action: 'skip',
+            groupCreated: false,
+            missingOptions: '',
+            errorMessage: ''
+        };
+
+        if (!result.name) {
+            result.action = 'error';
+            result.errorMessage = 'The record has no property name';
+        } else if (existingProperties[result.name]) {
+            try {
+                var missing = missingOptionsOf(existingProperties[result.name], record);
+                result.action = missing.length > 0 ? 'incomplete' : 'exists';
+                result.missingOptions = missing.join(';');
+                if (missing.length > 0) {
+                    result.errorMessage = 'The options ' + missing.join(', ') + ' were not added: '
+                        + 'the plugin runtime cannot send the PATCH request HubSpot requires; add them in HubSpot';
+                }
+            } catch (e) {
+                result.action = 'error';
+                result.errorMessage = String(e.message || e);
+                if (journal && journal.onError) {
+                    journal.onError('property: ' + result.name + ' | error: ' + result.errorMessage);
+                }
+            }
+        } else if (isTrue(record.hubspotDefined) || isTrue(record.calculated)) {
+            warn('Property ' + result.name + ' of ' + entity + ' is '
+                + (isTrue(record.hubspotDefined) ? 'HubSpot-defined' : 'calculated') + ' and cannot be created; skipped');
+        } else {
+            try {
+                var input = createInput(record);
+                if (!input.groupName) {
+                    throw new Error('The property has no groupName');
+                }
+                result.groupCreated = ensureGroup(record);
+                if (!dryRun) {
+                    http.postJson(propertiesUrl(), input, headers);
+                }
+                existingProperties[result.name] = input;
+                result.action = 'create';
+            } catch (e) {
+                result.action = 'error';
+                result.errorMessage = String(e.message || e);
+                if (journal && journal.onError) {
+                    journal.onError('POST ' + propertiesUrl() + ' | property: ' + result.name + ' | error: ' + result.errorMessage);
+                }
+            }
+        }
+        resultOutput.write(result);
+    }
+
+    return {
+        open: function () {
+            headers = auth.authorize({
+                "Content-Type": "application/json",
+                "Accept": "application/json"
+            });
+            if (objectType) {
+                entity = resolveObjectType(http, baseUrl, headers, objectType, journal).objectType;
+            }
+
+            existingProperties = {};
+            existingGroups = {};
+            var properties = http.getJson(propertiesUrl(), headers);
+            var results = (properties && properties.results) || [];
+            for (var p = 0; p < results.length; p++) {
+                existingProperties[String(results[p].name)] = results[p];
+            }
+            var groups = http.getJson(propertiesUrl('/groups'), headers);
+            var groupResults = (groups && groups.results) || [];
+            for (var g = 0; g < groupResults.length; g++) {
+                existingGroups[String(groupResults[g].name)] = true;
+            }
+
+            recordCount = 0;
+        },
+
+        writeRecord: function (record) {
+            if (typeof record === 'string') {
+                record = JSON.parse(record);
+            }
+            recordCount++;
+            writeProperty(record || {});
+            if (journal && journal.onProgress) {
+                journal.onProgress(recordCount);
+            }
+        },
+
+        close: function () {
+            recordCount = 0;
+        }
+    };
+}
+
+module.exports = hubspotSchemaWriter;
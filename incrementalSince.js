@@ -0,0 +1,32 @@
+/**
+ * Parsing of the point in time incremental (delta) reads start at, shared
+ * by hubspotObjectReader ("modifiedSince") and
+ * sapC4cCorporateAccountsReader ("changedSince").
+ */
+
+/**
+ * Parses an incremental-read timestamp arg: an ISO 8601 date/time or epoch
+ * milliseconds. Returns the timestamp in ms, or null when the arg is empty.
+ *
+ * @param {*} value       The arg value
+ * @param {string} label  Name of the arg used in the error message, e.g. "modified since"
+ */
+function parseModifiedSince(value, label) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    var text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    var parsed = Date.parse(text);
+    if (isNaN(parsed)) {
+        throw new Error('Invalid "' + (label || 'modified since') + '" value: ' + text
+            + ' (expected an ISO 8601 timestamp or epoch milliseconds)');
+    }
+    return parsed;
+}
+
+module.exports = {
+    parseModifiedSince: parseModifiedSince
+};
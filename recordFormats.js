@@ -0,0 +1,49 @@
+/**
+ * Incoming record formats shared by the writers (hubspotCrmWriter,
+ * sapC4cWriter).
+ *
+ * A record arrives as flat object (table row), as key-value list
+ * ([{ key, value }, …], with the field names listed in keyValueListToObject)
+ * or as JSON string of either; normalizeToFlat turns each of them into a
+ * flat key → value object.
+ */
+
+/**
+ * Converts a key-value list (array of {key,value} pairs) to a flat object.
+ * Recognises common key/value field names.
+ */
+function keyValueListToObject(list) {
+    var obj = {};
+    for (var idx = 0; idx < list.length; idx++) {
+        var item = list[idx];
+        if (!item || typeof item !== 'object') continue;
+        var k = item.key || item.Key || item.name || item.Name
+             || item.property || item.Property || item.field || item.Field || '';
+        var v = item.value !== undefined ? item.value
+              : (item.Value !== undefined ? item.Value : '');
+        if (k) {
+            obj[String(k)] = v;
+        }
+    }
+    return obj;
+}
+
+/**
+ * Normalises any incoming record format into a flat key→value object:
+ * JSON strings are parsed, key-value lists converted, flat objects kept.
+ */
+function normalizeToFlat(record) {
+    if (!record) return {};
+    if (typeof record === 'string') {
+        record = JSON.parse(record);
+    }
+    if (Array.isArray(record)) {
+        return keyValueListToObject(record);
+    }
+    return record;
+}
+
+module.exports = {
+    keyValueListToObject: keyValueListToObject,
+    normalizeToFlat: normalizeToFlat
+};
@@ -0,0 +1,204 @@
+/**
+ * SAP C4C authentication shared by the C4C plugins.
+ *
+ * Supports the AdminConfig subtypes
+ *  - BASIC_AUTH   (basicAuthUsername / basicAuthPassword),
+ *  - BEARER_TOKEN (bearerToken, sent as is),
+ *  - OAUTH2       OAuth 2.0 access tokens fetched from the tenant's token
+ *                 endpoint (default {baseUrl}/sap/bc/sec/oauth2/token) with
+ *                 one of the grant types
+ *                   "client_credentials" – client id and secret only,
+ *                   "saml2_bearer"       – a SAML 2.0 assertion identifying
+ *                                          the (technical) business user,
+ *                                          base64url-encoded, as issued by
+ *                                          the identity provider trusted by
+ *                                          the tenant.
+ *                 Properties: oauthTokenUrl, oauthClientId,
+ *                 oauthClientSecret, oauthGrantType, oauthScope,
+ *                 oauthSamlAssertion.
+ *
+ * Access tokens are cached per token endpoint, client (id and secret),
+ * grant type, scope and SAML assertion for as long as the runtime keeps
+ * this module loaded, so that consecutive runs and several plugins with the
+ * same credentials share one token, while changed credentials never get a
+ * token issued for the previous ones (see httpAuth). A token is renewed
+ * shortly before it expires – via its refresh token if the server
+ * issued one, otherwise with the original grant – and immediately when a
+ * request is rejected with HTTP 401 (see send()).
+ *
+ * Token requests are form-encoded (see httpAuth.formEncode).
+ */
+
+var httpAuth = require('./httpAuth');
+
+var DEFAULT_TOKEN_PATH = '/sap/bc/sec/oauth2/token';
+
+var GRANT_TYPES = {
+    client_credentials: 'client_credentials',
+    saml2_bearer: 'urn:ietf:params:oauth:grant-type:saml2-bearer'
+};
+
+// AdminConfig properties of the OAUTH2 subtype by field.
+var OAUTH_PROPERTIES = {
+    tokenUrl: 'oauthTokenUrl',
+    clientId: 'oauthClientId',
+    clientSecret: 'oauthClientSecret',
+    grantType: 'oauthGrantType',
+    scope: 'oauthScope',
+    samlAssertion: 'oauthSamlAssertion'
+};
+
+// Cached tokens by cacheKeyOf(oauth).
+var tokenCache = httpAuth.createTokenCache();
+
+function getAuthFromAdminConfig(authConfig) {
+    var auth = httpAuth.getAuthFromAdminConfig(authConfig, OAUTH_PROPERTIES);
+    if (auth.oauth && !auth.oauth.grantType) {
+        auth.oauth.grantType = 'client_credentials';
+    }
+    return auth;
+}
+
+function cacheKeyOf(oauth) {
+    return [oauth.tokenUrl, oauth.clientId, oauth.clientSecret, oauth.grantType, oauth.scope, oauth.samlAssertion].join('|');
+}
+
+/**
+ * Creates the authentication of a C4C plugin.
+ *
+ * @param {object} authConfig         AdminConfig (BASIC_AUTH, BEARER_TOKEN or OAUTH2)
+ * @param {object} options
+ * @param {string} options.baseUrl    Tenant base URL, used for the default token endpoint
+ * @param {object} [options.journal]  Plugin journal, notes token renewals after a 401
+ * @returns {{type: string, headers: function, invalidate: function, send: function}}
+ */
+function sapC4cAuth(authConfig, options) {
+    options = options || {};
+    var auth = getAuthFromAdminConfig(authConfig);
+    var journal = options.journal || null;
+    var oauth = auth.oauth || null;
+
+    if (oauth) {
+        if (!oauth.tokenUrl) {
+            oauth.tokenUrl = String(options.baseUrl || '').replace(/\/+$/, '') + DEFAULT_TOKEN_PATH;
+        }
+        if (!GRANT_TYPES[oauth.grantType]) {
+            throw new Error('Unknown OAuth grant type "' + oauth.grantType + '" (expected client_credentials or saml2_bearer)');
+        }
+        if (!oauth.clientId) {
+            throw new Error('The OAuth AdminConfig has no client id (oauthClientId)');
+        }
+        if (oauth.grantType === 'saml2_bearer' && !oauth.samlAssertion) {
+            throw new Error('The OAuth grant type saml2_bearer needs a SAML assertion (oauthSamlAssertion)');
+        }
+    }
+
+    /**
+     * Requests a token and stores it in the cache. Uses the refresh token
+     * of `previous` if there is one, falling back to the configured grant
+     * when the refresh is rejected.
+     */
+    function requestToken(previous) {
+        var params;
+        if (previous && previous.refreshToken) {
+            params = { grant_type: 'refresh_token', refresh_token: previous.refreshToken };
+        } else {
+            params = { grant_type: GRANT_TYPES[oauth.grantType], client_id: oauth.clientId, scope: oauth.scope };
+            if (oauth.grantType === 'saml2_bearer') {
+                params.assertion = oauth.samlAssertion;
+            }
+        }
+
+        var response;
+        try {
+            response = postJson(oauth.tokenUrl, httpAuth.formEncode(params), {
+                "Content-Type": "application/x-www-form-urlencoded",
+                "Accept": "application/json",
+                "Authorization": "Basic " + base64Encode(oauth.clientId + ":" + oauth.clientSecret)
+            });
+        } catch (e) {
+            if (previous && previous.refreshToken) {
+                return requestToken(null);
+            }
+            throw new Error('OAuth token request to ' + oauth.tokenUrl + ' failed: ' + String(e));
+        }
+        if (!response || !response.access_token) {
+            if (previous && previous.refreshToken) {
+                return requestToken(null);
+            }
+            var reason = response && (response.error_description || response.error);
+            throw new Error('OAuth token request to ' + oauth.tokenUrl + ' failed: '
+                + (reason ? String(reason) : 'no access token in the response'));
+        }
+
+        return tokenCache.store(cacheKeyOf(oauth), response, '');
+    }
+
+    function currentToken() {
+        return tokenCache.valid(cacheKeyOf(oauth)) || requestToken(tokenCache.get(cacheKeyOf(oauth)));
+    }
+
+    /**
+     * Returns a copy of `baseHeaders` with the Authorization header of the
+     * configured authentication (fetching an access token if needed).
+     */
+    function headers(baseHeaders) {
+        var hdrs = {};
+        for (var key in baseHeaders || {}) {
+            if (baseHeaders.hasOwnProperty(key)) hdrs[key] = baseHeaders[key];
+        }
+        if (auth.type === 'basic' && auth.username && auth.password) {
+            hdrs["Authorization"] = "Basic " + base64Encode(auth.username + ":" + auth.password);
+        } else if (auth.type === 'bearer' && auth.token) {
+            hdrs["Authorization"] = "Bearer " + auth.token;
+        } else if (auth.type === 'oauth2') {
+            hdrs["Authorization"] = "Bearer " + currentToken().accessToken;
+        }
+        return hdrs;
+    }
+
+    /**
+     * Drops the cached access token (but keeps its refresh token), so that
+     * the next request renews it.
+     */
+    function invalidate() {
+        if (oauth) {
+            tokenCache.invalidate(cacheKeyOf(oauth));
+        }
+    }
+
+    return {
+        type: auth.type,
+        headers: headers,
+        invalidate: invalidate,
+
+        /**
+         * Sends a request via `request(headers)` with the authorized
+         * `baseHeaders`. With OAuth, a request rejected with HTTP 401 (token
+         * revoked or expired early) is sent once more with a renewed token.
+         */
+        send: function (baseHeaders, request) {
+            try {
+                return request(headers(baseHeaders));
+            } catch (e) {
+                if (auth.type !== 'oauth2' || httpAuth.statusCodeOf(e) !== 401) {
+                    throw e;
+                }
+                if (journal && journal.onWarning) {
+                    journal.onWarning('SAP C4C rejected the OAuth access token (HTTP 401); requesting a new one');
+                }
+                invalidate();
+                return request(headers(baseHeaders));
+            }
+        }
+    };
+}
+
+/** Empties the token cache (e.g. after changing credentials). */
+sapC4cAuth.clearTokenCache = function () {
+    tokenCache.clear();
+};
+
+sapC4cAuth.getAuthFromAdminConfig = getAuthFromAdminConfig;
+
+module.exports = sapC4cAuth;
@@ -0,0 +1,520 @@
+var sapC4cAuth = require('./sapC4cAuth');
+var parseModifiedSince = require('./incrementalSince').parseModifiedSince;
+
+/**
+ * Splits a comma-separated list arg ($select / $expand) into trimmed,
+ * non-empty names.
+ */
+function parseNameList(value) {
+    var names = [];
+    var parts = String(value || '').split(',');
+    for (var i = 0; i < parts.length; i++) {
+        var name = parts[i].trim();
+        if (name && names.indexOf(name) === -1) {
+            names.push(name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Converts an OData date value to epoch ms: "/Date(1712345678000)/" (with
+ * optional "+0000" offset, OData v2) or an ISO 8601 string (OData v4).
+ * Returns NaN for anything else.
+ */
+function parseODataDate(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    var match = /^\/Date\((-?\d+)(?:[+-]\d{4})?\)\/$/.exec(String(value));
+    if (match) {
+        return parseInt(match[1], 10);
+    }
+    return Date.parse(String(value));
+}
+
+// Values of the "flatten" arg.
+var FLATTEN_MODES = ['none', 'fields', 'records'];
+
+// Flags marking the main entry of an expanded child collection (e.g. the
+// main address of an account), checked in this order.
+var MAIN_INDICATORS = ['MainIndicator', 'DefaultIndicator', 'IsDefault'];
+
+/**
+ * Converts a value for flattened output: OData v2 dates ("/Date(...)/") to
+ * ISO 8601 timestamps, anything else unchanged.
+ */
+function flattenValue(value) {
+    if (typeof value === 'string' && value.indexOf('/Date(') === 0) {
+        var ms = parseODataDate(value);
+        if (!isNaN(ms)) return new Date(ms).toISOString();
+    }
+    return value;
+}
+
+/**
+ * Splits an entity into its plain fields – without __metadata, OData v4
+ * annotations and navigation properties, dates converted by flattenValue –
+ * and its expanded child collections by navigation property name.
+ * Deferred (not expanded) navigation properties are dropped.
+ */
+function splitEntity(entity) {
+    var fields = {};
+    var children = {};
+    for (var key in entity) {
+        if (!entity.hasOwnProperty(key) || key === '__metadata' || key.indexOf('@odata.') !== -1) continue;
+        var value = entity[key];
+        if (Array.isArray(value)) {
+            children[key] = value;
+        } else if (value && typeof value === 'object' && Array.isArray(value.results)) {
+            children[key] = value.results;
+        } else if (value && typeof value === 'object' && value.__deferred) {
+            continue;
+        } else if (value && typeof value === 'object' && value.__metadata) {
+            children[key] = [value];
+        } else {
+            fields[key] = flattenValue(value);
+        }
+    }
+    return { fields: fields, children: children };
+}
+
+/**
+ * Returns the main entry of a child collection: the first one flagged by
+ * one of MAIN_INDICATORS, else the first one.
+ */
+function mainChild(children) {
+    for (var m = 0; m < MAIN_INDICATORS.length; m++) {
+        for (var c = 0; c < children.length; c++) {
+            var flag = children[c] ? children[c][MAIN_INDICATORS[m]] : null;
+            if (flag === true || flag === 'true') return children[c];
+        }
+    }
+    return children[0] || null;
+}
+
+// Path of the standard C4C OData service, used for "collection" names
+// without a path.
+var DEFAULT_SERVICE_PATH = '/sap/c4c/odata/v1/c4codataapi';
+
+/**
+ * SAP C4C OData reader.
+ *
+ * Supports $filter, $expand, $select and pagination via $top/$skip.
+ * The "top" arg limits total records returned; "pageSize" controls page size.
+ *
+ * The collection is either one of the "endpoint" options or, when
+ * "collection" is set, any entity set of the OData service at
+ * "servicePath" (default: the standard c4codataapi service; custom business
+ * objects live in their own services, e.g. /sap/c4c/odata/cust/v1/<name>).
+ * A collection starting with "/" is taken as full path. The entity sets
+ * and their fields can be listed with sapC4cMetadataReader. With "select"
+ * set only the listed fields are read; navigation properties named in
+ * "extends" and, in incremental mode, the change date field are added to
+ * the $select automatically.
+ *
+ * Server-driven paging: C4C caps the number of entities per response
+ * server-side (1000) and then returns a "__next" link (OData v4:
+ * "@odata.nextLink") carrying a skip token. Whenever a response contains
+ * such a link it is followed as is, instead of computing the next $skip, so
+ * that a page size above the server's cap does not truncate the result.
+ * The first request asks for $inlinecount=allpages; the total count
+ * returned ("__count" / "@odata.count", capped at "top") is passed to
+ * journal.onProgress as second argument. Inconsistent pages are reported
+ * via journal.onWarning: a server cap below "pageSize", pages longer than
+ * requested, and pages shorter than requested without a next link although
+ * the total count says more entities exist – in that case reading continues
+ * with $skip rather than stopping early.
+ *
+ * Incremental mode: when "changedSince" is set, the filter
+ *   {changeDateField} ge datetimeoffset'{changedSince}'
+ * is added (and-combined with a configured $filter) and the collection is
+ * read ordered by {changeDateField} and ObjectID, so that $skip paging stays
+ * stable. After the last entity one additional record is yielded
+ * (recordType "watermark") whose highWaterMark is the latest change
+ * timestamp read, or "changedSince" itself if nothing changed; it is the
+ * "changedSince" of the next run. Entities changed exactly at the watermark
+ * are read again by the next run.
+ *
+ * Flattening: "flatten" turns the OData entities into writer-friendly
+ * records. In both modes __metadata and deferred navigation properties are
+ * dropped and "/Date(...)/" values become ISO timestamps.
+ *  - "fields": per expanded navigation property (see "extends") the main
+ *    entry – flagged by MainIndicator / DefaultIndicator / IsDefault, else
+ *    the first – is added as fields "<navigation>_<field>", together with
+ *    "<navigation>Count", the number of entries, e.g.
+ *    CorporateAccountAddresses_City and CorporateAccountAddressesCount.
+ *  - "records": the entity is yielded with recordType set to the
+ *    collection name, followed by one record per entry of each expanded
+ *    navigation property (recordType = navigation name) carrying the
+ *    entity's ObjectID as ParentObjectID.
+ * "top" and the progress count entities, not the records they are
+ * flattened into.
+ *
+ * Authentication: "oauthConfig" (AdminConfig OAUTH2) if set, else
+ * "authConfig" (BASIC_AUTH); see sapC4cAuth. Every page request is
+ * authorized anew, so an access token expiring during a long run is
+ * renewed in between.
+ */
+function sapC4cCorporateAccountsReader(config, streamHelper, journal) {
+    var baseUrl = getConfigValue(config, 'baseUrl', 'https://my360473.crm.ondemand.com');
+    var endpoint = getConfigValue(
+        config,
+        'endpoint',
+        '/sap/c4c/odata/v1/c4codataapi/CorporateAccountCollection'
+    );
+    var collection = String(getConfigValue(config, 'collection', '') || '').trim();
+    if (collection) {
+        var servicePath = String(getConfigValue(config, 'servicePath', '') || '').trim() || DEFAULT_SERVICE_PATH;
+        endpoint = collection.charAt(0) === '/'
+            ? collection
+            : servicePath.replace(/\/+$/, '') + '/' + collection;
+    }
+    var topLimit = parseInt(getConfigValue(config, 'top', 0), 10);
+    if (!topLimit || topLimit < 1) {
+        topLimit = 0;
+    }
+    var pageSize = parseInt(getConfigValue(config, 'pageSize', 100), 10);
+    if (!pageSize || pageSize < 1) {
+        pageSize = 100;
+    }
+
+    var filter = getConfigValue(config, 'filter', '');
+    var expands = getConfigValue(config, 'extends', '');
+    if (!expands) {
+        expands = getConfigValue(config, 'expand', '');
+    }
+    var selectFields = parseNameList(getConfigValue(config, 'select', ''));
+    var flatten = String(getConfigValue(config, 'flatten', '') || 'none').trim();
+    if (FLATTEN_MODES.indexOf(flatten) === -1) {
+        throw new Error('Unknown flatten mode "' + flatten + '" (expected ' + FLATTEN_MODES.join(', ') + ')');
+    }
+    var collectionName = endpoint.slice(endpoint.lastIndexOf('/') + 1);
+
+    var changeDateField = getConfigValue(config, 'changeDateField', '') || 'LastChangeDateTime';
+    var changedSince = parseModifiedSince(getConfigValue(config, 'changedSince', ''), 'changed since');
+    var isDelta = changedSince !== null;
+    var highWaterMark = 0;
+
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = sapC4cAuth(authConfig, { baseUrl: baseUrl, journal: journal });
+
+    var skip = 0;
+    var nextLink = null;
+    var requestedTop = 0;
+    var receivedForTop = 0;
+    var totalCount = null;
+    var serverCapReported = false;
+    var hasMore = true;
+    var buffer = [];
+    var bufferIndex = 0;
+    var recordCount = 0;
+
+    var baseHeaders = {
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+    };
+
+    /**
+     * Returns the records an entity is yielded as in the configured
+     * flatten mode (see above).
+     */
+    function flattenEntity(entity) {
+        var parts = splitEntity(entity);
+        var navigation;
+        if (flatten === 'fields') {
+            var record = parts.fields;
+            for (navigation in parts.children) {
+                if (!parts.children.hasOwnProperty(navigation)) continue;
+                var main = mainChild(parts.children[navigation]);
+                var mainFields = main ? splitEntity(main).fields : {};
+                for (var field in mainFields) {
+                    if (mainFields.hasOwnProperty(field)) record[navigation + '_' + field] = mainFields[field];
+                }
+                record[navigation + 'Count'] = parts.children[navigation].length;
+            }
+            return [record];
+        }
+
+        var parent = { recordType: collectionName };
+        for (var key in parts.fields) {
+            if (parts.fields.hasOwnProperty(key)) parent[key] = parts.fields[key];
+        }
+        var records = [parent];
+        for (navigation in parts.children) {
+            if (!parts.children.hasOwnProperty(navigation)) continue;
+            for (var c = 0; c < parts.children[navigation].length; c++) {
+                var child = { recordType: navigation, ParentObjectID: parts.fields.ObjectID };
+                var childFields = splitEntity(parts.children[navigation][c] || {}).fields;
+                for (var name in childFields) {
+                    if (childFields.hasOwnProperty(name)) child[name] = childFields[name];
+                }
+                records.push(child);
+            }
+        }
+        return records;
+    }
+
+    function normalizeRecords(data) {
+        if (!data) return [];
+        if (data.d && Array.isArray(data.d.results)) return data.d.results;
+        if (Array.isArray(data.value)) return data.value;
+        if (Array.isArray(data.results)) return data.results;
+        return [];
+    }
+
+    /**
+     * Returns the next link of a response ("__next" in OData v2,
+     * "@odata.nextLink" in v4) as absolute URL, or null.
+     */
+    function readNextLink(data) {
+        if (!data) return null;
+        var link = (data.d && data.d.__next) || data['@odata.nextLink'] || data.__next || null;
+        if (!link) return null;
+        link = String(link);
+        if (/^https?:\/\//i.test(link)) return link;
+        if (link.charAt(0) === '/') return baseUrl + link;
+        // Relative to the service root, i.e. the endpoint's parent path
+        return baseUrl + endpoint.slice(0, endpoint.lastIndexOf('/') + 1) + link;
+    }
+
+    /**
+     * Returns the total count of a response requested via $inlinecount
+     * ("__count" in OData v2, "@odata.count" in v4), or null.
+     */
+    function readTotalCount(data) {
+        if (!data) return null;
+        var count = data.d && data.d.__count !== undefined ? data.d.__count
+            : (data['@odata.count'] !== undefined ? data['@odata.count'] : data.__count);
+        var parsed = parseInt(count, 10);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    function warn(message) {
+        if (journal && journal.onWarning) {
+            journal.onWarning(message);
+        }
+    }
+
+    /**
+     * Combines the configured $filter with the incremental change-date
+     * filter (if any).
+     */
+    function buildFilter() {
+        if (!isDelta) {
+            return filter;
+        }
+        var since = new Date(changedSince).toISOString().replace(/\.\d{3}Z$/, 'Z');
+        var deltaFilter = changeDateField + " ge datetimeoffset'" + since + "'";
+        return filter ? "(" + filter + ") and " + deltaFilter : deltaFilter;
+    }
+
+    /**
+     * Returns the $select value: the configured fields plus the expanded
+     * navigation properties (which OData only returns when selected) and,
+     * in incremental mode, the change date field; '' to read all fields.
+     */
+    function buildSelect() {
+        if (selectFields.length === 0) {
+            return '';
+        }
+        var fields = selectFields.concat(parseNameList(expands));
+        if (isDelta) {
+            fields.push(changeDateField);
+        }
+        return parseNameList(fields.join(',')).join(',');
+    }
+
+    function buildUrl() {
+        var effectiveTop = pageSize;
+        if (topLimit > 0) {
+            var remaining = topLimit - recordCount;
+            if (remaining <= 0) {
+                return null;
+            }
+            if (remaining < effectiveTop) {
+                effectiveTop = remaining;
+            }
+        }
+
+        var query = [];
+        query.push("$top=" + encodeURIComponent(String(effectiveTop)));
+        query.push("$skip=" + encodeURIComponent(String(skip)));
+        query.push("sap-label=true");
+        if (skip === 0) {
+            query.push("$inlinecount=allpages");
+        }
+
+        var effectiveFilter = buildFilter();
+        if (effectiveFilter) {
+            query.push("$filter=" + encodeURIComponent(String(effectiveFilter)));
+        }
+        if (isDelta) {
+            query.push("$orderby=" + encodeURIComponent(changeDateField + " asc,ObjectID asc"));
+        }
+        if (expands) {
+            query.push("$expand=" + encodeURIComponent(String(expands)));
+        }
+        var select = buildSelect();
+        if (select) {
+            query.push("$select=" + encodeURIComponent(select));
+        }
+
+        return { url: baseUrl + endpoint + "?" + query.join("&"), top: effectiveTop };
+    }
+
+    /**
+     * Fetches the next page into the buffer: the next link of the previous
+     * response if it had one, else the next $top/$skip request. Once a
+     * request (including the pages the server split it into) is complete,
+     * decides from the number of entities received whether to go on.
+     */
+    function fetchNextPage() {
+        if (!hasMore) return;
+
+        var url;
+        if (nextLink) {
+            if (topLimit > 0 && recordCount >= topLimit) {
+                hasMore = false;
+                return;
+            }
+            url = nextLink;
+        } else {
+            var request = buildUrl();
+            if (!request) {
+                hasMore = false;
+                return;
+            }
+            url = request.url;
+            requestedTop = request.top;
+            receivedForTop = 0;
+        }
+        // Authorized per page, so that OAuth tokens are renewed during long runs.
+        var data = auth.send(baseHeaders, function (headers) {
+            return getJson(url, headers);
+        });
+
+        buffer = normalizeRecords(data);
+        bufferIndex = 0;
+        receivedForTop += buffer.length;
+        if (topLimit > 0 && buffer.length > topLimit - recordCount) {
+            // Over-long page: neither the records nor the watermark go beyond "top"
+            buffer = buffer.slice(0, Math.max(0, topLimit - recordCount));
+        }
+
+        var count = readTotalCount(data);
+        if (count !== null && totalCount === null) {
+            totalCount = topLimit > 0 ? Math.min(count, topLimit) : count;
+        }
+
+        if (isDelta) {
+            for (var i = 0; i < buffer.length; i++) {
+                var changed = parseODataDate(buffer[i] ? buffer[i][changeDateField] : null);
+                if (!isNaN(changed) && changed > highWaterMark) {
+                    highWaterMark = changed;
+                }
+            }
+        }
+
+        nextLink = readNextLink(data);
+        if (nextLink) {
+            if (receivedForTop < requestedTop && !serverCapReported) {
+                serverCapReported = true;
+                warn('SAP C4C returned ' + buffer.length + ' entities for $top=' + requestedTop + ' of ' + endpoint
+                    + ' (server-side page limit); following its next links');
+            }
+            return;
+        }
+
+        var read = skip + receivedForTop;
+        if (receivedForTop > requestedTop) {
+            warn('SAP C4C returned ' + receivedForTop + ' entities for $top=' + requestedTop + ' of ' + endpoint
+                + '; the page size is inconsistent');
+        }
+        if (receivedForTop === 0) {
+            hasMore = false;
+        } else if (receivedForTop < requestedTop) {
+            if (totalCount !== null && read < totalCount) {
+                warn('SAP C4C returned ' + receivedForTop + ' entities for $top=' + requestedTop + ' of ' + endpoint
+                    + ' without a next link although ' + totalCount + ' were announced and ' + read
+                    + ' were read; continuing with $skip=' + read);
+                skip = read;
+            } else {
+                hasMore = false;
+            }
+        } else {
+            skip = read;
+        }
+    }
+
+    return {
+        open: function() {
+            skip = 0;
+            nextLink = null;
+            totalCount = null;
+            serverCapReported = false;
+            hasMore = true;
+            buffer = [];
+            bufferIndex = 0;
+            recordCount = 0;
+            highWaterMark = isDelta ? changedSince : 0;
+        },
+
+        readRecords: function*() {
+            while (true) {
+                if (bufferIndex >= buffer.length) {
+                    if (!hasMore) {
+                        break;
+                    }
+                    fetchNextPage();
+                    if (buffer.length === 0 && !hasMore) {
+                        break;
+                    }
+                }
+
+                while (bufferIndex < buffer.length) {
+                    if (topLimit > 0 && recordCount >= topLimit) {
+                        hasMore = false;
+                        bufferIndex = buffer.length;
+                        break;
+                    }
+                    recordCount++;
+                    if (journal && journal.onProgress) {
+                        if (totalCount !== null) {
+                            journal.onProgress(recordCount, totalCount);
+                        } else {
+                            journal.onProgress(recordCount);
+                        }
+                    }
+                    if (flatten === 'none') {
+                        yield buffer[bufferIndex++];
+                        continue;
+                    }
+                    var flattened = flattenEntity(buffer[bufferIndex++]);
+                    for (var f = 0; f < flattened.length; f++) {
+                        yield flattened[f];
+                    }
+                }
+            }
+
+            if (isDelta) {
+                yield {
+                    recordType: 'watermark',
+                    endpoint: endpoint,
+                    watermarkProperty: changeDateField,
+                    highWaterMark: new Date(highWaterMark).toISOString()
+                };
+            }
+        },
+
+        close: function() {
+            skip = 0;
+            nextLink = null;
+            totalCount = null;
+            hasMore = true;
+            buffer = [];
+            bufferIndex = 0;
+            recordCount = 0;
+        }
+    };
+}
+
+module.exports = sapC4cCorporateAccountsReader;
@@ -0,0 +1,167 @@
+var sapC4cAuth = require('./sapC4cAuth');
+
+// Path of the standard C4C OData service.
+var DEFAULT_SERVICE_PATH = '/sap/c4c/odata/v1/c4codataapi';
+
+/**
+ * Describes a JSON value of a sampled entity: "dateTime" for OData v2
+ * dates ("/Date(...)/"), else its JSON type ("unknown" for null).
+ */
+function valueTypeOf(value) {
+    if (value === null || value === undefined) return 'unknown';
+    if (typeof value === 'string' && /^\/Date\(-?\d+([+-]\d{4})?\)\/$/.test(value)) return 'dateTime';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'object') return 'object';
+    return 'string';
+}
+
+/**
+ * Returns true if a JSON value of a sampled entity is a navigation
+ * property: deferred ({ __deferred: { uri } }) or expanded to a list
+ * ({ results: [...] }).
+ */
+function isNavigationValue(value) {
+    return !!value && typeof value === 'object'
+        && (!!value.__deferred || Array.isArray(value.results));
+}
+
+/**
+ * SAP C4C metadata reader.
+ *
+ * Lists what sapC4cCorporateAccountsReader can read from an OData service,
+ * so that flows can pick a collection and its $select fields:
+ *
+ *  - Without "collection": one record per entity set of the service at
+ *    "servicePath" (recordType "entitySet"), from the service document
+ *      GET {baseUrl}{servicePath}/
+ *    (OData v2 "d.EntitySets", v4 "value").
+ *  - With "collection": one record per property (recordType "property",
+ *    with its valueType) and per navigation property (recordType
+ *    "navigationProperty") of that entity set.
+ *
+ * The service's $metadata document is only available as XML in OData v2,
+ * while plugins can only issue JSON requests. Properties are therefore
+ * discovered from a sample entity,
+ *   GET {baseUrl}{servicePath}/{collection}?$top=1
+ * which covers every property C4C returns – but needs the collection to
+ * contain at least one entity; for empty collections a warning is written
+ * and no properties are yielded.
+ */
+function sapC4cMetadataReader(config, streamHelper, journal) {
+    var baseUrl = getConfigValue(config, 'baseUrl', 'https://my360473.crm.ondemand.com');
+    var servicePath = String(getConfigValue(config, 'servicePath', '') || '').trim() || DEFAULT_SERVICE_PATH;
+    var collection = String(getConfigValue(config, 'collection', '') || '').trim();
+    if (collection.charAt(0) === '/') {
+        servicePath = collection.slice(0, collection.lastIndexOf('/'));
+        collection = collection.slice(collection.lastIndexOf('/') + 1);
+    }
+    servicePath = servicePath.replace(/\/+$/, '');
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = sapC4cAuth(authConfig, { baseUrl: baseUrl, journal: journal });
+
+    var records = [];
+    var index = 0;
+
+    var baseHeaders = {
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+    };
+
+    function get(url) {
+        return auth.send(baseHeaders, function (headers) {
+            return getJson(url, headers);
+        });
+    }
+
+    function normalizeBaseUrl(url) {
+        if (!url) return '';
+        return url.charAt(url.length - 1) === '/' ? url.slice(0, -1) : url;
+    }
+
+    function readEntitySets() {
+        var data = get(normalizeBaseUrl(baseUrl) + servicePath + '/');
+        var names = [];
+        if (data && data.d && Array.isArray(data.d.EntitySets)) {
+            names = data.d.EntitySets;
+        } else if (data && Array.isArray(data.value)) {
+            for (var v = 0; v < data.value.length; v++) {
+                if (data.value[v] && (!data.value[v].kind || data.value[v].kind === 'EntitySet')) {
+                    names.push(data.value[v].name);
+                }
+            }
+        }
+        for (var i = 0; i < names.length; i++) {
+            records.push({
+                recordType: 'entitySet',
+                servicePath: servicePath,
+                entitySet: String(names[i])
+            });
+        }
+    }
+
+    function readProperties() {
+        var data = get(normalizeBaseUrl(baseUrl) + servicePath + '/' + collection + '?$top=1');
+        var entities = [];
+        if (data && data.d && Array.isArray(data.d.results)) {
+            entities = data.d.results;
+        } else if (data && Array.isArray(data.value)) {
+            entities = data.value;
+        }
+        if (entities.length === 0) {
+            if (journal && journal.onWarning) {
+                journal.onWarning('SAP C4C collection ' + servicePath + '/' + collection
+                    + ' contains no entity; its properties cannot be discovered');
+            }
+            return;
+        }
+
+        var entity = entities[0] || {};
+        var entityType = (entity.__metadata && entity.__metadata.type) || entity['@odata.type'] || '';
+        for (var name in entity) {
+            if (!entity.hasOwnProperty(name) || name === '__metadata' || name.indexOf('@odata.') === 0) continue;
+            var value = entity[name];
+            var record = {
+                recordType: isNavigationValue(value) ? 'navigationProperty' : 'property',
+                servicePath: servicePath,
+                entitySet: collection,
+                entityType: String(entityType),
+                name: name
+            };
+            if (record.recordType === 'property') {
+                record.valueType = valueTypeOf(value);
+            }
+            records.push(record);
+        }
+    }
+
+    return {
+        open: function() {
+            records = [];
+            index = 0;
+
+            if (collection) {
+                readProperties();
+            } else {
+                readEntitySets();
+            }
+
+            if (journal && journal.onProgress) {
+                journal.onProgress(records.length);
+            }
+        },
+
+        readRecords: function*() {
+            while (index < records.length) {
+                yield records[index++];
+            }
+        },
+
+        close: function() {
+            records = [];
+            index = 0;
+        }
+    };
+}
+
+module.exports = sapC4cMetadataReader;
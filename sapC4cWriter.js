@@ -0,0 +1,668 @@
+var sapC4cAuth = require('./sapC4cAuth');
+var httpAuth = require('./httpAuth');
+var readHeader = httpAuth.readHeader;
+var statusCodeOf = httpAuth.statusCodeOf;
+var createResultOutput = require('./writerResults').createResultOutput;
+var normalizeToFlat = require('./recordFormats').normalizeToFlat;
+
+// Path of the standard C4C OData service.
+var DEFAULT_SERVICE_PATH = '/sap/c4c/odata/v1/c4codataapi';
+
+// Records written per $batch change set at most (and per flush).
+var BATCH_LIMIT = 100;
+
+// Lookup values per $filter request, keeping the URL short enough for the
+// tenant's web dispatcher.
+var LOOKUP_CHUNK_SIZE = 25;
+
+var OPERATIONS = ['upsert', 'create', 'update'];
+
+var CRLF = '\r\n';
+
+/**
+ * Returns the cookies a response sets (Set-Cookie headers, as array or as
+ * one comma-separated value) as Cookie header value "name=value; ...",
+ * without their attributes; '' if none.
+ */
+function cookieHeaderOf(source) {
+    var values = httpAuth.readHeaderValues(source, 'set-cookie');
+    var cookies = [];
+    for (var v = 0; v < values.length; v++) {
+        // Commas also occur in Expires dates, so only split before "name="
+        var parts = String(values[v]).split(/,\s*(?=[^;,=\s]+=)/);
+        for (var p = 0; p < parts.length; p++) {
+            var cookie = parts[p].split(';')[0].trim();
+            if (cookie.indexOf('=') > 0) cookies.push(cookie);
+        }
+    }
+    return cookies.join('; ');
+}
+
+/** Renders a value as OData v2 string literal ('...' with quotes doubled). */
+function odataString(value) {
+    return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Returns the message of an OData error body
+ * ({ error: { message: { value } } }), or null.
+ */
+function odataErrorMessage(body) {
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (e) {
+            return body ? body : null;
+        }
+    }
+    var error = body && body.error;
+    if (!error) return null;
+    if (error.message && typeof error.message === 'object') return String(error.message.value || '');
+    return String(error.message || error.code || '');
+}
+
+/**
+ * Builds the multipart body of a $batch request with one change set
+ * holding `operations` ({ method, path, payload }, paths relative to the
+ * service root).
+ */
+function buildBatchBody(batchBoundary, changesetBoundary, operations) {
+    var lines = [
+        '--' + batchBoundary,
+        'Content-Type: multipart/mixed; boundary=' + changesetBoundary,
+        ''
+    ];
+    for (var i = 0; i < operations.length; i++) {
+        lines.push(
+            '--' + changesetBoundary,
+            'Content-Type: application/http',
+            'Content-Transfer-Encoding: binary',
+            'Content-ID: ' + (i + 1),
+            '',
+            operations[i].method + ' ' + operations[i].path + ' HTTP/1.1',
+            'Content-Type: application/json',
+            'Accept: application/json',
+            '',
+            JSON.stringify(operations[i].payload)
+        );
+    }
+    lines.push('--' + changesetBoundary + '--', '', '--' + batchBoundary + '--', '');
+    return lines.join(CRLF);
+}
+
+/**
+ * Splits a multipart body at `boundary` into its parts, each as
+ * { headers: {lower-case name: value}, content }.
+ */
+function splitMultipart(text, boundary) {
+    var parts = [];
+    var chunks = text.split('--' + boundary);
+    for (var i = 1; i < chunks.length; i++) {
+        var chunk = chunks[i];
+        if (chunk.indexOf('--') === 0) break;
+        chunk = chunk.replace(/^\r?\n/, '');
+        var separator = /\r?\n\r?\n/.exec(chunk);
+        var head = separator ? chunk.slice(0, separator.index) : chunk;
+        var content = separator ? chunk.slice(separator.index + separator[0].length) : '';
+        var headers = {};
+        var headLines = head.split(/\r?\n/);
+        for (var h = 0; h < headLines.length; h++) {
+            var colon = headLines[h].indexOf(':');
+            if (colon > 0) {
+                headers[headLines[h].slice(0, colon).trim().toLowerCase()] = headLines[h].slice(colon + 1).trim();
+            }
+        }
+        parts.push({ headers: headers, content: content.replace(/\r?\n$/, '') });
+    }
+    return parts;
+}
+
+/**
+ * Parses an embedded HTTP response ("HTTP/1.1 201 Created", headers, blank
+ * line, body) into { status, body }.
+ */
+function parseHttpPart(content) {
+    var match = /^HTTP\/\d\.\d\s+(\d{3})[^\r\n]*\r?\n/.exec(content);
+    if (!match) return null;
+    var rest = content.slice(match[0].length);
+    var separator = /\r?\n\r?\n|^\r?\n/.exec(rest);
+    var body = separator ? rest.slice(separator.index + separator[0].length).trim() : '';
+    var parsed = null;
+    if (body) {
+        try {
+            parsed = JSON.parse(body);
+        } catch (e) {
+            parsed = body;
+        }
+    }
+    return { status: parseInt(match[1], 10), body: parsed };
+}
+
+/**
+ * Parses the response of a $batch request with one change set. Returns the
+ * responses of the change set's operations in order ([{ status, body }]) –
+ * a single error response when the change set was rejected as a whole –
+ * or null if the text is no batch response.
+ */
+function parseBatchResponse(text) {
+    var first = /^\s*--([^\r\n]+)/.exec(text);
+    if (!first) return null;
+    var responses = [];
+    var parts = splitMultipart(text, first[1].trim());
+    for (var p = 0; p < parts.length; p++) {
+        var type = parts[p].headers['content-type'] || '';
+        var nested = /multipart\/mixed;\s*boundary=("?)([^";]+)\1/i.exec(type);
+        if (nested) {
+            var operations = splitMultipart(parts[p].content, nested[2]);
+            for (var o = 0; o < operations.length; o++) {
+                var response = parseHttpPart(operations[o].content);
+                if (!response) return null;
+                responses.push(response);
+            }
+        } else {
+            var single = parseHttpPart(parts[p].content);
+            if (!single) return null;
+            responses.push(single);
+        }
+    }
+    return responses;
+}
+
+/**
+ * SAP C4C Writer.
+ *
+ * Writes flat records (table rows, key-value lists or JSON strings) as
+ * entities of a C4C OData collection – CorporateAccountCollection,
+ * ContactCollection, LeadCollection, OpportunityCollection or, via
+ * "collection" / "servicePath", any other collection (see
+ * sapC4cCorporateAccountsReader). Record fields are C4C property names;
+ * empty values are not sent, so existing values in C4C are kept. Fields
+ * starting with "_" and __metadata are ignored.
+ *
+ * Matching: a record carrying an ObjectID targets that entity. Otherwise
+ * its value of "lookupProperty" (default ExternalID, e.g. holding the
+ * HubSpot company id) is looked up in the collection
+ *   GET {collection}?$filter=ExternalID eq '...' or ...&$select=ObjectID,ExternalID
+ * for all pending records at once. "operation" decides what happens:
+ * upsert (default) updates matched entities and creates the others, create
+ * only creates, update only updates – records it does not apply to are
+ * skipped.
+ *
+ * Writing: entities are created via POST {collection} and updated via
+ * MERGE {collection}('{ObjectID}') – sent as POST with the header
+ * "X-HTTP-Method: MERGE", as the runtime only issues GET and POST
+ * requests. Records are collected up to "batchSize" and sent as one
+ * $batch change set (multipart/mixed, POST {servicePath}/$batch); a
+ * batchSize of 1 sends every record on its own. C4C applies a change set
+ * atomically, so when it rejects one, its records are re-sent one by one
+ * and only the faulty records fail. Should the runtime not return the
+ * multipart response of a $batch request as text, $batch is switched off
+ * for the rest of the run. In that case, and when a $batch request fails
+ * without response (timeout, connection reset), the lookups of the batch
+ * are repeated – in case it was applied nonetheless – and its records are
+ * written one by one.
+ *
+ * CSRF protection: before the first modifying request a token is fetched
+ *   GET {servicePath}/  with "x-csrf-token: fetch"
+ * from the response headers (when the runtime exposes them) and sent with
+ * every modifying request (MERGE, POST, $batch), together with the session
+ * cookies of the fetch response (Set-Cookie) as Cookie header – C4C only
+ * accepts the token within its session. A request rejected with 403
+ * because of the token is repeated once with a new one.
+ *
+ * Results: every record produces a result record (recordNumber,
+ * collection, lookupProperty/lookupValue, objectId, action create /
+ * update / skip / error, properties – JSON of what was sent –,
+ * errorMessage), emitted via streamHelper once its batch is written (see
+ * writerResults), e.g. to write the C4C ids back to HubSpot. With dryRun =
+ * "true" lookups are performed but nothing is written; the results show
+ * the planned actions.
+ *
+ * Authentication as for sapC4cCorporateAccountsReader ("oauthConfig" or
+ * "authConfig", see sapC4cAuth).
+ */
+function sapC4cWriter(config, streamHelper, journal) {
+    var baseUrl = String(getConfigValue(config, 'baseUrl', 'https://my360473.crm.ondemand.com') || '').replace(/\/+$/, '');
+    var servicePath = String(getConfigValue(config, 'servicePath', '') || '').trim() || DEFAULT_SERVICE_PATH;
+    var collection = String(getConfigValue(config, 'collection', '') || '').trim() || 'CorporateAccountCollection';
+    if (collection.charAt(0) === '/') {
+        servicePath = collection.slice(0, collection.lastIndexOf('/'));
+        collection = collection.slice(collection.lastIndexOf('/') + 1);
+    }
+    servicePath = servicePath.replace(/\/+$/, '');
+    var serviceUrl = baseUrl + servicePath;
+    var collectionUrl = serviceUrl + '/' + collection;
+
+    var lookupProperty = String(getConfigValue(config, 'lookupProperty', 'ExternalID') || '').trim();
+    var operation = String(getConfigValue(config, 'operation', 'upsert') || 'upsert').trim().toLowerCase();
+    if (OPERATIONS.indexOf(operation) === -1) {
+        throw new Error('Unknown operation "' + operation + '" (expected ' + OPERATIONS.join(', ') + ')');
+    }
+    var batchSize = parseInt(getConfigValue(config, 'batchSize', BATCH_LIMIT), 10);
+    if (!batchSize || batchSize < 1) {
+        batchSize = 1;
+    }
+    batchSize = Math.min(batchSize, BATCH_LIMIT);
+    var dryRun = String(getConfigValue(config, 'dryRun', 'false')) === 'true';
+
+    var authConfig = getConfigValue(config, 'oauthConfig', null) || getConfigValue(config, 'authConfig', null);
+    var auth = sapC4cAuth(authConfig, { baseUrl: baseUrl, journal: journal });
+
+    var pending = [];
+    var pendingKeys = {};
+    var resultOutput = createResultOutput(streamHelper);
+    var receivedCount = 0;
+    var writtenCount = 0;
+    // CSRF token and session cookies ({ token, cookie }), fetched before
+    // the first modifying request.
+    var csrf = null;
+    var batchSupported = true;
+    var batchCount = 0;
+
+    function warn(message) {
+        if (journal && journal.onWarning) {
+            journal.onWarning(message);
+        }
+    }
+
+    // -- Records ------------------------------------------------------------
+
+    /**
+     * Turns an incoming record into a pending item ({ recordNumber,
+     * objectId, lookupValue, payload }), or returns null if it holds nothing
+     * to write.
+     */
+    function prepareRecord(record) {
+        var flat = normalizeToFlat(record);
+        var payload = {};
+        var hasValues = false;
+        for (var key in flat) {
+            if (!flat.hasOwnProperty(key) || key === '__metadata' || key === 'ObjectID' || key.charAt(0) === '_') continue;
+            var value = flat[key];
+            if (value === undefined || value === null || value === '') continue;
+            payload[key] = value;
+            hasValues = true;
+        }
+        if (!hasValues) return null;
+
+        var lookupValue = lookupProperty && payload[lookupProperty] !== undefined ? String(payload[lookupProperty]) : '';
+        return {
+            recordNumber: 0,
+            objectId: flat.ObjectID ? String(flat.ObjectID) : '',
+            lookupValue: lookupValue,
+            payload: payload,
+            action: '',
+            errorMessage: ''
+        };
+    }
+
+    function addResult(item) {
+        resultOutput.write({
+            recordNumber: item.recordNumber,
+            collection: collection,
+            lookupProperty: lookupProperty,
+            lookupValue: item.lookupValue,
+            objectId: item.objectId || '',
+            action: item.action || 'skip',
+            properties: item.action === 'create' || item.action === 'update' ? JSON.stringify(item.payload) : '{}',
+            errorMessage: item.errorMessage
+        });
+    }
+
+    function fail(item, description, message) {
+        item.action = 'error';
+        item.errorMessage = message;
+        if (journal && journal.onError) {
+            journal.onError(description + ' | record: ' + JSON.stringify(item.payload) + ' | error: ' + message);
+        }
+    }
+
+    // -- Lookups ------------------------------------------------------------
+
+    /**
+     * Sets the objectId of every item without one whose lookup value
+     * matches an entity of the collection. When the lookup request of a
+     * chunk of values fails, its items are marked as errors (action
+     * "error") and the other chunks are still looked up.
+     */
+    function resolveLookups(items) {
+        var values = [];
+        var seen = {};
+        for (var i = 0; i < items.length; i++) {
+            var value = items[i].lookupValue;
+            if (!items[i].objectId && value && !seen[value]) {
+                seen[value] = true;
+                values.push(value);
+            }
+        }
+
+        var matches = {};
+        for (var start = 0; start < values.length; start += LOOKUP_CHUNK_SIZE) {
+            var chunk = values.slice(start, start + LOOKUP_CHUNK_SIZE);
+            var clauses = [];
+            for (var c = 0; c < chunk.length; c++) {
+                clauses.push(lookupProperty + ' eq ' + odataString(chunk[c]));
+            }
+            var url = collectionUrl + '?$filter=' + encodeURIComponent(clauses.join(' or '))
+                + '&$select=' + encodeURIComponent('ObjectID,' + lookupProperty);
+            var data;
+            try {
+                data = auth.send({ "Accept": "application/json" }, function (headers) {
+                    return getJson(url, headers);
+                });
+            } catch (e) {
+                var message = 'lookup failed: ' + (odataErrorMessage(e.body) || String(e.message || e));
+                for (var f = 0; f < items.length; f++) {
+                    if (!items[f].objectId && chunk.indexOf(items[f].lookupValue) !== -1) {
+                        fail(items[f], 'GET ' + url, message);
+                    }
+                }
+                continue;
+            }
+            var results = (data && data.d && data.d.results) || [];
+            for (var r = 0; r < results.length; r++) {
+                var key = String(results[r][lookupProperty]);
+                (matches[key] = matches[key] || []).push(String(results[r].ObjectID));
+            }
+        }
+
+        for (var j = 0; j < items.length; j++) {
+            var ids = items[j].objectId ? null : matches[items[j].lookupValue];
+            if (!ids) continue;
+            if (ids.length > 1) {
+                warn(ids.length + ' entities of ' + collection + ' have ' + lookupProperty + ' ' + odataString(items[j].lookupValue)
+                    + '; record ' + items[j].recordNumber + ' updates the first (' + ids[0] + ')');
+            }
+            items[j].objectId = ids[0];
+        }
+    }
+
+    // -- Modifying requests ---------------------------------------------------
+
+    /**
+     * Fetches a CSRF token. C4C binds it to the session the response opens,
+     * so the session cookies it sets are returned with it:
+     * { token, cookie } (each '' if missing).
+     */
+    function fetchCsrfToken() {
+        var data = auth.send({ "Accept": "application/json", "x-csrf-token": "fetch" }, function (headers) {
+            return getJson(serviceUrl + '/', headers);
+        });
+        var token = readHeader(data, 'x-csrf-token');
+        if (!token) {
+            warn('SAP C4C returned no CSRF token (or the runtime does not expose response headers); '
+                + 'modifying requests are sent without one');
+        }
+        return { token: token || '', cookie: token ? cookieHeaderOf(data) : '' };
+    }
+
+    function isCsrfFailure(error) {
+        if (statusCodeOf(error) !== 403) return false;
+        return /required/i.test(String(readHeader(error, 'x-csrf-token') || ''))
+            || /csrf/i.test(String(error.message || error) + ' ' + JSON.stringify(error.body || ''));
+    }
+
+    /**
+     * Sends a modifying request via postJson with the CSRF token and the
+     * session cookies it belongs to, fetching a new token once if C4C
+     * rejects the current one.
+     */
+    function postModifying(url, payload, baseHeaders) {
+        function send() {
+            if (csrf === null) {
+                csrf = fetchCsrfToken();
+            }
+            var hdrs = {};
+            for (var key in baseHeaders) {
+                if (baseHeaders.hasOwnProperty(key)) hdrs[key] = baseHeaders[key];
+            }
+            if (csrf.token) {
+                hdrs["x-csrf-token"] = csrf.token;
+            }
+            if (csrf.cookie) {
+                hdrs["Cookie"] = csrf.cookie;
+            }
+            return auth.send(hdrs, function (headers) {
+                return postJson(url, payload, headers);
+            });
+        }
+
+        try {
+            return send();
+        } catch (e) {
+            if (!isCsrfFailure(e)) throw e;
+            csrf = null;
+            return send();
+        }
+    }
+
+    /**
+     * Returns the OData operation writing an item: MERGE of the matched
+     * entity or POST to the collection.
+     */
+    function operationOf(item) {
+        return item.objectId
+            ? { method: 'MERGE', path: collection + '(' + odataString(item.objectId) + ')', payload: item.payload }
+            : { method: 'POST', path: collection, payload: item.payload };
+    }
+
+    function applyResponse(item, method, body) {
+        item.action = method === 'MERGE' ? 'update' : 'create';
+        if (method === 'POST') {
+            var created = body && (body.d || body);
+            item.objectId = created && created.ObjectID ? String(created.ObjectID) : '';
+        }
+        writtenCount++;
+    }
+
+    function writeSingle(item) {
+        var op = operationOf(item);
+        var hdrs = { "Content-Type": "application/json", "Accept": "application/json" };
+        if (op.method === 'MERGE') {
+            hdrs["X-HTTP-Method"] = 'MERGE';
+        }
+        try {
+            applyResponse(item, op.method, postModifying(serviceUrl + '/' + op.path, op.payload, hdrs));
+        } catch (e) {
+            fail(item, op.method + ' ' + serviceUrl + '/' + op.path, odataErrorMessage(e.body) || String(e.message || e));
+        }
+    }
+
+    /**
+     * Writes `items` of a $batch request without usable response one by one
+     * – after repeating the lookups of records that were to be created, in
+     * case the batch was applied nonetheless.
+     */
+    function resendSingly(items) {
+        var creates = [];
+        for (var i = 0; i < items.length; i++) {
+            if (!items[i].objectId) creates.push(items[i]);
+        }
+        resolveLookups(creates);
+        for (var j = 0; j < items.length; j++) {
+            if (items[j].action !== 'error') writeSingle(items[j]);
+        }
+    }
+
+    /**
+     * Switches $batch off for the rest of the run, as the runtime cannot
+     * hand back its responses, and writes `items` one by one.
+     */
+    function fallBackToSingleRequests(items, reason) {
+        batchSupported = false;
+        warn('SAP C4C $batch responses cannot be processed (' + reason + '); writing records one by one from now on');
+        resendSingly(items);
+    }
+
+    /**
+     * Returns true if a request failed because its response could not be
+     * parsed (the runtime parsing the multipart $batch response as JSON),
+     * as opposed to a transport error without response.
+     */
+    function isUnparsableResponse(error) {
+        return error instanceof SyntaxError
+            || /JSON|pars(e|ing)|Unexpected (token|character|end)/i.test(String(error && error.message || error));
+    }
+
+    function writeBatch(items) {
+        batchCount++;
+        var batchBoundary = 'batch_' + batchCount + '_' + Date.now().toString(36);
+        var changesetBoundary = 'changeset_' + batchCount + '_' + Date.now().toString(36);
+        var operations = [];
+        for (var i = 0; i < items.length; i++) {
+            operations.push(operationOf(items[i]));
+        }
+
+        var response;
+        try {
+            response = postModifying(serviceUrl + '/$batch', buildBatchBody(batchBoundary, changesetBoundary, operations), {
+                "Content-Type": "multipart/mixed; boundary=" + batchBoundary,
+                "Accept": "multipart/mixed"
+            });
+        } catch (e) {
+            if (!statusCodeOf(e) && isUnparsableResponse(e)) {
+                fallBackToSingleRequests(items, String(e.message || e));
+                return;
+            }
+            if (!statusCodeOf(e)) {
+                warn('The $batch request for ' + items.length + ' records failed without response ('
+                    + String(e.message || e) + '); sending them one by one');
+                resendSingly(items);
+                return;
+            }
+            warn('SAP C4C rejected the $batch request for ' + items.length + ' records ('
+                + (odataErrorMessage(e.body) || String(e.message || e)) + '); sending them one by one');
+            for (var s = 0; s < items.length; s++) writeSingle(items[s]);
+            return;
+        }
+
+        var responses = typeof response === 'string' ? parseBatchResponse(response) : null;
+        if (!responses) {
+            fallBackToSingleRequests(items, 'no multipart response text');
+            return;
+        }
+        if (responses.length === items.length && responses.every(function (r) { return r.status < 400; })) {
+            for (var r = 0; r < items.length; r++) {
+                applyResponse(items[r], operations[r].method, responses[r].body);
+            }
+            return;
+        }
+
+        var failed = null;
+        for (var f = 0; f < responses.length && !failed; f++) {
+            if (responses[f].status >= 400) failed = responses[f];
+        }
+        warn('SAP C4C rejected the change set of ' + items.length + ' records ('
+            + (failed ? 'HTTP ' + failed.status + ': ' + (odataErrorMessage(failed.body) || '') : 'unexpected response')
+            + '); sending them one by one');
+        for (var o = 0; o < items.length; o++) {
+            writeSingle(items[o]);
+        }
+    }
+
+    // -- Flushing -----------------------------------------------------------
+
+    function flushPending() {
+        if (pending.length === 0) return;
+
+        var items = pending;
+        pending = [];
+        pendingKeys = {};
+
+        resolveLookups(items);
+
+        var writes = [];
+        for (var i = 0; i < items.length; i++) {
+            var item = items[i];
+            if (item.action === 'error') {
+                // Lookup failed (see resolveLookups)
+                continue;
+            } else if (operation === 'create' && item.objectId) {
+                item.errorMessage = (item.lookupValue ? lookupProperty + ' ' + item.lookupValue : 'entity') + ' exists already (' + item.objectId + ')';
+            } else if (operation === 'update' && !item.objectId) {
+                item.errorMessage = 'no entity found' + (item.lookupValue ? ' for ' + lookupProperty + ' ' + item.lookupValue : '');
+            } else if (dryRun) {
+                item.action = item.objectId ? 'update' : 'create';
+            } else {
+                writes.push(item);
+            }
+        }
+
+        if (batchSize > 1 && batchSupported && writes.length > 1) {
+            for (var start = 0; start < writes.length; start += batchSize) {
+                var chunk = writes.slice(start, start + batchSize);
+                if (batchSupported && chunk.length > 1) {
+                    writeBatch(chunk);
+                } else {
+                    for (var c = 0; c < chunk.length; c++) writeSingle(chunk[c]);
+                }
+            }
+        } else {
+            for (var w = 0; w < writes.length; w++) writeSingle(writes[w]);
+        }
+
+        for (var r = 0; r < items.length; r++) {
+            addResult(items[r]);
+        }
+        if (journal && journal.onProgress) {
+            journal.onProgress(dryRun ? receivedCount : writtenCount);
+        }
+    }
+
+    // -- Writer interface ---------------------------------------------------
+
+    return {
+        open: function () {
+            pending = [];
+            pendingKeys = {};
+            receivedCount = 0;
+            writtenCount = 0;
+            csrf = null;
+            batchSupported = true;
+        },
+
+        writeRecord: function (record) {
+            receivedCount++;
+            var item = prepareRecord(record);
+            if (!item) {
+                resultOutput.write({
+                    recordNumber: receivedCount,
+                    collection: collection,
+                    lookupProperty: lookupProperty,
+                    lookupValue: '',
+                    objectId: '',
+                    action: 'skip',
+                    properties: '{}',
+                    errorMessage: ''
+                });
+                return;
+            }
+            item.recordNumber = receivedCount;
+
+            // A record targeting the same entity as a pending one is only
+            // written after the pending batch, so that it is matched with
+            // the entity created before it.
+            var key = item.objectId ? 'id:' + item.objectId : (item.lookupValue ? 'lookup:' + item.lookupValue : '');
+            if (key && pendingKeys[key]) {
+                flushPending();
+            }
+            if (key) {
+                pendingKeys[key] = true;
+            }
+
+            pending.push(item);
+            if (pending.length >= batchSize) {
+                flushPending();
+            }
+        },
+
+        close: function () {
+            flushPending();
+            pending = [];
+            pendingKeys = {};
+            csrf = null;
+        }
+    };
+}
+
+module.exports = sapC4cWriter;
@@ -0,0 +1,291 @@
+/**
+ * Test harness emulating the Chioro plugin runtime on top of the mock
+ * HubSpot portal (see mockHubspot) and the mock SAP C4C OData service (see
+ * mockSapC4c).
+ *
+ * install() / installSapC4c() provide the globals the plugins rely on –
+ * getJson, postJson, getConfigValue and base64Encode – and route every
+ * request to the mock.
+ * Like the runtime, getJson / postJson throw for HTTP error responses
+ * ("HTTP response code: <status> for URL: <url>", with statusCode, headers
+ * and the parsed body attached); 207 multi-status responses are returned.
+ * Response headers of successful JSON responses are attached to the parsed
+ * body as non-enumerable "headers" property; non-JSON responses (e.g.
+ * multipart $batch responses) are returned as text – or, with
+ * `textResponses: false`, fail like a runtime that parses every response
+ * as JSON.
+ */
+
+var createMockHubspot = require('./mockHubspot');
+var createMockSapC4c = require('./mockSapC4c');
+
+var BASE_URL = 'https://api.hubapi.test';
+// Base URL of the second portal of install({ comparePortal: true }).
+var COMPARE_BASE_URL = 'https://api-compare.hubapi.test';
+var TOKEN = 'test-token';
+
+var SAP_C4C_BASE_URL = 'https://my000000.crm.ondemand.test';
+var SAP_C4C_USERNAME = 'integration';
+var SAP_C4C_PASSWORD = 'secret';
+
+var GLOBAL_NAMES = ['getJson', 'postJson', 'getConfigValue', 'base64Encode'];
+
+function getConfigValue(obj, key, defaultValue) {
+    if (obj && obj[key] !== undefined && obj[key] !== null) return obj[key];
+    return defaultValue;
+}
+
+function base64Encode(text) {
+    return Buffer.from(String(text), 'utf8').toString('base64');
+}
+
+/**
+ * Sends a request to the mock and returns its body, throwing like the
+ * runtime for error statuses. Bodies are copied so that plugins never share
+ * objects with the portal. `runtime` ({ textResponses }) adjusts how
+ * responses are handed back (see above).
+ */
+function send(mock, baseUrl, method, target, payload, headers, runtime) {
+    var path = String(target).indexOf(baseUrl) === 0 ? String(target).slice(baseUrl.length) : String(target);
+    var response = mock.handle(method, path, payload === undefined ? undefined : JSON.parse(JSON.stringify(payload)), headers);
+    var body = response.body === undefined ? null : JSON.parse(JSON.stringify(response.body));
+    if (response.status >= 400) {
+        var message = body && (body.message || (body.error && body.error.message && body.error.message.value));
+        var error = new Error('HTTP response code: ' + response.status + ' for URL: ' + target
+            + (message ? ' – ' + message : ''));
+        error.statusCode = response.status;
+        error.headers = response.headers;
+        error.body = body;
+        throw error;
+    }
+    if (typeof body === 'string' && runtime && runtime.textResponses === false) {
+        throw new SyntaxError('Unexpected token - in JSON at position 0');
+    }
+    if (body && typeof body === 'object' && response.headers && Object.keys(response.headers).length > 0) {
+        Object.defineProperty(body, 'headers', { value: response.headers, enumerable: false });
+    }
+    return body;
+}
+
+/**
+ * Installs the runtime globals, routing requests for `baseUrl` to `mock`
+ * (and for the base URLs of `extraRoutes` – [{ baseUrl, mock }] – to their
+ * mocks), and returns a function restoring the previous globals.
+ */
+function installGlobals(mock, baseUrl, runtime, extraRoutes) {
+    var previous = {};
+    GLOBAL_NAMES.forEach(function (name) {
+        previous[name] = global[name];
+    });
+
+    global.getConfigValue = getConfigValue;
+    global.base64Encode = base64Encode;
+    function routeOf(url) {
+        var routes = extraRoutes || [];
+        for (var r = 0; r < routes.length; r++) {
+            if (String(url).indexOf(routes[r].baseUrl) === 0) return routes[r];
+        }
+        return { mock: mock, baseUrl: baseUrl };
+    }
+    global.getJson = function (url, headers) {
+        var route = routeOf(url);
+        return send(route.mock, route.baseUrl, 'GET', url, undefined, headers, runtime);
+    };
+    global.postJson = function (url, payload, headers) {
+        var route = routeOf(url);
+        return send(route.mock, route.baseUrl, 'POST', url, payload, headers, runtime);
+    };
+
+    return function () {
+        GLOBAL_NAMES.forEach(function (name) {
+            if (previous[name] === undefined) {
+                delete global[name];
+            } else {
+                global[name] = previous[name];
+            }
+        });
+    };
+}
+
+/**
+ * Installs the runtime globals for a fresh mock HubSpot portal.
+ *
+ * @param {object} [options]  Passed to createMockHubspot (token defaults to TOKEN);
+ *                            comparePortal: true adds a second portal with the
+ *                            same token at COMPARE_BASE_URL (compareMock)
+ * @returns {{mock: object, compareMock: object, restore: function}}
+ */
+function install(options) {
+    options = options || {};
+    var mockOptions = {
+        token: options.token === undefined ? TOKEN : options.token,
+        oauth: options.oauth,
+        now: options.now
+    };
+    var mock = createMockHubspot(mockOptions);
+    var compareMock = options.comparePortal ? createMockHubspot(mockOptions) : null;
+    var routes = compareMock ? [{ baseUrl: COMPARE_BASE_URL, mock: compareMock }] : [];
+    return { mock: mock, compareMock: compareMock, restore: installGlobals(mock, BASE_URL, undefined, routes) };
+}
+
+/**
+ * Installs the runtime globals for a fresh mock SAP C4C service.
+ *
+ * @param {object} [options]  Passed to createMockSapC4c (credentials default to the test user);
+ *                            textResponses: false makes non-JSON responses fail (see send)
+ * @returns {{mock: object, restore: function}}
+ */
+function installSapC4c(options) {
+    options = options || {};
+    var mock = createMockSapC4c({
+        username: options.username === undefined ? SAP_C4C_USERNAME : options.username,
+        password: options.password === undefined ? SAP_C4C_PASSWORD : options.password,
+        maxPageSize: options.maxPageSize,
+        nextLinks: options.nextLinks,
+        ignoreTop: options.ignoreTop,
+        oauth: options.oauth,
+        csrf: options.csrf,
+        baseUrl: SAP_C4C_BASE_URL
+    });
+    return { mock: mock, restore: installGlobals(mock, SAP_C4C_BASE_URL, { textResponses: options.textResponses }) };
+}
+
+/**
+ * Returns a journal collecting everything the plugin reports.
+ */
+function createJournal() {
+    var journal = {
+        errors: [],
+        warnings: [],
+        progress: [],
+        progressTotals: [],
+        onError: function (message) { journal.errors.push(String(message)); },
+        onWarning: function (message) { journal.warnings.push(String(message)); },
+        onProgress: function (count, total) {
+            journal.progress.push(count);
+            if (total !== undefined) journal.progressTotals.push(total);
+        }
+    };
+    return journal;
+}
+
+/**
+ * Returns a stream helper collecting the records a writer emits (see
+ * writerResults) in `records`.
+ */
+function createStreamHelper() {
+    var streamHelper = {
+        records: [],
+        writeRecord: function (record) { streamHelper.records.push(record); }
+    };
+    return streamHelper;
+}
+
+/**
+ * Returns a plugin config pointing at the mock portal: bearer auth with the
+ * test token and no client-side throttling, merged with `overrides`.
+ */
+function pluginConfig(overrides) {
+    var config = {
+        baseUrl: BASE_URL,
+        authConfig: { subType: 'BEARER_TOKEN', properties: { bearerToken: TOKEN } },
+        requestsPer10Seconds: '0',
+        maxRetries: '2'
+    };
+    return merge(config, overrides);
+}
+
+/**
+ * Returns a plugin config pointing at the mock SAP C4C service: basic auth
+ * with the test user, merged with `overrides`.
+ */
+function sapC4cConfig(overrides) {
+    return merge({
+        baseUrl: SAP_C4C_BASE_URL,
+        authConfig: { subType: 'BASIC_AUTH', properties: { basicAuthUsername: SAP_C4C_USERNAME, basicAuthPassword: SAP_C4C_PASSWORD } }
+    }, overrides);
+}
+
+function merge(config, overrides) {
+    for (var key in overrides || {}) {
+        if (overrides.hasOwnProperty(key)) config[key] = overrides[key];
+    }
+    return config;
+}
+
+/**
+ * Runs a reader plugin (open, readRecords, close) and returns the records
+ * it yielded together with its journal.
+ */
+function runReader(factory, overrides) {
+    return readAll(factory, pluginConfig(overrides));
+}
+
+/**
+ * Runs a SAP C4C reader plugin like runReader.
+ */
+function runSapC4cReader(factory, overrides) {
+    return readAll(factory, sapC4cConfig(overrides));
+}
+
+function readAll(factory, config) {
+    var journal = createJournal();
+    var reader = factory(config, null, journal);
+    var records = [];
+    reader.open();
+    try {
+        for (var record of reader.readRecords()) {
+            records.push(record);
+        }
+    } finally {
+        reader.close();
+    }
+    return { records: records, journal: journal };
+}
+
+/**
+ * Runs a writer plugin (open, writeRecord per record, close) and returns
+ * the records it emitted (write results or dry-run plan) together with its
+ * journal.
+ */
+function runWriter(factory, overrides, records) {
+    return writeAll(factory, pluginConfig(overrides), records);
+}
+
+/**
+ * Runs a SAP C4C writer plugin like runWriter.
+ */
+function runSapC4cWriter(factory, overrides, records) {
+    return writeAll(factory, sapC4cConfig(overrides), records);
+}
+
+function writeAll(factory, config, records) {
+    var journal = createJournal();
+    var streamHelper = createStreamHelper();
+    var writer = factory(config, streamHelper, journal);
+    writer.open();
+    records.forEach(function (record) {
+        writer.writeRecord(record);
+    });
+    writer.close();
+    return { records: streamHelper.records, journal: journal };
+}
+
+module.exports = {
+    BASE_URL: BASE_URL,
+    COMPARE_BASE_URL: COMPARE_BASE_URL,
+    TOKEN: TOKEN,
+    SAP_C4C_BASE_URL: SAP_C4C_BASE_URL,
+    SAP_C4C_USERNAME: SAP_C4C_USERNAME,
+    SAP_C4C_PASSWORD: SAP_C4C_PASSWORD,
+    install: install,
+    installSapC4c: installSapC4c,
+    createJournal: createJournal,
+    createStreamHelper: createStreamHelper,
+    pluginConfig: pluginConfig,
+    sapC4cConfig: sapC4cConfig,
+    runReader: runReader,
+    runSapC4cReader: runSapC4cReader,
+    runWriter: runWriter,
+    runSapC4cWriter: runSapC4cWriter
+};
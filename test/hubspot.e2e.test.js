@@ -0,0 +1,1098 @@
+/**
+ * End-to-end tests of the HubSpot plugins against the mock HubSpot portal
+ * (see mockHubspot and harness). Run with `npm test`.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var harness = require('./harness');
+var hubspotObjectReader = require('../hubspotObjectReader');
+var hubspotSchemaReader = require('../hubspotSchemaReader');
+var hubspotSchemaWriter = require('../hubspotSchemaWriter');
+var hubspotCrmWriter = require('../hubspotCrmWriter');
+var hubspotAuth = require('../hubspotAuth');
+var hubspotHttpClient = require('../hubspotHttpClient');
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+var afterEach = test.afterEach;
+
+var COMPANY_PROPERTIES = [
+    'name', 'domain', 'phone', 'city', 'description', 'industry',
+    { name: 'external_account_id', hasUniqueValue: true },
+    { name: 'hs_object_id', hubspotDefined: true, modificationMetadata: { readOnlyValue: true } }
+];
+
+var CONTRACT_SCHEMA = {
+    objectTypeId: '2-100',
+    fullyQualifiedName: 'p123_contracts',
+    name: 'contracts',
+    labels: { singular: 'Contract', plural: 'Contracts' },
+    properties: [
+        { name: 'contract_number', hasUniqueValue: true },
+        { name: 'title' }
+    ],
+    associations: [
+        { id: 77, name: 'contract_to_company', fromObjectTypeId: '2-100', toObjectTypeId: '0-2' }
+    ]
+};
+
+var env;
+var mock;
+
+beforeEach(function () {
+    env = harness.install();
+    mock = env.mock;
+});
+
+afterEach(function () {
+    env.restore();
+});
+
+function writtenRequests(pattern) {
+    return mock.requests(pattern).filter(function (request) { return request.method === 'POST'; });
+}
+
+describe('hubspotSchemaReader', function () {
+    it('reads the property definitions of a standard object', function () {
+        mock.defineProperties('companies', COMPANY_PROPERTIES);
+
+        var run = harness.runReader(hubspotSchemaReader, { entity: 'companies' });
+
+        assert.deepStrictEqual(run.records.map(function (p) { return p.name; }),
+            ['name', 'domain', 'phone', 'city', 'description', 'industry', 'external_account_id', 'hs_object_id']);
+        assert.strictEqual(run.records[6].hasUniqueValue, true);
+        assert.deepStrictEqual(run.journal.progress, [8]);
+    });
+
+    it('resolves custom objects via the schemas API', function () {
+        mock.addSchema(CONTRACT_SCHEMA);
+        mock.defineProperties('2-100', ['contract_number', 'title']);
+
+        var run = harness.runReader(hubspotSchemaReader, { objectType: 'p_contracts' });
+
+        assert.deepStrictEqual(run.records.map(function (p) { return p.name; }), ['contract_number', 'title']);
+        assert.strictEqual(mock.requests(/^\/crm\/v3\/properties\/2-100$/).length, 1);
+    });
+
+    it('flattens enumeration options into one record per option', function () {
+        mock.defineProperties('tickets', ['subject', {
+            name: 'hs_ticket_priority',
+            label: 'Priority',
+            type: 'enumeration',
+            fieldType: 'select',
+            options: [
+                { label: 'Low', value: 'LOW', displayOrder: 0, hidden: false },
+                { label: 'High', value: 'HIGH', displayOrder: 1, hidden: false }
+            ]
+        }]);
+
+        var run = harness.runReader(hubspotSchemaReader, { entity: 'tickets', flattenOptions: 'true' });
+
+        assert.deepStrictEqual(run.records, [
+            { objectType: 'tickets', property: 'hs_ticket_priority', propertyLabel: 'Priority', type: 'enumeration',
+                fieldType: 'select', groupName: 'ticketinformation', label: 'Low', value: 'LOW',
+                description: undefined, displayOrder: 0, hidden: false },
+            { objectType: 'tickets', property: 'hs_ticket_priority', propertyLabel: 'Priority', type: 'enumeration',
+                fieldType: 'select', groupName: 'ticketinformation', label: 'High', value: 'HIGH',
+                description: undefined, displayOrder: 1, hidden: false }
+        ]);
+    });
+
+    it('reads property groups, association labels and custom object schemas', function () {
+        mock.defineProperties('line_items', ['quantity']);
+        mock.addSchema(CONTRACT_SCHEMA);
+        mock.addAssociationLabel('2-100', 'companies', { category: 'USER_DEFINED', typeId: 78, label: 'Signed by' });
+
+        var groups = harness.runReader(hubspotSchemaReader, { entity: 'line_items', mode: 'groups' });
+        assert.deepStrictEqual(groups.records.map(function (g) { return g.name; }), ['line_iteminformation']);
+
+        var associations = harness.runReader(hubspotSchemaReader,
+            { objectType: 'p_contracts', mode: 'associations', toObjectType: '0-2' });
+        assert.deepStrictEqual(associations.records, [
+            { fromObjectType: '2-100', toObjectType: 'companies', category: 'USER_DEFINED', typeId: 78, label: 'Signed by' }
+        ]);
+
+        var schemas = harness.runReader(hubspotSchemaReader, { mode: 'schemas' });
+        assert.deepStrictEqual(schemas.records.map(function (s) { return s.fullyQualifiedName; }), ['p123_contracts']);
+
+        assert.throws(function () {
+            harness.runReader(hubspotSchemaReader, { mode: 'associations' });
+        }, /toObjectType/);
+    });
+
+    it('lists the schema differences to a second portal with their severity', function () {
+        env.restore();
+        env = harness.install({ comparePortal: true });
+        mock = env.mock;
+        var tier = { name: 'tier', type: 'enumeration', fieldType: 'select',
+            options: [{ label: 'Gold', value: 'gold' }, { label: 'Silver', value: 'silver' }] };
+        mock.defineProperties('companies', ['name', 'employees', tier, 'sandbox_only']);
+        env.compareMock.defineProperties('companies', [
+            { name: 'name', label: 'Company name' },
+            { name: 'employees', type: 'number', fieldType: 'number' },
+            { name: 'tier', type: 'enumeration', fieldType: 'radio',
+                options: [{ label: 'Gold', value: 'gold' }, { label: 'Bronze', value: 'bronze' }] },
+            'legacy_code'
+        ]);
+
+        var run = harness.runReader(hubspotSchemaReader, {
+            mode: 'diff',
+            compareBaseUrl: harness.COMPARE_BASE_URL,
+            compareAuthConfig: { subType: 'BEARER_TOKEN', properties: { bearerToken: harness.TOKEN } }
+        });
+
+        assert.deepStrictEqual(run.records.map(function (d) {
+            return [d.property, d.change, d.severity, d.baseValue, d.currentValue].join(' | ');
+        }), [
+            'name | label changed | info | Company name | name',
+            'employees | type changed | error | number | string',
+            'employees | fieldType changed | warning | number | text',
+            'tier | fieldType changed | warning | radio | select',
+            'tier | option added | error |  | silver',
+            'tier | option removed | error | bronze | ',
+            'sandbox_only | property added | error |  | string',
+            'legacy_code | property removed | error | string | '
+        ]);
+        assert.strictEqual(env.compareMock.requests(/^\/crm\/v3\/properties\/companies$/).length, 1);
+    });
+
+    it('compares a portal with a stored snapshot', function () {
+        mock.defineProperties('deals', ['dealname', { name: 'hs_priority', hubspotDefined: true }]);
+        var snapshot = JSON.stringify({ results: [
+            { name: 'dealname', label: 'dealname', type: 'string', fieldType: 'text', groupName: 'dealinformation' }
+        ] });
+
+        var run = harness.runReader(hubspotSchemaReader, { entity: 'deals', mode: 'diff', snapshot: snapshot });
+
+        assert.deepStrictEqual(run.records, [{
+            objectType: 'deals', property: 'hs_priority', change: 'property added', severity: 'info',
+            baseValue: '', currentValue: 'string'
+        }]);
+        assert.throws(function () {
+            harness.runReader(hubspotSchemaReader, { mode: 'diff', snapshot: '{"name": "dealname"}' });
+        }, /Invalid schema snapshot/);
+        assert.throws(function () {
+            harness.runReader(hubspotSchemaReader, { entity: 'deals', mode: 'diff', snapshot: JSON.stringify([
+                { name: 'dealname', type: 'string', options: '[{"value": "x"},' }
+            ]) });
+        }, /Invalid options JSON of property dealname/);
+    });
+
+    it('fails with the HTTP status when the token is rejected', function () {
+        assert.throws(function () {
+            harness.runReader(hubspotSchemaReader, {
+                entity: 'companies',
+                authConfig: { subType: 'BEARER_TOKEN', properties: { bearerToken: 'wrong' } }
+            });
+        }, /HTTP response code: 401/);
+    });
+});
+
+describe('hubspotObjectReader', function () {
+    it('follows the list paging across several pages', function () {
+        for (var i = 0; i < 250; i++) {
+            mock.addObject('companies', { name: 'Company ' + i });
+        }
+
+        var run = harness.runReader(hubspotObjectReader, { entity: 'companies' });
+
+        assert.strictEqual(run.records.length, 250);
+        assert.strictEqual(run.records[249].name, 'Company 249');
+        assert.strictEqual(mock.requests(/^\/crm\/v3\/objects\/companies$/).length, 3);
+        assert.strictEqual(run.journal.progress[run.journal.progress.length - 1], 250);
+    });
+
+    it('reads only changed objects in incremental mode and yields the high-water mark', function () {
+        var ids = [];
+        for (var i = 0; i < 5; i++) {
+            ids.push(mock.addObject('companies', { name: 'Company ' + i }));
+        }
+        var since = mock.getObject('companies', ids[2]).properties.hs_lastmodifieddate;
+        var last = mock.getObject('companies', ids[4]).properties.hs_lastmodifieddate;
+
+        var run = harness.runReader(hubspotObjectReader, { entity: 'companies', modifiedSince: since });
+
+        assert.deepStrictEqual(run.records.slice(0, 3).map(function (r) { return r.id; }), ids.slice(2));
+        assert.deepStrictEqual(run.records[3], {
+            recordType: 'watermark',
+            entity: 'companies',
+            watermarkProperty: 'hs_lastmodifieddate',
+            highWaterMark: last
+        });
+        assert.strictEqual(mock.requests(/\/search$/).length, 1);
+
+        var byEpoch = harness.runReader(hubspotObjectReader, { entity: 'companies', modifiedSince: String(Date.parse(since)) });
+        assert.deepStrictEqual(byEpoch.records.slice(0, 3).map(function (r) { return r.id; }), ids.slice(2));
+
+        ['users', 'object associations', 'activities', 'deal stages', 'tickets'].forEach(function (entity) {
+            assert.throws(function () {
+                harness.runReader(hubspotObjectReader, { entity: entity, modifiedSince: since });
+            }, new RegExp('"modifiedSince" is not supported for entity "' + entity + '"'));
+        });
+    });
+
+    it('reads users across pages', function () {
+        for (var i = 0; i < 130; i++) {
+            mock.addUser({ id: String(i + 1), email: 'user' + i + '@example.com', roleIds: ['1', '2'] });
+        }
+
+        var run = harness.runReader(hubspotObjectReader, { entity: 'users' });
+
+        assert.strictEqual(run.records.length, 130);
+        assert.strictEqual(run.records[0].email, 'user0@example.com');
+        assert.strictEqual(run.records[0].roleIds, '1;2');
+    });
+
+    it('flattens deal pipelines into one record per stage', function () {
+        mock.addPipeline('deals', {
+            id: 'default',
+            label: 'Sales',
+            displayOrder: 0,
+            stages: [
+                { id: 'open', label: 'Open', displayOrder: 0, metadata: { probability: '0.2', isClosed: 'false' } },
+                { id: 'won', label: 'Won', displayOrder: 1, metadata: { probability: '1.0', isClosed: 'true' } }
+            ]
+        });
+
+        var run = harness.runReader(hubspotObjectReader, { entity: 'deal stages' });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.pipelineLabel, r.stageId, r.probability]; }),
+            [['Sales', 'open', '0.2'], ['Sales', 'won', '1.0']]);
+    });
+
+    it('reads the associations between objects', function () {
+        var company = mock.addObject('companies', { name: 'Acme' });
+        var deal = mock.addObject('deals', { dealname: 'Big deal' });
+        mock.associate('deals', deal, 'companies', company, [5]);
+
+        var run = harness.runReader(hubspotObjectReader, { entity: 'object associations' });
+
+        assert.deepStrictEqual(run.records, [{
+            fromEntity: 'deals',
+            fromObjectId: deal,
+            toEntity: 'companies',
+            toObjectId: company,
+            associationCategory: 'HUBSPOT_DEFINED',
+            associationTypeId: '5',
+            associationLabel: null
+        }]);
+    });
+
+    it('reads custom objects with the ids of their associated objects', function () {
+        mock.addSchema(CONTRACT_SCHEMA);
+        mock.defineProperties('2-100', ['contract_number', 'title']);
+        var company = mock.addObject('companies', { name: 'Acme' });
+        var contract = mock.addObject('2-100', { contract_number: 'C-1', title: 'Support' });
+        mock.addObject('2-100', { contract_number: 'C-2', title: 'Licence' });
+        mock.associate('2-100', contract, 'companies', company, [77]);
+
+        var run = harness.runReader(hubspotObjectReader, { objectType: 'contracts' });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.contract_number, r.associations_companies]; }),
+            [['C-1', company], ['C-2', '']]);
+    });
+});
+
+describe('hubspotCrmWriter', function () {
+    beforeEach(function () {
+        mock.defineProperties('companies', COMPANY_PROPERTIES);
+    });
+
+    it('fills only empty properties in write_empty_only mode', function () {
+        var existing = mock.addObject('companies', { external_account_id: 'A1', name: 'Old', phone: '' });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', propertyUpdateMode: 'write_empty_only' }, [
+            { external_account_id: 'A1', Name: 'New', Phone: '123' },
+            { external_account_id: 'A2', Name: 'Fresh' }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.strictEqual(mock.getObject('companies', existing).properties.name, 'Old');
+        assert.strictEqual(mock.getObject('companies', existing).properties.phone, '123');
+        var created = mock.listObjects('companies').filter(function (o) { return o.properties.external_account_id === 'A2'; });
+        assert.strictEqual(created.length, 1);
+        assert.strictEqual(created[0].properties.name, 'Fresh');
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.lookupValue, r.hubspotId, r.action]; }),
+            [['A1', existing, 'update'], ['A2', created[0].id, 'create']]);
+        assert.deepStrictEqual(JSON.parse(run.records[0].changedProperties), { phone: '123' });
+    });
+
+    it('emits a result record per record once its batch is written', function () {
+        var existing = mock.addObject('companies', { external_account_id: 'A1', name: 'Old', phone: '1' });
+        var streamHelper = harness.createStreamHelper();
+        var writer = hubspotCrmWriter(harness.pluginConfig({
+            entity: 'companies', propertyUpdateMode: 'write_empty_only', schemaValidation: 'reject'
+        }), streamHelper, harness.createJournal());
+
+        writer.open();
+        writer.writeRecord({ external_account_id: 'A1', Name: 'New', City: 'Bonn' });
+        writer.writeRecord({ external_account_id: 'A1', Name: 'Newer', Phone: '2' });
+        writer.writeRecord({ external_account_id: 'A2', Name: 'Fresh' });
+        writer.writeRecord({ external_account_id: 'A3', Name: 'Bad', no_such_property: 'x' });
+        writer.writeRecord({});
+        // Rejected and empty records are emitted right away, the first batch
+        // once the second record for A1 forced it out.
+        assert.deepStrictEqual(streamHelper.records.map(function (r) { return r.recordNumber; }), [1, 4, 5]);
+        writer.close();
+
+        var created = mock.listObjects('companies').filter(function (o) { return o.properties.external_account_id === 'A2'; });
+        var results = {};
+        streamHelper.records.forEach(function (r) { results[r.recordNumber] = r; });
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(function (n) {
+            return [results[n].hubspotId, results[n].action, JSON.parse(results[n].changedProperties)];
+        }), [
+            [existing, 'update', { city: 'Bonn' }],
+            [existing, 'skip', {}],
+            [created[0].id, 'create', { external_account_id: 'A2', name: 'Fresh' }],
+            ['', 'error', {}],
+            ['', 'skip', {}]
+        ]);
+        assert.deepStrictEqual([1, 2, 3, 5].map(function (n) { return results[n].errorMessage; }), ['', '', '', '']);
+        assert.match(results[4].errorMessage, /no_such_property/);
+    });
+
+    it('upserts by the unique external id in overwrite mode', function () {
+        var existing = mock.addObject('companies', { external_account_id: 'A1', name: 'Old' });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', propertyUpdateMode: 'overwrite' }, [
+            { external_account_id: 'A1', Name: 'Over' },
+            { external_account_id: 'A9', Name: 'Up' }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.strictEqual(writtenRequests(/batch\/upsert$/).length, 1);
+        assert.strictEqual(mock.requests(/\/search$/).length, 0);
+        assert.strictEqual(mock.getObject('companies', existing).properties.name, 'Over');
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.lookupValue, r.action]; }),
+            [['A1', 'update'], ['A9', 'create']]);
+    });
+
+    it('appends to existing values in append mode', function () {
+        var existing = mock.addObject('companies', {
+            external_account_id: 'A1', description: 'First line', industry: 'IT;Retail'
+        });
+
+        harness.runWriter(hubspotCrmWriter, { entity: 'companies', propertyUpdateMode: 'append' }, [
+            { external_account_id: 'A1', Description: 'Second line', Industry: 'Retail;Energy' }
+        ]);
+
+        var properties = mock.getObject('companies', existing).properties;
+        assert.strictEqual(properties.description, 'First line\nSecond line');
+        assert.strictEqual(properties.industry, 'IT;Retail;Energy');
+    });
+
+    it('creates records with associations to looked-up objects', function () {
+        var company = mock.addObject('companies', { external_account_id: 'A1', name: 'Acme' });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'contacts' }, [
+            { Email: 'jane@example.com', FirstName: 'Jane', external_account_id: 'A1' }
+        ]);
+
+        var contact = run.records[0].hubspotId;
+        assert.strictEqual(run.records[0].action, 'create');
+        assert.strictEqual(run.records[0].associationIds, 'companies:' + company);
+        assert.deepStrictEqual(mock.associatedIds('contacts', contact, 'companies'), [company]);
+        assert.strictEqual(mock.getObject('contacts', contact).properties.firstname, 'Jane');
+    });
+
+    it('associates with the configured association types and labels', function () {
+        mock.addAssociationLabel('contacts', 'companies', { category: 'USER_DEFINED', typeId: 5, label: 'Billing contact' });
+        var company = mock.addObject('companies', { external_account_id: 'A1', name: 'Acme' });
+        var config = { entity: 'contacts', associationTypes: 'companies=1, billing contact' };
+
+        var run = harness.runWriter(hubspotCrmWriter, config, [
+            { Email: 'jane@example.com', FirstName: 'Jane', external_account_id: 'A1' }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.deepStrictEqual(mock.associationsOf('contacts', run.records[0].hubspotId, 'companies'), [{
+            toObjectId: Number(company),
+            associationTypes: [
+                { category: 'HUBSPOT_DEFINED', typeId: 1, label: null },
+                { category: 'USER_DEFINED', typeId: 5, label: 'Billing contact' }
+            ]
+        }]);
+
+        assert.throws(function () {
+            harness.runWriter(hubspotCrmWriter, { entity: 'contacts', associationTypes: 'companies=Payer' }, []);
+        }, /Unknown association label "Payer" for contacts → companies \(available labels: Billing contact\)/);
+
+        mock.failNext(/\/labels$/, { status: 403, body: { status: 'error', message: 'Missing scopes', category: 'MISSING_SCOPES' } });
+        assert.throws(function () {
+            harness.runWriter(hubspotCrmWriter, config, []);
+        }, /Could not read the association labels of contacts → companies .*403.*Missing scopes/);
+    });
+
+    it('writes custom objects associated in the category of the labels API', function () {
+        mock.addSchema(CONTRACT_SCHEMA);
+        mock.defineProperties('2-100', [{ name: 'contract_number', hasUniqueValue: true }, 'title']);
+        mock.addAssociationLabel('2-100', 'companies', { category: 'HUBSPOT_DEFINED', typeId: 77, label: null });
+        var company = mock.addObject('companies', { external_account_id: 'A1', name: 'Acme' });
+        var existing = mock.addObject('2-100', { contract_number: 'C-1', title: 'Old' });
+
+        var run = harness.runWriter(hubspotCrmWriter, { objectType: 'p_contracts', propertyUpdateMode: 'overwrite' }, [
+            { contract_number: 'C-1', title: 'Support', external_account_id: 'A1' },
+            { contract_number: 'C-2', title: 'Licence', external_account_id: 'A1' }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        var created = run.records.filter(function (r) { return r.action === 'create'; })[0].hubspotId;
+        assert.strictEqual(mock.getObject('2-100', existing).properties.title, 'Support');
+        assert.strictEqual(mock.getObject('2-100', created).properties.title, 'Licence');
+        [existing, created].forEach(function (id) {
+            assert.deepStrictEqual(mock.associationsOf('2-100', id, 'companies'), [{
+                toObjectId: Number(company),
+                associationTypes: [{ category: 'HUBSPOT_DEFINED', typeId: 77, label: null }]
+            }]);
+        });
+    });
+
+    it('sends nothing in a dry run and returns the plan', function () {
+        var existing = mock.addObject('companies', { external_account_id: 'A1', name: 'Old' });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', dryRun: 'true', propertyUpdateMode: 'overwrite' }, [
+            { external_account_id: 'A1', Name: 'New' },
+            { external_account_id: 'A2', Name: 'Fresh' }
+        ]);
+
+        assert.strictEqual(writtenRequests(/batch\/(create|update|upsert|archive)$/).length, 0);
+        assert.strictEqual(mock.listObjects('companies').length, 1);
+        assert.strictEqual(mock.getObject('companies', existing).properties.name, 'Old');
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.action, r.targetId]; }),
+            [['update', existing], ['create', run.records[1].targetId]]);
+        assert.deepStrictEqual(JSON.parse(run.records[0].diff), { name: { current: 'Old', 'new': 'New' } });
+    });
+
+    it('plans records without properties or rejected by the schema validation with their reason', function () {
+        mock.defineProperties('companies', COMPANY_PROPERTIES);
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', dryRun: 'true', schemaValidation: 'reject' }, [
+            { external_account_id: 'A1', Name: 'Fine' },
+            {},
+            { external_account_id: 'A3', Name: 'Bad', no_such_property: 'x' }
+        ]);
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.recordNumber, r.action, r.errorMessage]; }), [
+            [2, 'skip', 'The record has no properties to write'],
+            [3, 'error', 'Rejected by schema validation: no_such_property (unknown property)'],
+            [1, 'create', '']
+        ]);
+        assert.strictEqual(writtenRequests(/batch\/(create|update|upsert)$/).length, 0);
+    });
+
+    it('re-sends a rejected batch record by record', function () {
+        // Without schema validation (the default) the unknown property reaches HubSpot
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies' }, [
+            { external_account_id: 'A1', Name: 'Good' },
+            { external_account_id: 'A2', Name: 'Bad', no_such_property: 'x' },
+            { external_account_id: 'A3', Name: 'Also good' }
+        ]);
+
+        assert.deepStrictEqual(mock.listObjects('companies').map(function (o) { return o.properties.name; }), ['Good', 'Also good']);
+        assert.deepStrictEqual(run.records.map(function (r) { return r.action; }), ['create', 'error', 'create']);
+        assert.match(run.records[1].errorMessage, /no_such_property/);
+        assert.strictEqual(run.journal.errors.length, 1);
+        assert.match(run.journal.errors[0], /"external_account_id":"A2"/);
+    });
+
+    it('retries rate-limited requests', function () {
+        mock.failNext(/batch\/create$/, {
+            status: 429,
+            headers: { 'Retry-After': '0' },
+            body: { status: 'error', category: 'RATE_LIMITS', policyName: 'TEN_SECONDLY_ROLLING', message: 'You have reached your ten_secondly_rolling limit.' }
+        });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies' }, [
+            { external_account_id: 'A1', Name: 'Acme' }
+        ]);
+
+        assert.strictEqual(run.records[0].action, 'create');
+        assert.strictEqual(writtenRequests(/batch\/create$/).length, 2);
+        assert.ok(run.journal.warnings.some(function (w) { return /rate limited \(HTTP 429\)/.test(w); }));
+    });
+
+    it('archives matched records within the safety threshold', function () {
+        var target = mock.addObject('companies', { external_account_id: 'A1' });
+        var records = [{ external_account_id: 'A1', _operation: 'archive' }];
+        for (var i = 2; i <= 10; i++) {
+            records.push({ external_account_id: 'A' + i, Name: 'Company ' + i });
+        }
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies' }, records);
+
+        assert.strictEqual(mock.getObject('companies', target), null);
+        assert.strictEqual(mock.listObjects('companies').length, 9);
+        assert.deepStrictEqual(run.records.filter(function (r) { return r.action === 'archive'; })
+            .map(function (r) { return r.hubspotId; }), [target]);
+    });
+
+    it('reads the operation of key/value list and JSON records', function () {
+        var listed = mock.addObject('companies', { external_account_id: 'A1' });
+        var nested = mock.addObject('companies', { external_account_id: 'A2' });
+        var records = [
+            [{ key: 'external_account_id', value: 'A1' }, { key: '_operation', value: 'archive' }],
+            JSON.stringify({ properties: { external_account_id: 'A2', _operation: 'delete' } })
+        ];
+        for (var i = 3; i <= 10; i++) {
+            records.push([{ key: 'external_account_id', value: 'A' + i }, { key: '_operation', value: 'write' }]);
+        }
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', maxArchivePercent: '20' }, records);
+
+        assert.strictEqual(mock.getObject('companies', listed), null);
+        assert.strictEqual(mock.getObject('companies', nested), null);
+        assert.strictEqual(mock.listObjects('companies').length, 8);
+        assert.deepStrictEqual(run.records.filter(function (r) { return r.action === 'archive'; })
+            .map(function (r) { return r.hubspotId; }).sort(), [listed, nested].sort());
+    });
+
+    it('aborts without archiving when too many records would be archived', function () {
+        mock.addObject('companies', { external_account_id: 'A1' });
+        mock.addObject('companies', { external_account_id: 'A2' });
+
+        assert.throws(function () {
+            harness.runWriter(hubspotCrmWriter, { entity: 'companies', operation: 'archive' }, [
+                { external_account_id: 'A1' },
+                { external_account_id: 'A2' }
+            ]);
+        }, /Aborted without archiving/);
+        assert.strictEqual(mock.listObjects('companies').length, 2);
+        assert.strictEqual(writtenRequests(/batch\/archive$/).length, 0);
+    });
+
+    it('removes associations the source no longer has when syncing', function () {
+        var kept = mock.addObject('companies', { external_account_id: 'A1' });
+        var stale = mock.addObject('companies', { external_account_id: 'A2' });
+        var contact = mock.addObject('contacts', { email: 'jane@example.com' });
+        mock.associate('contacts', contact, 'companies', kept, [1]);
+        mock.associate('contacts', contact, 'companies', stale, [1]);
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'contacts', syncAssociations: 'true' }, [
+            { Email: 'jane@example.com', external_account_id: 'A1' }
+        ]);
+
+        assert.deepStrictEqual(mock.associatedIds('contacts', contact, 'companies'), [kept]);
+        assert.deepStrictEqual(mock.associatedIds('companies', stale, 'contacts'), []);
+        assert.strictEqual(run.records[0].removedAssociationIds, 'companies:' + stale);
+    });
+
+    it('reports associations whose removal failed as not removed', function () {
+        var kept = mock.addObject('companies', { external_account_id: 'A1' });
+        var stale = mock.addObject('companies', { external_account_id: 'A2' });
+        var contact = mock.addObject('contacts', { email: 'jane@example.com' });
+        mock.associate('contacts', contact, 'companies', kept, [1]);
+        mock.associate('contacts', contact, 'companies', stale, [1]);
+        mock.failNext(/associations\/contacts\/companies\/batch\/archive$/, {
+            status: 400, body: { status: 'error', message: 'Archive rejected', category: 'VALIDATION_ERROR' }
+        });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'contacts', syncAssociations: 'true' }, [
+            { Email: 'jane@example.com', external_account_id: 'A1' }
+        ]);
+
+        assert.deepStrictEqual(mock.associatedIds('contacts', contact, 'companies').sort(), [kept, stale].sort());
+        assert.strictEqual(run.records[0].action, 'update');
+        assert.strictEqual(run.records[0].removedAssociationIds, '');
+        assert.match(run.records[0].errorMessage, /Archive rejected/);
+        assert.strictEqual(run.journal.errors.length, 1);
+    });
+
+    it('converts values to the types of the property definitions', function () {
+        mock.defineProperties('companies', [
+            { name: 'founded_on', type: 'date', fieldType: 'date' },
+            { name: 'last_synced_at', type: 'datetime', fieldType: 'date' },
+            { name: 'annualrevenue', type: 'number', fieldType: 'number' },
+            { name: 'is_partner', type: 'bool', fieldType: 'booleancheckbox' },
+            {
+                name: 'regions', type: 'enumeration', fieldType: 'checkbox',
+                options: [{ label: 'Europe', value: 'emea' }, { label: 'Americas', value: 'amer' }]
+            }
+        ]);
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', propertyUpdateMode: 'overwrite' }, [
+            {
+                external_account_id: 'A1',
+                founded_on: '/Date(1712345678000)/',
+                last_synced_at: '2024-04-05T19:34:38Z',
+                annualrevenue: '1.234.567,50',
+                is_partner: 'X',
+                regions: 'Europe;amer',
+                description: '/Date(1712345678000)/'
+            },
+            { external_account_id: 'A2', founded_on: 1712345678, annualrevenue: 1500, is_partner: false }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        var first = mock.listObjects('companies')[0].properties;
+        assert.strictEqual(first.founded_on, String(Date.UTC(2024, 3, 5)));
+        assert.strictEqual(first.last_synced_at, '1712345678000');
+        assert.strictEqual(first.annualrevenue, '1234567.50');
+        assert.strictEqual(first.is_partner, 'true');
+        assert.strictEqual(first.regions, 'emea;amer');
+        assert.strictEqual(first.description, '/Date(1712345678000)/');
+        var second = mock.listObjects('companies')[1].properties;
+        assert.strictEqual(second.founded_on, String(Date.UTC(2024, 3, 5)));
+        assert.strictEqual(second.annualrevenue, '1500');
+        assert.strictEqual(second.is_partner, 'false');
+    });
+
+    it('maps, transforms, concatenates and skips fields as configured', function () {
+        mock.defineProperties('companies', ['address', 'country', 'lifecyclestage']);
+
+        var run = harness.runWriter(hubspotCrmWriter, {
+            entity: 'companies',
+            propertyUpdateMode: 'overwrite',
+            fieldMapping: JSON.stringify({
+                fields: {
+                    AccountID: 'external_account_id',
+                    CompanyName: { property: 'name', transforms: ['trim', 'uppercase'] },
+                    CountryCode: { property: 'country', lookup: { DE: 'Germany', '*': 'Other' } },
+                    Street: { property: 'address', concat: ['HouseNumber'] },
+                    Phone: null
+                },
+                constants: { lifecyclestage: 'customer' },
+                skip: ['ETag']
+            })
+        }, [
+            { AccountID: 'A1', CompanyName: ' Acme ', CountryCode: 'DE', Street: 'Main St', HouseNumber: '5', Phone: '123', City: 'Berlin', ETag: 'x' },
+            { AccountID: 'A2', CompanyName: 'Beta', CountryCode: 'FR' }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        var companies = mock.listObjects('companies');
+        assert.strictEqual(companies[0].properties.external_account_id, 'A1');
+        assert.strictEqual(companies[0].properties.name, 'ACME');
+        assert.strictEqual(companies[0].properties.country, 'Germany');
+        assert.strictEqual(companies[0].properties.address, 'Main St 5');
+        assert.strictEqual(companies[0].properties.city, 'Berlin');
+        assert.strictEqual(companies[0].properties.lifecyclestage, 'customer');
+        assert.strictEqual(companies[0].properties.phone, undefined);
+        assert.strictEqual(companies[1].properties.country, 'Other');
+    });
+
+    it('accepts the line form and rejects mappings to unknown or read-only properties', function () {
+        harness.runWriter(hubspotCrmWriter, {
+            entity: 'companies',
+            fieldMapping: 'AccountID=external_account_id; Web=domain|trim|lowercase; "Partner"=description'
+        }, [{ AccountID: 'A1', Web: ' WWW.Acme.com ' }]);
+
+        var company = mock.listObjects('companies')[0].properties;
+        assert.strictEqual(company.domain, 'www.acme.com');
+        assert.strictEqual(company.description, 'Partner');
+
+        assert.throws(function () {
+            harness.runWriter(hubspotCrmWriter, {
+                entity: 'companies',
+                fieldMapping: 'Revenue=annual_revnue; ObjectID=hs_object_id'
+            }, [{ Revenue: '1' }]);
+        }, /Invalid field mapping for companies: annual_revnue \(unknown property\), hs_object_id \(read-only\)/);
+        assert.throws(function () {
+            harness.runWriter(hubspotCrmWriter, { entity: 'companies', fieldMapping: 'Name=name|reverse' }, []);
+        }, /Unknown transform "reverse" for field "Name"/);
+    });
+
+    it('drops, rejects or fails on properties HubSpot would reject as configured', function () {
+        mock.defineProperties('companies', [
+            { name: 'hs_num_child_companies', modificationMetadata: { readOnlyValue: true } },
+            { name: 'type', type: 'enumeration', fieldType: 'select', options: [{ label: 'Partner', value: 'PARTNER' }] }
+        ]);
+        var records = [
+            { external_account_id: 'A1', Name: 'Good', type: 'Partner' },
+            { external_account_id: 'A2', Name: 'Bad', no_such_property: 'x', hs_num_child_companies: '3', type: 'VENDOR' },
+            { external_account_id: 'A3', Name: 'Long', description: new Array(65538).join('x') }
+        ];
+
+        var dropped = harness.runWriter(hubspotCrmWriter, { entity: 'companies', schemaValidation: 'drop' }, records);
+
+        assert.deepStrictEqual(dropped.journal.errors, []);
+        assert.deepStrictEqual(dropped.records.map(function (r) { return r.action; }), ['create', 'create', 'create']);
+        assert.strictEqual(mock.listObjects('companies')[0].properties.type, 'PARTNER');
+        assert.strictEqual(mock.listObjects('companies')[1].properties.type, undefined);
+        assert.deepStrictEqual(dropped.journal.warnings, [
+            'Record 2: left out properties HubSpot would reject: no_such_property (unknown property), '
+                + 'hs_num_child_companies (read-only), type ("VENDOR" is no option value)',
+            'Record 3: left out properties HubSpot would reject: description (65537 characters, at most 65536 allowed)'
+        ]);
+
+        var rejected = harness.runWriter(hubspotCrmWriter, { entity: 'companies', schemaValidation: 'reject' }, [
+            { external_account_id: 'A4', Name: 'Bad', type: 'VENDOR' },
+            { external_account_id: 'A5', Name: 'Fine' }
+        ]);
+
+        assert.deepStrictEqual(rejected.records.map(function (r) { return [r.lookupValue, r.action]; }),
+            [['A4', 'error'], ['A5', 'create']]);
+        assert.match(rejected.records[0].errorMessage, /Rejected by schema validation: type \("VENDOR" is no option value\)/);
+        assert.strictEqual(rejected.journal.errors.length, 1);
+        assert.strictEqual(mock.listObjects('companies').length, 4);
+
+        assert.throws(function () {
+            harness.runWriter(hubspotCrmWriter, { entity: 'companies', schemaValidation: 'fail' }, [records[1]]);
+        }, /Record 1 has properties HubSpot would reject: no_such_property \(unknown property\)/);
+    });
+
+    it('writes values unconverted when the property definitions cannot be read', function () {
+        mock.failNext(/^\/crm\/v3\/properties\/companies$/, {
+            status: 403,
+            headers: {},
+            body: { status: 'error', category: 'MISSING_SCOPES', message: 'This app is missing the required scopes' }
+        }, 'GET');
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'companies', propertyUpdateMode: 'overwrite' }, [
+            { external_account_id: 'A1', Name: 'Acme' }
+        ]);
+
+        assert.match(run.journal.warnings[0], /Could not read the property definitions of companies/);
+        assert.strictEqual(mock.listObjects('companies')[0].properties.name, 'Acme');
+    });
+
+    it('resolves deal pipelines and stages by label and stage mapping', function () {
+        mock.addPipeline('deals', { id: 'default', label: 'Sales', stages: [
+            { id: 'appointmentscheduled', label: 'Appointment scheduled' },
+            { id: 'qualifiedtobuy', label: 'Qualified' }
+        ] });
+        mock.addPipeline('deals', { id: '7001', label: 'Enterprise', stages: [
+            { id: '7001-1', label: 'Qualified' },
+            { id: '7001-2', label: 'Contract sent' }
+        ] });
+
+        var run = harness.runWriter(hubspotCrmWriter, {
+            entity: 'deals',
+            stageMapping: 'Z1=Appointment scheduled; Z2=Enterprise:Qualified',
+            propertyUpdateMode: 'overwrite',
+            schemaValidation: 'drop'
+        }, [
+            { external_deal_id: 'D1', dealname: 'Mapped', SalesPhaseCode: 'Z1' },
+            { external_deal_id: 'D2', dealname: 'Mapped to a pipeline', SalesPhaseCode: 'Z2' },
+            { external_deal_id: 'D3', dealname: 'By label', Pipeline: 'enterprise', Stage: 'Contract sent' },
+            { external_deal_id: 'D4', dealname: 'Ambiguous', Stage: 'Qualified' },
+            { external_deal_id: 'D5', dealname: 'Wrong pipeline', Pipeline: 'Sales', Stage: 'Contract sent' }
+        ]);
+
+        assert.deepStrictEqual(mock.listObjects('deals').map(function (deal) {
+            return [deal.properties.dealname, deal.properties.pipeline, deal.properties.dealstage];
+        }), [
+            ['Mapped', 'default', 'appointmentscheduled'],
+            ['Mapped to a pipeline', '7001', '7001-1'],
+            ['By label', '7001', '7001-2'],
+            ['Ambiguous', undefined, undefined],
+            ['Wrong pipeline', 'default', undefined]
+        ]);
+        assert.deepStrictEqual(run.journal.warnings, [
+            'Record 4: left out properties HubSpot would reject: dealstage ("Qualified" is a stage of several '
+                + 'pipelines ("Sales", "Enterprise"), set the pipeline)',
+            'Record 5: left out properties HubSpot would reject: dealstage ("Contract sent" is no stage of '
+                + 'pipeline "Sales" (but of "Enterprise"))'
+        ]);
+    });
+
+    it('uses the pipeline arg for ticket stages without pipeline', function () {
+        mock.addPipeline('tickets', { id: '0', label: 'Support', stages: [{ id: '1', label: 'New' }] });
+        mock.addPipeline('tickets', { id: '55', label: 'Onboarding', stages: [{ id: '56', label: 'New' }] });
+
+        var run = harness.runWriter(hubspotCrmWriter, { entity: 'tickets', pipeline: 'Onboarding', schemaValidation: 'reject' }, [
+            { subject: 'Welcome', Status: 'New' },
+            { subject: 'Unknown pipeline', Pipeline: 'Billing', Status: 'New' }
+        ]);
+
+        var ticket = mock.listObjects('tickets')[0].properties;
+        assert.deepStrictEqual([ticket.hs_pipeline, ticket.hs_pipeline_stage], ['55', '56']);
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.recordNumber, r.action]; }), [[2, 'error'], [1, 'create']]);
+        assert.match(run.records[0].errorMessage, /hs_pipeline \("Billing" is no pipeline\), hs_pipeline_stage \(of an unknown pipeline\)/);
+    });
+
+    it('resolves lead pipelines and stages by label and stage mapping', function () {
+        mock.addPipeline('leads', { id: 'lead-pipeline', label: 'Lead pipeline', stages: [
+            { id: 'new-stage-id', label: 'New' },
+            { id: 'attempting-stage-id', label: 'Attempting' }
+        ] });
+        mock.addPipeline('leads', { id: '9001', label: 'Partner leads', stages: [
+            { id: '9001-1', label: 'New' },
+            { id: '9001-2', label: 'Qualified' }
+        ] });
+
+        var run = harness.runWriter(hubspotCrmWriter, {
+            entity: 'leads',
+            stageMapping: 'Q1=Attempting; Q2=Partner leads:New',
+            schemaValidation: 'reject'
+        }, [
+            { external_lead_id: 'L1', Name: 'Mapped', Stage: 'Q1' },
+            { external_lead_id: 'L2', Name: 'Mapped to a pipeline', Stage: 'Q2' },
+            { external_lead_id: 'L3', Name: 'By label', Pipeline: 'partner leads', Stage: 'Qualified' },
+            { external_lead_id: 'L4', Name: 'Ambiguous', Stage: 'New' }
+        ]);
+
+        assert.deepStrictEqual(mock.listObjects('leads').map(function (lead) {
+            return [lead.properties.hs_lead_name, lead.properties.hs_pipeline, lead.properties.hs_pipeline_stage];
+        }), [
+            ['Mapped', 'lead-pipeline', 'attempting-stage-id'],
+            ['Mapped to a pipeline', '9001', '9001-1'],
+            ['By label', '9001', '9001-2']
+        ]);
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.recordNumber, r.action]; }),
+            [[4, 'error'], [1, 'create'], [2, 'create'], [3, 'create']]);
+        assert.match(run.records[0].errorMessage,
+            /hs_pipeline_stage \("New" is a stage of several pipelines \("Lead pipeline", "Partner leads"\), set the pipeline\)/);
+    });
+});
+
+describe('hubspotHttpClient', function () {
+    var SERVER_ERROR = { status: 503, headers: {}, body: { status: 'error', message: 'Service unavailable' } };
+    var HEADERS = { Authorization: 'Bearer ' + harness.TOKEN };
+
+    function client(options, waits, journal) {
+        return hubspotHttpClient({
+            maxRetries: options.maxRetries,
+            requestsPer10Seconds: options.requestsPer10Seconds,
+            journal: journal,
+            sleep: function (ms) { waits.push(ms); }
+        });
+    }
+
+    it('waits once the request budget of 10 seconds is used up', function () {
+        var waits = [];
+        var journal = harness.createJournal();
+        var http = client({ requestsPer10Seconds: 2 }, waits, journal);
+
+        for (var i = 0; i < 3; i++) {
+            http.getJson(harness.BASE_URL + '/crm/v3/objects/companies', HEADERS);
+        }
+
+        assert.strictEqual(waits.length, 1);
+        assert.ok(waits[0] > 9000 && waits[0] <= 10000);
+        assert.match(journal.warnings[0], /request budget of 2 requests per 10 s reached/);
+    });
+
+    it('retries server errors with backoff, but not for create requests', function () {
+        var waits = [];
+        var journal = harness.createJournal();
+        var http = client({ maxRetries: 3, requestsPer10Seconds: 0 }, waits, journal);
+
+        mock.failNext(/^\/crm\/v3\/objects\/companies$/, SERVER_ERROR, 'GET');
+        mock.failNext(/^\/crm\/v3\/objects\/companies$/, SERVER_ERROR, 'GET');
+        var page = http.getJson(harness.BASE_URL + '/crm/v3/objects/companies', HEADERS);
+        assert.deepStrictEqual(page.results, []);
+        assert.strictEqual(waits.length, 2);
+        assert.ok(waits[0] >= 500 && waits[0] <= 1000 && waits[1] >= 1000 && waits[1] <= 2000);
+        assert.match(journal.warnings[0], /failed \(HTTP 503\).*retry 1\/3/);
+
+        mock.failNext(/batch\/create$/, SERVER_ERROR, 'POST');
+        assert.throws(function () {
+            http.postJson(harness.BASE_URL + '/crm/v3/objects/companies/batch/create',
+                { inputs: [{ properties: { name: 'Acme' } }] }, HEADERS);
+        }, /HTTP response code: 503/);
+        assert.strictEqual(writtenRequests(/batch\/create$/).length, 1);
+        assert.strictEqual(waits.length, 2);
+
+        mock.failNext(/batch\/update$/, SERVER_ERROR, 'POST');
+        http.postJson(harness.BASE_URL + '/crm/v3/objects/companies/batch/update', { inputs: [] }, HEADERS);
+        assert.strictEqual(writtenRequests(/batch\/update$/).length, 2);
+    });
+
+    it('gives up after the configured number of retries', function () {
+        var waits = [];
+        var http = client({ maxRetries: 1, requestsPer10Seconds: 0 }, waits, null);
+
+        mock.failNext(/^\/crm\/v3\/objects\/companies$/, SERVER_ERROR, 'GET');
+        mock.failNext(/^\/crm\/v3\/objects\/companies$/, SERVER_ERROR, 'GET');
+
+        assert.throws(function () {
+            http.getJson(harness.BASE_URL + '/crm/v3/objects/companies', HEADERS);
+        }, /HTTP response code: 503/);
+        assert.strictEqual(mock.requests(/^\/crm\/v3\/objects\/companies$/).length, 2);
+        assert.strictEqual(waits.length, 1);
+    });
+});
+
+describe('hubspotSchemaWriter', function () {
+    var SANDBOX_PROPERTIES = [
+        { name: 'name', hubspotDefined: true },
+        { name: 'external_account_id', label: 'External account id', hasUniqueValue: true, groupName: 'c4c_integration', groupLabel: 'C4C integration' },
+        {
+            name: 'account_tier', label: 'Account tier', type: 'enumeration', fieldType: 'select', groupName: 'c4c_integration',
+            options: [{ label: 'Gold', value: 'gold', displayOrder: 0 }, { label: 'Silver', value: 'silver', displayOrder: 1 }]
+        },
+        { name: 'industry', type: 'enumeration', fieldType: 'select', options: 'IT;Retail' }
+    ];
+
+    it('promotes properties read from a sandbox, creating missing groups', function () {
+        mock.defineProperties('companies', ['name', { name: 'industry', type: 'enumeration', fieldType: 'select', options: [{ label: 'IT', value: 'IT' }] }]);
+
+        var run = harness.runWriter(hubspotSchemaWriter, { entity: 'companies' }, SANDBOX_PROPERTIES);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.name, r.action, r.groupCreated, r.missingOptions]; }), [
+            ['name', 'exists', false, ''],
+            ['external_account_id', 'create', true, ''],
+            ['account_tier', 'create', false, ''],
+            ['industry', 'incomplete', false, 'Retail']
+        ]);
+        assert.match(run.records[3].errorMessage, /The options Retail were not added: .*PATCH/);
+        assert.deepStrictEqual(mock.propertyGroups('companies')[0], {
+            name: 'c4c_integration', label: 'C4C integration', displayOrder: -1, archived: false
+        });
+        assert.strictEqual(mock.propertyDefinition('companies', 'external_account_id').hasUniqueValue, true);
+        assert.deepStrictEqual(mock.propertyDefinition('companies', 'account_tier').options.map(function (o) { return o.value; }),
+            ['gold', 'silver']);
+        assert.match(run.journal.warnings[0], /Property industry of companies lacks the options Retail/);
+    });
+
+    it('creates nothing in a dry run and skips HubSpot-defined properties', function () {
+        var run = harness.runWriter(hubspotSchemaWriter, { entity: 'companies', dryRun: 'true' }, SANDBOX_PROPERTIES);
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.name, r.action]; }), [
+            ['name', 'skip'],
+            ['external_account_id', 'create'],
+            ['account_tier', 'create'],
+            ['industry', 'error']
+        ]);
+        assert.match(run.records[3].errorMessage, /no groupName/);
+        assert.strictEqual(writtenRequests(/^\/crm\/v3\/properties\//).length, 0);
+        assert.strictEqual(mock.propertyDefinition('companies', 'external_account_id'), null);
+    });
+
+    it('reports records with malformed options JSON as errors naming the property', function () {
+        mock.defineProperties('companies', [{ name: 'industry', type: 'enumeration', fieldType: 'select', options: [] }]);
+
+        var run = harness.runWriter(hubspotSchemaWriter, { entity: 'companies' }, [
+            { name: 'industry', type: 'enumeration', options: '[{"value": "IT"' },
+            { name: 'account_tier', type: 'enumeration', groupName: 'companyinformation', options: '[{"value": gold}]' },
+            { name: 'region', groupName: 'companyinformation' }
+        ]);
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.name, r.action]; }),
+            [['industry', 'error'], ['account_tier', 'error'], ['region', 'create']]);
+        assert.match(run.records[0].errorMessage, /^Invalid options JSON of property industry: /);
+        assert.match(run.records[1].errorMessage, /^Invalid options JSON of property account_tier: /);
+        assert.strictEqual(run.journal.errors.length, 2);
+    });
+});
+
+describe('HubSpot OAuth app authentication', function () {
+    var APP = { clientId: 'app-client', clientSecret: 'app-secret', refreshToken: 'install-refresh-token' };
+
+    function oauthConfig(overrides) {
+        var properties = { oauthClientId: APP.clientId, oauthClientSecret: APP.clientSecret, oauthRefreshToken: APP.refreshToken };
+        for (var key in overrides || {}) {
+            if (overrides.hasOwnProperty(key)) properties[key] = overrides[key];
+        }
+        return { authConfig: null, oauthConfig: { subType: 'OAUTH2', properties: properties } };
+    }
+
+    function merged(base, extra) {
+        for (var key in extra) {
+            if (extra.hasOwnProperty(key)) base[key] = extra[key];
+        }
+        return base;
+    }
+
+    /** Replaces the default portal with one accepting only tokens of the app. */
+    function installApp(oauth) {
+        env.restore();
+        env = harness.install({ token: '', oauth: merged(merged({}, APP), oauth || {}) });
+        mock = env.mock;
+    }
+
+    function tokenRequests() {
+        return mock.requests(/^\/oauth\/v1\/token$/).map(function (request) {
+            return new URLSearchParams(request.body);
+        });
+    }
+
+    beforeEach(function () {
+        hubspotAuth.clearTokenCache();
+    });
+
+    it('obtains an access token with the refresh token and uses it for every request', function () {
+        installApp();
+        mock.defineProperties('companies', COMPANY_PROPERTIES);
+        for (var i = 0; i < 150; i++) {
+            mock.addObject('companies', { name: 'Company ' + i });
+        }
+
+        var schema = harness.runReader(hubspotSchemaReader, merged({ entity: 'companies' }, oauthConfig()));
+        var objects = harness.runReader(hubspotObjectReader, merged({ entity: 'companies' }, oauthConfig()));
+
+        assert.strictEqual(schema.records.length, 8);
+        assert.strictEqual(objects.records.length, 150);
+        var tokens = tokenRequests();
+        assert.strictEqual(tokens.length, 1);
+        assert.strictEqual(tokens[0].get('grant_type'), 'refresh_token');
+        assert.strictEqual(tokens[0].get('client_id'), APP.clientId);
+        assert.strictEqual(tokens[0].get('client_secret'), APP.clientSecret);
+        assert.strictEqual(tokens[0].get('refresh_token'), APP.refreshToken);
+        mock.requests(/^\/crm\//).forEach(function (request) {
+            assert.strictEqual(request.headers.Authorization, 'Bearer oauth-access-1');
+        });
+    });
+
+    it('refreshes tokens near expiry between requests', function () {
+        installApp({ expiresIn: 30 });
+        for (var i = 0; i < 250; i++) {
+            mock.addObject('companies', { name: 'Company ' + i });
+        }
+
+        var run = harness.runReader(hubspotObjectReader, merged({ entity: 'companies' }, oauthConfig()));
+
+        assert.strictEqual(run.records.length, 250);
+        var sent = mock.requests(/^\/crm\//).map(function (request) { return request.headers.Authorization; });
+        assert.strictEqual(sent.length, 4);
+        sent.forEach(function (authorization) {
+            assert.match(authorization, /^Bearer oauth-access-\d+$/);
+        });
+        assert.strictEqual(new Set(sent).size, sent.length);
+    });
+
+    it('refreshes a rejected token once and repeats the request', function () {
+        installApp();
+        mock.defineProperties('companies', COMPANY_PROPERTIES);
+        var config = merged({ entity: 'companies', propertyUpdateMode: 'overwrite' }, oauthConfig());
+
+        harness.runWriter(hubspotCrmWriter, config, [{ external_account_id: 'A1', Name: 'First' }]);
+        mock.revokeTokens();
+        var run = harness.runWriter(hubspotCrmWriter, config, [{ external_account_id: 'A1', Name: 'Second' }]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.strictEqual(tokenRequests().length, 2);
+        assert.match(run.journal.warnings[0], /rejected with HTTP 401 – refreshing the OAuth access token/);
+        assert.strictEqual(mock.listObjects('companies')[0].properties.name, 'Second');
+    });
+
+    it('refreshes a token rejected with an error body instead of an error', function () {
+        installApp();
+        mock.defineProperties('companies', COMPANY_PROPERTIES);
+        var config = merged({ entity: 'companies', propertyUpdateMode: 'overwrite' }, oauthConfig());
+        harness.runWriter(hubspotCrmWriter, config, [{ external_account_id: 'A1', Name: 'First' }]);
+        mock.revokeTokens();
+
+        // A runtime handing back the body of error responses instead of throwing
+        ['getJson', 'postJson'].forEach(function (name) {
+            var send = global[name];
+            global[name] = function () {
+                try {
+                    return send.apply(null, arguments);
+                } catch (e) {
+                    if (e.statusCode === 401) return e.body;
+                    throw e;
+                }
+            };
+        });
+        var run = harness.runWriter(hubspotCrmWriter, config, [{ external_account_id: 'A1', Name: 'Second' }]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.strictEqual(tokenRequests().length, 2);
+        assert.match(run.journal.warnings[0], /rejected with HTTP 401 – refreshing the OAuth access token/);
+        assert.strictEqual(mock.listObjects('companies')[0].properties.name, 'Second');
+    });
+
+    it('fails clearly when the refresh token is rejected', function () {
+        installApp();
+
+        assert.throws(function () {
+            harness.runReader(hubspotSchemaReader, merged({ entity: 'companies' }, oauthConfig({ oauthRefreshToken: 'revoked' })));
+        }, /HubSpot OAuth token refresh failed: .*HTTP response code: 400/);
+    });
+});
@@ -0,0 +1,897 @@
+/**
+ * In-memory HubSpot API stand-in for the end-to-end tests.
+ *
+ * Serves the endpoints used by hubspotObjectReader, hubspotSchemaReader and
+ * hubspotCrmWriter from an in-memory portal:
+ *
+ *   GET  /crm/v3/objects/{type}                      list, cursor paging (limit <= 100)
+ *   POST /crm/v3/objects/{type}/search               filters, sorts, paging (limit <= 200, 10,000 cap)
+ *   POST /crm/v3/objects/{type}/batch/{read|create|update|upsert|archive}
+ *   GET  /crm/v3/properties/{type}[/{name}]
+ *   POST /crm/v3/properties/{type}                   create a property (its group must exist)
+ *   GET|POST /crm/v3/properties/{type}/groups
+ *   GET  /crm/v3/schemas
+ *   GET  /crm/v3/pipelines/{type}
+ *   GET  /settings/users/v3                          cursor paging
+ *   GET  /crm/v4/objects/{from}/{id}/associations/{to}
+ *   GET  /crm/v4/associations/{from}/{to}/labels
+ *   POST /crm/v4/associations/{from}/{to}/batch/{read|create|archive|labels/archive}
+ *   POST /oauth/v1/token                             refresh_token grant (with `oauth` set)
+ *
+ * Errors use HubSpot's error body ({ status: 'error', message, category,
+ * correlationId, context }) and status codes: 400 for invalid properties or
+ * requests, 401 without the expected bearer token (or an access token
+ * issued by /oauth/v1/token and not revoked, see revokeTokens()), 404 for unknown
+ * endpoints / objects / properties, 409 for duplicate unique values, 207
+ * for partially failed batches. Further failures (e.g. 429 with rate limit
+ * headers) can be queued with failNext().
+ *
+ * handle() answers a request synchronously (as the plugin globals are
+ * synchronous); listen() serves the same portal over HTTP for manual use.
+ */
+
+var http = require('http');
+var url = require('url');
+
+var MAX_PAGE_LIMIT = 100;
+var MAX_SEARCH_LIMIT = 200;
+var SEARCH_RESULT_CAP = 10000;
+var ASSOCIATION_PAGE_LIMIT = 500;
+var BATCH_LIMIT = 100;
+
+// Property holding the last modification date, per object type.
+var LAST_MODIFIED_PROPERTY = {
+    contacts: 'lastmodifieddate'
+};
+
+function lastModifiedPropertyOf(objectType) {
+    return LAST_MODIFIED_PROPERTY[objectType] || 'hs_lastmodifieddate';
+}
+
+function errorResponse(status, message, category, context) {
+    var body = {
+        status: 'error',
+        message: message,
+        correlationId: '00000000-0000-0000-0000-000000000000',
+        category: category
+    };
+    if (context) body.context = context;
+    return { status: status, headers: {}, body: body };
+}
+
+function ok(body, status) {
+    return { status: status || 200, headers: {}, body: body };
+}
+
+/**
+ * Parses the paging cursor ("after") used by the stand-in: the offset of the
+ * next result.
+ */
+function parseAfter(value) {
+    var offset = parseInt(value, 10);
+    return isNaN(offset) || offset < 0 ? 0 : offset;
+}
+
+/**
+ * Converts a property value to a comparable value: numbers and dates (ISO
+ * or epoch ms) to numbers, everything else to lower-case text.
+ */
+function comparable(value) {
+    if (value === null || value === undefined) return null;
+    var text = String(value);
+    if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+    if (/^\d{4}-\d{2}-\d{2}/.test(text) && !isNaN(Date.parse(text))) return Date.parse(text);
+    return text.toLowerCase();
+}
+
+function matchesFilter(object, filter) {
+    var actual = object.properties[filter.propertyName];
+    var hasValue = actual !== null && actual !== undefined && actual !== '';
+    switch (filter.operator) {
+        case 'HAS_PROPERTY': return hasValue;
+        case 'NOT_HAS_PROPERTY': return !hasValue;
+        case 'IN':
+            return hasValue && (filter.values || []).some(function (v) { return comparable(v) === comparable(actual); });
+        case 'NOT_IN':
+            return !hasValue || !(filter.values || []).some(function (v) { return comparable(v) === comparable(actual); });
+        case 'EQ': return hasValue && comparable(actual) === comparable(filter.value);
+        case 'NEQ': return !hasValue || comparable(actual) !== comparable(filter.value);
+        case 'GT': return hasValue && comparable(actual) > comparable(filter.value);
+        case 'GTE': return hasValue && comparable(actual) >= comparable(filter.value);
+        case 'LT': return hasValue && comparable(actual) < comparable(filter.value);
+        case 'LTE': return hasValue && comparable(actual) <= comparable(filter.value);
+        default: return false;
+    }
+}
+
+/**
+ * Creates an empty HubSpot portal stand-in.
+ *
+ * @param {object}   [options]
+ * @param {string}   [options.token]  Bearer token every request must carry (none = no auth check)
+ * @param {object}   [options.oauth]  Public app: { clientId, clientSecret, refreshToken (of the
+ *                                    installation), expiresIn (access token lifetime in s, default 1800) }
+ * @param {number}   [options.now]    Start of the mock clock (epoch ms); every write advances it by 1 s
+ */
+function createMockHubspot(options) {
+    options = options || {};
+    var clock = options.now || Date.UTC(2024, 0, 1);
+    var nextId = 1001;
+
+    var portal = {
+        objects: {},
+        properties: {},
+        // Explicitly created property groups per object type; the groups of
+        // defined properties exist implicitly (see groupsOf).
+        propertyGroups: {},
+        schemas: [],
+        pipelines: {},
+        users: [],
+        associations: {},
+        associationLabels: {},
+        requests: [],
+        failures: [],
+        // Access tokens issued via /oauth/v1/token (token -> true while valid).
+        accessTokens: {}
+    };
+    var nextAccessToken = 1;
+
+    function tick() {
+        clock += 1000;
+        return new Date(clock).toISOString();
+    }
+
+    function objectsOf(objectType) {
+        if (!portal.objects[objectType]) portal.objects[objectType] = [];
+        return portal.objects[objectType];
+    }
+
+    function activeObjectsOf(objectType) {
+        return objectsOf(objectType).filter(function (o) { return !o.archived; });
+    }
+
+    function findObject(objectType, id) {
+        var objects = objectsOf(objectType);
+        for (var i = 0; i < objects.length; i++) {
+            if (objects[i].id === String(id) && !objects[i].archived) return objects[i];
+        }
+        return null;
+    }
+
+    /** Completes a property definition with HubSpot's defaults. */
+    function propertyDefinition(objectType, definition) {
+        var full = typeof definition === 'string' ? { name: definition } : definition;
+        return {
+            name: full.name,
+            label: full.label || full.name,
+            type: full.type || 'string',
+            fieldType: full.fieldType || 'text',
+            groupName: full.groupName || objectType.replace(/s$/, '') + 'information',
+            description: full.description || '',
+            options: full.options || [],
+            hubspotDefined: full.hubspotDefined === true,
+            hasUniqueValue: full.hasUniqueValue === true,
+            archived: false,
+            modificationMetadata: full.modificationMetadata || { archivable: true, readOnlyDefinition: false, readOnlyValue: false }
+        };
+    }
+
+    function groupsOf(objectType) {
+        var groups = (portal.propertyGroups[objectType] || []).slice();
+        (portal.properties[objectType] || []).forEach(function (definition) {
+            var known = groups.some(function (group) { return group.name === definition.groupName; });
+            if (!known) groups.push({ name: definition.groupName, label: definition.groupName, displayOrder: -1, archived: false });
+        });
+        return groups;
+    }
+
+    function createProperty(objectType, body) {
+        if (!body || !body.name || !body.label || !body.type || !body.fieldType || !body.groupName) {
+            return errorResponse(400, 'Property name, label, type, fieldType and groupName are required', 'VALIDATION_ERROR');
+        }
+        if (definitionOf(objectType, body.name)) {
+            return errorResponse(409, "A property named '" + body.name + "' already exists.", 'OBJECT_ALREADY_EXISTS');
+        }
+        var groupExists = groupsOf(objectType).some(function (group) { return group.name === body.groupName; });
+        if (!groupExists) {
+            return errorResponse(400, "Property group '" + body.groupName + "' does not exist", 'VALIDATION_ERROR');
+        }
+        var definition = propertyDefinition(objectType, body);
+        (portal.properties[objectType] = portal.properties[objectType] || []).push(definition);
+        return ok(definition, 201);
+    }
+
+    function createPropertyGroup(objectType, body) {
+        if (!body || !body.name || !body.label) {
+            return errorResponse(400, 'Group name and label are required', 'VALIDATION_ERROR');
+        }
+        if (groupsOf(objectType).some(function (group) { return group.name === body.name; })) {
+            return errorResponse(409, "A property group named '" + body.name + "' already exists.", 'OBJECT_ALREADY_EXISTS');
+        }
+        var group = { name: body.name, label: body.label, displayOrder: body.displayOrder || -1, archived: false };
+        (portal.propertyGroups[objectType] = portal.propertyGroups[objectType] || []).push(group);
+        return ok(group, 201);
+    }
+
+    function definitionOf(objectType, name) {
+        var definitions = portal.properties[objectType] || [];
+        for (var i = 0; i < definitions.length; i++) {
+            if (definitions[i].name === name) return definitions[i];
+        }
+        return null;
+    }
+
+    /**
+     * Returns the names of written properties that are not defined for the
+     * object type (only checked when definitions were registered).
+     */
+    function unknownProperties(objectType, properties) {
+        if (!portal.properties[objectType]) return [];
+        var unknown = [];
+        for (var name in properties) {
+            if (properties.hasOwnProperty(name) && !definitionOf(objectType, name)) unknown.push(name);
+        }
+        return unknown;
+    }
+
+    function invalidPropertiesResponse(unknown) {
+        return errorResponse(400, 'Property values were not valid: ' + JSON.stringify(unknown.map(function (name) {
+            return { isValid: false, message: 'Property "' + name + '" does not exist', error: 'PROPERTY_DOESNT_EXIST', name: name };
+        })), 'VALIDATION_ERROR');
+    }
+
+    /**
+     * Returns the id of the object other than `exceptId` holding `value` in
+     * a unique-value property, '' if there is none.
+     */
+    function uniqueConflict(objectType, properties, exceptId) {
+        for (var name in properties) {
+            if (!properties.hasOwnProperty(name)) continue;
+            var definition = definitionOf(objectType, name);
+            if (!definition || definition.hasUniqueValue !== true || !properties[name]) continue;
+            var objects = activeObjectsOf(objectType);
+            for (var i = 0; i < objects.length; i++) {
+                if (objects[i].id !== exceptId && String(objects[i].properties[name]) === String(properties[name])) {
+                    return objects[i].id;
+                }
+            }
+        }
+        return '';
+    }
+
+    function createObject(objectType, properties) {
+        var now = tick();
+        var id = String(nextId++);
+        var object = {
+            id: id,
+            properties: {},
+            createdAt: now,
+            updatedAt: now,
+            archived: false
+        };
+        for (var name in properties) {
+            if (properties.hasOwnProperty(name)) object.properties[name] = properties[name] === null ? '' : String(properties[name]);
+        }
+        object.properties.hs_object_id = id;
+        object.properties.createdate = now;
+        object.properties[lastModifiedPropertyOf(objectType)] = now;
+        objectsOf(objectType).push(object);
+        return object;
+    }
+
+    function updateObject(objectType, object, properties) {
+        for (var name in properties) {
+            if (properties.hasOwnProperty(name)) object.properties[name] = properties[name] === null ? '' : String(properties[name]);
+        }
+        object.updatedAt = tick();
+        object.properties[lastModifiedPropertyOf(objectType)] = object.updatedAt;
+    }
+
+    /**
+     * Renders an object as HubSpot returns it: only the requested
+     * properties plus the default ones.
+     */
+    function present(objectType, object, propertyNames) {
+        var names = ['hs_object_id', 'createdate', lastModifiedPropertyOf(objectType)].concat(propertyNames || []);
+        var properties = {};
+        for (var i = 0; i < names.length; i++) {
+            var value = object.properties[names[i]];
+            properties[names[i]] = value === undefined ? null : value;
+        }
+        return {
+            id: object.id,
+            properties: properties,
+            createdAt: object.createdAt,
+            updatedAt: object.updatedAt,
+            archived: object.archived
+        };
+    }
+
+    function presentWritten(objectType, object, extra) {
+        var result = present(objectType, object, Object.keys(object.properties));
+        for (var key in extra || {}) {
+            if (extra.hasOwnProperty(key)) result[key] = extra[key];
+        }
+        return result;
+    }
+
+    function batchResponse(results, errors) {
+        var body = {
+            status: 'COMPLETE',
+            results: results,
+            startedAt: new Date(clock).toISOString(),
+            completedAt: new Date(clock).toISOString()
+        };
+        if (errors.length > 0) {
+            body.numErrors = errors.length;
+            body.errors = errors;
+            return ok(body, 207);
+        }
+        return ok(body, 200);
+    }
+
+    // -- Associations --------------------------------------------------------
+
+    function associationKey(fromType, fromId, toType) {
+        return fromType + '|' + fromId + '|' + toType;
+    }
+
+    function labelOf(fromType, toType, typeId) {
+        var labels = portal.associationLabels[fromType + '|' + toType] || [];
+        for (var i = 0; i < labels.length; i++) {
+            if (labels[i].typeId === typeId) return labels[i];
+        }
+        return null;
+    }
+
+    /**
+     * Returns the error message for association types sent in another
+     * category than the one of their (registered) label, '' if valid.
+     */
+    function invalidTypeOf(fromType, toType, types) {
+        for (var t = 0; t < (types || []).length; t++) {
+            var label = labelOf(fromType, toType, Number(types[t].associationTypeId));
+            if (label && types[t].associationCategory !== label.category) {
+                return 'Association type ' + types[t].associationTypeId + ' from ' + fromType + ' to ' + toType
+                    + ' is of category ' + label.category + ', not ' + types[t].associationCategory;
+            }
+        }
+        return '';
+    }
+
+    function addAssociationType(fromType, fromId, toType, toId, type) {
+        var key = associationKey(fromType, fromId, toType);
+        var list = portal.associations[key] || (portal.associations[key] = []);
+        var entry = null;
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].toObjectId === Number(toId)) entry = list[i];
+        }
+        if (!entry) {
+            entry = { toObjectId: Number(toId), associationTypes: [] };
+            list.push(entry);
+        }
+        var typeId = Number(type.associationTypeId);
+        for (var t = 0; t < entry.associationTypes.length; t++) {
+            if (entry.associationTypes[t].typeId === typeId) return;
+        }
+        var label = labelOf(fromType, toType, typeId);
+        entry.associationTypes.push({
+            category: type.associationCategory || (label ? label.category : 'HUBSPOT_DEFINED'),
+            typeId: typeId,
+            label: label ? label.label : null
+        });
+    }
+
+    /**
+     * Associates two objects (in both directions, as HubSpot does).
+     */
+    function associate(fromType, fromId, toType, toId, types) {
+        for (var t = 0; t < types.length; t++) {
+            addAssociationType(fromType, fromId, toType, toId, types[t]);
+            addAssociationType(toType, toId, fromType, fromId, types[t]);
+        }
+    }
+
+    function removeAssociation(fromType, fromId, toType, toId, typeIds) {
+        var pairs = [[fromType, fromId, toType, toId], [toType, toId, fromType, fromId]];
+        for (var p = 0; p < pairs.length; p++) {
+            var key = associationKey(pairs[p][0], pairs[p][1], pairs[p][2]);
+            var list = portal.associations[key] || [];
+            for (var i = list.length - 1; i >= 0; i--) {
+                if (list[i].toObjectId !== Number(pairs[p][3])) continue;
+                if (typeIds) {
+                    list[i].associationTypes = list[i].associationTypes.filter(function (type) {
+                        return typeIds.indexOf(type.typeId) === -1;
+                    });
+                }
+                if (!typeIds || list[i].associationTypes.length === 0) list.splice(i, 1);
+            }
+        }
+    }
+
+    function associationsOf(fromType, fromId, toType) {
+        return portal.associations[associationKey(fromType, fromId, toType)] || [];
+    }
+
+    // -- CRM objects -----------------------------------------------------------
+
+    function listObjects(objectType, query) {
+        var limit = Math.min(parseInt(query.limit, 10) || 10, MAX_PAGE_LIMIT);
+        var offset = parseAfter(query.after);
+        var names = query.properties ? String(query.properties).split(',') : [];
+        var objects = activeObjectsOf(objectType);
+        var page = objects.slice(offset, offset + limit);
+        var body = {
+            results: page.map(function (o) { return present(objectType, o, names); })
+        };
+        if (offset + limit < objects.length) {
+            body.paging = { next: { after: String(offset + limit), link: '?after=' + (offset + limit) } };
+        }
+        return ok(body);
+    }
+
+    function searchObjects(objectType, body) {
+        var limit = Math.min(parseInt(body.limit, 10) || 10, MAX_SEARCH_LIMIT);
+        var offset = parseAfter(body.after);
+        if (offset + limit > SEARCH_RESULT_CAP) {
+            return errorResponse(400, 'There was a problem with the request.', 'VALIDATION_ERROR');
+        }
+        var groups = Array.isArray(body.filterGroups) ? body.filterGroups : [];
+        var matches = activeObjectsOf(objectType).filter(function (object) {
+            if (groups.length === 0) return true;
+            return groups.some(function (group) {
+                return (group.filters || []).every(function (filter) { return matchesFilter(object, filter); });
+            });
+        });
+        var sorts = Array.isArray(body.sorts) ? body.sorts : [];
+        matches.sort(function (a, b) {
+            for (var s = 0; s < sorts.length; s++) {
+                var left = comparable(a.properties[sorts[s].propertyName]);
+                var right = comparable(b.properties[sorts[s].propertyName]);
+                if (left !== right) {
+                    var order = left < right ? -1 : 1;
+                    return sorts[s].direction === 'DESCENDING' ? -order : order;
+                }
+            }
+            return Number(a.id) - Number(b.id);
+        });
+
+        var page = matches.slice(offset, offset + limit);
+        var result = {
+            total: matches.length,
+            results: page.map(function (o) { return present(objectType, o, body.properties || []); })
+        };
+        if (offset + limit < matches.length) {
+            result.paging = { next: { after: String(offset + limit) } };
+        }
+        return ok(result);
+    }
+
+    function batchRead(objectType, body) {
+        var results = [];
+        var errors = [];
+        (body.inputs || []).forEach(function (input) {
+            var object = findObject(objectType, input.id);
+            if (object) {
+                results.push(present(objectType, object, body.properties || []));
+            } else {
+                errors.push({ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not get some ' + objectType + ' objects, they may be deleted or not exist.', context: { ids: [String(input.id)] } });
+            }
+        });
+        return batchResponse(results, errors);
+    }
+
+    // Inline associations name the target by id only: find its type
+    function inlineTargetTypeOf(objectType, association) {
+        var toType = association.toObjectType;
+        if (!toType) {
+            for (var type in portal.objects) {
+                if (portal.objects.hasOwnProperty(type) && type !== objectType && findObject(type, association.to.id)) toType = type;
+            }
+        }
+        return toType;
+    }
+
+    function batchCreate(objectType, body) {
+        var inputs = body.inputs || [];
+        for (var i = 0; i < inputs.length; i++) {
+            var unknown = unknownProperties(objectType, inputs[i].properties || {});
+            if (unknown.length > 0) return invalidPropertiesResponse(unknown);
+            var conflict = uniqueConflict(objectType, inputs[i].properties || {}, '');
+            if (conflict) {
+                return errorResponse(409, 'Contact already exists. Existing ID: ' + conflict, 'CONFLICT');
+            }
+            var associations = inputs[i].associations || [];
+            for (var a = 0; a < associations.length; a++) {
+                var invalid = invalidTypeOf(objectType, inlineTargetTypeOf(objectType, associations[a]), associations[a].types);
+                if (invalid) return errorResponse(400, invalid, 'VALIDATION_ERROR');
+            }
+        }
+        var results = inputs.map(function (input) {
+            var object = createObject(objectType, input.properties || {});
+            (input.associations || []).forEach(function (association) {
+                var toType = inlineTargetTypeOf(objectType, association);
+                if (toType) associate(objectType, object.id, toType, association.to.id, association.types || []);
+            });
+            return presentWritten(objectType, object, input.objectWriteTraceId !== undefined ? { objectWriteTraceId: input.objectWriteTraceId } : null);
+        });
+        return batchResponse(results, []);
+    }
+
+    function batchUpdate(objectType, body) {
+        var inputs = body.inputs || [];
+        for (var i = 0; i < inputs.length; i++) {
+            var unknown = unknownProperties(objectType, inputs[i].properties || {});
+            if (unknown.length > 0) return invalidPropertiesResponse(unknown);
+        }
+        var results = [];
+        var errors = [];
+        inputs.forEach(function (input) {
+            var object = findObject(objectType, input.id);
+            if (!object) {
+                errors.push({ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Object not found. objectId are usually numeric.', context: { ids: [String(input.id)] } });
+                return;
+            }
+            updateObject(objectType, object, input.properties || {});
+            results.push(presentWritten(objectType, object, null));
+        });
+        return batchResponse(results, errors);
+    }
+
+    function batchUpsert(objectType, body) {
+        var inputs = body.inputs || [];
+        for (var i = 0; i < inputs.length; i++) {
+            var definition = definitionOf(objectType, inputs[i].idProperty);
+            if (!definition || definition.hasUniqueValue !== true) {
+                return errorResponse(400, 'Property ' + inputs[i].idProperty + ' is not a unique identifier property', 'VALIDATION_ERROR');
+            }
+            var unknown = unknownProperties(objectType, inputs[i].properties || {});
+            if (unknown.length > 0) return invalidPropertiesResponse(unknown);
+        }
+        var results = inputs.map(function (input) {
+            var existing = null;
+            activeObjectsOf(objectType).forEach(function (object) {
+                if (String(object.properties[input.idProperty]) === String(input.id)) existing = object;
+            });
+            var properties = {};
+            for (var name in input.properties || {}) {
+                if (input.properties.hasOwnProperty(name)) properties[name] = input.properties[name];
+            }
+            properties[input.idProperty] = input.id;
+            if (existing) {
+                updateObject(objectType, existing, properties);
+                return presentWritten(objectType, existing, { 'new': false });
+            }
+            return presentWritten(objectType, createObject(objectType, properties), { 'new': true });
+        });
+        return batchResponse(results, []);
+    }
+
+    function batchArchive(objectType, body) {
+        (body.inputs || []).forEach(function (input) {
+            var object = findObject(objectType, input.id);
+            if (object) {
+                object.archived = true;
+                object.archivedAt = tick();
+            }
+        });
+        return { status: 204, headers: {}, body: undefined };
+    }
+
+    // -- Associations API ---------------------------------------------------
+
+    function listObjectAssociations(fromType, fromId, toType, query) {
+        var limit = Math.min(parseInt(query.limit, 10) || ASSOCIATION_PAGE_LIMIT, ASSOCIATION_PAGE_LIMIT);
+        var offset = parseAfter(query.after);
+        var list = associationsOf(fromType, fromId, toType);
+        var body = { results: list.slice(offset, offset + limit) };
+        if (offset + limit < list.length) {
+            body.paging = { next: { after: String(offset + limit) } };
+        }
+        return ok(body);
+    }
+
+    function batchReadAssociations(fromType, toType, body) {
+        var results = [];
+        (body.inputs || []).forEach(function (input) {
+            var list = associationsOf(fromType, input.id, toType);
+            if (list.length === 0) return;
+            var offset = parseAfter(input.after);
+            var result = {
+                from: { id: String(input.id) },
+                to: list.slice(offset, offset + ASSOCIATION_PAGE_LIMIT)
+            };
+            if (offset + ASSOCIATION_PAGE_LIMIT < list.length) {
+                result.paging = { next: { after: String(offset + ASSOCIATION_PAGE_LIMIT) } };
+            }
+            results.push(result);
+        });
+        return batchResponse(results, []);
+    }
+
+    function batchCreateAssociations(fromType, toType, body) {
+        var results = [];
+        var errors = [];
+        (body.inputs || []).forEach(function (input) {
+            if (!findObject(fromType, input.from.id) || !findObject(toType, input.to.id)) {
+                errors.push({ status: 'error', category: 'VALIDATION_ERROR', message: 'One or more objects could not be found', context: { fromObjectId: [String(input.from.id)], toObjectId: [String(input.to.id)] } });
+                return;
+            }
+            var invalid = invalidTypeOf(fromType, toType, input.types);
+            if (invalid) {
+                errors.push({ status: 'error', category: 'VALIDATION_ERROR', message: invalid, context: { fromObjectId: [String(input.from.id)], toObjectId: [String(input.to.id)] } });
+                return;
+            }
+            associate(fromType, input.from.id, toType, input.to.id, input.types || []);
+            results.push({ fromObjectTypeId: fromType, fromObjectId: Number(input.from.id), toObjectTypeId: toType, toObjectId: Number(input.to.id), labels: [] });
+        });
+        return batchResponse(results, errors);
+    }
+
+    function batchArchiveAssociations(fromType, toType, body, labelsOnly) {
+        (body.inputs || []).forEach(function (input) {
+            if (labelsOnly) {
+                removeAssociation(fromType, input.from.id, toType, input.to.id, (input.types || []).map(function (type) {
+                    return Number(type.associationTypeId);
+                }));
+            } else {
+                (input.to || []).forEach(function (to) {
+                    removeAssociation(fromType, input.from.id, toType, to.id, null);
+                });
+            }
+        });
+        return { status: 204, headers: {}, body: undefined };
+    }
+
+    // -- Routing ---------------------------------------------------------------
+
+    function route(method, path, query, body) {
+        var match;
+
+        if (method === 'GET' && (match = /^\/crm\/v3\/objects\/([^/]+)$/.exec(path))) {
+            return listObjects(match[1], query);
+        }
+        if (method === 'POST' && (match = /^\/crm\/v3\/objects\/([^/]+)\/search$/.exec(path))) {
+            return searchObjects(match[1], body);
+        }
+        if (method === 'POST' && (match = /^\/crm\/v3\/objects\/([^/]+)\/batch\/(read|create|update|upsert|archive)$/.exec(path))) {
+            if ((body.inputs || []).length > BATCH_LIMIT) {
+                return errorResponse(400, 'Batch input limit of ' + BATCH_LIMIT + ' exceeded', 'VALIDATION_ERROR');
+            }
+            switch (match[2]) {
+                case 'read': return batchRead(match[1], body);
+                case 'create': return batchCreate(match[1], body);
+                case 'update': return batchUpdate(match[1], body);
+                case 'upsert': return batchUpsert(match[1], body);
+                default: return batchArchive(match[1], body);
+            }
+        }
+        if (method === 'GET' && (match = /^\/crm\/v3\/properties\/([^/]+)$/.exec(path))) {
+            return ok({ results: portal.properties[match[1]] || [] });
+        }
+        if (method === 'POST' && (match = /^\/crm\/v3\/properties\/([^/]+)$/.exec(path))) {
+            return createProperty(match[1], body);
+        }
+        if (method === 'GET' && (match = /^\/crm\/v3\/properties\/([^/]+)\/groups$/.exec(path))) {
+            return ok({ results: groupsOf(match[1]) });
+        }
+        if (method === 'POST' && (match = /^\/crm\/v3\/properties\/([^/]+)\/groups$/.exec(path))) {
+            return createPropertyGroup(match[1], body);
+        }
+        if (method === 'GET' && (match = /^\/crm\/v3\/properties\/([^/]+)\/([^/]+)$/.exec(path))) {
+            var definition = definitionOf(match[1], match[2]);
+            return definition ? ok(definition)
+                : errorResponse(404, 'Unable to find property ' + match[2] + ' for object type ' + match[1], 'OBJECT_NOT_FOUND');
+        }
+        if (method === 'GET' && path === '/crm/v3/schemas') {
+            return ok({ results: portal.schemas });
+        }
+        if (method === 'GET' && (match = /^\/crm\/v3\/pipelines\/([^/]+)$/.exec(path))) {
+            return ok({ results: portal.pipelines[match[1]] || [] });
+        }
+        if (method === 'GET' && path === '/settings/users/v3') {
+            var limit = Math.min(parseInt(query.limit, 10) || 100, MAX_PAGE_LIMIT);
+            var offset = parseAfter(query.after);
+            var users = { results: portal.users.slice(offset, offset + limit) };
+            if (offset + limit < portal.users.length) {
+                users.paging = { next: { after: String(offset + limit) } };
+            }
+            return ok(users);
+        }
+        if (method === 'GET' && (match = /^\/crm\/v4\/objects\/([^/]+)\/([^/]+)\/associations\/([^/]+)$/.exec(path))) {
+            return listObjectAssociations(match[1], match[2], match[3], query);
+        }
+        if (method === 'GET' && (match = /^\/crm\/v4\/associations\/([^/]+)\/([^/]+)\/labels$/.exec(path))) {
+            return ok({ results: portal.associationLabels[match[1] + '|' + match[2]] || [] });
+        }
+        if (method === 'POST' && (match = /^\/crm\/v4\/associations\/([^/]+)\/([^/]+)\/batch\/(read|create|archive|labels\/archive)$/.exec(path))) {
+            switch (match[3]) {
+                case 'read': return batchReadAssociations(match[1], match[2], body);
+                case 'create': return batchCreateAssociations(match[1], match[2], body);
+                case 'archive': return batchArchiveAssociations(match[1], match[2], body, false);
+                default: return batchArchiveAssociations(match[1], match[2], body, true);
+            }
+        }
+        return errorResponse(404, 'Unknown endpoint ' + method + ' ' + path, 'OBJECT_NOT_FOUND');
+    }
+
+    /**
+     * Answers a request.
+     *
+     * @param {string} method   GET or POST
+     * @param {string} target   Path and query (a full URL is accepted as well)
+     * @param {object} [body]   Parsed JSON body
+     * @param {object} [headers]
+     * @returns {{status: number, headers: object, body: *}}
+     */
+    /**
+     * Answers a refresh_token grant of the public app configured in
+     * `options.oauth` (form-encoded body, as HubSpot requires).
+     */
+    function issueAccessToken(body) {
+        var params = typeof body === 'string' ? url.parse('?' + body, true).query : {};
+        var oauth = options.oauth;
+        if (params.grant_type !== 'refresh_token' || params.client_id !== oauth.clientId
+            || params.client_secret !== oauth.clientSecret || params.refresh_token !== oauth.refreshToken) {
+            return { status: 400, headers: {}, body: { status: 'BAD_REFRESH_TOKEN', message: 'missing or unknown refresh token' } };
+        }
+        var token = 'oauth-access-' + (nextAccessToken++);
+        portal.accessTokens[token] = true;
+        return ok({
+            token_type: 'bearer',
+            access_token: token,
+            refresh_token: oauth.refreshToken,
+            expires_in: oauth.expiresIn || 1800
+        });
+    }
+
+    function isAuthorized(headers) {
+        var authorization = '';
+        for (var name in headers || {}) {
+            if (headers.hasOwnProperty(name) && name.toLowerCase() === 'authorization') authorization = headers[name];
+        }
+        if (options.oauth && portal.accessTokens[authorization.replace(/^Bearer /, '')]) {
+            return true;
+        }
+        return options.token ? authorization === 'Bearer ' + options.token : !options.oauth;
+    }
+
+    function handle(method, target, body, headers) {
+        var parsed = url.parse(String(target), true);
+        var path = parsed.pathname;
+        portal.requests.push({ method: method, path: path, query: parsed.query, body: body, headers: Object.assign({}, headers) });
+
+        if (options.oauth && method === 'POST' && path === '/oauth/v1/token') {
+            return issueAccessToken(body);
+        }
+        if (!isAuthorized(headers)) {
+            return errorResponse(401, 'Authentication credentials not found.', 'INVALID_AUTHENTICATION');
+        }
+
+        for (var f = 0; f < portal.failures.length; f++) {
+            var failure = portal.failures[f];
+            if ((!failure.method || failure.method === method) && failure.pattern.test(path)) {
+                portal.failures.splice(f, 1);
+                return failure.response;
+            }
+        }
+
+        return route(method, path, parsed.query, body || {});
+    }
+
+    return {
+        portal: portal,
+        handle: handle,
+
+        /** Adds an object and returns its id. */
+        addObject: function (objectType, properties) {
+            return createObject(objectType, properties || {}).id;
+        },
+
+        /** Returns the stored (non-archived) object with the given id, or null. */
+        getObject: function (objectType, id) {
+            return findObject(objectType, id);
+        },
+
+        /** Returns all stored (non-archived) objects of a type. */
+        listObjects: function (objectType) {
+            return activeObjectsOf(objectType);
+        },
+
+        /**
+         * Registers property definitions. Plain names become string
+         * properties; once registered, writing undefined properties fails.
+         */
+        defineProperties: function (objectType, definitions) {
+            portal.properties[objectType] = (portal.properties[objectType] || []).concat(definitions.map(function (definition) {
+                return propertyDefinition(objectType, definition);
+            }));
+        },
+
+        /** Returns the property groups of an object type. */
+        propertyGroups: groupsOf,
+
+        /** Returns the property definition `name` of an object type (null if undefined). */
+        propertyDefinition: definitionOf,
+
+        addSchema: function (schema) {
+            portal.schemas.push(schema);
+        },
+
+        addPipeline: function (objectType, pipeline) {
+            (portal.pipelines[objectType] = portal.pipelines[objectType] || []).push(pipeline);
+        },
+
+        addUser: function (user) {
+            portal.users.push(user);
+        },
+
+        addAssociationLabel: function (fromType, toType, label) {
+            (portal.associationLabels[fromType + '|' + toType] = portal.associationLabels[fromType + '|' + toType] || []).push(label);
+        },
+
+        /** Associates two objects with the given association type ids (HUBSPOT_DEFINED unless labelled). */
+        associate: function (fromType, fromId, toType, toId, typeIds) {
+            associate(fromType, fromId, toType, toId, (typeIds || [1]).map(function (typeId) {
+                var label = labelOf(fromType, toType, typeId);
+                return { associationCategory: label ? label.category : 'HUBSPOT_DEFINED', associationTypeId: typeId };
+            }));
+        },
+
+        /** Returns the ids of the `toType` objects associated with an object. */
+        associatedIds: function (fromType, fromId, toType) {
+            return associationsOf(fromType, fromId, toType).map(function (entry) { return String(entry.toObjectId); });
+        },
+
+        /** Returns the association entries ({ toObjectId, associationTypes }) of an object. */
+        associationsOf: associationsOf,
+
+        /**
+         * Makes the next request matching `pattern` (path regexp) and, if
+         * given, `method` fail with `response` ({ status, headers, body }).
+         */
+        failNext: function (pattern, response, method) {
+            portal.failures.push({ pattern: pattern, response: response, method: method || '' });
+        },
+
+        /** Invalidates all OAuth access tokens issued so far. */
+        revokeTokens: function () {
+            portal.accessTokens = {};
+        },
+
+        /** Returns the requests received so far, optionally filtered by a path regexp. */
+        requests: function (pattern) {
+            return portal.requests.filter(function (request) { return !pattern || pattern.test(request.path); });
+        },
+
+        /**
+         * Serves the portal over HTTP (for manual tests with real HTTP
+         * clients). Returns the node http.Server.
+         */
+        listen: function (port, callback) {
+            var server = http.createServer(function (request, response) {
+                var chunks = [];
+                request.on('data', function (chunk) { chunks.push(chunk); });
+                request.on('end', function () {
+                    var text = Buffer.concat(chunks).toString('utf8');
+                    var answer;
+                    try {
+                        var form = /x-www-form-urlencoded/.test(request.headers['content-type'] || '');
+                        answer = handle(request.method, request.url, text ? (form ? text : JSON.parse(text)) : null, request.headers);
+                    } catch (e) {
+                        answer = errorResponse(400, 'Invalid JSON body: ' + e.message, 'VALIDATION_ERROR');
+                    }
+                    var headers = { 'Content-Type': 'application/json' };
+                    for (var name in answer.headers || {}) {
+                        if (answer.headers.hasOwnProperty(name)) headers[name] = answer.headers[name];
+                    }
+                    response.writeHead(answer.status, headers);
+                    response.end(answer.body === undefined ? '' : JSON.stringify(answer.body));
+                });
+            });
+            return server.listen(port, callback);
+        }
+    };
+}
+
+module.exports = createMockHubspot;
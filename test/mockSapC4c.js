@@ -0,0 +1,756 @@
+/**
+ * In-memory SAP C4C OData v2 stand-in for the end-to-end tests.
+ *
+ * Serves OData collections as read by sapC4cCorporateAccountsReader and
+ * the service documents listing them (sapC4cMetadataReader):
+ *
+ *   GET /sap/c4c/odata/v1/c4codataapi/{Collection}
+ *   GET /sap/c4c/odata/v1/c4codataapi/              { "d": { "EntitySets": [...] } }
+ *
+ * with CorporateAccountCollection, ContactCollection, LeadCollection and
+ * OpportunityCollection registered by default; further collections, also
+ * of other services (custom business objects), can be defined with
+ * defineCollection(). Supported query options:
+ * $top, $skip, $skiptoken, $filter (eq / ne / gt / ge / lt / le on
+ * strings, numbers, datetime'...' and datetimeoffset'...' literals,
+ * combined with and / or / parentheses), $orderby, $expand, $select and
+ * $inlinecount=allpages. Responses use the OData v2 JSON format:
+ *
+ *   { "d": { "results": [...], "__count": "42", "__next": "<url>" } }
+ *
+ * Entities carry __metadata; navigation properties are returned as
+ * { "__deferred": { "uri": ... } } unless expanded, then as
+ * { "results": [...] }. Date values (stored as Date objects) are served
+ * as "/Date(<ms>)/".
+ *
+ * Like C4C, the service never returns more than `maxPageSize` entities per
+ * response: larger (or missing) $top values are answered page by page
+ * with a __next link carrying a $skiptoken (or, with `nextLinks: false`,
+ * without one – as misbehaving services do); with `ignoreTop` set, $top is
+ * ignored altogether, as by services answering with over-long pages.
+ * Requests without valid basic auth credentials get 401, unknown
+ * collections 404, unparsable query options 400 – all with an OData error
+ * body. Further failures can be queued with failNext().
+ *
+ * Entities can be written as well (sapC4cWriter):
+ *
+ *   POST  {Collection}                       create, 201 with the entity
+ *   MERGE {Collection}('{ObjectID}')         update, 204 – also as POST with "X-HTTP-Method: MERGE"
+ *   POST  {service}/$batch                   multipart/mixed, change sets applied atomically
+ *
+ * Properties not listed in a collection's `properties` (if defined) are
+ * rejected with 400. With `csrf` set, modifying requests need the token
+ * handed out for GET requests sent with "x-csrf-token: fetch" (response
+ * header x-csrf-token) together with the session cookie set by that
+ * response (Set-Cookie SESSION_COOKIE), otherwise they get 403 with
+ * "x-csrf-token: Required".
+ *
+ * With `oauth` set, the tenant's OAuth 2.0 token endpoint is served as well,
+ *
+ *   POST /sap/bc/sec/oauth2/token   (form-encoded, client authenticated via basic auth)
+ *
+ * for the grant types client_credentials, saml2-bearer (the assertion must
+ * match) and refresh_token; OData requests are then also accepted with a
+ * bearer token it issued (and not revoked, see revokeTokens()).
+ */
+
+var url = require('url');
+
+var SERVICE_PATH = '/sap/c4c/odata/v1/c4codataapi';
+// Session cookie CSRF tokens are bound to.
+var SESSION_COOKIE = 'SAP_SESSIONID_TST_100';
+var TOKEN_PATH = '/sap/bc/sec/oauth2/token';
+var SAML2_BEARER = 'urn:ietf:params:oauth:grant-type:saml2-bearer';
+
+var DEFAULT_COLLECTIONS = {
+    CorporateAccountCollection: { type: 'c4codata.CorporateAccount', navigation: ['CorporateAccountAddresses', 'ContactPersons'] },
+    ContactCollection: { type: 'c4codata.Contact', navigation: ['ContactAddresses'] },
+    LeadCollection: { type: 'c4codata.Lead', navigation: ['LeadItem'] },
+    OpportunityCollection: { type: 'c4codata.Opportunity', navigation: ['OpportunityItem', 'OpportunityParty'] }
+};
+
+function errorResponse(status, code, message) {
+    return {
+        status: status,
+        headers: {},
+        body: { error: { code: code, message: { lang: 'en', value: message } } }
+    };
+}
+
+function oauthErrorResponse(status, error, description) {
+    return { status: status, headers: {}, body: { error: error, error_description: description } };
+}
+
+function headerValue(headers, name) {
+    for (var header in headers || {}) {
+        if (headers.hasOwnProperty(header) && header.toLowerCase() === name) return headers[header];
+    }
+    return '';
+}
+
+// -- $filter ------------------------------------------------------------------
+
+/**
+ * Splits a $filter expression into tokens: parentheses, quoted literals
+ * (optionally typed, e.g. datetimeoffset'2024-01-01T00:00:00Z') and words.
+ */
+function tokenize(expression) {
+    var tokens = [];
+    var pattern = /\s*(\(|\)|(?:datetimeoffset|datetime|guid)?'(?:[^']|'')*'|[^\s()]+)/g;
+    var match;
+    var consumed = 0;
+    while ((match = pattern.exec(expression)) !== null) {
+        tokens.push(match[1]);
+        consumed = pattern.lastIndex;
+    }
+    if (expression.slice(consumed).trim() !== '') {
+        throw new Error('Unexpected input at ' + consumed);
+    }
+    return tokens;
+}
+
+/**
+ * Converts a literal token to a comparable value (dates to epoch ms).
+ */
+function literalValue(token) {
+    var typed = /^(datetimeoffset|datetime|guid)?'((?:[^']|'')*)'$/.exec(token);
+    if (typed) {
+        var text = typed[2].replace(/''/g, "'");
+        if (typed[1] === 'datetimeoffset' || typed[1] === 'datetime') {
+            var time = Date.parse(typed[1] === 'datetime' && !/Z|[+-]\d{2}:\d{2}$/.test(text) ? text + 'Z' : text);
+            if (isNaN(time)) throw new Error('Invalid ' + typed[1] + ' literal ' + token);
+            return time;
+        }
+        return text;
+    }
+    if (token === 'true' || token === 'false') return token === 'true';
+    if (token === 'null') return null;
+    if (/^-?\d+(\.\d+)?[mMdDfFlL]?$/.test(token)) return parseFloat(token);
+    throw new Error('Unsupported literal ' + token);
+}
+
+var COMPARATORS = {
+    eq: function (a, b) { return a === b; },
+    ne: function (a, b) { return a !== b; },
+    gt: function (a, b) { return a !== null && a > b; },
+    ge: function (a, b) { return a !== null && a >= b; },
+    lt: function (a, b) { return a !== null && a < b; },
+    le: function (a, b) { return a !== null && a <= b; }
+};
+
+/**
+ * Parses a $filter expression into a predicate function(entity).
+ */
+function parseFilter(expression) {
+    var tokens = tokenize(expression);
+    var position = 0;
+
+    function peek() { return tokens[position]; }
+    function next() { return tokens[position++]; }
+
+    function parseOr() {
+        var left = parseAnd();
+        while (peek() === 'or') {
+            next();
+            var right = parseAnd();
+            left = (function (l, r) { return function (e) { return l(e) || r(e); }; })(left, right);
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        var left = parsePrimary();
+        while (peek() === 'and') {
+            next();
+            var right = parsePrimary();
+            left = (function (l, r) { return function (e) { return l(e) && r(e); }; })(left, right);
+        }
+        return left;
+    }
+
+    function parsePrimary() {
+        if (peek() === '(') {
+            next();
+            var inner = parseOr();
+            if (next() !== ')') throw new Error('Missing )');
+            return inner;
+        }
+        var field = next();
+        var operator = next();
+        var literal = next();
+        if (!field || !COMPARATORS[operator] || literal === undefined) {
+            throw new Error('Invalid comparison ' + [field, operator, literal].join(' '));
+        }
+        var value = literalValue(literal);
+        var compare = COMPARATORS[operator];
+        return function (entity) {
+            var actual = entity[field] === undefined ? null : entity[field];
+            return compare(actual, value);
+        };
+    }
+
+    var predicate = parseOr();
+    if (position < tokens.length) throw new Error('Unexpected ' + tokens[position]);
+    return predicate;
+}
+
+// -- Service ------------------------------------------------------------------
+
+/**
+ * Creates an empty C4C OData service stand-in.
+ *
+ * @param {object}  [options]
+ * @param {string}  [options.username]     Basic auth user every request must carry (none = no auth check)
+ * @param {string}  [options.password]
+ * @param {number}  [options.maxPageSize]  Entities per response at most (default 1000, as C4C)
+ * @param {boolean} [options.nextLinks]    Whether capped responses carry a __next link (default true)
+ * @param {boolean} [options.ignoreTop]    Whether $top is ignored (default false)
+ * @param {string}  [options.baseUrl]      Base URL used in __metadata and __next links
+ * @param {boolean} [options.csrf]         Whether modifying requests need a CSRF token
+ * @param {object}  [options.oauth]        OAuth client: { clientId, clientSecret, assertion (accepted
+ *                                         SAML assertion), expiresIn (token lifetime in s, default
+ *                                         3600), refreshTokens (issue refresh tokens) }
+ */
+function createMockSapC4c(options) {
+    options = options || {};
+    var maxPageSize = options.maxPageSize || 1000;
+    var nextLinks = options.nextLinks !== false;
+    var baseUrl = options.baseUrl || 'https://my000000.crm.ondemand.test';
+    var nextObjectId = 1;
+
+    var service = {
+        collections: {},
+        requests: [],
+        // Issued access / refresh tokens (token -> true while valid).
+        accessTokens: {},
+        refreshTokens: {},
+        // Queued failures (see failNext).
+        failures: []
+    };
+    var nextToken = 1;
+    var csrfToken = 'csrf-' + Date.now().toString(36);
+    var sessionId = 'session-' + Date.now().toString(36);
+
+    /**
+     * Returns the path of a collection: names without a path belong to the
+     * standard c4codataapi service.
+     */
+    function collectionPathOf(name) {
+        return String(name).charAt(0) === '/' ? String(name) : SERVICE_PATH + '/' + name;
+    }
+
+    function defineCollection(name, definition) {
+        service.collections[collectionPathOf(name)] = {
+            type: definition.type,
+            navigation: definition.navigation || [],
+            properties: definition.properties || null,
+            entities: []
+        };
+    }
+
+    for (var name in DEFAULT_COLLECTIONS) {
+        if (DEFAULT_COLLECTIONS.hasOwnProperty(name)) defineCollection(name, DEFAULT_COLLECTIONS[name]);
+    }
+
+    function collectionOf(name) {
+        var collection = service.collections[collectionPathOf(name)];
+        if (!collection) throw new Error('Unknown collection ' + name);
+        return collection;
+    }
+
+    function entityUri(collectionPath, entity) {
+        return baseUrl + collectionPath + "('" + entity.ObjectID + "')";
+    }
+
+    /**
+     * Answers a service document request with the entity sets of the
+     * service, or returns null if `path` is no service root.
+     */
+    function readServiceDocument(path) {
+        var root = path.replace(/\/+$/, '');
+        var entitySets = [];
+        for (var collectionPath in service.collections) {
+            if (service.collections.hasOwnProperty(collectionPath)
+                && collectionPath.slice(0, collectionPath.lastIndexOf('/')) === root) {
+                entitySets.push(collectionPath.slice(root.length + 1));
+            }
+        }
+        return entitySets.length > 0 ? { status: 200, headers: {}, body: { d: { EntitySets: entitySets } } } : null;
+    }
+
+    /**
+     * Renders a stored value as C4C serves it: Date objects as "/Date(ms)/".
+     */
+    function presentValue(value) {
+        return value instanceof Date ? '/Date(' + value.getTime() + ')/' : value;
+    }
+
+    function comparableEntity(entity) {
+        var comparable = {};
+        for (var key in entity) {
+            if (entity.hasOwnProperty(key)) {
+                comparable[key] = entity[key] instanceof Date ? entity[key].getTime() : entity[key];
+            }
+        }
+        return comparable;
+    }
+
+    function present(collectionPath, collection, entity, expand, select) {
+        var result = {
+            __metadata: { uri: entityUri(collectionPath, entity), type: collection.type }
+        };
+        for (var key in entity) {
+            if (!entity.hasOwnProperty(key)) continue;
+            if (select && select.indexOf(key) === -1) continue;
+            if (collection.navigation.indexOf(key) !== -1) continue;
+            result[key] = presentValue(entity[key]);
+        }
+        collection.navigation.forEach(function (navigation) {
+            if (select && select.indexOf(navigation) === -1) return;
+            if (expand.indexOf(navigation) !== -1) {
+                result[navigation] = {
+                    results: (entity[navigation] || []).map(function (child) {
+                        var presented = {};
+                        for (var childKey in child) {
+                            if (child.hasOwnProperty(childKey)) presented[childKey] = presentValue(child[childKey]);
+                        }
+                        return presented;
+                    })
+                };
+            } else {
+                result[navigation] = { __deferred: { uri: entityUri(collectionPath, entity) + '/' + navigation } };
+            }
+        });
+        return result;
+    }
+
+    function sortEntities(entities, orderby) {
+        var keys = String(orderby).split(',').map(function (part) {
+            var pieces = part.trim().split(/\s+/);
+            return { field: pieces[0], descending: (pieces[1] || 'asc').toLowerCase() === 'desc' };
+        });
+        return entities.slice().sort(function (a, b) {
+            for (var k = 0; k < keys.length; k++) {
+                var left = a[keys[k].field];
+                var right = b[keys[k].field];
+                if (left === right) continue;
+                if (left === null || left === undefined) return keys[k].descending ? 1 : -1;
+                if (right === null || right === undefined) return keys[k].descending ? -1 : 1;
+                var order = left < right ? -1 : 1;
+                return keys[k].descending ? -order : order;
+            }
+            return 0;
+        });
+    }
+
+    function nonNegativeInt(value, optionName) {
+        if (value === undefined) return null;
+        if (!/^\d+$/.test(String(value))) throw new Error('Invalid ' + optionName + ' value ' + value);
+        return parseInt(value, 10);
+    }
+
+    function readCollection(collectionPath, query) {
+        var collection = service.collections[collectionPath];
+        if (!collection) {
+            return errorResponse(404, 'Resource not found', "Resource not found for segment '"
+                + collectionPath.slice(collectionPath.lastIndexOf('/') + 1) + "'.");
+        }
+
+        var top;
+        var skip;
+        var entities;
+        var expand = query.$expand ? String(query.$expand).split(',').map(function (s) { return s.trim(); }) : [];
+        var select = query.$select ? String(query.$select).split(',').map(function (s) { return s.trim(); }) : null;
+        try {
+            top = nonNegativeInt(query.$top, '$top');
+            skip = nonNegativeInt(query.$skip, '$skip') || 0;
+            skip += nonNegativeInt(query.$skiptoken, '$skiptoken') || 0;
+            for (var e = 0; e < expand.length; e++) {
+                if (collection.navigation.indexOf(expand[e]) === -1) {
+                    throw new Error("Navigation property '" + expand[e] + "' not found");
+                }
+            }
+            var predicate = query.$filter ? parseFilter(String(query.$filter)) : null;
+            entities = collection.entities.filter(function (entity) {
+                return !predicate || predicate(comparableEntity(entity));
+            });
+        } catch (err) {
+            return errorResponse(400, 'SY/530', err.message);
+        }
+        if (query.$orderby) {
+            entities = sortEntities(entities, query.$orderby);
+        }
+
+        var total = entities.length;
+        var wanted = top === null || options.ignoreTop ? total - skip : top;
+        var served = Math.max(0, Math.min(wanted, maxPageSize, total - skip));
+        var page = entities.slice(skip, skip + served);
+
+        var d = {
+            results: page.map(function (entity) {
+                return present(collectionPath, collection, entity, expand, select);
+            })
+        };
+        if (String(query.$inlinecount) === 'allpages') {
+            d.__count = String(total);
+        }
+        if (nextLinks && served < wanted && skip + served < total) {
+            var nextQuery = {};
+            Object.keys(query).forEach(function (key) {
+                if (key !== '$skip' && key !== '$skiptoken' && key !== '$top') nextQuery[key] = query[key];
+            });
+            nextQuery.$skiptoken = String(skip + served);
+            if (top !== null) nextQuery.$top = String(top - served);
+            d.__next = baseUrl + collectionPath + '?' + Object.keys(nextQuery).map(function (key) {
+                return key + '=' + encodeURIComponent(nextQuery[key]);
+            }).join('&');
+        }
+        return { status: 200, headers: {}, body: { d: d } };
+    }
+
+    // -- Writes ----------------------------------------------------------------
+
+    function newObjectId() {
+        return ('00000000000000000000000000000000' + (nextObjectId++).toString(16)).slice(-32).toUpperCase();
+    }
+
+    /**
+     * Returns an error response if `payload` names a property the
+     * collection does not define, else null.
+     */
+    function validatePayload(collection, payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return errorResponse(400, 'SY/530', 'Invalid request body');
+        }
+        if (!collection.properties) return null;
+        for (var key in payload) {
+            if (payload.hasOwnProperty(key) && collection.properties.indexOf(key) === -1) {
+                return errorResponse(400, 'SY/530', "Property '" + key + "' is invalid");
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Executes a modifying operation (POST to a collection, MERGE / PATCH of
+     * an entity) on the path relative to the server.
+     */
+    function modify(method, path, payload) {
+        var entityPath = /^(.*)\('([^']*)'\)$/.exec(path);
+        var collectionPath = entityPath ? entityPath[1] : path;
+        var collection = service.collections[collectionPath];
+        if (!collection) {
+            return errorResponse(404, 'Resource not found', "Resource not found for segment '"
+                + collectionPath.slice(collectionPath.lastIndexOf('/') + 1) + "'.");
+        }
+        var invalid = validatePayload(collection, payload);
+        if (invalid) return invalid;
+
+        if (!entityPath && method === 'POST') {
+            var created = { ObjectID: newObjectId() };
+            for (var key in payload) {
+                if (payload.hasOwnProperty(key)) created[key] = payload[key];
+            }
+            collection.entities.push(created);
+            return { status: 201, headers: {}, body: { d: present(collectionPath, collection, created, [], null) } };
+        }
+        if (entityPath && (method === 'MERGE' || method === 'PATCH')) {
+            var entity = collection.entities.filter(function (e) { return e.ObjectID === entityPath[2]; })[0];
+            if (!entity) {
+                return errorResponse(404, 'Resource not found', 'Resource not found for the segment ' + entityPath[2]);
+            }
+            for (var name in payload) {
+                if (payload.hasOwnProperty(name)) entity[name] = payload[name];
+            }
+            return { status: 204, headers: {}, body: undefined };
+        }
+        return errorResponse(405, 'Method not allowed', 'Method ' + method + ' not allowed for ' + path);
+    }
+
+    function copyEntities() {
+        var copies = {};
+        for (var path in service.collections) {
+            if (service.collections.hasOwnProperty(path)) {
+                copies[path] = service.collections[path].entities.map(function (entity) {
+                    return Object.assign({}, entity);
+                });
+            }
+        }
+        return copies;
+    }
+
+    function restoreEntities(copies) {
+        for (var path in copies) {
+            if (copies.hasOwnProperty(path)) service.collections[path].entities = copies[path];
+        }
+    }
+
+    /** Splits a multipart body at `boundary` into { headers, content } parts. */
+    function multipartParts(text, boundary) {
+        return text.split('--' + boundary).slice(1).filter(function (part) {
+            return part.indexOf('--') !== 0;
+        }).map(function (part) {
+            var split = part.replace(/^\r?\n/, '').split(/\r?\n\r?\n/);
+            var headers = {};
+            split[0].split(/\r?\n/).forEach(function (line) {
+                var colon = line.indexOf(':');
+                if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            });
+            return { headers: headers, content: split.slice(1).join('\r\n\r\n') };
+        });
+    }
+
+    function httpPart(response) {
+        var text = response.body === undefined ? '' : JSON.stringify(response.body);
+        return [
+            'Content-Type: application/http',
+            'Content-Transfer-Encoding: binary',
+            '',
+            'HTTP/1.1 ' + response.status + ' ' + (response.status < 400 ? 'OK' : 'Error'),
+            'Content-Type: application/json',
+            '',
+            text
+        ].join('\r\n');
+    }
+
+    /**
+     * Answers a $batch request of change sets (GET parts outside of change
+     * sets are not supported). A change set is applied completely or – if
+     * one of its operations fails – not at all and answered with that
+     * operation's error.
+     */
+    function executeBatch(servicePath, body, headers) {
+        var boundary = /boundary=([^;]+)/.exec(headerValue(headers, 'content-type'));
+        if (!boundary || typeof body !== 'string') {
+            return errorResponse(400, 'SY/530', 'Invalid $batch request');
+        }
+        var responseParts = [];
+        multipartParts(body, boundary[1].trim()).forEach(function (part, index) {
+            var changeset = /boundary=([^;]+)/.exec(part.headers['content-type'] || '');
+            if (!changeset) {
+                responseParts.push(httpPart(errorResponse(400, 'SY/530', 'Only change sets are supported')));
+                return;
+            }
+            var snapshot = copyEntities();
+            var responses = [];
+            var failure = null;
+            multipartParts(part.content, changeset[1].trim()).forEach(function (operation) {
+                if (failure) return;
+                var lines = operation.content.split(/\r?\n/);
+                var requestLine = /^(\w+) (\S+) HTTP\/1\.1$/.exec(lines[0]);
+                var blank = lines.indexOf('');
+                var text = blank === -1 ? '' : lines.slice(blank + 1).join('\n').trim();
+                var payload;
+                try {
+                    payload = text ? JSON.parse(text) : null;
+                } catch (e) {
+                    payload = undefined;
+                }
+                var response = !requestLine
+                    ? errorResponse(400, 'SY/530', 'Invalid request line')
+                    : modify(requestLine[1], servicePath + '/' + requestLine[2], payload);
+                if (response.status >= 400) {
+                    failure = response;
+                } else {
+                    responses.push(response);
+                }
+            });
+            if (failure) {
+                restoreEntities(snapshot);
+                responseParts.push(httpPart(failure));
+            } else {
+                var changesetBoundary = 'changesetresponse_' + (index + 1);
+                responseParts.push('Content-Type: multipart/mixed; boundary=' + changesetBoundary + '\r\n\r\n'
+                    + responses.map(function (response) {
+                        return '--' + changesetBoundary + '\r\n' + httpPart(response) + '\r\n';
+                    }).join('') + '--' + changesetBoundary + '--\r\n');
+            }
+        });
+        var batchBoundary = 'batchresponse_1';
+        return {
+            status: 202,
+            headers: { 'Content-Type': 'multipart/mixed; boundary=' + batchBoundary },
+            body: responseParts.map(function (part) { return '--' + batchBoundary + '\r\n' + part + '\r\n'; }).join('')
+                + '--' + batchBoundary + '--\r\n'
+        };
+    }
+
+    /**
+     * Answers a token request of the OAuth client configured in `options.oauth`.
+     */
+    function issueToken(body, headers) {
+        var oauth = options.oauth;
+        var expectedClient = 'Basic ' + Buffer.from(oauth.clientId + ':' + (oauth.clientSecret || ''), 'utf8').toString('base64');
+        if (headerValue(headers, 'authorization') !== expectedClient) {
+            return oauthErrorResponse(401, 'invalid_client', 'Client authentication failed');
+        }
+        if (!/^application\/x-www-form-urlencoded/.test(headerValue(headers, 'content-type'))) {
+            return oauthErrorResponse(400, 'invalid_request', 'Token requests must be form-encoded');
+        }
+        var params = typeof body === 'string' ? url.parse('?' + body, true).query : {};
+        if (params.grant_type === 'client_credentials') {
+            // valid as is
+        } else if (params.grant_type === SAML2_BEARER) {
+            if (!params.assertion || params.assertion !== oauth.assertion) {
+                return oauthErrorResponse(400, 'invalid_grant', 'SAML assertion rejected');
+            }
+        } else if (params.grant_type === 'refresh_token') {
+            if (!service.refreshTokens[params.refresh_token]) {
+                return oauthErrorResponse(400, 'invalid_grant', 'Refresh token invalid');
+            }
+            delete service.refreshTokens[params.refresh_token];
+        } else {
+            return oauthErrorResponse(400, 'unsupported_grant_type', 'Grant type ' + params.grant_type + ' not supported');
+        }
+
+        var token = {
+            access_token: 'access-' + nextToken,
+            token_type: 'Bearer',
+            expires_in: oauth.expiresIn || 3600,
+            scope: params.scope || ''
+        };
+        service.accessTokens[token.access_token] = true;
+        if (oauth.refreshTokens) {
+            token.refresh_token = 'refresh-' + nextToken;
+            service.refreshTokens[token.refresh_token] = true;
+        }
+        nextToken++;
+        return { status: 200, headers: {}, body: token };
+    }
+
+    function isAuthorized(headers) {
+        var authorization = headerValue(headers, 'authorization');
+        if (options.oauth && authorization.indexOf('Bearer ') === 0) {
+            return !!service.accessTokens[authorization.slice('Bearer '.length)];
+        }
+        if (options.username) {
+            return authorization === 'Basic ' + Buffer.from(options.username + ':' + (options.password || ''), 'utf8').toString('base64');
+        }
+        return !options.oauth;
+    }
+
+    /** Returns true if the Cookie header carries the current session cookie. */
+    function hasSession(headers) {
+        var cookies = String(headerValue(headers, 'cookie') || '').split(/;\s*/);
+        return cookies.indexOf(SESSION_COOKIE + '=' + sessionId) !== -1;
+    }
+
+    /**
+     * Answers a request.
+     *
+     * @param {string} method   GET, POST, MERGE or PATCH
+     * @param {string} target   Path and query (a full URL is accepted as well)
+     * @param {object} [body]
+     * @param {object} [headers]
+     * @returns {{status: number, headers: object, body: *}}
+     */
+    function handle(method, target, body, headers) {
+        var parsed = url.parse(String(target), true);
+        var path = parsed.pathname;
+        service.requests.push({ method: method, path: path, query: parsed.query, headers: Object.assign({}, headers), body: body });
+
+        var decoded = decodeURIComponent(String(target));
+        for (var f = 0; f < service.failures.length; f++) {
+            var failure = service.failures[f];
+            if ((!failure.method || failure.method === method) && failure.pattern.test(decoded)) {
+                service.failures.splice(f, 1);
+                return failure.response;
+            }
+        }
+
+        if (options.oauth && path === TOKEN_PATH && method === 'POST') {
+            return issueToken(body, headers);
+        }
+        if (!isAuthorized(headers)) {
+            return errorResponse(401, 'Unauthorized', 'Logon failed');
+        }
+
+        if (method === 'GET') {
+            var read = readServiceDocument(path) || readCollection(decodeURIComponent(path), parsed.query);
+            if (options.csrf && /^fetch$/i.test(headerValue(headers, 'x-csrf-token')) && read.status === 200) {
+                read.headers = {
+                    'x-csrf-token': csrfToken,
+                    'set-cookie': [
+                        SESSION_COOKIE + '=' + sessionId + '; path=/; secure; HttpOnly',
+                        'sap-usercontext=sap-client=100; path=/; expires=Wed, 01 Jan 2031 00:00:00 GMT'
+                    ]
+                };
+            }
+            return read;
+        }
+
+        if (options.csrf && (headerValue(headers, 'x-csrf-token') !== csrfToken || !hasSession(headers))) {
+            var rejected = errorResponse(403, 'Forbidden', 'CSRF token validation failed');
+            rejected.headers = { 'x-csrf-token': 'Required' };
+            return rejected;
+        }
+        var tunneled = method === 'POST' ? headerValue(headers, 'x-http-method') : '';
+        if (/\/\$batch$/.test(path) && method === 'POST') {
+            return executeBatch(path.slice(0, -'/$batch'.length), body, headers);
+        }
+        return modify(tunneled ? tunneled.toUpperCase() : method, decodeURIComponent(path), body);
+    }
+
+    return {
+        service: service,
+        baseUrl: baseUrl,
+        handle: handle,
+
+        /**
+         * Registers an additional collection ({ type, navigation: [names] });
+         * a name starting with "/" is the full path (other services).
+         */
+        defineCollection: defineCollection,
+
+        /**
+         * Adds an entity (ObjectID is assigned unless given; navigation
+         * properties are arrays of child entities) and returns its ObjectID.
+         */
+        addEntity: function (collectionName, entity) {
+            var stored = {};
+            for (var key in entity) {
+                if (entity.hasOwnProperty(key)) stored[key] = entity[key];
+            }
+            if (!stored.ObjectID) {
+                stored.ObjectID = newObjectId();
+            }
+            collectionOf(collectionName).entities.push(stored);
+            return stored.ObjectID;
+        },
+
+        /** Returns the stored entities of a collection. */
+        entities: function (collectionName) {
+            return collectionOf(collectionName).entities;
+        },
+
+        /** Makes the CSRF token and session handed out so far invalid (as after a session timeout). */
+        expireCsrfToken: function () {
+            csrfToken = 'csrf-' + (nextToken++) + '-' + Date.now().toString(36);
+            sessionId = 'session-' + nextToken + '-' + Date.now().toString(36);
+        },
+
+        /**
+         * Makes the next request whose (decoded) path and query match
+         * `pattern` and, if given, `method` fail with `response`
+         * ({ status, headers, body }).
+         */
+        failNext: function (pattern, response, method) {
+            service.failures.push({ pattern: pattern, response: response, method: method || '' });
+        },
+
+        /** Invalidates all access tokens issued so far (refresh tokens stay valid). */
+        revokeTokens: function () {
+            service.accessTokens = {};
+        },
+
+        /** Returns the requests received so far, optionally filtered by a path regexp. */
+        requests: function (pattern) {
+            return service.requests.filter(function (request) { return !pattern || pattern.test(request.path); });
+        }
+    };
+}
+
+createMockSapC4c.SERVICE_PATH = SERVICE_PATH;
+createMockSapC4c.TOKEN_PATH = TOKEN_PATH;
+
+module.exports = createMockSapC4c;
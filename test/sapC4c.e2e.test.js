@@ -0,0 +1,712 @@
+/**
+ * End-to-end tests of sapC4cCorporateAccountsReader, sapC4cMetadataReader
+ * and sapC4cWriter against the mock SAP C4C OData service (see mockSapC4c
+ * and harness). Run with `npm test`.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var harness = require('./harness');
+var sapC4cCorporateAccountsReader = require('../sapC4cCorporateAccountsReader');
+var sapC4cMetadataReader = require('../sapC4cMetadataReader');
+var sapC4cWriter = require('../sapC4cWriter');
+var sapC4cAuth = require('../sapC4cAuth');
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+var afterEach = test.afterEach;
+
+var ACCOUNTS = '/sap/c4c/odata/v1/c4codataapi/CorporateAccountCollection';
+
+var env;
+var mock;
+
+beforeEach(function () {
+    env = harness.installSapC4c();
+    mock = env.mock;
+});
+
+afterEach(function () {
+    env.restore();
+});
+
+/** Replaces the default mock with one created with `options`. */
+function reinstall(options) {
+    env.restore();
+    env = harness.installSapC4c(options);
+    mock = env.mock;
+}
+
+function addAccounts(count) {
+    var ids = [];
+    for (var i = 0; i < count; i++) {
+        ids.push(mock.addEntity('CorporateAccountCollection', { AccountID: String(1000 + i), Name: 'Account ' + i }));
+    }
+    return ids;
+}
+
+/** Returns the $top / $skip of every collection request sent. */
+function pagesRequested(collection) {
+    return mock.requests(new RegExp('/' + collection + '$')).map(function (request) {
+        return [request.query.$top, request.query.$skip];
+    });
+}
+
+describe('sapC4cCorporateAccountsReader paging', function () {
+    it('stops after an empty page when the total is an exact multiple of the page size', function () {
+        addAccounts(20);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10' });
+
+        assert.strictEqual(run.records.length, 20);
+        assert.strictEqual(run.records[19].AccountID, '1019');
+        assert.deepStrictEqual(pagesRequested('CorporateAccountCollection'), [['10', '0'], ['10', '10'], ['10', '20']]);
+        assert.strictEqual(run.journal.progress[run.journal.progress.length - 1], 20);
+    });
+
+    it('stops after a short last page', function () {
+        addAccounts(25);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10' });
+
+        assert.strictEqual(run.records.length, 25);
+        assert.deepStrictEqual(pagesRequested('CorporateAccountCollection'), [['10', '0'], ['10', '10'], ['10', '20']]);
+    });
+
+    it('requests only the remainder of the top limit', function () {
+        addAccounts(40);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10', top: '15' });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.AccountID; }).slice(-2), ['1013', '1014']);
+        assert.strictEqual(run.records.length, 15);
+        assert.deepStrictEqual(pagesRequested('CorporateAccountCollection'), [['10', '0'], ['5', '10']]);
+    });
+
+    it('sends no further request once a top limit that is a page multiple is reached', function () {
+        addAccounts(40);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10', top: '20' });
+
+        assert.strictEqual(run.records.length, 20);
+        assert.deepStrictEqual(pagesRequested('CorporateAccountCollection'), [['10', '0'], ['10', '10']]);
+    });
+
+    it('reads nothing from an empty collection', function () {
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {});
+
+        assert.deepStrictEqual(run.records, []);
+        assert.deepStrictEqual(run.journal.progress, []);
+        assert.deepStrictEqual(pagesRequested('CorporateAccountCollection'), [['100', '0']]);
+    });
+});
+
+describe('sapC4cCorporateAccountsReader server-driven paging', function () {
+    it('follows next links when the server caps the page size', function () {
+        reinstall({ maxPageSize: 4 });
+        addAccounts(23);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10' });
+
+        assert.strictEqual(run.records.length, 23);
+        assert.deepStrictEqual(run.records.map(function (r) { return r.AccountID; }).slice(-2), ['1021', '1022']);
+        assert.deepStrictEqual(mock.requests().map(function (request) {
+            return [request.query.$top, request.query.$skip, request.query.$skiptoken];
+        }), [
+            ['10', '0', undefined], ['6', undefined, '4'], ['2', undefined, '8'],
+            ['10', '10', undefined], ['6', undefined, '14'], ['2', undefined, '18'],
+            ['10', '20', undefined]
+        ]);
+        assert.strictEqual(run.journal.warnings.length, 1);
+        assert.match(run.journal.warnings[0], /returned 4 entities for \$top=10 .*server-side page limit/);
+    });
+
+    it('stops at the top limit within a server-driven sequence', function () {
+        reinstall({ maxPageSize: 4 });
+        addAccounts(23);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10', top: '7' });
+
+        assert.strictEqual(run.records.length, 7);
+        assert.strictEqual(mock.requests().length, 2);
+    });
+
+    it('stops at the top limit when the service ignores $top', function () {
+        reinstall({ maxPageSize: 5, ignoreTop: true });
+        for (var i = 0; i < 12; i++) {
+            mock.addEntity('CorporateAccountCollection', {
+                AccountID: String(1000 + i), Name: 'Account ' + i, LastChangeDateTime: new Date(Date.UTC(2024, 2, 1 + i))
+            });
+        }
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+            pageSize: '3', top: '2', changedSince: '2024-01-01T00:00:00Z'
+        });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.AccountID || r.recordType; }), ['1000', '1001', 'watermark']);
+        assert.strictEqual(run.records[2].highWaterMark, '2024-03-02T00:00:00.000Z');
+        assert.strictEqual(mock.requests().length, 1);
+    });
+
+    it('reports the total count with the progress', function () {
+        addAccounts(12);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '5', top: '8' });
+
+        assert.strictEqual(mock.requests()[0].query.$inlinecount, 'allpages');
+        assert.strictEqual(mock.requests()[1].query.$inlinecount, undefined);
+        assert.deepStrictEqual(run.journal.progress, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.deepStrictEqual(run.journal.progressTotals, [8, 8, 8, 8, 8, 8, 8, 8]);
+    });
+
+    it('continues with $skip after a short page without next link when more entities were announced', function () {
+        reinstall({ maxPageSize: 4, nextLinks: false });
+        addAccounts(9);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { pageSize: '10' });
+
+        assert.strictEqual(run.records.length, 9);
+        assert.deepStrictEqual(pagesRequested('CorporateAccountCollection'), [['10', '0'], ['10', '4'], ['10', '8']]);
+        assert.strictEqual(run.journal.warnings.length, 2);
+        assert.match(run.journal.warnings[0], /without a next link although 9 were announced and 4 were read; continuing with \$skip=4/);
+    });
+});
+
+describe('sapC4cCorporateAccountsReader queries', function () {
+    it('reads the other collections', function () {
+        mock.addEntity('ContactCollection', { ContactID: '5001', FirstName: 'Jane' });
+        mock.addEntity('LeadCollection', { ID: '7001', Name: 'Lead' });
+        mock.addEntity('OpportunityCollection', { ID: '9001', Name: 'Deal' });
+
+        var contacts = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { endpoint: '/sap/c4c/odata/v1/c4codataapi/ContactCollection' });
+        var leads = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { endpoint: '/sap/c4c/odata/v1/c4codataapi/LeadCollection' });
+        var opportunities = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { endpoint: '/sap/c4c/odata/v1/c4codataapi/OpportunityCollection' });
+
+        assert.strictEqual(contacts.records[0].FirstName, 'Jane');
+        assert.strictEqual(contacts.records[0].__metadata.type, 'c4codata.Contact');
+        assert.strictEqual(leads.records[0].Name, 'Lead');
+        assert.strictEqual(opportunities.records[0].Name, 'Deal');
+    });
+
+    it('expands navigation properties inline', function () {
+        mock.addEntity('CorporateAccountCollection', {
+            AccountID: '1000',
+            CorporateAccountAddresses: [{ City: 'Berlin' }, { City: 'Hamburg' }],
+            ContactPersons: [{ ContactID: '5001' }]
+        });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { 'extends': 'CorporateAccountAddresses' });
+
+        assert.deepStrictEqual(run.records[0].CorporateAccountAddresses.results.map(function (a) { return a.City; }),
+            ['Berlin', 'Hamburg']);
+        assert.ok(run.records[0].ContactPersons.__deferred);
+        assert.strictEqual(mock.requests()[0].query.$expand, 'CorporateAccountAddresses');
+    });
+
+    it('passes the $filter through', function () {
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1000', CountryCode: 'DE' });
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1001', CountryCode: 'FR' });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { filter: "CountryCode eq 'DE'" });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.AccountID; }), ['1000']);
+    });
+
+    it('reads changed entities in incremental mode and yields the high-water mark', function () {
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1000', LastChangeDateTime: new Date('2024-03-01T10:00:00Z') });
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1001', LastChangeDateTime: new Date('2024-03-03T10:00:00Z') });
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1002', LastChangeDateTime: new Date('2024-03-02T10:00:00Z') });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { changedSince: '2024-03-02T00:00:00Z' });
+
+        assert.deepStrictEqual(run.records.slice(0, 2).map(function (r) { return r.AccountID; }), ['1002', '1001']);
+        assert.deepStrictEqual(run.records[2], {
+            recordType: 'watermark',
+            endpoint: ACCOUNTS,
+            watermarkProperty: 'LastChangeDateTime',
+            highWaterMark: '2024-03-03T10:00:00.000Z'
+        });
+    });
+
+    it('combines the change filter with $filter and keeps the watermark when nothing changed', function () {
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1000', CountryCode: 'DE', EntityLastChangedOn: new Date('2024-03-01T10:00:00Z') });
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1001', CountryCode: 'US', EntityLastChangedOn: new Date('2024-03-03T10:00:00Z') });
+        var since = String(Date.parse('2024-03-02T00:00:00Z'));
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+            filter: "CountryCode eq 'DE'",
+            changedSince: since,
+            changeDateField: 'EntityLastChangedOn'
+        });
+
+        var query = mock.requests()[0].query;
+        assert.strictEqual(query.$filter, "(CountryCode eq 'DE') and EntityLastChangedOn ge datetimeoffset'2024-03-02T00:00:00Z'");
+        assert.strictEqual(query.$orderby, 'EntityLastChangedOn asc,ObjectID asc');
+        assert.deepStrictEqual(run.records, [{
+            recordType: 'watermark',
+            endpoint: ACCOUNTS,
+            watermarkProperty: 'EntityLastChangedOn',
+            highWaterMark: '2024-03-02T00:00:00.000Z'
+        }]);
+        assert.throws(function () {
+            harness.runSapC4cReader(sapC4cCorporateAccountsReader, { changedSince: 'yesterday' });
+        }, /Invalid "changed since" value: yesterday/);
+    });
+});
+
+describe('sapC4cCorporateAccountsReader flattening', function () {
+    function addAccount() {
+        return mock.addEntity('CorporateAccountCollection', {
+            AccountID: '1000',
+            Name: 'Acme',
+            CreationOn: new Date('2024-03-01T10:00:00Z'),
+            CorporateAccountAddresses: [
+                { City: 'Hamburg', MainIndicator: false, ValidFrom: new Date('2024-01-01T00:00:00Z') },
+                { City: 'Berlin', MainIndicator: true, ValidFrom: new Date('2024-02-01T00:00:00Z') }
+            ]
+        });
+    }
+
+    it('adds the main address as prefixed fields and strips OData metadata', function () {
+        var id = addAccount();
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+            'extends': 'CorporateAccountAddresses',
+            flatten: 'fields'
+        });
+
+        assert.deepStrictEqual(run.records, [{
+            ObjectID: id,
+            AccountID: '1000',
+            Name: 'Acme',
+            CreationOn: '2024-03-01T10:00:00.000Z',
+            CorporateAccountAddresses_City: 'Berlin',
+            CorporateAccountAddresses_MainIndicator: true,
+            CorporateAccountAddresses_ValidFrom: '2024-02-01T00:00:00.000Z',
+            CorporateAccountAddressesCount: 2
+        }]);
+    });
+
+    it('explodes expanded children into records carrying the parent key', function () {
+        var id = addAccount();
+        mock.addEntity('CorporateAccountCollection', { AccountID: '1001' });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+            'extends': 'CorporateAccountAddresses',
+            flatten: 'records',
+            top: '2'
+        });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.recordType, r.AccountID || r.City]; }), [
+            ['CorporateAccountCollection', '1000'],
+            ['CorporateAccountAddresses', 'Hamburg'],
+            ['CorporateAccountAddresses', 'Berlin'],
+            ['CorporateAccountCollection', '1001']
+        ]);
+        assert.strictEqual(run.records[1].ParentObjectID, id);
+        assert.strictEqual(run.records[2].ValidFrom, '2024-02-01T00:00:00.000Z');
+        assert.ok(!('ContactPersons' in run.records[0]));
+    });
+
+    it('rejects unknown modes', function () {
+        assert.throws(function () {
+            harness.runSapC4cReader(sapC4cCorporateAccountsReader, { flatten: 'nested' });
+        }, /Unknown flatten mode "nested"/);
+    });
+});
+
+describe('sapC4cCorporateAccountsReader authentication', function () {
+    it('sends the configured basic auth credentials', function () {
+        addAccounts(1);
+
+        harness.runSapC4cReader(sapC4cCorporateAccountsReader, {});
+
+        var expected = 'Basic ' + Buffer.from(harness.SAP_C4C_USERNAME + ':' + harness.SAP_C4C_PASSWORD).toString('base64');
+        assert.strictEqual(mock.requests()[0].headers.Authorization, expected);
+    });
+
+    it('fails with the HTTP status when the credentials are rejected', function () {
+        assert.throws(function () {
+            harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+                authConfig: { subType: 'BASIC_AUTH', properties: { basicAuthUsername: harness.SAP_C4C_USERNAME, basicAuthPassword: 'wrong' } }
+            });
+        }, /HTTP response code: 401/);
+    });
+});
+
+describe('sapC4cCorporateAccountsReader OAuth 2.0', function () {
+    var CLIENT = { clientId: 'c4c-client', clientSecret: 'client-secret', assertion: 'PHNhbWw6QXNzZXJ0aW9uLz4' };
+
+    function oauthConfig(properties) {
+        var merged = { oauthClientId: CLIENT.clientId, oauthClientSecret: CLIENT.clientSecret, oauthScope: 'UIWC:CC_HOME' };
+        for (var key in properties || {}) {
+            if (properties.hasOwnProperty(key)) merged[key] = properties[key];
+        }
+        return { authConfig: null, oauthConfig: { subType: 'OAUTH2', properties: merged } };
+    }
+
+    function tokenRequests() {
+        return mock.requests(/\/oauth2\/token$/).map(function (request) {
+            return new URLSearchParams(request.body);
+        });
+    }
+
+    beforeEach(function () {
+        sapC4cAuth.clearTokenCache();
+    });
+
+    it('fetches a client credentials token once and sends it with every page', function () {
+        reinstall({ username: '', maxPageSize: 2, oauth: CLIENT });
+        addAccounts(5);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, oauthConfig({ oauthGrantType: 'client_credentials' }));
+
+        assert.strictEqual(run.records.length, 5);
+        var tokens = tokenRequests();
+        assert.strictEqual(tokens.length, 1);
+        assert.strictEqual(tokens[0].get('grant_type'), 'client_credentials');
+        assert.strictEqual(tokens[0].get('scope'), 'UIWC:CC_HOME');
+        mock.requests(/CorporateAccountCollection$/).forEach(function (request) {
+            assert.strictEqual(request.headers.Authorization, 'Bearer access-1');
+        });
+    });
+
+    it('exchanges the SAML assertion and fails clearly when it is rejected', function () {
+        reinstall({ username: '', oauth: CLIENT });
+        addAccounts(1);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, oauthConfig({
+            oauthGrantType: 'saml2_bearer',
+            oauthSamlAssertion: CLIENT.assertion
+        }));
+        assert.strictEqual(run.records.length, 1);
+        assert.strictEqual(tokenRequests()[0].get('grant_type'), 'urn:ietf:params:oauth:grant-type:saml2-bearer');
+        assert.strictEqual(tokenRequests()[0].get('assertion'), CLIENT.assertion);
+
+        // The token of the valid assertion is not reused for another one
+        assert.throws(function () {
+            harness.runSapC4cReader(sapC4cCorporateAccountsReader, oauthConfig({
+                oauthGrantType: 'saml2_bearer',
+                oauthSamlAssertion: 'expired'
+            }));
+        }, /OAuth token request to .*\/sap\/bc\/sec\/oauth2\/token failed/);
+    });
+
+    it('renews expiring tokens between pages via the refresh token', function () {
+        reinstall({ username: '', maxPageSize: 2, oauth: { clientId: CLIENT.clientId, clientSecret: CLIENT.clientSecret, expiresIn: 30, refreshTokens: true } });
+        addAccounts(5);
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, oauthConfig({ oauthGrantType: 'client_credentials' }));
+
+        assert.strictEqual(run.records.length, 5);
+        assert.deepStrictEqual(tokenRequests().map(function (params) { return params.get('grant_type'); }),
+            ['client_credentials', 'refresh_token', 'refresh_token']);
+        assert.deepStrictEqual(mock.requests(/CorporateAccountCollection$/).map(function (request) {
+            return request.headers.Authorization;
+        }), ['Bearer access-1', 'Bearer access-2', 'Bearer access-3']);
+    });
+
+    it('reuses cached tokens across runs and renews a revoked one', function () {
+        reinstall({ username: '', oauth: CLIENT });
+        addAccounts(1);
+        var config = oauthConfig({ oauthGrantType: 'client_credentials' });
+
+        harness.runSapC4cReader(sapC4cCorporateAccountsReader, config);
+        harness.runSapC4cReader(sapC4cCorporateAccountsReader, config);
+        assert.strictEqual(tokenRequests().length, 1);
+
+        mock.revokeTokens();
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, config);
+
+        assert.strictEqual(run.records.length, 1);
+        assert.strictEqual(tokenRequests().length, 2);
+        assert.match(run.journal.warnings[0], /rejected the OAuth access token \(HTTP 401\)/);
+    });
+
+    it('does not reuse a cached token after the client secret changed', function () {
+        reinstall({ username: '', oauth: CLIENT });
+        addAccounts(1);
+
+        harness.runSapC4cReader(sapC4cCorporateAccountsReader, oauthConfig({ oauthGrantType: 'client_credentials' }));
+        assert.throws(function () {
+            harness.runSapC4cReader(sapC4cCorporateAccountsReader, oauthConfig({
+                oauthGrantType: 'client_credentials',
+                oauthClientSecret: 'revoked-secret'
+            }));
+        }, /OAuth token request to .* failed/);
+        assert.strictEqual(mock.requests(/CorporateAccountCollection$/).length, 1);
+    });
+
+    it('authorizes the metadata reader as well', function () {
+        reinstall({ username: '', oauth: CLIENT });
+
+        var run = harness.runSapC4cReader(sapC4cMetadataReader, oauthConfig({ oauthGrantType: 'client_credentials' }));
+
+        assert.ok(run.records.length > 0);
+        assert.strictEqual(mock.requests(/c4codataapi\/$/)[0].headers.Authorization, 'Bearer access-1');
+    });
+});
+
+describe('sapC4cCorporateAccountsReader collections', function () {
+    it('reads any collection of the standard service', function () {
+        mock.defineCollection('ServiceRequestCollection', { type: 'c4codata.ServiceRequest', navigation: ['ServiceRequestItem'] });
+        mock.addEntity('ServiceRequestCollection', { ID: '42', Name: 'Printer broken' });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, { collection: 'ServiceRequestCollection' });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.Name; }), ['Printer broken']);
+        assert.deepStrictEqual(mock.requests().map(function (r) { return r.path; }),
+            ['/sap/c4c/odata/v1/c4codataapi/ServiceRequestCollection']);
+    });
+
+    it('reads collections of custom business object services', function () {
+        mock.defineCollection('/sap/c4c/odata/cust/v1/zcontracts/ZContractRootCollection', { type: 'cust.ZContractRoot' });
+        mock.addEntity('/sap/c4c/odata/cust/v1/zcontracts/ZContractRootCollection', { ContractID: 'C-1' });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+            servicePath: '/sap/c4c/odata/cust/v1/zcontracts/',
+            collection: 'ZContractRootCollection'
+        });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.ContractID; }), ['C-1']);
+    });
+
+    it('selects the configured fields plus expanded navigation properties and the change date', function () {
+        mock.addEntity('CorporateAccountCollection', {
+            AccountID: '1000',
+            Name: 'Acme',
+            CountryCode: 'DE',
+            LastChangeDateTime: new Date('2024-03-01T10:00:00Z'),
+            CorporateAccountAddresses: [{ City: 'Berlin' }]
+        });
+
+        var run = harness.runSapC4cReader(sapC4cCorporateAccountsReader, {
+            select: 'AccountID, Name',
+            'extends': 'CorporateAccountAddresses',
+            changedSince: '2024-01-01T00:00:00Z'
+        });
+
+        assert.strictEqual(mock.requests()[0].query.$select, 'AccountID,Name,CorporateAccountAddresses,LastChangeDateTime');
+        assert.deepStrictEqual(Object.keys(run.records[0]).sort(),
+            ['AccountID', 'CorporateAccountAddresses', 'LastChangeDateTime', 'Name', '__metadata']);
+        assert.strictEqual(run.records[1].highWaterMark, '2024-03-01T10:00:00.000Z');
+    });
+});
+
+describe('sapC4cMetadataReader', function () {
+    it('lists the entity sets of the service', function () {
+        var run = harness.runSapC4cReader(sapC4cMetadataReader, {});
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.entitySet; }),
+            ['CorporateAccountCollection', 'ContactCollection', 'LeadCollection', 'OpportunityCollection']);
+        assert.strictEqual(run.records[0].recordType, 'entitySet');
+        assert.strictEqual(run.records[0].servicePath, '/sap/c4c/odata/v1/c4codataapi');
+    });
+
+    it('lists the properties and navigation properties of a collection', function () {
+        mock.addEntity('CorporateAccountCollection', {
+            ObjectID: '00163E0000000001',
+            AccountID: '1000',
+            Employees: 12,
+            LastChangeDateTime: new Date('2024-03-01T10:00:00Z')
+        });
+
+        var run = harness.runSapC4cReader(sapC4cMetadataReader, { collection: 'CorporateAccountCollection' });
+
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.recordType, r.name, r.valueType]; }), [
+            ['property', 'ObjectID', 'string'],
+            ['property', 'AccountID', 'string'],
+            ['property', 'Employees', 'number'],
+            ['property', 'LastChangeDateTime', 'dateTime'],
+            ['navigationProperty', 'CorporateAccountAddresses', undefined],
+            ['navigationProperty', 'ContactPersons', undefined]
+        ]);
+        assert.strictEqual(run.records[0].entityType, 'c4codata.CorporateAccount');
+        assert.strictEqual(mock.requests()[0].query.$top, '1');
+    });
+
+    it('warns when the collection is empty', function () {
+        var run = harness.runSapC4cReader(sapC4cMetadataReader, { collection: '/sap/c4c/odata/v1/c4codataapi/LeadCollection' });
+
+        assert.deepStrictEqual(run.records, []);
+        assert.match(run.journal.warnings[0], /LeadCollection contains no entity/);
+    });
+});
+
+describe('sapC4cWriter', function () {
+    var ACCOUNT_PROPERTIES = ['AccountID', 'ExternalID', 'Name', 'City', 'LifeCycleStatusCode'];
+
+    beforeEach(function () {
+        reinstall({ csrf: true });
+        mock.defineCollection('CorporateAccountCollection', { type: 'c4codata.CorporateAccount', properties: ACCOUNT_PROPERTIES });
+    });
+
+    function writes() {
+        return mock.requests().filter(function (request) { return request.method === 'POST'; });
+    }
+
+    function accountByExternalId(externalId) {
+        return mock.entities('CorporateAccountCollection').filter(function (entity) {
+            return entity.ExternalID === externalId;
+        });
+    }
+
+    it('upserts by external id in one $batch change set with a CSRF token', function () {
+        var existing = mock.addEntity('CorporateAccountCollection', { ExternalID: 'HS-1', Name: 'Old', City: 'Berlin' });
+
+        var run = harness.runSapC4cWriter(sapC4cWriter, {}, [
+            { ExternalID: 'HS-1', Name: 'Renamed', City: '' },
+            { ExternalID: 'HS-2', Name: 'New account' }
+        ]);
+
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.deepStrictEqual(run.journal.warnings, []);
+        assert.strictEqual(accountByExternalId('HS-1')[0].Name, 'Renamed');
+        assert.strictEqual(accountByExternalId('HS-1')[0].City, 'Berlin');
+        assert.strictEqual(accountByExternalId('HS-2').length, 1);
+        assert.deepStrictEqual(run.records.map(function (r) { return [r.lookupValue, r.objectId, r.action]; }), [
+            ['HS-1', existing, 'update'],
+            ['HS-2', accountByExternalId('HS-2')[0].ObjectID, 'create']
+        ]);
+        assert.deepStrictEqual(JSON.parse(run.records[0].properties), { ExternalID: 'HS-1', Name: 'Renamed' });
+
+        var lookup = mock.requests(/CorporateAccountCollection$/)[0];
+        assert.strictEqual(lookup.query.$filter, "ExternalID eq 'HS-1' or ExternalID eq 'HS-2'");
+        assert.strictEqual(writes().length, 1);
+        assert.match(writes()[0].path, /\/c4codataapi\/\$batch$/);
+        assert.match(writes()[0].body, /MERGE CorporateAccountCollection\('[0-9A-F]+'\) HTTP\/1\.1/);
+        assert.match(writes()[0].headers['x-csrf-token'], /^csrf-/);
+        assert.match(writes()[0].headers.Cookie, /^SAP_SESSIONID_TST_100=session-\w+; sap-usercontext=sap-client=100$/);
+        assert.strictEqual(mock.requests().filter(function (r) { return r.headers['x-csrf-token'] === 'fetch'; }).length, 1);
+    });
+
+    it('re-sends a rejected change set record by record', function () {
+        var run = harness.runSapC4cWriter(sapC4cWriter, {}, [
+            { ExternalID: 'HS-1', Name: 'One' },
+            { ExternalID: 'HS-2', Name: 'Two', Unknown: 'x' },
+            { ExternalID: 'HS-3', Name: 'Three' }
+        ]);
+
+        assert.match(run.journal.warnings[0], /rejected the change set of 3 records \(HTTP 400: Property 'Unknown' is invalid\)/);
+        assert.strictEqual(run.journal.errors.length, 1);
+        assert.match(run.journal.errors[0], /^POST .*CorporateAccountCollection \| record: .*"Unknown":"x".* \| error: Property 'Unknown' is invalid$/);
+        assert.deepStrictEqual(run.records.map(function (r) { return r.action; }), ['create', 'error', 'create']);
+        assert.deepStrictEqual(mock.entities('CorporateAccountCollection').map(function (e) { return e.ExternalID; }), ['HS-1', 'HS-3']);
+    });
+
+    it('marks the records of a failed lookup as errors and writes the others', function () {
+        var records = [];
+        for (var i = 1; i <= 30; i++) {
+            records.push({ ExternalID: 'HS-' + i, Name: 'Account ' + i });
+        }
+        mock.failNext(/\$filter=ExternalID eq 'HS-1' or/, {
+            status: 503, headers: {}, body: { error: { code: 'UNAVAILABLE', message: { lang: 'en', value: 'Lookup unavailable' } } }
+        }, 'GET');
+
+        var run = harness.runSapC4cWriter(sapC4cWriter, {}, records);
+
+        assert.strictEqual(mock.requests(/CorporateAccountCollection$/).filter(function (r) { return r.method === 'GET'; }).length, 2);
+        assert.deepStrictEqual(mock.entities('CorporateAccountCollection').map(function (e) { return e.ExternalID; }),
+            ['HS-26', 'HS-27', 'HS-28', 'HS-29', 'HS-30']);
+        assert.deepStrictEqual(run.records.map(function (r) { return r.action; }),
+            records.map(function (record, index) { return index < 25 ? 'error' : 'create'; }));
+        assert.strictEqual(run.records[0].errorMessage, 'lookup failed: Lookup unavailable');
+        assert.strictEqual(run.journal.errors.length, 25);
+    });
+
+    it('sends single requests with batchSize 1, tunnelling MERGE through POST', function () {
+        var existing = mock.addEntity('CorporateAccountCollection', { ExternalID: 'HS-1', Name: 'Old' });
+
+        var run = harness.runSapC4cWriter(sapC4cWriter, { batchSize: '1' }, [
+            { ExternalID: 'HS-1', Name: 'Renamed' },
+            { ObjectID: existing, City: 'Hamburg' },
+            { ExternalID: 'HS-2', Name: 'New' }
+        ]);
+
+        assert.deepStrictEqual(run.records.map(function (r) { return r.action; }), ['update', 'update', 'create']);
+        assert.deepStrictEqual(writes().map(function (r) { return [r.path.replace(/^.*\//, ''), r.headers['X-HTTP-Method']]; }), [
+            ["CorporateAccountCollection('" + existing + "')", 'MERGE'],
+            ["CorporateAccountCollection('" + existing + "')", 'MERGE'],
+            ['CorporateAccountCollection', undefined]
+        ]);
+        assert.strictEqual(accountByExternalId('HS-1')[0].City, 'Hamburg');
+    });
+
+    it('skips records the operation does not apply to and writes nothing in a dry run', function () {
+        mock.addEntity('CorporateAccountCollection', { ExternalID: 'HS-1', Name: 'Old' });
+
+        var updateOnly = harness.runSapC4cWriter(sapC4cWriter, { operation: 'update' }, [
+            { ExternalID: 'HS-1', Name: 'Renamed' },
+            { ExternalID: 'HS-2', Name: 'Missing' }
+        ]);
+        assert.deepStrictEqual(updateOnly.records.map(function (r) { return [r.action, r.errorMessage]; }),
+            [['update', ''], ['skip', 'no entity found for ExternalID HS-2']]);
+
+        var requestsBefore = writes().length;
+        var dryRun = harness.runSapC4cWriter(sapC4cWriter, { dryRun: 'true' }, [
+            { ExternalID: 'HS-1', Name: 'Again' },
+            { ExternalID: 'HS-3', Name: 'Planned' }
+        ]);
+        assert.deepStrictEqual(dryRun.records.map(function (r) { return r.action; }), ['update', 'create']);
+        assert.strictEqual(writes().length, requestsBefore);
+        assert.strictEqual(accountByExternalId('HS-3').length, 0);
+    });
+
+    it('falls back to single requests without duplicates when $batch responses are unusable', function () {
+        reinstall({ csrf: true, textResponses: false });
+        mock.addEntity('CorporateAccountCollection', { ExternalID: 'HS-1', Name: 'Old' });
+
+        var run = harness.runSapC4cWriter(sapC4cWriter, {}, [
+            { ExternalID: 'HS-1', Name: 'Renamed' },
+            { ExternalID: 'HS-2', Name: 'New' }
+        ]);
+
+        assert.match(run.journal.warnings[0], /\$batch responses cannot be processed/);
+        assert.deepStrictEqual(run.journal.errors, []);
+        assert.strictEqual(accountByExternalId('HS-2').length, 1);
+        assert.deepStrictEqual(run.records.map(function (r) { return r.action; }), ['update', 'update']);
+    });
+
+    it('resends the records of a $batch request without response singly and keeps using $batch', function () {
+        var postJson = global.postJson;
+        var timedOut = false;
+        global.postJson = function (url, payload, headers) {
+            var body = postJson(url, payload, headers);
+            if (!timedOut && /\$batch$/.test(url)) {
+                timedOut = true;
+                throw new Error('java.net.SocketTimeoutException: Read timed out');
+            }
+            return body;
+        };
+
+        var run = harness.runSapC4cWriter(sapC4cWriter, { batchSize: '2' }, [
+            { ExternalID: 'HS-1', Name: 'First' },
+            { ExternalID: 'HS-2', Name: 'Second' },
+            { ExternalID: 'HS-3', Name: 'Third' },
+            { ExternalID: 'HS-4', Name: 'Fourth' }
+        ]);
+
+        assert.strictEqual(run.journal.warnings.length, 1);
+        assert.match(run.journal.warnings[0], /failed without response/);
+        assert.deepStrictEqual(run.journal.errors, []);
+        ['HS-1', 'HS-2', 'HS-3', 'HS-4'].forEach(function (id) {
+            assert.strictEqual(accountByExternalId(id).length, 1);
+        });
+        assert.strictEqual(mock.requests(/\$batch$/).length, 2);
+    });
+
+    it('fetches a new CSRF token when the current one is rejected', function () {
+        var streamHelper = harness.createStreamHelper();
+        var writer = sapC4cWriter(harness.sapC4cConfig({ batchSize: '1' }), streamHelper, harness.createJournal());
+        writer.open();
+        writer.writeRecord({ ExternalID: 'HS-1', Name: 'First' });
+        mock.expireCsrfToken();
+        writer.writeRecord({ ExternalID: 'HS-2', Name: 'Second' });
+        writer.close();
+
+        assert.deepStrictEqual(streamHelper.records.map(function (r) { return r.action; }), ['create', 'create']);
+        assert.strictEqual(mock.requests().filter(function (r) { return r.headers['x-csrf-token'] === 'fetch'; }).length, 2);
+    });
+});
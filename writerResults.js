@@ -0,0 +1,32 @@
+/**
+ * Output of the records produced by the writers (hubspotCrmWriter,
+ * hubspotSchemaWriter, sapC4cWriter): write results and dry-run plans.
+ *
+ * A writer does not keep these records until the end of the run. Each one
+ * is handed to the runtime as soon as the request (or flush) it belongs to
+ * is done, via
+ *   streamHelper.writeRecord(record)
+ * e.g. to route the results to a second output port or a result collector.
+ * Without a stream helper offering writeRecord the records are discarded;
+ * failures still reach journal.onError.
+ */
+
+/**
+ * Creates the result output of a writer.
+ *
+ * @param {object} streamHelper  Stream helper passed to the writer factory
+ * @returns {{write: function(object)}} write() emits one record
+ */
+function createResultOutput(streamHelper) {
+    var emit = streamHelper && typeof streamHelper.writeRecord === 'function'
+        ? function (record) { streamHelper.writeRecord(record); }
+        : function () {};
+
+    return {
+        write: emit
+    };
+}
+
+module.exports = {
+    createResultOutput: createResultOutput
+};